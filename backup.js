@@ -0,0 +1,66 @@
+// Database backup CLI
+// Usage:
+//   node backup.js create              Export every ERP table to BACKUP_DIR
+//   node backup.js list                Show stored backups
+//   node backup.js restore <filename>  Restore a backup into an empty, migrated database
+//   node backup.js prune               Delete scheduled backups outside the retention rules
+require('dotenv').config()
+
+const { pool } = require('./config/database')
+const backup = require('./lib/backup')
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`
+}
+
+async function run() {
+  const [command = 'list', filename] = process.argv.slice(2)
+
+  switch (command) {
+    case 'create': {
+      const info = await backup.createBackup({ type: 'manual' })
+      const rows = Object.values(info.tables).reduce((sum, count) => sum + count, 0)
+      console.log(`✓ ${info.filename} (${formatSize(info.size)}, ${rows} rows, schema ${info.schema_version})`)
+      break
+    }
+    case 'list': {
+      const backups = await backup.listBackups()
+      for (const entry of backups) {
+        console.log(`${entry.type.padEnd(9)} ${entry.filename} ${formatSize(entry.size)}`)
+      }
+      console.log(`\n${backups.length} backup(s) in ${backup.BACKUP_DIR}`)
+      break
+    }
+    case 'restore': {
+      if (!filename) {
+        throw new Error('Usage: node backup.js restore <filename>')
+      }
+      const result = await backup.restoreBackup(filename)
+      for (const [table, count] of Object.entries(result.tables)) {
+        console.log(`  ${table.padEnd(22)} ${count}`)
+      }
+      console.log(`\n✓ ${filename} restored`)
+      break
+    }
+    case 'prune': {
+      const pruned = await backup.pruneBackups()
+      pruned.forEach(name => console.log(`  deleted ${name}`))
+      console.log(`✓ ${pruned.length} backup(s) pruned`)
+      break
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use create, list, restore or prune.`)
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error('✗ Backup failed:', error.message)
+    if (error.details && error.details.problems) {
+      error.details.problems.forEach(problem => console.error(`  - ${problem}`))
+    }
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
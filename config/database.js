@@ -1,28 +1,99 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const { getAuditContext, applyAuditContext } = require('../lib/audit');
 
-const pool = new Pool({
+// Single connection pool shared by every route and script.
+// Sizing and timeouts can be tuned per environment:
+//   DB_POOL_MAX                 Maximum open connections (default 10)
+//   DB_POOL_IDLE_TIMEOUT        Close idle connections after N ms (default 30000)
+//   DB_CONNECTION_TIMEOUT       Give up waiting for a connection after N ms (default 10000)
+//   DB_STATEMENT_TIMEOUT        Abort statements running longer than N ms (default 30000, 0 disables)
+//   DB_IDLE_IN_TRANSACTION_TIMEOUT  Kill sessions idle inside a transaction after N ms (default 60000)
+const poolConfig = {
   user: process.env.DB_USER || 'postgres',
   host: process.env.DB_HOST || 'localhost',
   database: process.env.DB_NAME || 'freshfruit_erp',
   password: process.env.DB_PASSWORD || 'password',
   port: process.env.DB_PORT || 5432,
-});
+  max: parseInt(process.env.DB_POOL_MAX) || 10,
+  idleTimeoutMillis: parseInt(process.env.DB_POOL_IDLE_TIMEOUT) || 30000,
+  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 10000,
+  statement_timeout: process.env.DB_STATEMENT_TIMEOUT !== undefined
+    ? parseInt(process.env.DB_STATEMENT_TIMEOUT)
+    : 30000,
+  idle_in_transaction_session_timeout: parseInt(process.env.DB_IDLE_IN_TRANSACTION_TIMEOUT) || 60000,
+  application_name: 'freshfruit-erp'
+};
 
-// Test connection
-pool.on('connect', () => {
-  console.log('Connected to PostgreSQL database');
-});
+const WRITE_STATEMENT = /^\s*(INSERT|UPDATE|DELETE|WITH)\b/i;
+
+// Writes sent straight to the pool while serving a request run in a short
+// transaction carrying the audit context, so the audit triggers know who made
+// them. Everything else goes to pg unchanged.
+class AuditedPool extends Pool {
+  query(text, params, callback) {
+    const sql = typeof text === 'string' ? text : text && text.text;
+    if (typeof params === 'function' || callback || !WRITE_STATEMENT.test(sql || '') || !getAuditContext()) {
+      return super.query(text, params, callback);
+    }
+    return withTransaction((client) => client.query(text, params));
+  }
+}
+
+const pool = new AuditedPool(poolConfig);
 
+// An idle client lost its connection (e.g. the database restarted).
+// The pool discards it and opens a new one on the next checkout.
 pool.on('error', (err) => {
-  console.error('Database connection error:', err);
-  process.exit(-1);
+  console.error('Unexpected error on idle database client:', err.message);
 });
 
 // Query helper function
 const query = (text, params) => pool.query(text, params);
 
+// Run fn(client) inside BEGIN/COMMIT on a dedicated client.
+// Any error thrown by fn rolls the transaction back and is re-thrown;
+// the client is always released. Returns whatever fn returns.
+// options.isolation sets the transaction mode, e.g. 'REPEATABLE READ READ ONLY'.
+async function withTransaction(fn, { isolation } = {}) {
+  const client = await pool.connect();
+  let releaseError;
+
+  try {
+    await client.query(isolation ? `BEGIN ISOLATION LEVEL ${isolation}` : 'BEGIN');
+    await applyAuditContext(client);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // The connection is unusable, make sure the pool destroys it
+      console.error('Error rolling back transaction:', rollbackError.message);
+      releaseError = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(releaseError);
+  }
+}
+
+// Pool usage snapshot for the health endpoint
+function getPoolStats() {
+  return {
+    max: poolConfig.max,
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    active: pool.totalCount - pool.idleCount,
+    waiting: pool.waitingCount,
+    statement_timeout_ms: poolConfig.statement_timeout
+  };
+}
+
 module.exports = {
   pool,
   query,
-};
\ No newline at end of file
+  withTransaction,
+  getPoolStats,
+};
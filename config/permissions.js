@@ -0,0 +1,124 @@
+// Role based access control
+// Every role maps to a list of "resource:action" permissions. Routes declare the
+// permission they need with requirePermission() from middleware/auth.js.
+
+const ROLES = ['admin', 'manager', 'cashier', 'user']
+
+// Legacy role names still stored in the users table
+const ROLE_ALIASES = {
+  cajero: 'cashier',
+  vendedor: 'cashier',
+  gerente: 'manager'
+}
+
+// Every role name accepted when creating or updating a user
+const ASSIGNABLE_ROLES = [...ROLES, ...Object.keys(ROLE_ALIASES)]
+
+const READ_PERMISSIONS = [
+  'dashboard:read',
+  'products:read',
+  'units:read',
+  'customers:read',
+  'suppliers:read',
+  'orders:read',
+  'invoices:read',
+  'payments:read',
+  'returns:read'
+]
+
+const ROLE_PERMISSIONS = {
+  // Admins can do everything
+  admin: ['*'],
+
+  manager: [
+    ...READ_PERMISSIONS,
+    'products:write',
+    'products:delete',
+    'stock:adjust',
+    'units:write',
+    'customers:write',
+    'customers:delete',
+    'customers:balance',
+    'customers:credit',
+    'suppliers:write',
+    'suppliers:delete',
+    'consignment:settle',
+    'consignment:approve',
+    'supplier_payments:create',
+    'supplier_payments:update',
+    'supplier_payments:void',
+    'orders:create',
+    'orders:update',
+    'orders:cancel',
+    'credit:override',
+    'invoices:create',
+    'invoices:update',
+    'invoices:delete',
+    'payments:create',
+    'payments:update',
+    'payments:void',
+    'payments:refund',
+    'returns:create',
+    'purchase_orders:read',
+    'purchase_orders:create',
+    'purchase_orders:update',
+    'purchase_orders:receive',
+    'register:read',
+    'register:close',
+    'register:manage',
+    'register:amend',
+    'register:reopen',
+    'register:override',
+    'reports:read',
+    'dunning:read',
+    'dunning:send',
+    'audit:read',
+    'settings:read',
+    'users:read'
+  ],
+
+  cashier: [
+    ...READ_PERMISSIONS,
+    'customers:write',
+    'orders:create',
+    'orders:update',
+    'invoices:create',
+    'payments:create',
+    'returns:create',
+    'register:read',
+    'register:close'
+  ],
+
+  user: [
+    ...READ_PERMISSIONS
+  ]
+}
+
+function normalizeRole(role) {
+  return ROLE_ALIASES[role] || role
+}
+
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)] || []
+}
+
+// True when the role grants the permission, either directly, through a
+// "resource:*" wildcard or through the global "*" wildcard
+function hasPermission(role, permission) {
+  const permissions = getPermissions(role)
+  const [resource] = permission.split(':')
+
+  return permissions.includes('*') ||
+    permissions.includes(permission) ||
+    permissions.includes(`${resource}:*`)
+}
+
+module.exports = {
+  ROLES,
+  ROLE_ALIASES,
+  ASSIGNABLE_ROLES,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  getPermissions,
+  hasPermission
+}
@@ -0,0 +1,46 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+// Request context for the audit trail (migration 0017).
+//
+// The audit triggers read who made a change from the transaction setting
+// app.audit_context. auditContext() keeps the current request available to
+// everything running on its behalf, and config/database.js copies it into
+// that setting for every transaction and every write made from a request.
+
+const storage = new AsyncLocalStorage()
+
+// Express middleware. Must run before the routers; req.user is read lazily,
+// once authenticateToken has set it.
+function auditContext(req, res, next) {
+  storage.run({ req }, next)
+}
+
+// The context of the request being served, or null outside requests
+function getAuditContext() {
+  const store = storage.getStore()
+  if (!store) return null
+
+  const { req } = store
+  return {
+    user_id: req.user ? req.user.id : null,
+    ip: req.ip,
+    user_agent: req.get('user-agent') || null,
+    method: req.method,
+    path: req.originalUrl
+  }
+}
+
+// Make the current request known to the audit triggers for the rest of the
+// client's transaction
+async function applyAuditContext(client) {
+  const context = getAuditContext()
+  if (!context) return
+
+  await client.query("SELECT set_config('app.audit_context', $1, true)", [JSON.stringify(context)])
+}
+
+module.exports = {
+  auditContext,
+  getAuditContext,
+  applyAuditContext
+}
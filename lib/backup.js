@@ -0,0 +1,433 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { promisify } = require('util')
+const { withTransaction } = require('../config/database')
+const { HttpError } = require('./errors')
+const { pad2 } = require('./helpers')
+
+const gzip = promisify(zlib.gzip)
+const gunzip = promisify(zlib.gunzip)
+
+const BACKUP_FORMAT = 'freshfruit-erp-backup'
+const BACKUP_FORMAT_VERSION = 1
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups')
+
+// Tables included in a backup, parents before children so a restore can insert
+// them in this order without violating foreign keys. Sessions are left out on
+// purpose: restored users simply log in again.
+const BACKUP_TABLES = [
+  'users',
+  'user_preferences',
+  'company_settings',
+  'system_settings',
+  'document_series',
+  'document_series_counters',
+  'tax_rates',
+  'categories',
+  'units',
+  'suppliers',
+  'customers',
+  'products',
+  'consignment_settlements',
+  'registers',
+  'register_sessions',
+  'register_cash_movements',
+  'invoices',
+  'orders',
+  'order_items',
+  'invoice_items',
+  'invoice_sri_documents',
+  'payments',
+  'returns',
+  'return_items',
+  'credit_notes',
+  'refunds',
+  'purchase_orders',
+  'purchase_order_items',
+  'purchase_order_receipts',
+  'purchase_order_receipt_items',
+  'product_lots',
+  'order_item_lots',
+  'stock_movements',
+  'register_closures',
+  'consignment_settlement_lines',
+  'credit_overrides',
+  'supplier_payments',
+  'supplier_payment_allocations',
+  'dunning_notices',
+  'dunning_notice_invoices',
+  'activity_logs'
+]
+
+// Tables the migrations fill on a fresh database: numbering series and their
+// counters, the default register, tax rates and the audit log of the
+// migrations themselves. They do not count against an empty database and the
+// restore replaces them with the rows of the backup.
+const SEEDED_TABLES = [
+  'document_series',
+  'document_series_counters',
+  'tax_rates',
+  'registers',
+  'activity_logs'
+]
+
+// freshfruit_<manual|scheduled>_<YYYYMMDDTHHMMSSZ>.json.gz
+const FILENAME_PATTERN = /^freshfruit_(manual|scheduled)_(\d{8}T\d{6}Z)\.json\.gz$/
+
+const RESTORE_BATCH_SIZE = 500
+
+// Retention for scheduled backups (grandfather-father-son). Manual backups are
+// never pruned automatically.
+const RETENTION = {
+  daily: parseInt(process.env.BACKUP_KEEP_DAILY) || 7,
+  weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY) || 4,
+  monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY) || 6
+}
+
+function ensureBackupDir() {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true })
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+function parseTimestamp(stamp) {
+  const m = stamp.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/)
+  return new Date(Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6]))
+}
+
+function isValidFilename(filename) {
+  return FILENAME_PATTERN.test(filename)
+}
+
+function backupPath(filename) {
+  // Also keeps user supplied names from escaping BACKUP_DIR
+  if (!isValidFilename(filename)) {
+    throw new HttpError(400, `Invalid backup filename: ${filename}`)
+  }
+  return path.join(BACKUP_DIR, filename)
+}
+
+// Columns that can be written back, generated columns are recomputed on insert
+async function getWritableColumns(client, table) {
+  const result = await client.query(`
+    SELECT column_name
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND is_generated = 'NEVER'
+    ORDER BY ordinal_position
+  `, [table])
+  return result.rows.map(row => row.column_name)
+}
+
+async function getExistingTables(client) {
+  const result = await client.query(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+  `)
+  const existing = new Set(result.rows.map(row => row.table_name))
+  return BACKUP_TABLES.filter(table => existing.has(table))
+}
+
+async function getSchemaVersion(client) {
+  const result = await client.query('SELECT MAX(version) AS version FROM schema_migrations')
+  return result.rows[0].version
+}
+
+// Export every backup table from a single snapshot and write it as gzipped JSON.
+// Returns the metadata of the stored file.
+async function createBackup({ type = 'manual', userId = null } = {}) {
+  const createdAt = new Date()
+
+  // REPEATABLE READ gives every SELECT the same snapshot, so the export is
+  // consistent even while sales keep coming in
+  const payload = await withTransaction(async (client) => {
+    const tables = {}
+    for (const table of await getExistingTables(client)) {
+      const columns = await getWritableColumns(client, table)
+      const result = await client.query(
+        `SELECT ${columns.map(column => `"${column}"`).join(', ')} FROM "${table}"`
+      )
+      tables[table] = { columns, rows: result.rows }
+    }
+
+    return {
+      format: BACKUP_FORMAT,
+      format_version: BACKUP_FORMAT_VERSION,
+      schema_version: await getSchemaVersion(client),
+      created_at: createdAt.toISOString(),
+      created_by: userId,
+      type,
+      tables
+    }
+  }, { isolation: 'REPEATABLE READ READ ONLY' })
+
+  ensureBackupDir()
+  const filename = `freshfruit_${type}_${formatTimestamp(createdAt)}.json.gz`
+  const target = path.join(BACKUP_DIR, filename)
+  const compressed = await gzip(JSON.stringify(payload))
+
+  // Write to a temporary name first so a crash never leaves a truncated backup
+  await fs.promises.writeFile(`${target}.tmp`, compressed)
+  await fs.promises.rename(`${target}.tmp`, target)
+
+  return {
+    filename,
+    type,
+    created_at: payload.created_at,
+    schema_version: payload.schema_version,
+    size: compressed.length,
+    tables: Object.fromEntries(
+      Object.entries(payload.tables).map(([table, data]) => [table, data.rows.length])
+    )
+  }
+}
+
+// Stored backups, newest first
+async function listBackups() {
+  ensureBackupDir()
+  const files = await fs.promises.readdir(BACKUP_DIR)
+  const backups = []
+
+  for (const filename of files) {
+    const match = filename.match(FILENAME_PATTERN)
+    if (!match) continue
+
+    const stats = await fs.promises.stat(path.join(BACKUP_DIR, filename))
+    backups.push({
+      filename,
+      type: match[1],
+      created_at: parseTimestamp(match[2]).toISOString(),
+      size: stats.size
+    })
+  }
+
+  return backups.sort((a, b) => b.created_at.localeCompare(a.created_at))
+}
+
+async function readBackup(filename) {
+  const file = backupPath(filename)
+  if (!fs.existsSync(file)) {
+    throw new HttpError(404, 'Backup not found')
+  }
+
+  let payload
+  try {
+    payload = JSON.parse((await gunzip(await fs.promises.readFile(file))).toString('utf8'))
+  } catch (error) {
+    throw new HttpError(400, `Backup file is corrupt: ${error.message}`)
+  }
+
+  if (payload.format !== BACKUP_FORMAT) {
+    throw new HttpError(400, 'File is not a FreshFruit ERP backup')
+  }
+  if (payload.format_version !== BACKUP_FORMAT_VERSION) {
+    throw new HttpError(400, `Unsupported backup format version ${payload.format_version}`)
+  }
+  if (!payload.tables || typeof payload.tables !== 'object') {
+    throw new HttpError(400, 'Backup has no table data')
+  }
+
+  return payload
+}
+
+// Check that a backup can be restored into the current database. Returns the
+// list of problems, an empty list means the restore can go ahead.
+async function validateRestore(client, payload) {
+  const problems = []
+
+  const schemaVersion = await getSchemaVersion(client)
+  if (payload.schema_version !== schemaVersion) {
+    problems.push(`Backup schema version ${payload.schema_version} does not match database schema version ${schemaVersion}. Run the migrations up to the same version first.`)
+  }
+
+  const existingTables = await getExistingTables(client)
+  for (const table of Object.keys(payload.tables)) {
+    if (!BACKUP_TABLES.includes(table)) {
+      problems.push(`Unknown table ${table} in backup`)
+      continue
+    }
+    if (!existingTables.includes(table)) {
+      problems.push(`Table ${table} does not exist in the database`)
+      continue
+    }
+
+    const columns = await getWritableColumns(client, table)
+    const missing = payload.tables[table].columns.filter(column => !columns.includes(column))
+    if (missing.length > 0) {
+      problems.push(`Table ${table} is missing columns: ${missing.join(', ')}`)
+    }
+  }
+
+  // Restoring only ever targets an empty database, merging is not supported
+  for (const table of existingTables) {
+    if (SEEDED_TABLES.includes(table)) continue
+    const result = await client.query(`SELECT EXISTS (SELECT 1 FROM "${table}") AS has_rows`)
+    if (result.rows[0].has_rows) {
+      problems.push(`Table ${table} is not empty`)
+    }
+  }
+
+  return problems
+}
+
+// Move SERIAL sequences past the restored ids
+async function resetSequences(client, table) {
+  const result = await client.query(`
+    SELECT column_name, pg_get_serial_sequence($1, column_name) AS sequence_name
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $2
+  `, [`public.${table}`, table])
+
+  for (const row of result.rows) {
+    if (!row.sequence_name) continue
+    await client.query(
+      `SELECT setval($1, COALESCE((SELECT MAX("${row.column_name}") FROM "${table}"), 0) + 1, false)`,
+      [row.sequence_name]
+    )
+  }
+}
+
+// Restore a stored backup into an empty database inside a single transaction.
+// Answers 409 with the list of problems when the database is not a valid target.
+async function restoreBackup(filename) {
+  const payload = await readBackup(filename)
+
+  return withTransaction(async (client) => {
+    // The restored rows were audited when they were first written
+    await client.query("SELECT set_config('app.audit_disabled', 'on', true)")
+
+    const problems = await validateRestore(client, payload)
+    if (problems.length > 0) {
+      throw new HttpError(409, 'Backup cannot be restored into this database', { problems })
+    }
+
+    // Drop the migration seeds the backup brings its own rows for, children first
+    for (const table of [...BACKUP_TABLES].reverse()) {
+      if (SEEDED_TABLES.includes(table) && payload.tables[table]) {
+        await client.query(`DELETE FROM "${table}"`)
+      }
+    }
+
+    const restored = {}
+    for (const table of BACKUP_TABLES) {
+      const data = payload.tables[table]
+      if (!data) continue
+
+      const columnList = data.columns.map(column => `"${column}"`).join(', ')
+      for (let i = 0; i < data.rows.length; i += RESTORE_BATCH_SIZE) {
+        const batch = data.rows.slice(i, i + RESTORE_BATCH_SIZE)
+        // json_populate_recordset casts every value to the column type
+        await client.query(
+          `INSERT INTO "${table}" (${columnList})
+           SELECT ${columnList} FROM json_populate_recordset(NULL::"${table}", $1::json)`,
+          [JSON.stringify(batch)]
+        )
+      }
+
+      await resetSequences(client, table)
+      restored[table] = data.rows.length
+    }
+
+    return {
+      filename,
+      created_at: payload.created_at,
+      schema_version: payload.schema_version,
+      tables: restored
+    }
+  })
+}
+
+async function deleteBackup(filename) {
+  const file = backupPath(filename)
+  if (!fs.existsSync(file)) {
+    throw new HttpError(404, 'Backup not found')
+  }
+  await fs.promises.unlink(file)
+}
+
+// Pick the scheduled backups to delete. Keeps the newest backup of each of the
+// last `daily` days, `weekly` ISO weeks and `monthly` months.
+function selectBackupsToPrune(backups, rules = RETENTION) {
+  const scheduled = backups
+    .filter(backup => backup.type === 'scheduled')
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+
+  const keep = new Set()
+  const buckets = [
+    { limit: rules.daily, key: date => date.toISOString().slice(0, 10) },
+    { limit: rules.weekly, key: isoWeekKey },
+    { limit: rules.monthly, key: date => date.toISOString().slice(0, 7) }
+  ]
+
+  for (const { limit, key } of buckets) {
+    const seen = new Set()
+    for (const backup of scheduled) {
+      const bucket = key(new Date(backup.created_at))
+      if (seen.has(bucket)) continue
+      if (seen.size >= limit) break
+      seen.add(bucket)
+      keep.add(backup.filename)
+    }
+  }
+
+  return scheduled.filter(backup => !keep.has(backup.filename))
+}
+
+function isoWeekKey(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  const weekday = day.getUTCDay() || 7
+  day.setUTCDate(day.getUTCDate() + 4 - weekday)
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1))
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7)
+  return `${day.getUTCFullYear()}-W${pad2(week)}`
+}
+
+async function pruneBackups(rules = RETENTION) {
+  const pruned = selectBackupsToPrune(await listBackups(), rules)
+  for (const backup of pruned) {
+    await deleteBackup(backup.filename)
+  }
+  return pruned.map(backup => backup.filename)
+}
+
+// Take a scheduled backup every BACKUP_INTERVAL_HOURS (0 or unset disables it)
+// and apply the retention rules afterwards
+function startBackupScheduler() {
+  const hours = parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0
+  if (hours <= 0) return null
+
+  const run = async () => {
+    try {
+      const backup = await createBackup({ type: 'scheduled' })
+      const pruned = await pruneBackups()
+      console.log(`💾 Scheduled backup ${backup.filename} created, ${pruned.length} old backup(s) pruned`)
+    } catch (error) {
+      console.error('Scheduled backup failed:', error.message)
+    }
+  }
+
+  const timer = setInterval(run, hours * 60 * 60 * 1000)
+  // Never keep the process alive just for backups
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  BACKUP_DIR,
+  BACKUP_TABLES,
+  RETENTION,
+  isValidFilename,
+  backupPath,
+  createBackup,
+  listBackups,
+  readBackup,
+  restoreBackup,
+  deleteBackup,
+  selectBackupsToPrune,
+  pruneBackups,
+  startBackupScheduler
+}
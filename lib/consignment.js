@@ -0,0 +1,339 @@
+const { HttpError } = require('./errors')
+const { nextNumber } = require('./numbering')
+const { round2, toDateString, addDays } = require('./helpers')
+
+// Consignment settlements (migration 0026). A consignment supplier
+// (suppliers.consignment_basis) is paid for what the store sold of its goods
+// in a period, less what customers returned:
+//   commission: net sale value less consignment_commission percent
+//   unit_cost:  net units x products.consignment_unit_cost
+// The sale value is the line's taxable base, after discounts and before tax.
+// A settlement is created as a draft, which claims its sold and returned
+// lines so no other settlement counts them, and is approved to pay it out
+// through a supplier_payments entry. Voiding a draft releases its lines.
+
+const CONSIGNMENT_BASES = ['commission', 'unit_cost']
+
+async function loadSupplier(db, supplierId, { lock = false } = {}) {
+  const result = await db.query(`
+    SELECT id, name, consignment_basis, consignment_commission
+    FROM suppliers
+    WHERE id = $1 AND deleted_at IS NULL
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [supplierId])
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Supplier not found')
+  }
+  if (!result.rows[0].consignment_basis) {
+    throw new HttpError(422, 'Supplier has no consignment agreement')
+  }
+  return result.rows[0]
+}
+
+// The day after the period of the supplier's last settlement, or null when it
+// was never settled
+async function nextPeriodStart(db, supplierId) {
+  const result = await db.query(`
+    SELECT MAX(period_to)::text as period_to
+    FROM consignment_settlements
+    WHERE supplier_id = $1 AND status <> 'void'
+  `, [supplierId])
+  return result.rows[0].period_to ? addDays(result.rows[0].period_to, 1) : null
+}
+
+// What a settlement of the supplier from dateFrom to dateTo (inclusive
+// calendar dates) would hold. dateFrom defaults to the end of the last
+// settlement; null takes every line not settled yet. Pass { lock: true }
+// inside a transaction to claim the lines.
+async function computeSettlement(db, supplierId, { dateFrom, dateTo = toDateString(new Date()), lock = false } = {}) {
+  const supplier = await loadSupplier(db, supplierId, { lock })
+  const periodFrom = dateFrom === undefined ? await nextPeriodStart(db, supplierId) : dateFrom
+  if (periodFrom && periodFrom > dateTo) {
+    throw new HttpError(400, 'date_from must not be after date_to')
+  }
+
+  const params = [supplierId, dateTo]
+  if (periodFrom) params.push(periodFrom)
+
+  // Only completed sales count, those can no longer be cancelled. An order
+  // completed after its period was settled is taken by the next settlement,
+  // so without an explicit date_from older unsettled lines are included.
+  const salesFrom = dateFrom === undefined ? null : periodFrom
+  const salesResult = await db.query(`
+    SELECT oi.id, oi.product_id, oi.product_name, oi.quantity, COALESCE(oi.tax_base, oi.total) as value
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    WHERE oi.supplier_id = $1
+      AND oi.consignment_settlement_id IS NULL
+      AND o.status = 'completed'
+      AND o.deleted_at IS NULL
+      AND o.order_date < $2::date + 1
+      ${salesFrom ? 'AND o.order_date >= $3::date' : ''}
+    ${lock ? 'FOR UPDATE OF oi' : ''}
+  `, salesFrom ? params : params.slice(0, 2))
+
+  // Returned units are valued at what the customer paid for them. Same window
+  // as the sales: a return logged after its day was settled goes to the next
+  // settlement.
+  const returnsResult = await db.query(`
+    SELECT ri.id, oi.product_id, COALESCE(ri.product_name, oi.product_name) as product_name, ri.quantity,
+      ri.disposition, ROUND(ri.quantity * COALESCE(oi.tax_base / NULLIF(oi.quantity, 0), oi.unit_price), 2) as value
+    FROM return_items ri
+    JOIN order_items oi ON ri.order_item_id = oi.id
+    WHERE oi.supplier_id = $1
+      AND ri.consignment_settlement_id IS NULL
+      AND ri.created_at < $2::date + 1
+      ${salesFrom ? 'AND ri.created_at >= $3::date' : ''}
+    ${lock ? 'FOR UPDATE OF ri' : ''}
+  `, salesFrom ? params : params.slice(0, 2))
+
+  // Consigned lots that expired on the shelf: the supplier's loss, shown for
+  // information only
+  const expiredResult = await db.query(`
+    SELECT l.product_id, p.name as product_name, SUM(sm.quantity) as quantity
+    FROM stock_movements sm
+    JOIN product_lots l ON sm.reference_type = 'lot_expiry' AND sm.reference_id = l.id
+    JOIN products p ON l.product_id = p.id
+    WHERE l.supplier_id = $1
+      AND sm.created_at < $2::date + 1
+      ${periodFrom ? 'AND sm.created_at >= $3::date' : ''}
+    GROUP BY l.product_id, p.name
+  `, params)
+
+  const byProduct = new Map()
+  const lineFor = (productId, productName) => {
+    const key = productId || productName
+    let line = byProduct.get(key)
+    if (!line) {
+      line = {
+        product_id: productId,
+        product_name: productName || 'Unknown Product',
+        units_sold: 0,
+        units_returned: 0,
+        units_spoiled: 0,
+        units_expired: 0,
+        sale_value: 0,
+        returns_value: 0
+      }
+      byProduct.set(key, line)
+    }
+    return line
+  }
+
+  for (const sale of salesResult.rows) {
+    const line = lineFor(sale.product_id, sale.product_name)
+    line.units_sold = round2(line.units_sold + parseFloat(sale.quantity))
+    line.sale_value = round2(line.sale_value + (parseFloat(sale.value) || 0))
+  }
+  for (const item of returnsResult.rows) {
+    const line = lineFor(item.product_id, item.product_name)
+    const field = item.disposition === 'write_off' ? 'units_spoiled' : 'units_returned'
+    line[field] = round2(line[field] + parseFloat(item.quantity))
+    line.returns_value = round2(line.returns_value + (parseFloat(item.value) || 0))
+  }
+  for (const expired of expiredResult.rows) {
+    const line = lineFor(expired.product_id, expired.product_name)
+    line.units_expired = round2(line.units_expired + parseFloat(expired.quantity))
+  }
+
+  const lines = [...byProduct.values()].sort((a, b) => a.product_name.localeCompare(b.product_name))
+  const productIds = lines.map(line => line.product_id).filter(Boolean)
+  const costsResult = await db.query(
+    'SELECT id, consignment_unit_cost FROM products WHERE id = ANY($1::uuid[])',
+    [productIds]
+  )
+  const unitCosts = new Map(costsResult.rows.map(row => [row.id, row.consignment_unit_cost]))
+
+  const commissionPercentage = parseFloat(supplier.consignment_commission) || 0
+  const missingCosts = []
+  for (const line of lines) {
+    const netUnits = round2(line.units_sold - line.units_returned - line.units_spoiled)
+    const netValue = round2(line.sale_value - line.returns_value)
+
+    if (supplier.consignment_basis === 'unit_cost') {
+      const cost = unitCosts.get(line.product_id)
+      line.unit_cost = cost === null || cost === undefined ? null : parseFloat(cost)
+      if (line.unit_cost === null && netUnits !== 0) {
+        missingCosts.push({ product_id: line.product_id, product_name: line.product_name })
+      }
+      line.amount_owed = round2(netUnits * (line.unit_cost || 0))
+      line.commission_amount = round2(netValue - line.amount_owed)
+    } else {
+      line.unit_cost = null
+      line.commission_amount = round2((netValue * commissionPercentage) / 100)
+      line.amount_owed = round2(netValue - line.commission_amount)
+    }
+  }
+
+  if (missingCosts.length > 0) {
+    throw new HttpError(422, 'Some products have no consignment unit cost', { products: missingCosts })
+  }
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0))
+  return {
+    supplier_id: supplier.id,
+    supplier_name: supplier.name,
+    period_from: periodFrom,
+    period_to: dateTo,
+    basis: supplier.consignment_basis,
+    commission_percentage: supplier.consignment_basis === 'commission' ? commissionPercentage : null,
+    units_sold: sum('units_sold'),
+    units_returned: sum('units_returned'),
+    units_spoiled: sum('units_spoiled'),
+    units_expired: sum('units_expired'),
+    sale_value: sum('sale_value'),
+    returns_value: sum('returns_value'),
+    commission_amount: sum('commission_amount'),
+    amount_owed: sum('amount_owed'),
+    lines,
+    order_item_ids: salesResult.rows.map(sale => sale.id),
+    return_item_ids: returnsResult.rows.map(item => item.id)
+  }
+}
+
+// Settlement with its lines and payment, or null when it does not exist
+async function loadSettlement(db, settlementId) {
+  const result = await db.query(`
+    SELECT cs.*, cs.period_from::text as period_from, cs.period_to::text as period_to,
+      s.name as supplier_name, s.tax_id as supplier_tax_id, s.address as supplier_address,
+      creator.full_name as created_by_name, approver.full_name as approved_by_name,
+      sp.id as supplier_payment_id, sp.payment_date, sp.payment_method, sp.reference_number
+    FROM consignment_settlements cs
+    JOIN suppliers s ON cs.supplier_id = s.id
+    LEFT JOIN users creator ON cs.created_by = creator.id
+    LEFT JOIN users approver ON cs.approved_by = approver.id
+    LEFT JOIN supplier_payments sp ON sp.settlement_id = cs.id
+    WHERE cs.id = $1
+  `, [settlementId])
+  if (result.rows.length === 0) return null
+
+  const linesResult = await db.query(
+    'SELECT * FROM consignment_settlement_lines WHERE settlement_id = $1 ORDER BY product_name',
+    [settlementId]
+  )
+
+  const decimal = (value) => (value === null ? null : parseFloat(value))
+  const amounts = (row, fields) => Object.fromEntries(fields.map(field => [field, decimal(row[field])]))
+  const fields = [
+    'units_sold', 'units_returned', 'units_spoiled', 'units_expired',
+    'sale_value', 'returns_value', 'commission_amount', 'amount_owed'
+  ]
+
+  const settlement = result.rows[0]
+  return {
+    ...settlement,
+    ...amounts(settlement, fields),
+    commission_percentage: decimal(settlement.commission_percentage),
+    lines: linesResult.rows.map(line => ({ ...line, ...amounts(line, [...fields, 'unit_cost']) }))
+  }
+}
+
+// Create a draft settlement claiming the supplier's unsettled lines of the
+// period. Answers 422 when there is nothing to settle.
+async function createSettlement(client, supplierId, { dateFrom, dateTo, notes = null, userId = null, branch } = {}) {
+  const computed = await computeSettlement(client, supplierId, { dateFrom, dateTo, lock: true })
+  if (computed.order_item_ids.length === 0 && computed.return_item_ids.length === 0) {
+    throw new HttpError(422, 'Nothing to settle for this period', {
+      period_from: computed.period_from,
+      period_to: computed.period_to
+    })
+  }
+
+  const number = await nextNumber(client, 'consignment_settlement', { branch, date: new Date(`${computed.period_to}T00:00:00`) })
+  const settlementResult = await client.query(`
+    INSERT INTO consignment_settlements
+      (settlement_number, supplier_id, period_from, period_to, basis, commission_percentage,
+        units_sold, units_returned, units_spoiled, units_expired, sale_value, returns_value,
+        commission_amount, amount_owed, notes, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING id
+  `, [
+    number, supplierId, computed.period_from, computed.period_to, computed.basis, computed.commission_percentage,
+    computed.units_sold, computed.units_returned, computed.units_spoiled, computed.units_expired,
+    computed.sale_value, computed.returns_value, computed.commission_amount, computed.amount_owed,
+    notes, userId
+  ])
+  const settlementId = settlementResult.rows[0].id
+
+  for (const line of computed.lines) {
+    await client.query(`
+      INSERT INTO consignment_settlement_lines
+        (settlement_id, product_id, product_name, units_sold, units_returned, units_spoiled, units_expired,
+          sale_value, returns_value, unit_cost, commission_amount, amount_owed)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+      settlementId, line.product_id, line.product_name, line.units_sold, line.units_returned, line.units_spoiled,
+      line.units_expired, line.sale_value, line.returns_value, line.unit_cost, line.commission_amount, line.amount_owed
+    ])
+  }
+
+  await client.query(
+    'UPDATE order_items SET consignment_settlement_id = $1 WHERE id = ANY($2::uuid[])',
+    [settlementId, computed.order_item_ids]
+  )
+  await client.query(
+    'UPDATE return_items SET consignment_settlement_id = $1 WHERE id = ANY($2::uuid[])',
+    [settlementId, computed.return_item_ids]
+  )
+
+  return loadSettlement(client, settlementId)
+}
+
+async function lockDraft(client, settlementId) {
+  const result = await client.query('SELECT * FROM consignment_settlements WHERE id = $1 FOR UPDATE', [settlementId])
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Settlement not found')
+  }
+  if (result.rows[0].status !== 'draft') {
+    throw new HttpError(409, `Settlement is ${result.rows[0].status}`)
+  }
+  return result.rows[0]
+}
+
+// Approve a draft and pay the supplier what it is owed with a supplier
+// payment. A settlement that owes nothing is approved without a payment.
+async function approveSettlement(client, settlementId, { userId = null, paymentMethod = null, referenceNumber = null, paymentDate = null } = {}) {
+  const settlement = await lockDraft(client, settlementId)
+
+  if (parseFloat(settlement.amount_owed) > 0) {
+    await client.query(`
+      INSERT INTO supplier_payments
+        (supplier_id, amount, payment_date, payment_method, reference_number, notes, settlement_id)
+      VALUES ($1, $2, COALESCE($3::timestamptz, CURRENT_TIMESTAMP), $4, $5, $6, $7)
+    `, [
+      settlement.supplier_id, settlement.amount_owed, paymentDate, paymentMethod, referenceNumber,
+      `Liquidación de consignación ${settlement.settlement_number}`, settlement.id
+    ])
+  }
+
+  await client.query(`
+    UPDATE consignment_settlements
+    SET status = 'approved', approved_by = $2, approved_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [settlementId, userId])
+
+  return loadSettlement(client, settlementId)
+}
+
+// Void a draft; its lines can be settled again
+async function voidSettlement(client, settlementId, { reason = null } = {}) {
+  await lockDraft(client, settlementId)
+
+  await client.query('UPDATE order_items SET consignment_settlement_id = NULL WHERE consignment_settlement_id = $1', [settlementId])
+  await client.query('UPDATE return_items SET consignment_settlement_id = NULL WHERE consignment_settlement_id = $1', [settlementId])
+  await client.query(
+    "UPDATE consignment_settlements SET status = 'void', void_reason = $2 WHERE id = $1",
+    [settlementId, reason]
+  )
+
+  return loadSettlement(client, settlementId)
+}
+
+module.exports = {
+  CONSIGNMENT_BASES,
+  computeSettlement,
+  loadSettlement,
+  createSettlement,
+  approveSettlement,
+  voidSettlement
+}
@@ -0,0 +1,103 @@
+const { PdfDocument } = require('./pdf')
+
+// Printable consignment settlement (lib/consignment.js): what was sold of the
+// supplier's goods, what came back and what the supplier is paid.
+
+const money = (value) => (parseFloat(value) || 0).toFixed(2)
+const units = (value) => String(parseFloat((parseFloat(value) || 0).toFixed(2)))
+
+const STATUSES = { draft: 'Borrador', approved: 'Aprobada', void: 'Anulada' }
+
+function renderSettlementPdf(settlement, company) {
+  const doc = new PdfDocument()
+  const width = doc.contentWidth
+  const size = 8.5
+
+  if (company) {
+    doc.text(company.name, { size: 13, bold: true })
+    for (const line of [company.ruc && `RUC ${company.ruc}`, company.address].filter(Boolean)) {
+      doc.text(line, { size })
+    }
+  }
+  doc.moveDown(6)
+  doc.text('LIQUIDACIÓN DE CONSIGNACIÓN', { size: 14, bold: true })
+  doc.text(`No. ${settlement.settlement_number} - ${STATUSES[settlement.status] || settlement.status}`, { size: 10, bold: true })
+  doc.text(`Periodo: ${settlement.period_from || 'inicio'} a ${settlement.period_to}`, { size })
+  doc.rule()
+
+  doc.text('Proveedor', { size, bold: true })
+  for (const line of [
+    settlement.supplier_name,
+    settlement.supplier_tax_id && `RUC/CI: ${settlement.supplier_tax_id}`,
+    settlement.supplier_address
+  ].filter(Boolean)) {
+    doc.text(line, { size })
+  }
+  doc.text(settlement.basis === 'commission'
+    ? `Acuerdo: comisión del ${money(settlement.commission_percentage)}% sobre la venta neta`
+    : 'Acuerdo: costo pactado por unidad vendida', { size })
+  doc.moveDown(8)
+
+  const columns = [
+    { title: 'Producto', width: width * 0.28 },
+    { title: 'Vendidas', width: width * 0.09, align: 'right' },
+    { title: 'Devueltas', width: width * 0.09, align: 'right' },
+    { title: 'Mermas', width: width * 0.08, align: 'right' },
+    { title: 'Venta', width: width * 0.11, align: 'right' },
+    { title: 'Devol.', width: width * 0.1, align: 'right' },
+    { title: 'Comisión', width: width * 0.12, align: 'right' },
+    { title: 'A pagar', width: width * 0.13, align: 'right' }
+  ]
+  const row = (values, bold = false) => doc.row(
+    columns.map((column, index) => ({ text: values[index], width: column.width, align: column.align })),
+    { size, bold }
+  )
+  const header = () => {
+    row(columns.map(column => column.title), true)
+    doc.rule()
+  }
+
+  header()
+  for (const line of settlement.lines) {
+    if (doc.ensureSpace(size * 1.5)) header()
+    row([
+      line.product_name,
+      units(line.units_sold),
+      units(line.units_returned),
+      units(line.units_spoiled),
+      money(line.sale_value),
+      money(line.returns_value),
+      money(line.commission_amount),
+      money(line.amount_owed)
+    ])
+  }
+  doc.rule()
+  row([
+    'Total',
+    units(settlement.units_sold),
+    units(settlement.units_returned),
+    units(settlement.units_spoiled),
+    money(settlement.sale_value),
+    money(settlement.returns_value),
+    money(settlement.commission_amount),
+    money(settlement.amount_owed)
+  ], true)
+
+  doc.moveDown(10)
+  if (parseFloat(settlement.units_expired) > 0) {
+    doc.text(`Lotes vencidos en percha (a cargo del proveedor): ${units(settlement.units_expired)} unidades`, { size })
+  }
+  if (settlement.status === 'approved') {
+    doc.text(`Aprobada por ${settlement.approved_by_name || '-'}`, { size })
+    if (settlement.supplier_payment_id) {
+      doc.text(`Pago: ${[settlement.payment_method, settlement.reference_number].filter(Boolean).join(' ') || '-'}`, { size })
+    }
+  }
+  if (settlement.notes) doc.text(`Notas: ${settlement.notes}`, { size })
+
+  return doc.toBuffer()
+}
+
+module.exports = {
+  renderSettlementPdf
+}
@@ -0,0 +1,273 @@
+const { pool, withTransaction } = require('../config/database')
+const { HttpError } = require('./errors')
+const { nextNumber } = require('./numbering')
+const { round2, toDateString, addDays } = require('./helpers')
+
+// Consolidated invoicing (migration 0022). All completed orders of a customer
+// that no invoice covers yet become one invoice with every item; the orders
+// point to it through orders.invoice_id. Customers with a billing_frequency
+// are consolidated automatically on their billing day.
+
+const BILLING_FREQUENCIES = ['none', 'weekly', 'monthly']
+
+// Completed orders of a customer without an invoice, oldest first. dateFrom
+// and dateTo are inclusive calendar dates. Pass { lock: true } inside a
+// transaction to keep them from being invoiced twice.
+async function findUninvoicedOrders(db, customerId, { dateFrom, dateTo, orderIds, lock = false } = {}) {
+  const conditions = [
+    'o.customer_id = $1',
+    "o.status = 'completed'",
+    'o.invoice_id IS NULL',
+    'o.deleted_at IS NULL'
+  ]
+  const params = [customerId]
+
+  if (dateFrom) {
+    params.push(dateFrom)
+    conditions.push(`o.order_date >= $${params.length}::date`)
+  }
+  if (dateTo) {
+    params.push(addDays(dateTo, 1))
+    conditions.push(`o.order_date < $${params.length}::date`)
+  }
+  if (orderIds) {
+    params.push(orderIds)
+    conditions.push(`o.id = ANY($${params.length}::uuid[])`)
+  }
+
+  const result = await db.query(`
+    SELECT o.id, o.order_number, o.order_date, o.subtotal, o.discount_amount, o.tax_amount, o.total
+    FROM orders o
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY o.order_date, o.order_number
+    ${lock ? 'FOR UPDATE' : ''}
+  `, params)
+
+  return result.rows.map(order => ({
+    ...order,
+    subtotal: parseFloat(order.subtotal) || 0,
+    discount_amount: parseFloat(order.discount_amount) || 0,
+    tax_amount: parseFloat(order.tax_amount) || 0,
+    total: parseFloat(order.total) || 0
+  }))
+}
+
+// What one invoice for these orders adds up to
+function sumOrders(orders) {
+  const sum = (field) => round2(orders.reduce((total, order) => total + order[field], 0))
+  return {
+    subtotal: sum('subtotal'),
+    discount_amount: sum('discount_amount'),
+    tax_amount: sum('tax_amount'),
+    total: sum('total')
+  }
+}
+
+// Create one invoice for the customer's uninvoiced orders. Payments, refunds
+// and credit notes already registered against those orders move to the
+// invoice. Returns null when there is nothing to invoice.
+async function consolidateOrders(client, {
+  customerId,
+  dateFrom = null,
+  dateTo = null,
+  orderIds = null,
+  invoiceDate = toDateString(new Date()),
+  dueDate = null,
+  branch,
+  notes = null
+}) {
+  const customerResult = await client.query(
+    'SELECT id, name, payment_terms_days FROM customers WHERE id = $1 AND deleted_at IS NULL',
+    [customerId]
+  )
+  if (customerResult.rows.length === 0) {
+    throw new HttpError(404, 'Customer not found')
+  }
+  const customer = customerResult.rows[0]
+
+  const orders = await findUninvoicedOrders(client, customerId, { dateFrom, dateTo, orderIds, lock: true })
+  if (orderIds) {
+    const found = new Set(orders.map(order => order.id))
+    const unavailable = orderIds.filter(id => !found.has(id))
+    if (unavailable.length > 0) {
+      throw new HttpError(409, 'Some orders are not completed uninvoiced orders of this customer', {
+        order_ids: unavailable
+      })
+    }
+  }
+  if (orders.length === 0) return null
+
+  const ids = orders.map(order => order.id)
+  const invoiceNumber = await nextNumber(client, 'invoice', { branch, date: new Date(`${invoiceDate}T00:00:00`) })
+  const invoiceResult = await client.query(`
+    INSERT INTO invoices (customer_id, invoice_number, invoice_date, due_date, notes, status)
+    VALUES ($1, $2, $3, $4, $5, 'pending')
+    RETURNING *
+  `, [
+    customerId,
+    invoiceNumber,
+    invoiceDate,
+    dueDate || addDays(invoiceDate, customer.payment_terms_days),
+    notes || `Órdenes: ${orders.map(order => order.order_number).join(', ')}`
+  ])
+  const invoice = invoiceResult.rows[0]
+
+  // Lines keep the discounts and tax they were sold with; on the invoice the
+  // order discount share is part of the line discount
+  await client.query(`
+    INSERT INTO invoice_items
+      (invoice_id, order_id, product_id, product_name, quantity, unit_price, discount_amount, tax_rate, tax_base, tax_amount)
+    SELECT $1, oi.order_id, oi.product_id, COALESCE(oi.product_name, p.name, 'Unknown Product'), oi.quantity, oi.unit_price,
+      COALESCE(oi.total - oi.tax_base, 0), oi.tax_rate, oi.tax_base, oi.tax_amount
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    LEFT JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id = ANY($2::uuid[])
+    ORDER BY o.order_date, o.order_number, oi.created_at
+  `, [invoice.id, ids])
+
+  await client.query('UPDATE orders SET invoice_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2::uuid[])', [invoice.id, ids])
+
+  // Money already moved for these orders now counts against the invoice
+  await client.query(
+    "UPDATE payments SET invoice_id = $1 WHERE order_id = ANY($2::uuid[]) AND invoice_id IS NULL AND status = 'completed'",
+    [invoice.id, ids]
+  )
+  await client.query(
+    'UPDATE refunds SET invoice_id = $1 WHERE order_id = ANY($2::uuid[]) AND invoice_id IS NULL',
+    [invoice.id, ids]
+  )
+  await client.query(
+    "UPDATE credit_notes SET invoice_id = $1 WHERE order_id = ANY($2::uuid[]) AND invoice_id IS NULL AND status <> 'void'",
+    [invoice.id, ids]
+  )
+
+  // Order discounts and taxes carry over as they were charged
+  const totalsResult = await client.query(`
+    SELECT
+      (SELECT COALESCE(SUM(total_price), 0) FROM invoice_items WHERE invoice_id = $1) as subtotal,
+      (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = $1 AND status = 'completed')
+        - (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE invoice_id = $1 AND status = 'completed') as paid,
+      (SELECT COALESCE(SUM(amount), 0) FROM credit_notes WHERE invoice_id = $1 AND status <> 'void') as credited
+  `, [invoice.id])
+  const subtotal = parseFloat(totalsResult.rows[0].subtotal)
+  const discount = round2(orders.reduce((sum, order) => sum + order.discount_amount, 0))
+  const tax = round2(orders.reduce((sum, order) => sum + order.tax_amount, 0))
+  const total = round2(subtotal - discount + tax)
+  const paid = round2(parseFloat(totalsResult.rows[0].paid))
+  const credited = round2(parseFloat(totalsResult.rows[0].credited))
+
+  const updated = await client.query(`
+    UPDATE invoices
+    SET subtotal = $2, discount_amount = $3, tax_amount = $4, total = $5,
+        paid_amount = $6, credited_amount = $7, status = $8, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [invoice.id, subtotal, discount, tax, total, paid, credited, total - credited - paid <= 0.005 ? 'paid' : 'pending'])
+
+  return { invoice: updated.rows[0], orders }
+}
+
+// The latest billing day on or before `today` for a customer's schedule, as
+// YYYY-MM-DD. billing_day is the ISO weekday (1 = Monday) for weekly billing
+// and the day of the month (1-28) for monthly billing.
+function lastBillingDate(customer, today = new Date()) {
+  const day = customer.billing_day || 1
+  if (customer.billing_frequency === 'weekly') {
+    const weekday = ((today.getDay() + 6) % 7) + 1
+    return toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((weekday - day + 7) % 7)))
+  }
+  if (customer.billing_frequency === 'monthly') {
+    const month = today.getDate() >= day ? today.getMonth() : today.getMonth() - 1
+    return toDateString(new Date(today.getFullYear(), month, day))
+  }
+  return null
+}
+
+// Consolidate every customer whose billing day has come since its last run.
+// Each billing day invoices the orders placed before it. Customers are
+// handled in their own transactions so one failure does not stop the rest.
+async function runScheduledConsolidation(today = new Date()) {
+  const customersResult = await pool.query(`
+    SELECT id, name, billing_frequency, billing_day, last_consolidated_on::text
+    FROM customers
+    WHERE billing_frequency <> 'none' AND deleted_at IS NULL
+  `)
+
+  const results = []
+  for (const customer of customersResult.rows) {
+    const billingDate = lastBillingDate(customer, today)
+    if (customer.last_consolidated_on && customer.last_consolidated_on >= billingDate) continue
+
+    try {
+      const result = await withTransaction(async (client) => {
+        // Another server may be running the same schedule
+        const locked = await client.query(`
+          SELECT id FROM customers
+          WHERE id = $1 AND (last_consolidated_on IS NULL OR last_consolidated_on < $2)
+          FOR UPDATE SKIP LOCKED
+        `, [customer.id, billingDate])
+        if (locked.rows.length === 0) return null
+
+        const consolidated = await consolidateOrders(client, {
+          customerId: customer.id,
+          dateTo: addDays(billingDate, -1)
+        })
+        await client.query('UPDATE customers SET last_consolidated_on = $2 WHERE id = $1', [customer.id, billingDate])
+        return consolidated
+      })
+
+      if (result) {
+        results.push({
+          customer_id: customer.id,
+          customer_name: customer.name,
+          invoice_id: result.invoice.id,
+          invoice_number: result.invoice.invoice_number,
+          orders: result.orders.length,
+          total: parseFloat(result.invoice.total)
+        })
+      }
+    } catch (error) {
+      console.error(`Consolidated invoicing failed for customer ${customer.name}:`, error.message)
+      results.push({ customer_id: customer.id, customer_name: customer.name, error: error.message })
+    }
+  }
+
+  return results
+}
+
+// Run the billing schedules every INVOICE_CONSOLIDATION_CHECK_HOURS (default
+// 6, 0 disables it)
+function startConsolidationScheduler() {
+  const hours = process.env.INVOICE_CONSOLIDATION_CHECK_HOURS === undefined
+    ? 6
+    : parseFloat(process.env.INVOICE_CONSOLIDATION_CHECK_HOURS) || 0
+  if (hours <= 0) return null
+
+  const run = async () => {
+    try {
+      const invoices = (await runScheduledConsolidation()).filter(result => result.invoice_id)
+      if (invoices.length > 0) {
+        console.log(`🧾 ${invoices.length} consolidated invoice(s) created`)
+      }
+    } catch (error) {
+      console.error('Consolidated invoicing failed:', error.message)
+    }
+  }
+
+  run()
+  const timer = setInterval(run, hours * 60 * 60 * 1000)
+  // Never keep the process alive just for this check
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  BILLING_FREQUENCIES,
+  findUninvoicedOrders,
+  sumOrders,
+  consolidateOrders,
+  lastBillingDate,
+  runScheduledConsolidation,
+  startConsolidationScheduler
+}
@@ -0,0 +1,126 @@
+const { hasPermission } = require('../config/permissions')
+const { HttpError } = require('./errors')
+const { round2 } = require('./helpers')
+
+// Credit control (migration 0025). A sale paid on credit may not take what the
+// customer owes over its credit_limit, unless a manager overrides it with a
+// reason, which is recorded in credit_overrides. Customers on credit_hold
+// cannot buy on credit at all.
+
+// Order payment methods that leave the amount owed
+const CREDIT_PAYMENT_METHODS = ['credit']
+
+// What the customer owes: orders that are not cancelled, less completed
+// payments and credit notes, plus refunds (the customer account balance).
+// Deposits already count as payments, so the credit applied from them does not.
+// A negative balance is credit in the customer's favour.
+async function getCustomerBalance(db, customerId) {
+  const result = await db.query(`
+    SELECT
+      (SELECT COALESCE(SUM(total), 0) FROM orders
+        WHERE customer_id = $1 AND status <> 'cancelled' AND deleted_at IS NULL)
+      - (SELECT COALESCE(SUM(amount), 0) FROM payments
+        WHERE customer_id = $1 AND status = 'completed' AND applied_from_payment_id IS NULL)
+      - (SELECT COALESCE(SUM(amount), 0) FROM credit_notes WHERE customer_id = $1 AND status <> 'void')
+      + (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE customer_id = $1 AND status = 'completed') as balance
+  `, [customerId])
+  return round2(parseFloat(result.rows[0].balance) || 0)
+}
+
+// Limit, hold and balance of a customer, or null when it does not exist.
+// Pass { lock: true } inside a transaction to keep other credit sales of the
+// customer waiting until it ends.
+async function getCreditStatus(db, customerId, { lock = false } = {}) {
+  const result = await db.query(`
+    SELECT id, name, credit_limit, credit_hold, credit_hold_reason
+    FROM customers
+    WHERE id = $1 AND deleted_at IS NULL
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [customerId])
+  if (result.rows.length === 0) return null
+
+  const customer = result.rows[0]
+  const creditLimit = parseFloat(customer.credit_limit) || 0
+  const balance = await getCustomerBalance(db, customerId)
+  return {
+    customer_id: customer.id,
+    customer_name: customer.name,
+    credit_limit: creditLimit,
+    credit_hold: customer.credit_hold,
+    credit_hold_reason: customer.credit_hold_reason,
+    balance,
+    available: customer.credit_hold ? 0 : Math.max(round2(creditLimit - balance), 0)
+  }
+}
+
+// The override of a request that asks to sell over the credit limit
+// (credit_override: true), or null. Only managers (credit:override) may, and
+// they have to say why.
+function requestedCreditOverride(req) {
+  if (req.body.credit_override !== true) return null
+  if (!hasPermission(req.user.role, 'credit:override')) {
+    throw new HttpError(403, 'Insufficient permissions', { required_permission: 'credit:override' })
+  }
+
+  const reason = String(req.body.credit_override_reason || '').trim()
+  if (!reason) {
+    throw new HttpError(400, 'credit_override_reason is required to sell over the credit limit')
+  }
+  return { reason }
+}
+
+// Check that the customer can take orderTotal more on credit. Returns the
+// override to record once the order exists when one was needed, else null.
+async function assertCreditAvailable(client, { customerId, orderTotal, override = null }) {
+  if (!customerId) {
+    throw new HttpError(400, 'Credit sales need a customer')
+  }
+
+  const status = await getCreditStatus(client, customerId, { lock: true })
+  if (!status) {
+    throw new HttpError(404, 'Customer not found')
+  }
+  if (status.credit_hold) {
+    throw new HttpError(409, 'Customer is on credit hold', {
+      credit_hold_reason: status.credit_hold_reason
+    })
+  }
+
+  if (round2(status.balance + orderTotal) <= status.credit_limit) return null
+
+  if (!override) {
+    throw new HttpError(409, 'Credit limit exceeded', {
+      credit_limit: status.credit_limit,
+      balance: status.balance,
+      order_total: orderTotal,
+      available: status.available,
+      override_permission: 'credit:override'
+    })
+  }
+
+  return {
+    customer_id: customerId,
+    credit_limit: status.credit_limit,
+    balance: status.balance,
+    order_total: orderTotal,
+    reason: override.reason
+  }
+}
+
+async function recordCreditOverride(client, override, { orderId, userId }) {
+  const result = await client.query(`
+    INSERT INTO credit_overrides (customer_id, order_id, user_id, credit_limit, balance, order_total, reason)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [override.customer_id, orderId, userId, override.credit_limit, override.balance, override.order_total, override.reason])
+  return result.rows[0]
+}
+
+module.exports = {
+  CREDIT_PAYMENT_METHODS,
+  getCustomerBalance,
+  getCreditStatus,
+  requestedCreditOverride,
+  assertCreditAvailable,
+  recordCreditOverride
+}
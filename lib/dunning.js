@@ -0,0 +1,399 @@
+const nodemailer = require('nodemailer')
+const { pool, withTransaction } = require('../config/database')
+const { HttpError } = require('./errors')
+const { PdfDocument, textWidth } = require('./pdf')
+const { findOpenInvoices } = require('./receivables')
+const { round2, toDateString } = require('./helpers')
+
+// Dunning (migration 0024). Overdue invoices move through the stages of
+// system_settings.dunning as they age; each time one of a customer's invoices
+// reaches a stage it has not been reminded at, the customer gets one notice
+// listing all of its overdue invoices. Email notices are sent through SMTP
+// when it is configured; letters are printed from their PDF and marked sent.
+
+const CHANNELS = ['email', 'letter']
+
+// Placeholders of subject and body: {customer_name}, {company_name},
+// {total_due}, {invoice_list}, {days_overdue} (the oldest invoice) and {as_of}
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  // Customers owing less than this are not reminded
+  min_amount: 1,
+  stages: [
+    {
+      days_overdue: 1,
+      channel: 'email',
+      subject: 'Recordatorio de pago - {company_name}',
+      body: 'Estimado/a {customer_name}:\n\n' +
+        'Le recordamos que las siguientes facturas se encuentran vencidas:\n\n' +
+        '{invoice_list}\n\n' +
+        'Total pendiente: {total_due}\n\n' +
+        'Si ya realizó el pago, por favor ignore este mensaje.\n\n' +
+        'Atentamente,\n{company_name}'
+    },
+    {
+      days_overdue: 30,
+      channel: 'email',
+      subject: 'Segundo aviso: facturas vencidas - {company_name}',
+      body: 'Estimado/a {customer_name}:\n\n' +
+        'A la fecha mantiene facturas vencidas hace hasta {days_overdue} días:\n\n' +
+        '{invoice_list}\n\n' +
+        'Total pendiente: {total_due}\n\n' +
+        'Le solicitamos regularizar el pago a la brevedad o comunicarse con nosotros.\n\n' +
+        'Atentamente,\n{company_name}'
+    },
+    {
+      days_overdue: 60,
+      channel: 'letter',
+      subject: 'Aviso final de cobro',
+      body: 'Estimado/a {customer_name}:\n\n' +
+        'Pese a nuestros avisos anteriores, las siguientes facturas continúan impagas:\n\n' +
+        '{invoice_list}\n\n' +
+        'Total pendiente: {total_due}\n\n' +
+        'De no recibir el pago en los próximos 8 días suspenderemos el crédito de su cuenta.\n\n' +
+        'Atentamente,\n{company_name}'
+    }
+  ]
+}
+
+const money = (value) => (parseFloat(value) || 0).toFixed(2)
+
+// Stages with a usable day count, earliest first and numbered from 1
+function normalizeStages(stages) {
+  if (!Array.isArray(stages)) return null
+  const valid = stages
+    .filter(stage => stage && Number.isInteger(Number(stage.days_overdue)) && Number(stage.days_overdue) >= 1 &&
+      stage.subject && stage.body)
+    .map(stage => ({
+      days_overdue: Number(stage.days_overdue),
+      channel: CHANNELS.includes(stage.channel) ? stage.channel : 'email',
+      subject: String(stage.subject),
+      body: String(stage.body)
+    }))
+    .sort((a, b) => a.days_overdue - b.days_overdue)
+  return valid.length > 0 ? valid.map((stage, index) => ({ level: index + 1, ...stage })) : null
+}
+
+async function getDunningSettings(db) {
+  const defaults = { ...DEFAULT_SETTINGS, stages: normalizeStages(DEFAULT_SETTINGS.stages) }
+  const result = await db.query("SELECT value FROM system_settings WHERE key = 'dunning'")
+  if (result.rows.length === 0) return defaults
+
+  try {
+    const settings = { ...defaults, ...JSON.parse(result.rows[0].value) }
+    settings.enabled = settings.enabled === true
+    settings.min_amount = parseFloat(settings.min_amount) || 0
+    settings.stages = normalizeStages(settings.stages) || defaults.stages
+    return settings
+  } catch (error) {
+    console.warn('Invalid dunning setting, using defaults:', error.message)
+    return defaults
+  }
+}
+
+// Latest stage an invoice this many days overdue has reached, or null
+function stageFor(stages, daysOverdue) {
+  return stages.filter(stage => daysOverdue >= stage.days_overdue).pop() || null
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match))
+}
+
+// Notices due on asOf: one per customer with an overdue invoice at a stage
+// it has not been reminded at yet. Cancelled notices do not count as reminded.
+async function planNotices(db, settings, { asOf = toDateString(new Date()), customerId = null } = {}) {
+  const firstStage = settings.stages[0]
+  const invoices = (await findOpenInvoices(db, { asOf, customerId }))
+    .filter(invoice => invoice.customer_id && invoice.days_overdue >= firstStage.days_overdue)
+  if (invoices.length === 0) return []
+
+  const remindedResult = await db.query(`
+    SELECT dni.invoice_id, MAX(dni.level) as level
+    FROM dunning_notice_invoices dni
+    JOIN dunning_notices dn ON dni.notice_id = dn.id
+    WHERE dni.invoice_id = ANY($1::uuid[]) AND dn.status <> 'cancelled'
+    GROUP BY dni.invoice_id
+  `, [invoices.map(invoice => invoice.id)])
+  const reminded = new Map(remindedResult.rows.map(row => [row.invoice_id, parseInt(row.level)]))
+
+  const byCustomer = new Map()
+  for (const invoice of invoices) {
+    const entry = byCustomer.get(invoice.customer_id) || []
+    entry.push({ ...invoice, level: stageFor(settings.stages, invoice.days_overdue).level })
+    byCustomer.set(invoice.customer_id, entry)
+  }
+
+  const customersResult = await db.query(
+    'SELECT id, name, email, address FROM customers WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL',
+    [[...byCustomer.keys()]]
+  )
+  const companyResult = await db.query('SELECT name FROM company_settings ORDER BY id LIMIT 1')
+  const companyName = companyResult.rows[0] ? companyResult.rows[0].name : ''
+
+  const plans = []
+  for (const customer of customersResult.rows) {
+    const customerInvoices = byCustomer.get(customer.id)
+    if (!customerInvoices.some(invoice => invoice.level > (reminded.get(invoice.id) || 0))) continue
+
+    const totalDue = round2(customerInvoices.reduce((sum, invoice) => sum + invoice.outstanding, 0))
+    if (totalDue < settings.min_amount) continue
+
+    const level = Math.max(...customerInvoices.map(invoice => invoice.level))
+    const stage = settings.stages[level - 1]
+    // Customers without an email address get the reminder by post
+    const channel = stage.channel === 'email' && !customer.email ? 'letter' : stage.channel
+    const values = {
+      customer_name: customer.name,
+      company_name: companyName,
+      total_due: money(totalDue),
+      days_overdue: Math.max(...customerInvoices.map(invoice => invoice.days_overdue)),
+      as_of: asOf,
+      invoice_list: customerInvoices
+        .map(invoice => `- ${invoice.invoice_number}, vencida el ${invoice.due_date} (${invoice.days_overdue} días): ${money(invoice.outstanding)}`)
+        .join('\n')
+    }
+
+    plans.push({
+      customer_id: customer.id,
+      customer_name: customer.name,
+      level,
+      channel,
+      recipient: channel === 'email' ? customer.email : customer.address,
+      subject: fillTemplate(stage.subject, values),
+      body: fillTemplate(stage.body, values),
+      total_due: totalDue,
+      as_of: asOf,
+      invoices: customerInvoices.map(invoice => ({
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        due_date: invoice.due_date,
+        days_overdue: invoice.days_overdue,
+        outstanding: invoice.outstanding,
+        level: invoice.level
+      }))
+    })
+  }
+
+  return plans.sort((a, b) => a.customer_name.localeCompare(b.customer_name))
+}
+
+function getMailTransport() {
+  if (!process.env.SMTP_HOST) return null
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  })
+}
+
+// Notice with its invoices, or null when it does not exist
+async function loadNotice(db, noticeId) {
+  const noticeResult = await db.query(`
+    SELECT dn.*, dn.as_of::text as as_of, c.name as customer_name, c.tax_id as customer_tax_id,
+      c.address as customer_address, u.full_name as created_by_name
+    FROM dunning_notices dn
+    JOIN customers c ON dn.customer_id = c.id
+    LEFT JOIN users u ON dn.created_by = u.id
+    WHERE dn.id = $1
+  `, [noticeId])
+  if (noticeResult.rows.length === 0) return null
+
+  const invoicesResult = await db.query(`
+    SELECT dni.invoice_id, i.invoice_number, i.invoice_date::text as invoice_date,
+      COALESCE(i.due_date, i.invoice_date)::text as due_date,
+      dni.level, dni.outstanding, dni.days_overdue
+    FROM dunning_notice_invoices dni
+    JOIN invoices i ON dni.invoice_id = i.id
+    WHERE dni.notice_id = $1
+    ORDER BY due_date, i.invoice_number
+  `, [noticeId])
+
+  return {
+    ...noticeResult.rows[0],
+    total_due: parseFloat(noticeResult.rows[0].total_due),
+    invoices: invoicesResult.rows.map(row => ({
+      ...row,
+      outstanding: parseFloat(row.outstanding)
+    }))
+  }
+}
+
+// Lines of `text` no wider than maxWidth, keeping its line breaks
+function wrapText(text, maxWidth, size) {
+  const lines = []
+  for (const paragraph of String(text).split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && textWidth(candidate, size) > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    lines.push(line)
+  }
+  return lines
+}
+
+// The notice as a letter on the company letterhead
+async function renderNoticeLetter(db, notice) {
+  const companyResult = await db.query('SELECT name, ruc, address, phone, email FROM company_settings ORDER BY id LIMIT 1')
+  const company = companyResult.rows[0] || {}
+  const doc = new PdfDocument({ margin: 56 })
+
+  if (company.name) doc.text(company.name, { size: 14, bold: true })
+  for (const line of [company.ruc && `RUC: ${company.ruc}`, company.address, company.phone, company.email]) {
+    if (line) doc.text(line, { size: 9 })
+  }
+  doc.rule()
+  doc.text(notice.as_of, { align: 'right' })
+  doc.moveDown(12)
+
+  doc.text(notice.customer_name, { bold: true })
+  if (notice.customer_tax_id) doc.text(`RUC/CI: ${notice.customer_tax_id}`, { size: 9 })
+  if (notice.customer_address) doc.text(notice.customer_address, { size: 9 })
+  doc.moveDown(18)
+
+  doc.text(notice.subject, { size: 11, bold: true })
+  doc.moveDown(8)
+  for (const line of wrapText(notice.body, doc.contentWidth, 10)) {
+    doc.text(line)
+  }
+
+  return doc.toBuffer()
+}
+
+// Send an email notice now. Failures are stored on the notice, which can be
+// sent again later.
+async function sendNotice(noticeId) {
+  const notice = await loadNotice(pool, noticeId)
+  if (!notice) throw new HttpError(404, 'Dunning notice not found')
+  if (notice.channel !== 'email') {
+    throw new HttpError(409, 'Letters are printed from their PDF; mark them as sent once mailed')
+  }
+  if (notice.status === 'sent' || notice.status === 'cancelled') {
+    throw new HttpError(409, `Dunning notice is already ${notice.status}`)
+  }
+
+  const transport = getMailTransport()
+  if (!transport) throw new HttpError(503, 'Email is not configured (SMTP_HOST)')
+
+  try {
+    await transport.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: notice.recipient,
+      subject: notice.subject,
+      text: notice.body,
+      attachments: [{ filename: 'aviso-de-cobro.pdf', content: await renderNoticeLetter(pool, notice) }]
+    })
+  } catch (error) {
+    const failed = await pool.query(
+      "UPDATE dunning_notices SET status = 'failed', error = $2 WHERE id = $1 RETURNING *",
+      [noticeId, error.message]
+    )
+    return failed.rows[0]
+  }
+
+  const sent = await pool.query(
+    "UPDATE dunning_notices SET status = 'sent', sent_at = CURRENT_TIMESTAMP, error = NULL WHERE id = $1 RETURNING *",
+    [noticeId]
+  )
+  return sent.rows[0]
+}
+
+// Create the notices due on asOf and email them when SMTP is configured.
+// Each customer is handled in its own transaction, so one failure does not
+// stop the rest. dryRun returns the notices without creating them.
+async function runDunning({ asOf = toDateString(new Date()), customerId = null, dryRun = false, userId = null } = {}) {
+  const settings = await getDunningSettings(pool)
+  const plans = await planNotices(pool, settings, { asOf, customerId })
+  if (dryRun) return plans
+
+  const results = []
+  for (const plan of plans) {
+    try {
+      const notice = await withTransaction(async (client) => {
+        // Another run may be reminding the same customer: plan again under lock
+        await client.query('SELECT id FROM customers WHERE id = $1 FOR UPDATE', [plan.customer_id])
+        const [current] = await planNotices(client, settings, { asOf, customerId: plan.customer_id })
+        if (!current) return null
+
+        const noticeResult = await client.query(`
+          INSERT INTO dunning_notices
+            (customer_id, level, channel, recipient, subject, body, total_due, as_of, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING *
+        `, [
+          current.customer_id, current.level, current.channel, current.recipient,
+          current.subject, current.body, current.total_due, asOf, userId
+        ])
+
+        for (const invoice of current.invoices) {
+          await client.query(`
+            INSERT INTO dunning_notice_invoices (notice_id, invoice_id, level, outstanding, days_overdue)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [noticeResult.rows[0].id, invoice.invoice_id, invoice.level, invoice.outstanding, invoice.days_overdue])
+        }
+
+        return { ...noticeResult.rows[0], customer_name: current.customer_name, invoices: current.invoices }
+      })
+      if (!notice) continue
+
+      if (notice.channel === 'email' && getMailTransport()) {
+        const sent = await sendNotice(notice.id)
+        Object.assign(notice, { status: sent.status, sent_at: sent.sent_at, error: sent.error })
+      }
+      results.push(notice)
+    } catch (error) {
+      console.error(`Dunning failed for customer ${plan.customer_name}:`, error.message)
+      results.push({ customer_id: plan.customer_id, customer_name: plan.customer_name, error: error.message })
+    }
+  }
+
+  return results
+}
+
+// Run dunning every DUNNING_CHECK_HOURS (default 24, 0 disables it) while
+// system_settings.dunning.enabled is true
+function startDunningScheduler() {
+  const hours = process.env.DUNNING_CHECK_HOURS === undefined
+    ? 24
+    : parseFloat(process.env.DUNNING_CHECK_HOURS) || 0
+  if (hours <= 0) return null
+
+  const run = async () => {
+    try {
+      const settings = await getDunningSettings(pool)
+      if (!settings.enabled) return
+
+      const notices = (await runDunning()).filter(result => result.id)
+      if (notices.length > 0) {
+        console.log(`📨 ${notices.length} dunning notice(s) created`)
+      }
+    } catch (error) {
+      console.error('Dunning failed:', error.message)
+    }
+  }
+
+  run()
+  const timer = setInterval(run, hours * 60 * 60 * 1000)
+  // Never keep the process alive just for this check
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_SETTINGS,
+  getDunningSettings,
+  planNotices,
+  loadNotice,
+  renderNoticeLetter,
+  sendNotice,
+  runDunning,
+  startDunningScheduler
+}
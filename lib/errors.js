@@ -0,0 +1,30 @@
+// Error carrying the HTTP status to answer with. Throw it inside a
+// withTransaction() callback to roll back and reply with a 4xx instead of a 500.
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.details = details
+  }
+}
+
+// Reply with the status and message of an HttpError.
+// Returns false for any other error so the caller can answer 500.
+function sendHttpError(res, error) {
+  if (!(error instanceof HttpError)) {
+    return false
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    ...error.details
+  })
+  return true
+}
+
+module.exports = {
+  HttpError,
+  sendHttpError
+}
@@ -0,0 +1,23 @@
+// Small helpers shared by the lib modules and routes: money rounding and
+// calendar dates.
+
+// Half away from zero, without the binary float surprises (1.005 -> 1.01)
+const round2 = (value) => Math.sign(value) * Math.round((Math.abs(value) + Number.EPSILON) * 100) / 100
+
+const pad2 = (value) => String(value).padStart(2, '0')
+
+// Local calendar date as YYYY-MM-DD
+const toDateString = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`
+
+// YYYY-MM-DD moved by a number of days, negative to go back
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return toDateString(new Date(year, month - 1, day + days))
+}
+
+module.exports = {
+  round2,
+  pad2,
+  toDateString,
+  addDays
+}
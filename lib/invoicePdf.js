@@ -0,0 +1,305 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { A4, A5, PdfDocument, parseImage } = require('./pdf')
+const { round2, toDateString } = require('./helpers')
+
+// Printable invoices. The layout comes from a template and the labels from a
+// language, both chosen in system_settings.invoice_pdf (see
+// getInvoicePdfSettings) and overridable per request.
+
+// Page size, margins and what each template shows
+const TEMPLATES = {
+  classic: { page: A4, margin: 40, fontSize: 9, titleSize: 18, logo: { width: 140, height: 70 }, showPayments: true },
+  compact: { page: A5, margin: 24, fontSize: 7.5, titleSize: 13, logo: null, showPayments: false }
+}
+
+const LABELS = {
+  es: {
+    invoice: 'FACTURA',
+    number: 'No.',
+    date: 'Fecha',
+    dueDate: 'Vence',
+    status: 'Estado',
+    billTo: 'Cliente',
+    taxId: 'RUC/CI',
+    item: 'Descripción',
+    quantity: 'Cant.',
+    unitPrice: 'P. unitario',
+    amount: 'Total',
+    subtotal: 'Subtotal',
+    discount: 'Descuento',
+    tax: 'Impuestos',
+    total: 'Total',
+    credited: 'Notas de crédito',
+    paid: 'Pagado',
+    balanceDue: 'Saldo pendiente',
+    payments: 'Pagos aplicados',
+    method: 'Forma de pago',
+    reference: 'Referencia',
+    notes: 'Notas',
+    statuses: { pending: 'Pendiente', partial: 'Pago parcial', paid: 'Pagada', overdue: 'Vencida', cancelled: 'Anulada' }
+  },
+  en: {
+    invoice: 'INVOICE',
+    number: 'No.',
+    date: 'Date',
+    dueDate: 'Due',
+    status: 'Status',
+    billTo: 'Bill to',
+    taxId: 'Tax ID',
+    item: 'Description',
+    quantity: 'Qty',
+    unitPrice: 'Unit price',
+    amount: 'Amount',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    tax: 'Tax',
+    total: 'Total',
+    credited: 'Credit notes',
+    paid: 'Paid',
+    balanceDue: 'Balance due',
+    payments: 'Payments applied',
+    method: 'Method',
+    reference: 'Reference',
+    notes: 'Notes',
+    statuses: { pending: 'Pending', partial: 'Partially paid', paid: 'Paid', overdue: 'Overdue', cancelled: 'Void' }
+  }
+}
+
+const DEFAULT_SETTINGS = { template: 'classic', language: 'es', footer: '' }
+
+// Directory served by server.js; logo_url paths like /img/logo.png point here
+const STATIC_DIR = path.join(__dirname, '../../dist')
+const LOGO_MAX_BYTES = 2 * 1024 * 1024
+const LOGO_TIMEOUT_MS = 3000
+
+const money = (value) => (parseFloat(value) || 0).toFixed(2)
+const formatDate = (value) => {
+  if (!value) return '-'
+  // DATE columns arrive as local midnight
+  const date = new Date(value)
+  return toDateString(date)
+}
+
+async function getInvoicePdfSettings(db) {
+  const result = await db.query("SELECT value FROM system_settings WHERE key = 'invoice_pdf'")
+  if (result.rows.length === 0) return { ...DEFAULT_SETTINGS }
+
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(result.rows[0].value) }
+  } catch (error) {
+    console.warn('Invalid invoice_pdf setting, using defaults:', error.message)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+// Invoice with its items, payments and the issuing company, or null
+async function loadInvoiceDocument(db, invoiceId) {
+  const invoiceResult = await db.query(`
+    SELECT
+      i.*,
+      c.name as customer_name,
+      c.tax_id as customer_tax_id,
+      c.email as customer_email,
+      c.phone as customer_phone,
+      c.address as customer_address,
+      c.city as customer_city
+    FROM invoices i
+    LEFT JOIN customers c ON i.customer_id = c.id
+    WHERE i.id = $1
+  `, [invoiceId])
+  if (invoiceResult.rows.length === 0) return null
+
+  const itemsResult = await db.query(`
+    SELECT product_name, quantity, unit_price, total_price
+    FROM invoice_items
+    WHERE invoice_id = $1
+    ORDER BY created_at, id
+  `, [invoiceId])
+
+  const paymentsResult = await db.query(`
+    SELECT payment_number, payment_date, payment_method, reference_number, amount
+    FROM payments
+    WHERE invoice_id = $1 AND status = 'completed'
+    ORDER BY payment_date
+  `, [invoiceId])
+
+  const companyResult = await db.query('SELECT * FROM company_settings ORDER BY id LIMIT 1')
+
+  return {
+    invoice: invoiceResult.rows[0],
+    items: itemsResult.rows,
+    payments: paymentsResult.rows,
+    company: companyResult.rows[0] || null
+  }
+}
+
+// Bytes of the company logo from a data: URL, an http(s) URL or a path under
+// the static directory. Returns null when there is no usable logo; a broken
+// logo never prevents the invoice from being printed.
+async function loadLogo(logoUrl) {
+  if (!logoUrl) return null
+
+  try {
+    let bytes
+    const dataUrl = /^data:image\/[a-z+]+;base64,(.+)$/i.exec(logoUrl)
+    if (dataUrl) {
+      bytes = Buffer.from(dataUrl[1], 'base64')
+    } else if (/^https?:\/\//i.test(logoUrl)) {
+      const response = await fetch(logoUrl, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      bytes = Buffer.from(await response.arrayBuffer())
+    } else {
+      // normalize() on an absolute path drops any '..' that would leave the directory
+      const file = path.join(STATIC_DIR, path.normalize(`/${logoUrl.split('?')[0]}`))
+      bytes = await fs.readFile(file)
+    }
+
+    if (bytes.length > LOGO_MAX_BYTES) throw new Error('logo is larger than 2 MB')
+    return parseImage(bytes)
+  } catch (error) {
+    console.warn(`Invoice logo ${logoUrl.slice(0, 80)} skipped:`, error.message)
+    return null
+  }
+}
+
+function renderInvoicePdf({ invoice, items, payments, company }, { template = 'classic', language = 'es', footer = '', logo = null } = {}) {
+  const layout = TEMPLATES[template] || TEMPLATES.classic
+  const t = LABELS[language] || LABELS.es
+  const size = layout.fontSize
+  const doc = new PdfDocument({ ...layout.page, margin: layout.margin })
+  const width = doc.contentWidth
+  const right = (text, options = {}) => doc.text(text, { size, align: 'right', ...options })
+
+  // Header: logo and company on the left, invoice number and dates on the right
+  const top = doc.y
+  let companyX = doc.margin
+  let logoHeight = 0
+  if (logo && layout.logo) {
+    const drawn = doc.image(logo, layout.logo)
+    companyX += drawn.width + 10
+    logoHeight = drawn.height
+  }
+  const companyWidth = width * 0.6 - (companyX - doc.margin)
+  if (company) {
+    doc.text(company.name, { size: size + 3, bold: true, x: companyX, width: companyWidth })
+    for (const line of [
+      company.ruc && `RUC ${company.ruc}`,
+      company.address,
+      [company.phone, company.email].filter(Boolean).join(' - '),
+      company.website
+    ].filter(Boolean)) {
+      doc.text(line, { size, x: companyX, width: companyWidth })
+    }
+  }
+  const companyBottom = Math.max(doc.y, top + logoHeight)
+
+  doc.y = top
+  const headerX = doc.margin + width * 0.6
+  const headerWidth = width * 0.4
+  doc.text(t.invoice, { size: layout.titleSize, bold: true, align: 'right', x: headerX, width: headerWidth })
+  right(`${t.number} ${invoice.invoice_number}`, { bold: true, x: headerX, width: headerWidth })
+  right(`${t.date}: ${formatDate(invoice.invoice_date)}`, { x: headerX, width: headerWidth })
+  if (invoice.due_date) right(`${t.dueDate}: ${formatDate(invoice.due_date)}`, { x: headerX, width: headerWidth })
+  right(`${t.status}: ${t.statuses[invoice.status] || invoice.status}`, { x: headerX, width: headerWidth })
+
+  doc.y = Math.max(doc.y, companyBottom) + 8
+  doc.rule()
+
+  // Customer
+  doc.text(t.billTo, { size, bold: true })
+  for (const line of [
+    invoice.customer_name || '-',
+    invoice.customer_tax_id && `${t.taxId}: ${invoice.customer_tax_id}`,
+    [invoice.customer_address, invoice.customer_city].filter(Boolean).join(', '),
+    [invoice.customer_phone, invoice.customer_email].filter(Boolean).join(' - ')
+  ].filter(Boolean)) {
+    doc.text(line, { size })
+  }
+  doc.moveDown(8)
+
+  // Items
+  const columns = [
+    { key: 'item', width: width * 0.52 },
+    { key: 'quantity', width: width * 0.12, align: 'right' },
+    { key: 'unitPrice', width: width * 0.18, align: 'right' },
+    { key: 'amount', width: width * 0.18, align: 'right' }
+  ]
+  const header = () => {
+    doc.row(columns.map(column => ({ text: t[column.key], width: column.width, align: column.align })), { size, bold: true })
+    doc.rule()
+  }
+  header()
+  for (const item of items) {
+    // Repeat the column titles on every page of items
+    if (doc.ensureSpace(size * 1.5)) header()
+    doc.row([
+      { text: item.product_name, width: columns[0].width },
+      { text: String(parseFloat(item.quantity)), width: columns[1].width, align: 'right' },
+      { text: money(item.unit_price), width: columns[2].width, align: 'right' },
+      { text: money(item.total_price), width: columns[3].width, align: 'right' }
+    ], { size })
+  }
+  doc.rule()
+
+  // Totals
+  const total = parseFloat(invoice.total) || 0
+  const credited = parseFloat(invoice.credited_amount) || 0
+  const paid = parseFloat(invoice.paid_amount) || 0
+  const balance = Math.max(0, round2(total - credited - paid))
+  const totalLine = (label, value, bold = false) => doc.row([
+    { text: '', width: width * 0.55 },
+    { text: label, width: width * 0.27, align: 'right' },
+    { text: value, width: width * 0.18, align: 'right' }
+  ], { size, bold })
+
+  totalLine(t.subtotal, money(invoice.subtotal))
+  if (parseFloat(invoice.discount_amount) > 0) totalLine(t.discount, `-${money(invoice.discount_amount)}`)
+  totalLine(t.tax, money(invoice.tax_amount))
+  totalLine(t.total, money(total), true)
+  if (credited > 0) totalLine(t.credited, `-${money(credited)}`)
+  totalLine(t.paid, `-${money(paid)}`)
+  totalLine(t.balanceDue, money(balance), true)
+
+  // Payments applied
+  if (layout.showPayments && payments.length > 0) {
+    doc.moveDown(10)
+    doc.text(t.payments, { size, bold: true })
+    const paymentColumns = [width * 0.2, width * 0.25, width * 0.35, width * 0.2]
+    doc.row([
+      { text: t.date, width: paymentColumns[0] },
+      { text: t.method, width: paymentColumns[1] },
+      { text: t.reference, width: paymentColumns[2] },
+      { text: t.amount, width: paymentColumns[3], align: 'right' }
+    ], { size, bold: true })
+    for (const payment of payments) {
+      doc.row([
+        { text: formatDate(payment.payment_date), width: paymentColumns[0] },
+        { text: payment.payment_method, width: paymentColumns[1] },
+        { text: payment.reference_number || payment.payment_number || '', width: paymentColumns[2] },
+        { text: money(payment.amount), width: paymentColumns[3], align: 'right' }
+      ], { size })
+    }
+  }
+
+  if (invoice.notes) {
+    doc.moveDown(10)
+    doc.text(`${t.notes}: ${invoice.notes}`, { size })
+  }
+
+  if (footer) {
+    doc.moveDown(16)
+    doc.text(footer, { size: size - 1, align: 'center' })
+  }
+
+  return doc.toBuffer()
+}
+
+module.exports = {
+  TEMPLATES,
+  LABELS,
+  getInvoicePdfSettings,
+  loadInvoiceDocument,
+  loadLogo,
+  renderInvoicePdf
+}
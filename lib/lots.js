@@ -0,0 +1,257 @@
+const { withTransaction } = require('../config/database')
+const { decrementStock } = require('./stock')
+const { round2 } = require('./helpers')
+
+// Lot (batch) tracking for perishable products.
+//
+// products.stock stays the total on hand and is still changed through
+// lib/stock.js. Lots split the part of that stock received through purchase
+// orders by expiry date. Stock that came in before lots existed or through
+// manual adjustments belongs to no lot, so the lots of a product may add up
+// to less than its stock but never to more.
+
+// Create a lot for units accepted on a purchase order receipt. Without an
+// explicit expiry date the product's shelf_life_days is used, if it has one.
+async function createLot(client, {
+  productId,
+  quantity,
+  unitCost = 0,
+  supplierId = null,
+  purchaseOrderId = null,
+  receiptId = null,
+  lotNumber = null,
+  expiryDate = null
+}) {
+  const result = await client.query(`
+    INSERT INTO product_lots
+    (product_id, lot_number, supplier_id, purchase_order_id, receipt_id, expiry_date,
+     unit_cost, initial_quantity, remaining_quantity)
+    SELECT
+      p.id, $2, $3, $4, $5,
+      COALESCE($6::date, CURRENT_DATE + p.shelf_life_days),
+      $7, $8, $8
+    FROM products p
+    WHERE p.id = $1
+    RETURNING *
+  `, [productId, lotNumber, supplierId, purchaseOrderId, receiptId, expiryDate, unitCost, quantity])
+
+  return result.rows[0]
+}
+
+// Take quantity units out of the product's lots, first-expired-first-out.
+// Expired lots are skipped; they are written off by writeOffExpiredLots().
+// Lots without an expiry date go last. Returns [{ lot_id, quantity }]; when
+// the lots hold fewer units the rest came from stock outside any lot.
+async function consumeLots(client, productId, quantity) {
+  const lotsResult = await client.query(`
+    SELECT id, remaining_quantity
+    FROM product_lots
+    WHERE product_id = $1
+      AND status = 'active'
+      AND remaining_quantity > 0
+      AND (expiry_date IS NULL OR expiry_date >= CURRENT_DATE)
+    ORDER BY expiry_date ASC NULLS LAST, received_at ASC
+    FOR UPDATE
+  `, [productId])
+
+  const allocations = []
+  let pending = quantity
+
+  for (const lot of lotsResult.rows) {
+    if (pending <= 0) break
+
+    const taken = round2(Math.min(parseFloat(lot.remaining_quantity), pending))
+    await client.query(`
+      UPDATE product_lots
+      SET remaining_quantity = remaining_quantity - $2,
+          status = CASE WHEN remaining_quantity - $2 <= 0 THEN 'depleted' ELSE status END
+      WHERE id = $1
+    `, [lot.id, taken])
+
+    allocations.push({ lot_id: lot.id, quantity: taken })
+    pending = round2(pending - taken)
+  }
+
+  return allocations
+}
+
+// Consume lots for a sold order item and remember which lots it took
+async function allocateOrderItem(client, orderItemId, productId, quantity) {
+  const allocations = await consumeLots(client, productId, quantity)
+
+  for (const allocation of allocations) {
+    await client.query(
+      'INSERT INTO order_item_lots (order_item_id, lot_id, quantity) VALUES ($1, $2, $3)',
+      [orderItemId, allocation.lot_id, allocation.quantity]
+    )
+  }
+
+  return allocations
+}
+
+// Put units of a cancelled or returned order item back into the lots it was
+// taken from. Lots that expired meanwhile are skipped, those units stay in
+// stock outside any lot.
+async function restoreOrderItemLots(client, orderItemId, quantity) {
+  const allocationsResult = await client.query(`
+    SELECT oil.id, oil.lot_id, oil.quantity
+    FROM order_item_lots oil
+    JOIN product_lots l ON oil.lot_id = l.id
+    WHERE oil.order_item_id = $1
+      AND oil.quantity > 0
+      AND l.status <> 'expired'
+    ORDER BY l.expiry_date DESC NULLS FIRST
+    FOR UPDATE OF oil, l
+  `, [orderItemId])
+
+  let pending = quantity
+
+  for (const allocation of allocationsResult.rows) {
+    if (pending <= 0) break
+
+    const restored = round2(Math.min(parseFloat(allocation.quantity), pending))
+    await client.query(`
+      UPDATE product_lots
+      SET remaining_quantity = remaining_quantity + $2, status = 'active'
+      WHERE id = $1
+    `, [allocation.lot_id, restored])
+    await client.query(
+      'UPDATE order_item_lots SET quantity = quantity - $2 WHERE id = $1',
+      [allocation.id, restored]
+    )
+
+    pending = round2(pending - restored)
+  }
+}
+
+// Lots expiring within the next `days` days (already expired ones included
+// until they are written off)
+async function findExpiringLots(db, { days = 7, productId } = {}) {
+  const params = [days]
+  let query = `
+    SELECT
+      l.*,
+      p.name as product_name,
+      p.sku,
+      p.unit,
+      s.name as supplier_name,
+      po.order_number as purchase_order_number,
+      (l.expiry_date - CURRENT_DATE) as days_to_expiry
+    FROM product_lots l
+    JOIN products p ON l.product_id = p.id
+    LEFT JOIN suppliers s ON l.supplier_id = s.id
+    LEFT JOIN purchase_orders po ON l.purchase_order_id = po.id
+    WHERE l.status = 'active'
+      AND l.remaining_quantity > 0
+      AND l.expiry_date IS NOT NULL
+      AND l.expiry_date <= CURRENT_DATE + $1::integer
+  `
+
+  if (productId) {
+    params.push(productId)
+    query += ` AND l.product_id = $${params.length}`
+  }
+
+  query += ' ORDER BY l.expiry_date ASC, p.name ASC'
+
+  const result = await db.query(query, params)
+  return result.rows.map(lot => ({
+    ...lot,
+    initial_quantity: parseFloat(lot.initial_quantity) || 0,
+    remaining_quantity: parseFloat(lot.remaining_quantity) || 0,
+    unit_cost: parseFloat(lot.unit_cost) || 0,
+    days_to_expiry: parseInt(lot.days_to_expiry)
+  }))
+}
+
+// Write off every lot past its expiry date: its remaining units leave stock
+// with a 'loss' movement and the lot is marked expired. Returns the lots
+// written off.
+async function writeOffExpiredLots() {
+  return withTransaction(async (client) => {
+    // SKIP LOCKED leaves lots being sold right now for the next run
+    const lotsResult = await client.query(`
+      SELECT l.*, TO_CHAR(l.expiry_date, 'YYYY-MM-DD') as expiry_label, p.name as product_name
+      FROM product_lots l
+      JOIN products p ON l.product_id = p.id
+      WHERE l.status = 'active'
+        AND l.expiry_date < CURRENT_DATE
+      ORDER BY l.product_id, l.expiry_date
+      FOR UPDATE OF l SKIP LOCKED
+    `)
+
+    const writtenOff = []
+
+    for (const lot of lotsResult.rows) {
+      const remaining = parseFloat(lot.remaining_quantity)
+      let quantity = 0
+
+      if (remaining > 0) {
+        // Manual adjustments may have left less stock than the lot holds
+        const productResult = await client.query('SELECT stock FROM products WHERE id = $1 FOR UPDATE', [lot.product_id])
+        quantity = round2(Math.min(remaining, parseFloat(productResult.rows[0].stock) || 0))
+
+        if (quantity > 0) {
+          await decrementStock(client, lot.product_id, quantity)
+
+          await client.query(`
+            INSERT INTO stock_movements
+            (product_id, movement_type, quantity, reference_type, reference_id, notes)
+            VALUES ($1, 'loss', $2, 'lot_expiry', $3, $4)
+          `, [lot.product_id, quantity, lot.id, `Lot ${lot.lot_number || lot.id} expired on ${lot.expiry_label}`])
+        }
+      }
+
+      await client.query(
+        "UPDATE product_lots SET remaining_quantity = 0, status = 'expired' WHERE id = $1",
+        [lot.id]
+      )
+
+      writtenOff.push({
+        lot_id: lot.id,
+        lot_number: lot.lot_number,
+        product_id: lot.product_id,
+        product_name: lot.product_name,
+        expiry_date: lot.expiry_label,
+        quantity
+      })
+    }
+
+    return writtenOff
+  })
+}
+
+// Write off expired lots every LOT_EXPIRY_CHECK_HOURS (default 6, 0 disables it)
+function startLotExpiryScheduler() {
+  const hours = process.env.LOT_EXPIRY_CHECK_HOURS === undefined
+    ? 6
+    : parseFloat(process.env.LOT_EXPIRY_CHECK_HOURS) || 0
+  if (hours <= 0) return null
+
+  const run = async () => {
+    try {
+      const lots = await writeOffExpiredLots()
+      if (lots.length > 0) {
+        console.log(`🍂 ${lots.length} expired lot(s) written off`)
+      }
+    } catch (error) {
+      console.error('Expired lot write-off failed:', error.message)
+    }
+  }
+
+  run()
+  const timer = setInterval(run, hours * 60 * 60 * 1000)
+  // Never keep the process alive just for this check
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  createLot,
+  consumeLots,
+  allocateOrderItem,
+  restoreOrderItemLots,
+  findExpiringLots,
+  writeOffExpiredLots,
+  startLotExpiryScheduler
+}
@@ -0,0 +1,226 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations')
+
+// Arbitrary key so two processes never run migrations at the same time
+const MIGRATION_LOCK_KEY = 712093
+
+const FILENAME_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/
+const UP_MARKER = /^--\s*migrate:up\s*$/m
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m
+
+// Split a migration file into its up and down sections
+function parseMigration(content, filename) {
+  const upMatch = content.match(UP_MARKER)
+  if (!upMatch) {
+    throw new Error(`Migration ${filename} is missing a "-- migrate:up" section`)
+  }
+
+  const afterUp = content.slice(upMatch.index + upMatch[0].length)
+  const downMatch = afterUp.match(DOWN_MARKER)
+
+  return {
+    up: (downMatch ? afterUp.slice(0, downMatch.index) : afterUp).trim(),
+    down: downMatch ? afterUp.slice(downMatch.index + downMatch[0].length).trim() : ''
+  }
+}
+
+// Read every migration file in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.sql')).sort()
+  const seen = new Set()
+
+  return files.map(filename => {
+    const match = filename.match(FILENAME_PATTERN)
+    if (!match) {
+      throw new Error(`Invalid migration filename: ${filename} (expected NNNN_description.sql)`)
+    }
+
+    const version = match[1]
+    if (seen.has(version)) {
+      throw new Error(`Duplicate migration version ${version}`)
+    }
+    seen.add(version)
+
+    const content = fs.readFileSync(path.join(dir, filename), 'utf8').replace(/\r\n/g, '\n')
+    const { up, down } = parseMigration(content, filename)
+
+    return {
+      version,
+      name: match[2],
+      filename,
+      up,
+      down,
+      checksum: crypto.createHash('sha256').update(content).digest('hex')
+    }
+  })
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(4) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_time_ms INTEGER,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version')
+  return result.rows
+}
+
+// Run fn holding the migration lock on a dedicated client
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect()
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY])
+    try {
+      await ensureMigrationsTable(client)
+      return await fn(client)
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY])
+    }
+  } finally {
+    client.release()
+  }
+}
+
+// Compare migration files with what the database has recorded
+function buildStatus(migrations, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]))
+  const known = new Set(migrations.map(m => m.version))
+
+  const entries = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version)
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+      applied_at: row ? row.applied_at : null,
+      checksum: migration.checksum
+    }
+  })
+
+  // Applied versions whose file is gone
+  for (const row of applied) {
+    if (!known.has(row.version)) {
+      entries.push({
+        version: row.version,
+        name: row.name,
+        status: 'missing',
+        applied_at: row.applied_at,
+        checksum: row.checksum
+      })
+    }
+  }
+
+  return entries.sort((a, b) => a.version.localeCompare(b.version))
+}
+
+function assertNoDrift(entries) {
+  const drifted = entries.filter(entry => entry.status === 'modified' || entry.status === 'missing')
+  if (drifted.length > 0) {
+    const list = drifted.map(entry => `${entry.version}_${entry.name} (${entry.status})`).join(', ')
+    throw new Error(`Applied migrations do not match the migrations directory: ${list}`)
+  }
+}
+
+async function status(pool, options = {}) {
+  const migrations = loadMigrations(options.dir)
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client)
+    return buildStatus(migrations, applied)
+  })
+}
+
+// Apply pending migrations in order, optionally stopping at a target version
+async function up(pool, options = {}) {
+  const migrations = loadMigrations(options.dir)
+  const log = options.log || console.log
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client)
+    assertNoDrift(buildStatus(migrations, applied))
+
+    const appliedVersions = new Set(applied.map(row => row.version))
+    const pending = migrations.filter(m =>
+      !appliedVersions.has(m.version) && (!options.to || m.version <= options.to)
+    )
+
+    const ran = []
+    for (const migration of pending) {
+      const startedAt = Date.now()
+      try {
+        await client.query('BEGIN')
+        await client.query(migration.up)
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, execution_time_ms)
+           VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+        )
+        await client.query('COMMIT')
+      } catch (error) {
+        await client.query('ROLLBACK')
+        throw new Error(`Migration ${migration.filename} failed: ${error.message}`)
+      }
+
+      log(`✓ Applied ${migration.filename} (${Date.now() - startedAt}ms)`)
+      ran.push(migration.version)
+    }
+
+    return ran
+  })
+}
+
+// Revert the most recently applied migrations
+async function down(pool, options = {}) {
+  const migrations = loadMigrations(options.dir)
+  const log = options.log || console.log
+  const steps = options.steps || 1
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client)
+    assertNoDrift(buildStatus(migrations, applied))
+
+    const byVersion = new Map(migrations.map(m => [m.version, m]))
+    const toRevert = applied.map(row => row.version).reverse().slice(0, steps)
+
+    const reverted = []
+    for (const version of toRevert) {
+      const migration = byVersion.get(version)
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.filename} has no "-- migrate:down" section and cannot be reverted`)
+      }
+
+      try {
+        await client.query('BEGIN')
+        await client.query(migration.down)
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version])
+        await client.query('COMMIT')
+      } catch (error) {
+        await client.query('ROLLBACK')
+        throw new Error(`Reverting ${migration.filename} failed: ${error.message}`)
+      }
+
+      log(`✓ Reverted ${migration.filename}`)
+      reverted.push(version)
+    }
+
+    return reverted
+  })
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  parseMigration,
+  status,
+  up,
+  down
+}
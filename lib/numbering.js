@@ -0,0 +1,125 @@
+const { HttpError } = require('./errors')
+
+// Document numbering backed by the document_series tables.
+//
+// nextNumber() increments the series counter with a single upsert on the
+// caller's transaction client. The counter row stays locked until that
+// transaction ends, so concurrent sales wait for each other instead of reading
+// the same number, and a rolled back sale gives its number back: the series has
+// no gaps. Native Postgres sequences are not used for this reason, they never
+// roll back.
+
+const DOCUMENT_TYPES = ['order', 'invoice', 'payment', 'purchase_order', 'credit_note', 'refund', 'consignment_settlement']
+const DEFAULT_BRANCH = 'main'
+
+// Tokens available in document_series.format
+const FORMAT_TOKENS = ['{prefix}', '{branch}', '{year}', '{number}']
+
+// Check a series definition before it is stored. Returns a list of problems.
+function validateSeries({ document_type, branch_code, prefix, format, padding, reset_yearly }) {
+  const problems = []
+
+  if (document_type !== undefined && !DOCUMENT_TYPES.includes(document_type)) {
+    problems.push(`document_type must be one of ${DOCUMENT_TYPES.join(', ')}`)
+  }
+  if (prefix !== undefined && !/^[A-Za-z0-9-]{1,20}$/.test(prefix)) {
+    problems.push('prefix must be 1-20 letters, digits or dashes')
+  }
+  if (format !== undefined) {
+    if (!format.includes('{number}')) {
+      problems.push('format must contain {number}')
+    }
+    const unknown = (format.match(/\{[^}]*\}/g) || []).filter(token => !FORMAT_TOKENS.includes(token))
+    if (unknown.length > 0) {
+      problems.push(`Unknown format tokens: ${unknown.join(', ')}`)
+    }
+  }
+  if (padding !== undefined && !(Number.isInteger(padding) && padding >= 1 && padding <= 12)) {
+    problems.push('padding must be an integer between 1 and 12')
+  }
+  // Other branches count on their own, without the branch in the number they
+  // would issue the numbers of the main series again
+  if (branch_code !== undefined && branch_code !== DEFAULT_BRANCH && format !== undefined && !format.includes('{branch}')) {
+    problems.push('Branch series need {branch} in their format')
+  }
+  // Without the year in the number a yearly reset would issue duplicates
+  if (reset_yearly && format !== undefined && !format.includes('{year}')) {
+    problems.push('Series with reset_yearly need {year} in their format')
+  }
+
+  return problems
+}
+
+function formatNumber(series, number, year) {
+  return series.format
+    .replace('{prefix}', series.prefix)
+    .replace('{branch}', series.branch_code)
+    .replace('{year}', String(year))
+    .replace('{number}', String(number).padStart(series.padding, '0'))
+}
+
+// The active series for a branch, falling back to the main branch series
+async function findSeries(db, documentType, branch = DEFAULT_BRANCH) {
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw new Error(`Unknown document type ${documentType}`)
+  }
+
+  const result = await db.query(`
+    SELECT *
+    FROM document_series
+    WHERE document_type = $1 AND branch_code IN ($2, $3) AND is_active = true
+    ORDER BY (branch_code = $2) DESC
+    LIMIT 1
+  `, [documentType, branch || DEFAULT_BRANCH, DEFAULT_BRANCH])
+
+  if (result.rows.length === 0) {
+    throw new HttpError(409, `No active numbering series for ${documentType}`)
+  }
+
+  return result.rows[0]
+}
+
+function periodFor(series, date) {
+  return series.reset_yearly ? date.getFullYear() : 0
+}
+
+// Issue the next number of a series. Must run on the transaction client that
+// inserts the document.
+async function nextNumber(client, documentType, { branch = DEFAULT_BRANCH, date = new Date() } = {}) {
+  const series = await findSeries(client, documentType, branch)
+  const period = periodFor(series, date)
+
+  const result = await client.query(`
+    INSERT INTO document_series_counters (series_id, period, last_number)
+    VALUES ($1, $2, 1)
+    ON CONFLICT (series_id, period) DO UPDATE
+      SET last_number = document_series_counters.last_number + 1,
+          updated_at = CURRENT_TIMESTAMP
+    RETURNING last_number
+  `, [series.id, period])
+
+  return formatNumber(series, result.rows[0].last_number, date.getFullYear())
+}
+
+// The number the next document would get. Nothing is reserved, another
+// document may take it first.
+async function previewNumber(db, documentType, { branch = DEFAULT_BRANCH, date = new Date() } = {}) {
+  const series = await findSeries(db, documentType, branch)
+  const result = await db.query(
+    'SELECT last_number FROM document_series_counters WHERE series_id = $1 AND period = $2',
+    [series.id, periodFor(series, date)]
+  )
+  const last = result.rows.length > 0 ? result.rows[0].last_number : 0
+
+  return formatNumber(series, last + 1, date.getFullYear())
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DEFAULT_BRANCH,
+  validateSeries,
+  formatNumber,
+  findSeries,
+  nextNumber,
+  previewNumber
+}
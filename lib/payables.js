@@ -0,0 +1,398 @@
+const { HttpError } = require('./errors')
+const { AGING_BUCKETS, bucketFor } = require('./receivables')
+const { round2, toDateString } = require('./helpers')
+
+// Accounts payable (migration 0027). A purchase order owes what was accepted on
+// delivery, at its discounted cost plus tax, like the supplier account. Supplier
+// payments are allocated across the supplier's purchase orders and whatever is
+// not allocated stays on account. paid_amount and payment_status of a purchase
+// order only count completed payments, so voiding a payment reopens the
+// purchase orders it paid.
+
+const PURCHASE_ORDER_PAYMENT_STATUSES = ['unpaid', 'partial', 'paid']
+
+// What purchase order alias owes for the goods accepted so far
+const amountDueSql = (alias) => `ROUND(COALESCE((
+  SELECT SUM(poi.received_quantity * COALESCE((poi.tax_base + poi.tax_amount) / NULLIF(poi.quantity, 0), poi.unit_cost))
+  FROM purchase_order_items poi
+  WHERE poi.purchase_order_id = ${alias}.id
+), 0), 2)`
+
+// What completed payments allocated to purchase order alias
+const amountPaidSql = (alias) => `COALESCE((
+  SELECT SUM(a.amount)
+  FROM supplier_payment_allocations a
+  JOIN supplier_payments sp ON a.payment_id = sp.id
+  WHERE a.purchase_order_id = ${alias}.id AND sp.status = 'completed'
+), 0)`
+
+// Recalculate paid_amount and payment_status of the purchase orders, after
+// their allocations or received goods change
+async function refreshPurchaseOrderPayments(client, purchaseOrderIds) {
+  const ids = [...new Set(purchaseOrderIds)]
+  if (ids.length === 0) return
+
+  await client.query(`
+    UPDATE purchase_orders po
+    SET paid_amount = totals.paid,
+        payment_status = CASE
+          WHEN totals.paid <= 0 THEN 'unpaid'
+          WHEN totals.paid >= totals.due THEN 'paid'
+          ELSE 'partial'
+        END,
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT p.id, ${amountDueSql('p')} as due, ${amountPaidSql('p')} as paid
+      FROM purchase_orders p
+      WHERE p.id = ANY($1::uuid[])
+    ) totals
+    WHERE po.id = totals.id
+  `, [ids])
+}
+
+// Payment with its supplier and allocations, or null
+async function loadSupplierPayment(db, paymentId) {
+  const result = await db.query(`
+    SELECT
+      sp.*,
+      s.name as supplier_name,
+      cs.settlement_number,
+      u.full_name as user_name,
+      vu.full_name as voided_by_name
+    FROM supplier_payments sp
+    LEFT JOIN suppliers s ON sp.supplier_id = s.id
+    LEFT JOIN consignment_settlements cs ON sp.settlement_id = cs.id
+    LEFT JOIN users u ON sp.user_id = u.id
+    LEFT JOIN users vu ON sp.voided_by = vu.id
+    WHERE sp.id = $1
+  `, [paymentId])
+  if (result.rows.length === 0) return null
+
+  const allocationsResult = await db.query(`
+    SELECT
+      a.id, a.purchase_order_id, po.order_number, po.order_date::text as order_date,
+      po.payment_status, a.amount
+    FROM supplier_payment_allocations a
+    JOIN purchase_orders po ON a.purchase_order_id = po.id
+    WHERE a.payment_id = $1
+    ORDER BY po.order_date, po.order_number
+  `, [paymentId])
+
+  const payment = result.rows[0]
+  const allocations = allocationsResult.rows.map(allocation => ({
+    ...allocation,
+    amount: parseFloat(allocation.amount)
+  }))
+  const allocated = round2(allocations.reduce((sum, allocation) => sum + allocation.amount, 0))
+  return {
+    ...payment,
+    amount: parseFloat(payment.amount),
+    allocated_amount: allocated,
+    unallocated_amount: payment.settlement_id ? 0 : round2(parseFloat(payment.amount) - allocated),
+    allocations
+  }
+}
+
+// Allocate a payment across purchase orders of its supplier. Each purchase
+// order can take at most what it still owes and the allocations cannot add up
+// to more than the payment. Returns the purchase orders touched.
+async function allocatePayment(client, payment, allocations) {
+  const amounts = new Map()
+  for (const allocation of allocations) {
+    const amount = round2(parseFloat(allocation.amount) || 0)
+    amounts.set(allocation.purchase_order_id, round2((amounts.get(allocation.purchase_order_id) || 0) + amount))
+  }
+  if (amounts.size === 0) return []
+
+  if (payment.settlement_id) {
+    throw new HttpError(409, 'Consignment payouts cannot be allocated to purchase orders')
+  }
+
+  const total = round2([...amounts.values()].reduce((sum, amount) => sum + amount, 0))
+  if (total > parseFloat(payment.amount)) {
+    throw new HttpError(400, 'Allocations add up to more than the payment', {
+      amount: parseFloat(payment.amount),
+      allocated: total
+    })
+  }
+
+  // Lock first so what each purchase order already received is read after any
+  // concurrent allocation to it commits
+  await client.query('SELECT id FROM purchase_orders WHERE id = ANY($1::uuid[]) FOR UPDATE', [[...amounts.keys()]])
+  const purchaseOrdersResult = await client.query(`
+    SELECT po.id, po.order_number, po.supplier_id, po.status, ${amountDueSql('po')} as due, ${amountPaidSql('po')} as paid
+    FROM purchase_orders po
+    WHERE po.id = ANY($1::uuid[]) AND po.deleted_at IS NULL
+  `, [[...amounts.keys()]])
+  const purchaseOrders = new Map(purchaseOrdersResult.rows.map(po => [po.id, po]))
+
+  for (const [purchaseOrderId, amount] of amounts) {
+    const purchaseOrder = purchaseOrders.get(purchaseOrderId)
+    if (!purchaseOrder) {
+      throw new HttpError(404, `Purchase order with ID ${purchaseOrderId} not found`)
+    }
+    if (purchaseOrder.supplier_id !== payment.supplier_id) {
+      throw new HttpError(400, `Purchase order ${purchaseOrder.order_number} belongs to another supplier`)
+    }
+    if (purchaseOrder.status === 'cancelled') {
+      throw new HttpError(409, `Purchase order ${purchaseOrder.order_number} is cancelled`)
+    }
+
+    const remaining = round2(parseFloat(purchaseOrder.due) - parseFloat(purchaseOrder.paid))
+    if (amount > remaining) {
+      throw new HttpError(409, `Allocation exceeds what purchase order ${purchaseOrder.order_number} owes`, {
+        purchase_order_id: purchaseOrderId,
+        amount_due: parseFloat(purchaseOrder.due),
+        amount_paid: parseFloat(purchaseOrder.paid),
+        remaining: Math.max(remaining, 0)
+      })
+    }
+
+    if (amount > 0) {
+      await client.query(
+        'INSERT INTO supplier_payment_allocations (payment_id, purchase_order_id, amount) VALUES ($1, $2, $3)',
+        [payment.id, purchaseOrderId, amount]
+      )
+    }
+  }
+
+  return [...amounts.keys()]
+}
+
+async function createSupplierPayment(client, {
+  supplierId, amount, paymentDate = null, paymentMethod = null, referenceNumber = null, notes = null, allocations = [], userId = null
+}) {
+  const supplierResult = await client.query('SELECT id FROM suppliers WHERE id = $1 AND deleted_at IS NULL', [supplierId])
+  if (supplierResult.rows.length === 0) {
+    throw new HttpError(404, 'Supplier not found')
+  }
+
+  const result = await client.query(`
+    INSERT INTO supplier_payments
+      (supplier_id, amount, payment_date, payment_method, reference_number, notes, user_id)
+    VALUES ($1, $2, COALESCE($3::timestamptz, CURRENT_TIMESTAMP), $4, $5, $6, $7)
+    RETURNING *
+  `, [supplierId, round2(parseFloat(amount)), paymentDate, paymentMethod, referenceNumber, notes, userId])
+  const payment = result.rows[0]
+
+  const purchaseOrderIds = await allocatePayment(client, payment, allocations)
+  await refreshPurchaseOrderPayments(client, purchaseOrderIds)
+
+  return loadSupplierPayment(client, payment.id)
+}
+
+async function lockCompletedPayment(client, paymentId) {
+  const result = await client.query('SELECT * FROM supplier_payments WHERE id = $1 FOR UPDATE', [paymentId])
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Supplier payment not found')
+  }
+  if (result.rows[0].status !== 'completed') {
+    throw new HttpError(409, `Supplier payment is ${result.rows[0].status}`)
+  }
+  return result.rows[0]
+}
+
+const currentAllocations = async (client, paymentId) => (await client.query(
+  'SELECT purchase_order_id, amount FROM supplier_payment_allocations WHERE payment_id = $1',
+  [paymentId]
+)).rows
+
+// Change a completed payment. Fields left undefined keep their value; passing
+// allocations replaces the ones the payment had. The amount of a consignment
+// payout is the settlement's and cannot change.
+async function updateSupplierPayment(client, paymentId, changes) {
+  const payment = await lockCompletedPayment(client, paymentId)
+
+  const amount = changes.amount === undefined ? parseFloat(payment.amount) : round2(parseFloat(changes.amount))
+  if (payment.settlement_id && amount !== parseFloat(payment.amount)) {
+    throw new HttpError(409, 'The amount of a consignment payout cannot change')
+  }
+
+  const previous = await currentAllocations(client, paymentId)
+  if (changes.allocations === undefined) {
+    const allocated = round2(previous.reduce((sum, allocation) => sum + parseFloat(allocation.amount), 0))
+    if (allocated > amount) {
+      throw new HttpError(409, 'The payment cannot be less than what it already allocated', { allocated })
+    }
+  }
+
+  const field = (name) => changes[name] === undefined ? payment[name] : changes[name]
+  const updatedResult = await client.query(`
+    UPDATE supplier_payments
+    SET amount = $2, payment_date = COALESCE($3::timestamptz, payment_date),
+        payment_method = $4, reference_number = $5, notes = $6
+    WHERE id = $1
+    RETURNING *
+  `, [paymentId, amount, changes.payment_date || null, field('payment_method'), field('reference_number'), field('notes')])
+
+  const purchaseOrderIds = previous.map(allocation => allocation.purchase_order_id)
+  if (changes.allocations !== undefined) {
+    await client.query('DELETE FROM supplier_payment_allocations WHERE payment_id = $1', [paymentId])
+    purchaseOrderIds.push(...await allocatePayment(client, updatedResult.rows[0], changes.allocations))
+  }
+  await refreshPurchaseOrderPayments(client, purchaseOrderIds)
+
+  return loadSupplierPayment(client, paymentId)
+}
+
+// Void a payment. Its allocations are kept for the record but no longer pay
+// the purchase orders.
+async function voidSupplierPayment(client, paymentId, { reason = null, userId = null } = {}) {
+  await lockCompletedPayment(client, paymentId)
+
+  await client.query(`
+    UPDATE supplier_payments
+    SET status = 'voided', void_reason = $2, voided_by = $3, voided_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [paymentId, reason, userId])
+
+  const previous = await currentAllocations(client, paymentId)
+  await refreshPurchaseOrderPayments(client, previous.map(allocation => allocation.purchase_order_id))
+
+  return loadSupplierPayment(client, paymentId)
+}
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]))
+
+// Purchase orders with an amount left to pay, oldest due first. A purchase
+// order is due payment_terms days (30 by default) after its first delivery,
+// or after its order date when nothing was delivered yet.
+async function findOpenPurchaseOrders(db, { supplierId = null } = {}) {
+  const conditions = ['po.deleted_at IS NULL', "po.status <> 'cancelled'"]
+  const params = []
+  if (supplierId) {
+    params.push(supplierId)
+    conditions.push(`po.supplier_id = $${params.length}`)
+  }
+
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT
+        po.id,
+        po.order_number,
+        po.supplier_id,
+        s.name as supplier_name,
+        po.order_date::text as order_date,
+        (COALESCE(
+          (SELECT MIN(r.received_at)::date FROM purchase_order_receipts r WHERE r.purchase_order_id = po.id),
+          po.order_date
+        ) + COALESCE(s.payment_terms, 30))::text as due_date,
+        ${amountDueSql('po')} as amount_due,
+        po.paid_amount,
+        ${amountDueSql('po')} - po.paid_amount as outstanding,
+        CURRENT_DATE - (COALESCE(
+          (SELECT MIN(r.received_at)::date FROM purchase_order_receipts r WHERE r.purchase_order_id = po.id),
+          po.order_date
+        ) + COALESCE(s.payment_terms, 30)) as days_overdue
+      FROM purchase_orders po
+      LEFT JOIN suppliers s ON po.supplier_id = s.id
+      WHERE ${conditions.join(' AND ')}
+    ) open_purchase_orders
+    WHERE outstanding > 0.005
+    ORDER BY due_date, order_number
+  `, params)
+
+  return result.rows.map(purchaseOrder => ({
+    ...purchaseOrder,
+    amount_due: parseFloat(purchaseOrder.amount_due) || 0,
+    paid_amount: parseFloat(purchaseOrder.paid_amount) || 0,
+    outstanding: round2(parseFloat(purchaseOrder.outstanding) || 0),
+    days_overdue: Math.max(parseInt(purchaseOrder.days_overdue) || 0, 0),
+    bucket: bucketFor(parseInt(purchaseOrder.days_overdue) || 0)
+  }))
+}
+
+// What completed payments of each supplier left unallocated (consignment
+// payouts excluded)
+async function findUnallocatedPayments(db, { supplierId = null } = {}) {
+  const params = []
+  let supplierCondition = ''
+  if (supplierId) {
+    params.push(supplierId)
+    supplierCondition = `AND sp.supplier_id = $${params.length}`
+  }
+
+  const result = await db.query(`
+    SELECT sp.supplier_id, s.name as supplier_name, SUM(sp.amount - COALESCE(a.amount, 0)) as unallocated
+    FROM supplier_payments sp
+    JOIN suppliers s ON sp.supplier_id = s.id
+    LEFT JOIN LATERAL (
+      SELECT SUM(amount) as amount FROM supplier_payment_allocations WHERE payment_id = sp.id
+    ) a ON true
+    WHERE sp.status = 'completed' AND sp.settlement_id IS NULL ${supplierCondition}
+    GROUP BY sp.supplier_id, s.name
+    HAVING SUM(sp.amount - COALESCE(a.amount, 0)) > 0.005
+  `, params)
+
+  return result.rows.map(row => ({ ...row, unallocated: round2(parseFloat(row.unallocated)) }))
+}
+
+// Accounts payable aging: what is owed to every supplier split by days past
+// due, the payments still on account, and the totals of all suppliers. Pass
+// includePurchaseOrders to list each supplier's open purchase orders too.
+async function buildPayablesAging(db, { supplierId = null, includePurchaseOrders = false } = {}) {
+  const purchaseOrders = await findOpenPurchaseOrders(db, { supplierId })
+  const unallocated = await findUnallocatedPayments(db, { supplierId })
+
+  const suppliers = new Map()
+  const entryFor = ({ supplier_id, supplier_name }) => {
+    let entry = suppliers.get(supplier_id)
+    if (!entry) {
+      entry = {
+        supplier_id,
+        supplier_name,
+        ...emptyBuckets(),
+        total: 0,
+        purchase_orders: 0,
+        oldest_days_overdue: 0,
+        unallocated: 0
+      }
+      if (includePurchaseOrders) entry.open_purchase_orders = []
+      suppliers.set(supplier_id, entry)
+    }
+    return entry
+  }
+
+  const totals = { ...emptyBuckets(), total: 0, purchase_orders: 0, unallocated: 0 }
+  for (const purchaseOrder of purchaseOrders) {
+    const entry = entryFor(purchaseOrder)
+
+    entry[purchaseOrder.bucket] = round2(entry[purchaseOrder.bucket] + purchaseOrder.outstanding)
+    entry.total = round2(entry.total + purchaseOrder.outstanding)
+    entry.purchase_orders++
+    entry.oldest_days_overdue = Math.max(entry.oldest_days_overdue, purchaseOrder.days_overdue)
+    if (includePurchaseOrders) entry.open_purchase_orders.push(purchaseOrder)
+
+    totals[purchaseOrder.bucket] = round2(totals[purchaseOrder.bucket] + purchaseOrder.outstanding)
+    totals.total = round2(totals.total + purchaseOrder.outstanding)
+    totals.purchase_orders++
+  }
+
+  // Suppliers paid in advance are listed even when nothing is open
+  for (const payment of unallocated) {
+    entryFor(payment).unallocated = payment.unallocated
+    totals.unallocated = round2(totals.unallocated + payment.unallocated)
+  }
+  for (const entry of suppliers.values()) {
+    entry.net = round2(entry.total - entry.unallocated)
+  }
+  totals.net = round2(totals.total - totals.unallocated)
+
+  return {
+    as_of: toDateString(new Date()),
+    buckets: AGING_BUCKETS,
+    suppliers: [...suppliers.values()].sort((a, b) => b.total - a.total),
+    totals
+  }
+}
+
+module.exports = {
+  PURCHASE_ORDER_PAYMENT_STATUSES,
+  refreshPurchaseOrderPayments,
+  loadSupplierPayment,
+  createSupplierPayment,
+  updateSupplierPayment,
+  voidSupplierPayment,
+  findOpenPurchaseOrders,
+  buildPayablesAging
+}
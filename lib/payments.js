@@ -0,0 +1,421 @@
+const { HttpError } = require('./errors')
+const { nextNumber } = require('./numbering')
+const { CREDIT_PAYMENT_METHODS } = require('./credit')
+const { isCashMethod } = require('./register')
+const { round2 } = require('./helpers')
+
+// Customer payments are never deleted (migration 0028). Voiding one keeps it
+// with status 'voided' and the shift it was voided in, which pays the money
+// back out of its drawer. A refund gives back part or all of a payment as a
+// negative payment linked to it, so every sum of completed payments is already
+// net of refunds.
+//
+// A deposit (migration 0030) is a payment of the customer with no order or
+// invoice: unapplied credit. Applying it records an 'account_credit' payment
+// on the invoice or order linked to the deposit (applied_from_payment_id).
+// Those applications move no money, so they are kept out of the register and
+// of what the customer paid.
+
+// Recalculate what the invoice and the order of a payment have collected:
+// invoice paid_amount and status, order payment_status. Run after a payment
+// is voided, refunded or changed.
+async function refreshPaymentTargets(client, { invoiceId = null, orderId = null }) {
+  if (invoiceId) {
+    const invoiceResult = await client.query(`
+      SELECT
+        i.id, i.total, i.credited_amount, i.status,
+        (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = i.id AND status = 'completed')
+          - (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE invoice_id = i.id AND status = 'completed') as paid
+      FROM invoices i
+      WHERE i.id = $1
+      FOR UPDATE OF i
+    `, [invoiceId])
+    const invoice = invoiceResult.rows[0]
+    if (invoice) {
+      const paid = Math.max(0, round2(parseFloat(invoice.paid)))
+      const owed = round2(parseFloat(invoice.total) - (parseFloat(invoice.credited_amount) || 0) - paid)
+
+      let status = invoice.status
+      if (owed <= 0.005) {
+        status = 'paid'
+      } else if (invoice.status === 'paid') {
+        status = 'pending'
+      }
+
+      await client.query(
+        'UPDATE invoices SET paid_amount = $2, status = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [invoiceId, paid, status]
+      )
+    }
+  }
+
+  if (orderId) {
+    const orderResult = await client.query(`
+      SELECT
+        o.total,
+        (SELECT COALESCE(SUM(amount), 0) FROM credit_notes WHERE order_id = o.id AND status <> 'void') as credited,
+        (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE order_id = o.id AND status = 'completed')
+          - (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE order_id = o.id AND status = 'completed') as paid
+      FROM orders o
+      WHERE o.id = $1
+    `, [orderId])
+    const order = orderResult.rows[0]
+    if (order) {
+      const toPay = round2(parseFloat(order.total) - parseFloat(order.credited))
+      const paid = round2(parseFloat(order.paid))
+
+      let paymentStatus = 'pending'
+      if (paid > 0 && paid >= toPay) {
+        paymentStatus = 'paid'
+      } else if (paid > 0) {
+        paymentStatus = 'partial'
+      }
+
+      await client.query(
+        'UPDATE orders SET payment_status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [orderId, paymentStatus]
+      )
+    }
+  }
+}
+
+async function lockPayment(client, paymentId) {
+  const result = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId])
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Payment not found')
+  }
+  return result.rows[0]
+}
+
+// What is left to refund of a payment: its amount less its completed refunds
+// and, for a deposit, the credit applied from it
+async function getRefundable(client, payment) {
+  const result = await client.query(`
+    SELECT
+      (SELECT COALESCE(SUM(-amount), 0) FROM payments WHERE refund_of_payment_id = $1 AND status = 'completed') as refunded,
+      (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE applied_from_payment_id = $1 AND status = 'completed') as applied
+  `, [payment.id])
+  const refunded = round2(parseFloat(result.rows[0].refunded))
+  const applied = round2(parseFloat(result.rows[0].applied))
+  return { refunded, applied, refundable: round2(parseFloat(payment.amount) - refunded - applied) }
+}
+
+// Void a completed payment (or refund) during sessionId, the shift the money
+// goes back out of; null when voided outside any shift. Voiding an
+// application of credit gives the credit back to its deposit.
+async function voidPayment(client, paymentId, { reason, userId = null, sessionId = null }) {
+  const payment = await lockPayment(client, paymentId)
+  if (payment.status !== 'completed') {
+    throw new HttpError(409, `Payment is ${payment.status}`)
+  }
+
+  const { refunded, applied } = await getRefundable(client, payment)
+  if (refunded > 0) {
+    throw new HttpError(409, 'Payment has refunds, void them first', { refunded })
+  }
+  if (applied > 0) {
+    throw new HttpError(409, 'Deposit has been applied, void its applications first', { applied })
+  }
+  if (payment.applied_from_payment_id) {
+    sessionId = null
+  }
+
+  const result = await client.query(`
+    UPDATE payments
+    SET status = 'voided', void_reason = $2, voided_by = $3, voided_at = CURRENT_TIMESTAMP,
+        void_session_id = $4, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [paymentId, reason, userId, sessionId])
+
+  await refreshPaymentTargets(client, { invoiceId: payment.invoice_id, orderId: payment.order_id })
+  return result.rows[0]
+}
+
+// Give back part or all of a completed payment as a negative payment linked to
+// it. amount defaults to everything not refunded yet; the method to the one
+// the customer paid with.
+async function refundPayment(client, paymentId, {
+  amount = null, paymentMethod = null, referenceNumber = null, reason = null, userId = null, sessionId = null, branch
+}) {
+  const payment = await lockPayment(client, paymentId)
+  if (payment.status !== 'completed') {
+    throw new HttpError(409, `Payment is ${payment.status}`)
+  }
+  if (payment.refund_of_payment_id) {
+    throw new HttpError(409, 'A refund cannot be refunded, void it instead')
+  }
+  if (payment.applied_from_payment_id) {
+    throw new HttpError(409, 'Applied credit cannot be refunded, void it instead')
+  }
+
+  const { refundable } = await getRefundable(client, payment)
+  const refundAmount = amount === null ? refundable : round2(parseFloat(amount))
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new HttpError(409, 'Refund exceeds what is left of the payment', {
+      amount: parseFloat(payment.amount),
+      refundable
+    })
+  }
+
+  const paymentNumber = await nextNumber(client, 'payment', { branch })
+  const result = await client.query(`
+    INSERT INTO payments (
+      order_id, invoice_id, customer_id, payment_number, amount, payment_method,
+      payment_date, reference_number, notes, user_id, status, register_session_id, refund_of_payment_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7, $8, $9, 'completed', $10, $11)
+    RETURNING *
+  `, [
+    payment.order_id, payment.invoice_id, payment.customer_id, paymentNumber, -refundAmount,
+    paymentMethod || payment.payment_method, referenceNumber,
+    reason || `Refund of payment ${payment.payment_number}`, userId, sessionId, payment.id
+  ])
+
+  await refreshPaymentTargets(client, { invoiceId: payment.invoice_id, orderId: payment.order_id })
+  return result.rows[0]
+}
+
+// Work out how the tenders of a sale pay orderTotal. Only cash may go over what
+// is owed; the difference is change, taken back from the cash tenders (last
+// first), so each payment amount is what was applied to the sale. Credit is
+// not a tender: what the tenders leave unpaid stays owed.
+function planTenders(tenders, orderTotal) {
+  const planned = tenders.map(tender => {
+    const method = String(tender.payment_method).trim()
+    if (CREDIT_PAYMENT_METHODS.includes(method.toLowerCase())) {
+      throw new HttpError(400, `${method} is not a tender, sell with payment_method '${method}' to leave the rest owed`)
+    }
+    const amount = round2(parseFloat(tender.amount))
+    return {
+      payment_method: method,
+      cash: isCashMethod(method),
+      amount_tendered: amount,
+      amount,
+      change_given: 0,
+      reference_number: tender.reference_number || null
+    }
+  })
+
+  const total = round2(orderTotal)
+  const tendered = round2(planned.reduce((sum, tender) => sum + tender.amount_tendered, 0))
+  const nonCash = round2(planned.filter(tender => !tender.cash).reduce((sum, tender) => sum + tender.amount_tendered, 0))
+  if (nonCash > total) {
+    throw new HttpError(400, 'Only cash tenders can go over the order total', { order_total: total, non_cash: nonCash })
+  }
+
+  const changeDue = Math.max(round2(tendered - total), 0)
+  let change = changeDue
+  for (const tender of [...planned].reverse()) {
+    if (change <= 0) break
+    if (!tender.cash) continue
+    const given = Math.min(change, tender.amount)
+    tender.change_given = given
+    tender.amount = round2(tender.amount - given)
+    change = round2(change - given)
+  }
+
+  if (planned.some(tender => tender.amount <= 0)) {
+    throw new HttpError(400, 'A cash tender cannot be all change', { order_total: total, tendered, change_due: changeDue })
+  }
+
+  const paid = round2(tendered - changeDue)
+  return {
+    tenders: planned.map(({ cash, ...tender }) => tender),
+    tendered,
+    paid,
+    change_due: changeDue,
+    balance_due: round2(total - paid)
+  }
+}
+
+// Record the planned tenders of a new order as completed payments of the shift
+// that rang it up, and set its payment_status
+async function recordTenders(client, order, plan, { userId = null, sessionId = null, branch }) {
+  const payments = []
+  for (const tender of plan.tenders) {
+    const paymentNumber = await nextNumber(client, 'payment', { branch })
+    const result = await client.query(`
+      INSERT INTO payments (
+        order_id, customer_id, payment_number, amount, payment_method, payment_date, reference_number,
+        user_id, status, register_session_id, amount_tendered, change_given
+      )
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, $6, $7, 'completed', $8, $9, $10)
+      RETURNING *
+    `, [
+      order.id, order.customer_id, paymentNumber, tender.amount, tender.payment_method, tender.reference_number,
+      userId, sessionId, tender.amount_tendered, tender.change_given
+    ])
+    payments.push(result.rows[0])
+  }
+
+  await refreshPaymentTargets(client, { orderId: order.id })
+  return payments
+}
+
+// Take money from a customer with no invoice or order as unapplied credit
+async function recordDeposit(client, {
+  customerId, amount, paymentMethod, paymentDate = null, referenceNumber = null, notes = null,
+  userId = null, sessionId = null, branch
+}) {
+  const paymentNumber = await nextNumber(client, 'payment', { branch })
+  const result = await client.query(`
+    INSERT INTO payments (
+      customer_id, payment_number, amount, payment_method, payment_date, reference_number, notes,
+      user_id, status, register_session_id, is_deposit
+    )
+    VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP), $6, $7, $8, 'completed', $9, true)
+    RETURNING *
+  `, [customerId, paymentNumber, round2(parseFloat(amount)), paymentMethod, paymentDate, referenceNumber, notes, userId, sessionId])
+  return result.rows[0]
+}
+
+// Deposits of a customer, oldest first, with what is left of each: its amount
+// less the credit applied from it and its refunds. Pass { lock: true } inside
+// a transaction to lock them until it ends.
+async function getUnappliedCredit(db, customerId, { lock = false } = {}) {
+  if (lock) {
+    await db.query(
+      "SELECT id FROM payments WHERE customer_id = $1 AND is_deposit AND status = 'completed' FOR UPDATE",
+      [customerId]
+    )
+  }
+
+  const result = await db.query(`
+    SELECT
+      d.id, d.payment_number, d.payment_date, d.payment_method, d.reference_number, d.amount,
+      (SELECT COALESCE(SUM(a.amount), 0) FROM payments a
+        WHERE a.applied_from_payment_id = d.id AND a.status = 'completed') as applied,
+      (SELECT COALESCE(SUM(-r.amount), 0) FROM payments r
+        WHERE r.refund_of_payment_id = d.id AND r.status = 'completed') as refunded
+    FROM payments d
+    WHERE d.customer_id = $1 AND d.is_deposit AND d.status = 'completed'
+    ORDER BY d.payment_date, d.created_at
+  `, [customerId])
+
+  const deposits = result.rows.map(row => {
+    const amount = parseFloat(row.amount)
+    const applied = parseFloat(row.applied)
+    const refunded = parseFloat(row.refunded)
+    return { ...row, amount, applied, refunded, remaining: round2(amount - applied - refunded) }
+  })
+  return {
+    deposits,
+    unapplied: round2(deposits.reduce((sum, deposit) => sum + deposit.remaining, 0))
+  }
+}
+
+// Lock the invoice or order credit is applied to and work out what it still
+// owes: total less credit notes and payments net of refunds
+async function lockCreditTarget(client, { invoice_id: invoiceId, order_id: orderId }) {
+  if (invoiceId) {
+    const result = await client.query(`
+      SELECT
+        i.id, i.invoice_number as number, i.customer_id, i.status,
+        i.total - COALESCE(i.credited_amount, 0)
+          - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = i.id AND status = 'completed')
+          + (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE invoice_id = i.id AND status = 'completed') as owed
+      FROM invoices i
+      WHERE i.id = $1
+      FOR UPDATE OF i
+    `, [invoiceId])
+    if (result.rows.length === 0) {
+      throw new HttpError(404, 'Invoice not found', { invoice_id: invoiceId })
+    }
+    return { ...result.rows[0], invoiceId, orderId: null, owed: round2(parseFloat(result.rows[0].owed)) }
+  }
+
+  const result = await client.query(`
+    SELECT
+      o.id, o.order_number as number, o.customer_id, o.status,
+      o.total
+        - (SELECT COALESCE(SUM(amount), 0) FROM credit_notes WHERE order_id = o.id AND status <> 'void')
+        - (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE order_id = o.id AND status = 'completed')
+        + (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE order_id = o.id AND status = 'completed') as owed
+    FROM orders o
+    WHERE o.id = $1 AND o.deleted_at IS NULL
+    FOR UPDATE OF o
+  `, [orderId])
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Order not found', { order_id: orderId })
+  }
+  return { ...result.rows[0], invoiceId: null, orderId, owed: round2(parseFloat(result.rows[0].owed)) }
+}
+
+// Apply unapplied credit of a customer to its invoices and orders. Each
+// application is { invoice_id } or { order_id } with an optional amount that
+// defaults to what is owed, as far as the credit goes. Credit comes from the
+// oldest deposits first, one 'account_credit' payment per deposit drawn.
+async function applyCustomerCredit(client, customerId, applications, { userId = null, branch }) {
+  customerId = customerId.toLowerCase()
+  const { deposits, unapplied } = await getUnappliedCredit(client, customerId, { lock: true })
+  let available = unapplied
+  const payments = []
+
+  for (const application of applications) {
+    const target = await lockCreditTarget(client, application)
+    if (String(target.customer_id).toLowerCase() !== customerId) {
+      throw new HttpError(400, `${target.number} belongs to another customer`)
+    }
+    if (target.status === 'cancelled') {
+      throw new HttpError(409, `${target.number} is cancelled`)
+    }
+
+    if (target.owed <= 0) {
+      throw new HttpError(409, `${target.number} is already paid`)
+    }
+    if (available <= 0) {
+      throw new HttpError(409, 'Customer has no unapplied credit left')
+    }
+
+    const hasAmount = application.amount !== undefined && application.amount !== null
+    const amount = hasAmount ? round2(parseFloat(application.amount)) : Math.min(target.owed, available)
+    if (amount <= 0 || amount > target.owed) {
+      throw new HttpError(409, `Amount exceeds what ${target.number} owes`, { owed: target.owed, amount })
+    }
+    if (amount > available) {
+      throw new HttpError(409, 'Not enough unapplied credit', { unapplied: available, amount })
+    }
+
+    let left = amount
+    for (const deposit of deposits) {
+      if (left <= 0) break
+      if (deposit.remaining <= 0) continue
+
+      const part = Math.min(left, deposit.remaining)
+      const paymentNumber = await nextNumber(client, 'payment', { branch })
+      const result = await client.query(`
+        INSERT INTO payments (
+          order_id, invoice_id, customer_id, payment_number, amount, payment_method,
+          payment_date, notes, user_id, status, applied_from_payment_id
+        )
+        VALUES ($1, $2, $3, $4, $5, 'account_credit', CURRENT_TIMESTAMP, $6, $7, 'completed', $8)
+        RETURNING *
+      `, [
+        target.orderId, target.invoiceId, customerId, paymentNumber, part,
+        `Credit from payment ${deposit.payment_number}`, userId, deposit.id
+      ])
+      payments.push(result.rows[0])
+
+      deposit.remaining = round2(deposit.remaining - part)
+      left = round2(left - part)
+    }
+
+    available = round2(available - amount)
+    await refreshPaymentTargets(client, { invoiceId: target.invoiceId, orderId: target.orderId })
+  }
+
+  return { payments, unapplied: available }
+}
+
+module.exports = {
+  recordDeposit,
+  getUnappliedCredit,
+  applyCustomerCredit,
+  planTenders,
+  recordTenders,
+  refreshPaymentTargets,
+  getRefundable,
+  voidPayment,
+  refundPayment
+}
@@ -0,0 +1,372 @@
+const zlib = require('zlib')
+
+// Minimal PDF writer for text documents (reports, invoices). It uses the
+// standard Helvetica fonts every PDF reader provides, so nothing is embedded,
+// and lays text out top to bottom with automatic page breaks. JPEG and PNG
+// images (logos) can be placed as well.
+
+const A4 = { width: 595.28, height: 841.89 }
+const A5 = { width: 419.53, height: 595.28 }
+
+// Advance widths (1/1000 em) of the printable ASCII characters, from the
+// Helvetica and Helvetica-Bold AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+}
+
+// Text as the single-byte WinAnsi encoding of the fonts. Characters outside
+// Latin-1 are replaced with '?'.
+const encode = (value) => String(value).replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+
+const charWidth = (char, weight) => {
+  const code = char.charCodeAt(0)
+  if (code >= 32 && code <= 126) return WIDTHS[weight][code - 32]
+  // Accented letters are as wide as their base letter
+  const base = char.normalize('NFD')[0]
+  return base !== char ? charWidth(base, weight) : 556
+}
+
+function textWidth(value, size, bold = false) {
+  const weight = bold ? 'bold' : 'regular'
+  let width = 0
+  for (const char of encode(value)) width += charWidth(char, weight)
+  return (width * size) / 1000
+}
+
+// Cut text to fit a width, marking the cut with '...'
+function fitText(value, maxWidth, size, bold) {
+  let text = encode(value)
+  if (textWidth(text, size, bold) <= maxWidth) return text
+  while (text.length > 0 && textWidth(`${text}...`, size, bold) > maxWidth) {
+    text = text.slice(0, -1)
+  }
+  return `${text}...`
+}
+
+// JPEG files are embedded as they are; only the size and colour components
+// are read from the first frame header
+function parseJpeg(buffer) {
+  let offset = 2
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) break
+    const marker = buffer[offset + 1]
+    const length = buffer.readUInt16BE(offset + 2)
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = buffer[offset + 9]
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        colorSpace: components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+        bitsPerComponent: 8,
+        filter: '/DCTDecode',
+        data: buffer
+      }
+    }
+    offset += 2 + length
+  }
+  throw new Error('Unsupported JPEG image')
+}
+
+// Undo the PNG row filters of 8-bit pixel data
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel
+  const pixels = Buffer.alloc(stride * height)
+  for (let row = 0; row < height; row++) {
+    const filter = data[row * (stride + 1)]
+    const line = data.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1))
+    const out = row * stride
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? pixels[out + i - bytesPerPixel] : 0
+      const up = row > 0 ? pixels[out + i - stride] : 0
+      const upLeft = row > 0 && i >= bytesPerPixel ? pixels[out + i - stride - bytesPerPixel] : 0
+      let value = line[i]
+      if (filter === 1) value += left
+      else if (filter === 2) value += up
+      else if (filter === 3) value += Math.floor((left + up) / 2)
+      else if (filter === 4) {
+        const estimate = left + up - upLeft
+        const distLeft = Math.abs(estimate - left)
+        const distUp = Math.abs(estimate - up)
+        const distUpLeft = Math.abs(estimate - upLeft)
+        value += distLeft <= distUp && distLeft <= distUpLeft ? left : distUp <= distUpLeft ? up : upLeft
+      }
+      pixels[out + i] = value & 0xff
+    }
+  }
+  return pixels
+}
+
+// PNG pixel data is kept compressed and decoded by the reader with the PNG
+// predictors, except when there is an alpha channel: PDF needs it as a
+// separate mask, so those images are decoded here.
+function parsePng(buffer) {
+  let offset = 8
+  let header = null
+  let palette = null
+  const chunks = []
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    const data = buffer.subarray(offset + 8, offset + 8 + length)
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      }
+    } else if (type === 'PLTE') {
+      palette = data
+    } else if (type === 'IDAT') {
+      chunks.push(data)
+    } else if (type === 'IEND') {
+      break
+    }
+    offset += 12 + length
+  }
+
+  if (!header || header.interlace !== 0) throw new Error('Unsupported PNG image (interlaced)')
+  const { width, height, bitDepth, colorType } = header
+  const data = Buffer.concat(chunks)
+
+  if (colorType === 4 || colorType === 6) {
+    if (bitDepth !== 8) throw new Error('Unsupported PNG image (16-bit with alpha)')
+    const channels = colorType === 6 ? 4 : 2
+    const pixels = unfilterPng(zlib.inflateSync(data), width, height, channels)
+    const colors = Buffer.alloc(width * height * (channels - 1))
+    const alpha = Buffer.alloc(width * height)
+    for (let i = 0, c = 0; i < width * height; i++) {
+      for (let j = 0; j < channels - 1; j++) colors[c++] = pixels[i * channels + j]
+      alpha[i] = pixels[i * channels + channels - 1]
+    }
+    return {
+      width,
+      height,
+      colorSpace: channels === 4 ? '/DeviceRGB' : '/DeviceGray',
+      bitsPerComponent: 8,
+      filter: '/FlateDecode',
+      data: zlib.deflateSync(colors),
+      mask: zlib.deflateSync(alpha)
+    }
+  }
+
+  const colors = colorType === 2 ? 3 : 1
+  return {
+    width,
+    height,
+    colorSpace: colorType === 3
+      ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`
+      : colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+    bitsPerComponent: bitDepth,
+    filter: '/FlateDecode',
+    decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent ${bitDepth} /Columns ${width} >>`,
+    data
+  }
+}
+
+// Image from the bytes of a JPEG or PNG file
+function parseImage(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return parseJpeg(buffer)
+  if (buffer.toString('latin1', 1, 4) === 'PNG') return parsePng(buffer)
+  throw new Error('Unsupported image format, use JPEG or PNG')
+}
+
+const escapeString = (value) => value.replace(/([\\()])/g, '\\$1')
+const num = (value) => Number(value.toFixed(2)).toString()
+
+class PdfDocument {
+  constructor({ width = A4.width, height = A4.height, margin = 40 } = {}) {
+    this.width = width
+    this.height = height
+    this.margin = margin
+    this.pages = []
+    this.images = []
+    this.addPage()
+  }
+
+  get contentWidth() {
+    return this.width - this.margin * 2
+  }
+
+  addPage() {
+    this.current = []
+    this.pages.push(this.current)
+    this.y = this.margin
+  }
+
+  // Start a new page unless `height` points still fit on this one. Returns
+  // true when a page was added.
+  ensureSpace(height) {
+    if (this.y + height <= this.height - this.margin) return false
+    this.addPage()
+    return true
+  }
+
+  moveDown(points = 6) {
+    this.y += points
+  }
+
+  // One line of text at the cursor. align is left, center or right within
+  // [x, x + width]; text that does not fit is cut.
+  text(value, { size = 10, bold = false, align = 'left', x = this.margin, width = this.contentWidth } = {}) {
+    const lineHeight = size * 1.4
+    this.ensureSpace(lineHeight)
+    this.drawText(value, { size, bold, align, x, width })
+    this.y += lineHeight
+  }
+
+  // A table row: cells of { text, width, align, bold } laid out left to right
+  row(cells, { size = 9, bold = false } = {}) {
+    const lineHeight = size * 1.5
+    this.ensureSpace(lineHeight)
+    let x = this.margin
+    for (const cell of cells) {
+      this.drawText(cell.text, {
+        size,
+        bold: cell.bold !== undefined ? cell.bold : bold,
+        align: cell.align || 'left',
+        x,
+        width: cell.width
+      })
+      x += cell.width
+    }
+    this.y += lineHeight
+  }
+
+  // Horizontal line across the content width
+  rule({ thickness = 0.5 } = {}) {
+    this.ensureSpace(8)
+    const y = this.height - this.y - 3
+    this.current.push(`${num(thickness)} w ${num(this.margin)} ${num(y)} m ${num(this.width - this.margin)} ${num(y)} l S`)
+    this.y += 8
+  }
+
+  // Draw an image (from parseImage) with its top-left corner at x and the
+  // cursor, scaled to fit in width x height. The cursor does not move.
+  // Returns the size drawn.
+  image(image, { x = this.margin, width, height }) {
+    const scale = Math.min(width / image.width, height / image.height)
+    const drawnWidth = image.width * scale
+    const drawnHeight = image.height * scale
+
+    let index = this.images.indexOf(image)
+    if (index === -1) index = this.images.push(image) - 1
+
+    const y = this.height - this.y - drawnHeight
+    this.current.push(`q ${num(drawnWidth)} 0 0 ${num(drawnHeight)} ${num(x)} ${num(y)} cm /Im${index + 1} Do Q`)
+    return { width: drawnWidth, height: drawnHeight }
+  }
+
+  drawText(value, { size, bold, align, x, width }) {
+    if (value === undefined || value === null || value === '') return
+    const text = fitText(value, width, size, bold)
+    const textX = align === 'right'
+      ? x + width - textWidth(text, size, bold)
+      : align === 'center'
+        ? x + (width - textWidth(text, size, bold)) / 2
+        : x
+    // The cursor is the top of the line; PDF places text on its baseline
+    const baseline = this.height - this.y - size
+    this.current.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(textX)} ${num(baseline)} Td (${escapeString(text)}) Tj ET`)
+  }
+
+  toBuffer() {
+    const objects = []
+    const addObject = (body) => {
+      objects.push(body)
+      return objects.length
+    }
+
+    const catalogId = addObject(null)
+    const pagesId = addObject(null)
+    const regularId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'))
+    const boldId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'))
+
+    const stream = (dictionary, data) => Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`),
+      data,
+      Buffer.from('\nendstream')
+    ])
+    const imageIds = this.images.map(image => {
+      const maskId = image.mask
+        ? addObject(stream(
+          `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          '/ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode',
+          image.mask
+        ))
+        : null
+      return addObject(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace ${image.colorSpace} /BitsPerComponent ${image.bitsPerComponent} /Filter ${image.filter}` +
+        (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : '') +
+        (maskId ? ` /SMask ${maskId} 0 R` : ''),
+        image.data
+      ))
+    })
+    const xObjects = imageIds.length > 0
+      ? ` /XObject << ${imageIds.map((id, index) => `/Im${index + 1} ${id} 0 R`).join(' ')} >>`
+      : ''
+
+    const pageIds = this.pages.map(operations => {
+      const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'))
+      const contentId = addObject(stream('/Filter /FlateDecode', content))
+      return addObject(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] ` +
+        `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >>${xObjects} >> /Contents ${contentId} 0 R >>`
+      ))
+    })
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`)
+    objects[pagesId - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`)
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')]
+    let offset = chunks[0].length
+    const offsets = []
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')])
+      offsets.push(offset)
+      chunks.push(chunk)
+      offset += chunk.length
+    })
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF'
+    ]
+    chunks.push(Buffer.from(`${xref.join('\n')}\n`))
+
+    return Buffer.concat(chunks)
+  }
+}
+
+module.exports = {
+  A4,
+  A5,
+  PdfDocument,
+  parseImage,
+  textWidth
+}
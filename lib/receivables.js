@@ -0,0 +1,131 @@
+const { round2, toDateString } = require('./helpers')
+
+// Accounts receivable. What each invoice still owes on a given date, from its
+// total less the payments, refunds and credit notes registered up to that
+// date, and how far past its due date it is. The aging report and dunning
+// (lib/dunning.js) are both built on it.
+
+// Days past the due date covered by each bucket, inclusive
+const AGING_BUCKETS = [
+  { key: 'current', from: null, to: 0 },
+  { key: '1_30', from: 1, to: 30 },
+  { key: '31_60', from: 31, to: 60 },
+  { key: '61_90', from: 61, to: 90 },
+  { key: 'over_90', from: 91, to: null }
+]
+
+function bucketFor(daysOverdue) {
+  return AGING_BUCKETS.find(bucket => bucket.to === null || daysOverdue <= bucket.to).key
+}
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]))
+
+// Invoices with an amount left to pay on asOf (YYYY-MM-DD), oldest due first.
+// Invoices without a due date are due on their invoice date. Cancelled and
+// deleted invoices owe nothing.
+async function findOpenInvoices(db, { asOf = toDateString(new Date()), customerId = null } = {}) {
+  const conditions = [
+    'i.deleted_at IS NULL',
+    "i.status <> 'cancelled'",
+    'i.invoice_date <= $1::date'
+  ]
+  const params = [asOf]
+  if (customerId) {
+    params.push(customerId)
+    conditions.push(`i.customer_id = $${params.length}`)
+  }
+
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT
+        i.id,
+        i.invoice_number,
+        i.customer_id,
+        c.name as customer_name,
+        i.invoice_date::text as invoice_date,
+        COALESCE(i.due_date, i.invoice_date)::text as due_date,
+        i.total,
+        COALESCE(p.amount, 0) - COALESCE(r.amount, 0) as paid,
+        COALESCE(cn.amount, 0) as credited,
+        i.total - COALESCE(p.amount, 0) + COALESCE(r.amount, 0) - COALESCE(cn.amount, 0) as outstanding,
+        $1::date - COALESCE(i.due_date, i.invoice_date) as days_overdue
+      FROM invoices i
+      LEFT JOIN customers c ON i.customer_id = c.id
+      LEFT JOIN LATERAL (
+        SELECT SUM(amount) as amount FROM payments
+        WHERE invoice_id = i.id AND status = 'completed' AND payment_date::date <= $1::date
+      ) p ON true
+      LEFT JOIN LATERAL (
+        SELECT SUM(amount) as amount FROM refunds
+        WHERE invoice_id = i.id AND status = 'completed' AND refund_date::date <= $1::date
+      ) r ON true
+      LEFT JOIN LATERAL (
+        SELECT SUM(amount) as amount FROM credit_notes
+        WHERE invoice_id = i.id AND status <> 'void' AND created_at::date <= $1::date
+      ) cn ON true
+      WHERE ${conditions.join(' AND ')}
+    ) open_invoices
+    WHERE outstanding > 0.005
+    ORDER BY due_date, invoice_number
+  `, params)
+
+  return result.rows.map(invoice => ({
+    ...invoice,
+    total: parseFloat(invoice.total) || 0,
+    paid: round2(parseFloat(invoice.paid) || 0),
+    credited: round2(parseFloat(invoice.credited) || 0),
+    outstanding: round2(parseFloat(invoice.outstanding) || 0),
+    days_overdue: Math.max(parseInt(invoice.days_overdue) || 0, 0),
+    bucket: bucketFor(parseInt(invoice.days_overdue) || 0)
+  }))
+}
+
+// Aging report: the open balance of every customer split by bucket, plus the
+// totals of all customers. Pass includeInvoices to list each customer's
+// invoices too.
+async function buildAgingReport(db, { asOf = toDateString(new Date()), customerId = null, includeInvoices = false } = {}) {
+  const invoices = await findOpenInvoices(db, { asOf, customerId })
+
+  const customers = new Map()
+  const totals = { ...emptyBuckets(), total: 0, invoices: 0 }
+  for (const invoice of invoices) {
+    const key = invoice.customer_id || 'none'
+    let entry = customers.get(key)
+    if (!entry) {
+      entry = {
+        customer_id: invoice.customer_id,
+        customer_name: invoice.customer_name,
+        ...emptyBuckets(),
+        total: 0,
+        invoices: 0,
+        oldest_days_overdue: 0
+      }
+      if (includeInvoices) entry.open_invoices = []
+      customers.set(key, entry)
+    }
+
+    entry[invoice.bucket] = round2(entry[invoice.bucket] + invoice.outstanding)
+    entry.total = round2(entry.total + invoice.outstanding)
+    entry.invoices++
+    entry.oldest_days_overdue = Math.max(entry.oldest_days_overdue, invoice.days_overdue)
+    if (includeInvoices) entry.open_invoices.push(invoice)
+
+    totals[invoice.bucket] = round2(totals[invoice.bucket] + invoice.outstanding)
+    totals.total = round2(totals.total + invoice.outstanding)
+    totals.invoices++
+  }
+
+  return {
+    as_of: asOf,
+    buckets: AGING_BUCKETS,
+    customers: [...customers.values()].sort((a, b) => b.total - a.total),
+    totals
+  }
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  bucketFor,
+  findOpenInvoices,
+  buildAgingReport
+}
@@ -0,0 +1,286 @@
+const { HttpError } = require('./errors')
+const { hasPermission } = require('../config/permissions')
+const { round2 } = require('./helpers')
+
+// Cash register shifts (migrations 0018 and 0019). Each register (till) has at
+// most one open shift, worked by the cashier who opened it. Orders, payments
+// and refunds taken during a shift are linked to it through
+// register_session_id, so what each drawer should hold is computed from the
+// database and never taken from the client.
+
+// Payment methods that put physical cash in the drawer
+const CASH_METHODS = ['cash', 'efectivo']
+
+// US dollar bills and coins accepted in a cash count
+const DENOMINATIONS = [100, 50, 20, 10, 5, 2, 1, 0.5, 0.25, 0.1, 0.05, 0.01]
+
+const isCashMethod = (method) => CASH_METHODS.includes(String(method || '').toLowerCase())
+
+// The open shift matching the filters, or null. Pass { lock: true } inside a
+// transaction to keep it from being closed until the transaction ends.
+async function getOpenSession(db, { sessionId, registerId, userId, lock = false } = {}) {
+  const conditions = ["rs.status = 'open'"]
+  const params = []
+
+  if (sessionId) {
+    params.push(sessionId)
+    conditions.push(`rs.id = $${params.length}`)
+  }
+  if (registerId) {
+    params.push(registerId)
+    conditions.push(`rs.register_id = $${params.length}`)
+  }
+  if (userId) {
+    params.push(userId)
+    conditions.push(`rs.opened_by = $${params.length}`)
+  }
+
+  const result = await db.query(`
+    SELECT rs.*, r.code as register_code, r.name as register_name
+    FROM register_sessions rs
+    JOIN registers r ON rs.register_id = r.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY rs.opened_at
+    LIMIT 1
+    ${lock ? 'FOR UPDATE OF rs' : ''}
+  `, params)
+  return result.rows[0] || null
+}
+
+// Whether the request asks to write into a closed shift. Only managers
+// (register:override) may; anyone else asking gets a 403.
+function requestedOverride(req) {
+  if (req.body.register_override !== true) return false
+  if (!hasPermission(req.user.role, 'register:override')) {
+    throw new HttpError(403, 'Insufficient permissions', { required_permission: 'register:override' })
+  }
+  return true
+}
+
+// A document cannot be dated inside a closed shift unless overridden
+async function assertDateNotInClosedShift(client, date, override = false) {
+  if (!date || override) return
+
+  const result = await client.query(`
+    SELECT id
+    FROM register_sessions
+    WHERE status = 'closed' AND $1::timestamptz BETWEEN opened_at AND closed_at
+    LIMIT 1
+  `, [date])
+  if (result.rows.length > 0) {
+    throw new HttpError(409, 'Date falls inside a closed register shift', {
+      register_session_id: result.rows[0].id,
+      override_permission: 'register:override'
+    })
+  }
+}
+
+// Documents of a closed shift cannot be added, changed or voided unless
+// overridden. The shared lock makes a concurrent close wait until the document
+// is committed, so it is always counted.
+async function assertShiftOpen(client, sessionId, override = false) {
+  if (!sessionId) return
+
+  const result = await client.query(
+    'SELECT id, status FROM register_sessions WHERE id = $1 FOR SHARE',
+    [sessionId]
+  )
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Register shift not found', { register_session_id: sessionId })
+  }
+  if (result.rows[0].status !== 'open' && !override) {
+    throw new HttpError(409, 'Register shift is closed', {
+      register_session_id: sessionId,
+      override_permission: 'register:override'
+    })
+  }
+}
+
+// Shift an order, payment or refund is taken in: the one named in the request,
+// otherwise the shift the user has open, otherwise null (outside any drawer).
+async function getOpenSessionId(client, { sessionId, userId, documentDate, override = false } = {}) {
+  await assertDateNotInClosedShift(client, documentDate, override)
+
+  if (sessionId) {
+    await assertShiftOpen(client, sessionId, override)
+    return sessionId
+  }
+
+  if (!userId) return null
+
+  const result = await client.query(`
+    SELECT id
+    FROM register_sessions
+    WHERE status = 'open' AND opened_by = $1
+    LIMIT 1
+    FOR SHARE
+  `, [userId])
+  return result.rows.length > 0 ? result.rows[0].id : null
+}
+
+// Total of a cash count given as { "<value>": count }. Throws 400 for unknown
+// denominations or counts that are not whole numbers.
+function countDenominations(denominations) {
+  if (!denominations || typeof denominations !== 'object' || Array.isArray(denominations)) {
+    throw new HttpError(400, 'denominations must be an object of { value: count }')
+  }
+
+  let total = 0
+  for (const [value, count] of Object.entries(denominations)) {
+    const denomination = parseFloat(value)
+    if (!DENOMINATIONS.includes(denomination)) {
+      throw new HttpError(400, `Unknown denomination ${value}`, { allowed_denominations: DENOMINATIONS })
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new HttpError(400, `Count for denomination ${value} must be a whole number of 0 or more`)
+    }
+    total += denomination * count
+  }
+
+  return round2(total)
+}
+
+// Everything the register took during a shift, grouped by payment method,
+// and the cash that should be in the drawer:
+// opening float + cash payments - cash refunds - voids - drops - payouts
+// A payment voided in the shift it was taken in never counts. One voided in a
+// later shift stays in its own shift and is paid back out of the later one
+// (migration 0028). Refund payments are negative and count as refunded.
+async function computeSessionTotals(db, session) {
+  const methodsResult = await db.query(`
+    SELECT
+      LOWER(method) as payment_method,
+      SUM(collected) as collected,
+      SUM(refunded) as refunded,
+      SUM(voided) as voided
+    FROM (
+      SELECT payment_method as method, GREATEST(amount, 0) as collected, GREATEST(-amount, 0) as refunded, 0 as voided
+      FROM payments
+      WHERE register_session_id = $1
+        AND (status = 'completed' OR (status = 'voided' AND void_session_id IS DISTINCT FROM $1))
+      UNION ALL
+      SELECT refund_method, 0, amount, 0
+      FROM refunds
+      WHERE register_session_id = $1 AND status = 'completed'
+      UNION ALL
+      SELECT payment_method, 0, 0, amount
+      FROM payments
+      WHERE void_session_id = $1 AND status = 'voided' AND register_session_id IS DISTINCT FROM $1
+    ) movements
+    GROUP BY LOWER(method)
+    ORDER BY LOWER(method)
+  `, [session.id])
+
+  const movementsResult = await db.query(`
+    SELECT
+      COALESCE(SUM(amount) FILTER (WHERE movement_type = 'drop'), 0) as drops,
+      COALESCE(SUM(amount) FILTER (WHERE movement_type = 'payout'), 0) as payouts
+    FROM register_cash_movements
+    WHERE session_id = $1
+  `, [session.id])
+
+  const openingFloat = parseFloat(session.opening_float) || 0
+  const cashDrops = parseFloat(movementsResult.rows[0].drops) || 0
+  const cashPayouts = parseFloat(movementsResult.rows[0].payouts) || 0
+
+  const paymentMethods = methodsResult.rows.map(row => {
+    const collected = parseFloat(row.collected) || 0
+    const refunded = parseFloat(row.refunded) || 0
+    const voided = parseFloat(row.voided) || 0
+    return {
+      payment_method: row.payment_method,
+      collected,
+      refunded,
+      voided,
+      net: round2(collected - refunded - voided)
+    }
+  })
+
+  const cashNet = paymentMethods
+    .filter(method => isCashMethod(method.payment_method))
+    .reduce((sum, method) => sum + method.net, 0)
+
+  return {
+    opening_float: openingFloat,
+    payment_methods: paymentMethods,
+    total_collected: round2(paymentMethods.reduce((sum, method) => sum + method.collected, 0)),
+    total_refunded: round2(paymentMethods.reduce((sum, method) => sum + method.refunded, 0)),
+    total_voided: round2(paymentMethods.reduce((sum, method) => sum + method.voided, 0)),
+    cash_drops: cashDrops,
+    cash_payouts: cashPayouts,
+    expected_cash: round2(openingFloat + cashNet - cashDrops - cashPayouts)
+  }
+}
+
+// Payments voided during a shift, oldest first. same_shift is true for those
+// taken in the shift itself, which never counted; the others are paid back out
+// of its drawer.
+async function listSessionVoids(db, sessionId) {
+  const result = await db.query(`
+    SELECT
+      p.id as payment_id, p.payment_number, p.payment_date, p.amount, p.payment_method,
+      p.reference_number, p.refund_of_payment_id, o.order_number, i.invoice_number,
+      p.register_session_id, p.voided_at, p.void_reason, p.voided_by, u.full_name as voided_by_name,
+      p.register_session_id IS NOT DISTINCT FROM p.void_session_id as same_shift
+    FROM payments p
+    LEFT JOIN orders o ON p.order_id = o.id
+    LEFT JOIN invoices i ON p.invoice_id = i.id
+    LEFT JOIN users u ON p.voided_by = u.id
+    WHERE p.void_session_id = $1 AND p.status = 'voided'
+    ORDER BY p.voided_at
+  `, [sessionId])
+
+  return result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }))
+}
+
+// Compare what was counted with what was expected, per payment method. Cash
+// is compared against the drawer count; other methods (card slips, transfer
+// reports) against the amounts declared by the cashier, when given.
+function reconcile(totals, countedCash, declared = {}) {
+  const declaredByMethod = Object.fromEntries(
+    Object.entries(declared || {}).map(([method, amount]) => [method.toLowerCase(), parseFloat(amount)])
+  )
+
+  const methods = new Set([
+    'cash',
+    ...totals.payment_methods.map(method => method.payment_method).filter(method => !isCashMethod(method)),
+    ...Object.keys(declaredByMethod).filter(method => !isCashMethod(method))
+  ])
+
+  return [...methods].map(method => {
+    if (method === 'cash') {
+      return {
+        payment_method: 'cash',
+        expected: totals.expected_cash,
+        counted: countedCash,
+        over_short: round2(countedCash - totals.expected_cash)
+      }
+    }
+
+    const summary = totals.payment_methods.find(m => m.payment_method === method)
+    const expected = summary ? summary.net : 0
+    const counted = Number.isFinite(declaredByMethod[method]) ? declaredByMethod[method] : null
+
+    return {
+      payment_method: method,
+      expected,
+      counted,
+      over_short: counted === null ? null : round2(counted - expected)
+    }
+  })
+}
+
+module.exports = {
+  CASH_METHODS,
+  DENOMINATIONS,
+  isCashMethod,
+  getOpenSession,
+  getOpenSessionId,
+  requestedOverride,
+  assertDateNotInClosedShift,
+  assertShiftOpen,
+  countDenominations,
+  computeSessionTotals,
+  listSessionVoids,
+  reconcile
+}
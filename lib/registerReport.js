@@ -0,0 +1,294 @@
+const { PdfDocument } = require('./pdf')
+const { pad2 } = require('./helpers')
+
+// Z-report of a register closure. The closure is turned into a list of blocks
+// (title, heading, line, rule) once, and each output format renders the same
+// blocks: PDF, plain text for 58/80 mm thermal paper, and that text wrapped in
+// ESC/POS printer commands.
+
+// Characters per line of the usual thermal printers with font A
+const PAPER_COLUMNS = { 58: 32, 80: 48 }
+
+const money = (value) => (parseFloat(value) || 0).toFixed(2)
+// Amounts taken out of the drawer
+const minus = (value) => (parseFloat(value) > 0 ? `-${money(value)}` : money(value))
+const quantity = (value) => String(parseFloat((parseFloat(value) || 0).toFixed(3)))
+
+function formatDateTime(value) {
+  if (!value) return '-'
+  const date = new Date(value)
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ` +
+    `${pad2(date.getHours())}:${pad2(date.getMinutes())}`
+}
+
+// Closure with everything the report prints, or null when it does not exist
+async function loadClosureReport(db, closureId) {
+  const closureResult = await db.query(`
+    SELECT
+      rc.*,
+      u.full_name as user_name,
+      approver.full_name as approved_by_name,
+      rs.opened_at,
+      rs.closed_at,
+      opener.full_name as opened_by_name,
+      r.code as register_code,
+      r.name as register_name
+    FROM register_closures rc
+    LEFT JOIN users u ON rc.user_id = u.id
+    LEFT JOIN users approver ON rc.approved_by = approver.id
+    LEFT JOIN register_sessions rs ON rc.session_id = rs.id
+    LEFT JOIN users opener ON rs.opened_by = opener.id
+    LEFT JOIN registers r ON rs.register_id = r.id
+    WHERE rc.id = $1
+  `, [closureId])
+  if (closureResult.rows.length === 0) return null
+
+  const companyResult = await db.query('SELECT name, ruc, address, phone FROM company_settings ORDER BY id LIMIT 1')
+
+  return {
+    closure: closureResult.rows[0],
+    company: companyResult.rows[0] || null
+  }
+}
+
+// Closures stored before register shifts keep only the sales as an array
+function closureDetails(closure) {
+  const details = closure.details || {}
+  if (Array.isArray(details)) return { sales: details, payments: [], refunds: [], inventory: [] }
+  return {
+    sales: details.sales || [],
+    payments: details.payments || [],
+    refunds: details.refunds || [],
+    inventory: details.inventory || []
+  }
+}
+
+function paymentsByMethod(payments) {
+  const byMethod = new Map()
+  for (const payment of payments) {
+    const method = payment.payment_method || 'otro'
+    const entry = byMethod.get(method) || { payment_method: method, count: 0, amount: 0 }
+    entry.count++
+    entry.amount += parseFloat(payment.amount) || 0
+    byMethod.set(method, entry)
+  }
+  return [...byMethod.values()].sort((a, b) => a.payment_method.localeCompare(b.payment_method))
+}
+
+function buildBlocks({ closure, company }) {
+  const details = closureDetails(closure)
+  const blocks = []
+  const title = (text) => blocks.push({ type: 'title', text })
+  const heading = (text) => blocks.push({ type: 'heading', text })
+  const line = (left, right = '', options = {}) => blocks.push({ type: 'line', left, right, ...options })
+  const rule = () => blocks.push({ type: 'rule' })
+
+  if (company) {
+    title(company.name)
+    if (company.ruc) line(`RUC ${company.ruc}`, '', { center: true })
+    if (company.address) line(company.address, '', { center: true })
+  }
+  title('REPORTE Z - CIERRE DE CAJA')
+  rule()
+
+  if (closure.register_code) line('Caja', `${closure.register_code} - ${closure.register_name}`)
+  line('Cajero', closure.opened_by_name || closure.user_name || '-')
+  if (closure.opened_at) line('Apertura', formatDateTime(closure.opened_at))
+  line('Cierre', formatDateTime(closure.closing_date))
+  if (closure.version > 1) {
+    line('Versión', String(closure.version))
+    if (closure.amendment_reason) line(`Motivo: ${closure.amendment_reason}`)
+    if (closure.approved_by_name) line('Aprobado por', closure.approved_by_name)
+  }
+  if (closure.superseded_at) line('*** VERSIÓN REEMPLAZADA ***', '', { center: true, bold: true })
+  rule()
+
+  heading('VENTAS POR PROVEEDOR')
+  for (const supplier of details.sales) {
+    line(supplier.supplier_name, money(supplier.supplier_total), { bold: true })
+    for (const item of supplier.items || []) {
+      line(`${quantity(item.quantity)} x ${item.product_name}`, money(item.total), { indent: true })
+    }
+  }
+  if (details.sales.length === 0) line('Sin ventas')
+  line('Total ventas', money(closure.total_sales), { bold: true })
+  rule()
+
+  heading('PAGOS POR MEDIO')
+  for (const method of paymentsByMethod(details.payments)) {
+    line(`${method.payment_method} (${method.count})`, money(method.amount))
+  }
+  if (details.payments.length === 0) line('Sin pagos')
+  if (closure.total_collected !== null && closure.total_collected !== undefined) {
+    line('Total cobrado', money(closure.total_collected), { bold: true })
+  }
+  if (details.refunds.length > 0 || parseFloat(closure.total_refunded) > 0) {
+    line('Reembolsos', minus(closure.total_refunded))
+  }
+  // Payments of earlier shifts voided in this one
+  if (parseFloat(closure.total_voided) > 0) {
+    line('Anulaciones', minus(closure.total_voided))
+  }
+  rule()
+
+  if (closure.expected_cash !== null && closure.expected_cash !== undefined) {
+    heading('CUADRE DE EFECTIVO')
+    line('Fondo inicial', money(closure.opening_float))
+    line('Retiros', minus(closure.cash_drops))
+    line('Pagos de caja', minus(closure.cash_payouts))
+    line('Efectivo esperado', money(closure.expected_cash), { bold: true })
+    line('Efectivo contado', money(closure.counted_cash), { bold: true })
+    line(parseFloat(closure.over_short) < 0 ? 'Faltante' : 'Sobrante', money(closure.over_short), { bold: true })
+
+    for (const method of (closure.payment_methods || []).filter(entry => entry.payment_method !== 'cash')) {
+      line(
+        `${method.payment_method}: esperado ${money(method.expected)}`,
+        method.counted === null ? 'sin declarar' : `dif. ${money(method.over_short)}`
+      )
+    }
+
+    const denominations = Object.entries(closure.denominations || {})
+      .filter(([, count]) => count > 0)
+      .sort(([a], [b]) => parseFloat(b) - parseFloat(a))
+    if (denominations.length > 0) {
+      heading('ARQUEO')
+      for (const [value, count] of denominations) {
+        line(`${count} x ${money(value)}`, money(parseFloat(value) * count), { indent: true })
+      }
+    }
+    rule()
+  }
+
+  heading('INVENTARIO RESTANTE')
+  for (const supplier of details.inventory) {
+    line(supplier.supplier_name, quantity(supplier.total_items), { bold: true })
+    for (const item of supplier.items || []) {
+      line(item.product_name, quantity(item.stock), { indent: true })
+    }
+  }
+  if (details.inventory.length === 0) line('Sin inventario')
+
+  if (closure.notes) {
+    rule()
+    line(`Notas: ${closure.notes}`)
+  }
+
+  return blocks
+}
+
+function renderPdf(report) {
+  const doc = new PdfDocument()
+  const leftWidth = doc.contentWidth * 0.7
+  const rightWidth = doc.contentWidth - leftWidth
+
+  for (const block of buildBlocks(report)) {
+    if (block.type === 'title') {
+      doc.text(block.text, { size: 14, bold: true, align: 'center' })
+    } else if (block.type === 'heading') {
+      doc.moveDown(4)
+      doc.text(block.text, { size: 11, bold: true })
+    } else if (block.type === 'rule') {
+      doc.rule()
+    } else if (block.center) {
+      doc.text(block.left, { size: 9, bold: block.bold, align: 'center' })
+    } else {
+      const indent = block.indent ? 15 : 0
+      doc.row([
+        { text: '', width: indent },
+        { text: block.left, width: leftWidth - indent },
+        { text: block.right, width: rightWidth, align: 'right' }
+      ], { bold: block.bold })
+    }
+  }
+
+  return doc.toBuffer()
+}
+
+// Split text into lines of at most `width` characters, on spaces when possible
+function wrap(text, width) {
+  const lines = []
+  let rest = String(text)
+  while (rest.length > width) {
+    const cut = rest.lastIndexOf(' ', width)
+    const end = cut > 0 ? cut : width
+    lines.push(rest.slice(0, end))
+    rest = rest.slice(end).trimStart()
+  }
+  lines.push(rest)
+  return lines
+}
+
+const center = (text, width) => text.padStart(Math.floor((width + text.length) / 2)).padEnd(width)
+
+// Render blocks as lines of at most `columns` characters. Each line keeps its
+// block so the ESC/POS renderer can style it.
+function layoutText(report, columns) {
+  const lines = []
+  for (const block of buildBlocks(report)) {
+    if (block.type === 'rule') {
+      lines.push({ block, text: '-'.repeat(columns) })
+    } else if (block.type === 'title' || block.center) {
+      const text = block.type === 'title' ? block.text : block.left
+      for (const part of wrap(text, columns)) lines.push({ block, text: center(part, columns) })
+    } else if (block.type === 'heading') {
+      lines.push({ block, text: block.text.slice(0, columns) })
+    } else {
+      const indent = block.indent ? '  ' : ''
+      const right = block.right || ''
+      // The amount stays on the last line of a label that has to wrap
+      const parts = wrap(block.left, (right ? columns - right.length - 1 : columns) - indent.length)
+      parts.forEach((part, index) => {
+        const text = `${indent}${part}`
+        const isLast = index === parts.length - 1
+        lines.push({
+          block,
+          text: isLast && right ? `${text.padEnd(columns - right.length)}${right}` : text
+        })
+      })
+    }
+  }
+  return lines
+}
+
+function renderText(report, { paperWidth = 80 } = {}) {
+  const columns = PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80]
+  return `${layoutText(report, columns).map(line => line.text.trimEnd()).join('\n')}\n`
+}
+
+// ESC/POS commands
+const ESC = 0x1b
+const GS = 0x1d
+const INITIALIZE = [ESC, 0x40]
+const ALIGN_LEFT = [ESC, 0x61, 0]
+const ALIGN_CENTER = [ESC, 0x61, 1]
+const BOLD_ON = [ESC, 0x45, 1]
+const BOLD_OFF = [ESC, 0x45, 0]
+const FEED_AND_CUT = [ESC, 0x64, 4, GS, 0x56, 0x42, 0]
+
+// Printers without a Latin-1 code page print accents as garbage; send plain ASCII
+const toAscii = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '?')
+
+function renderEscPos(report, { paperWidth = 80 } = {}) {
+  const columns = PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80]
+  const bytes = [...INITIALIZE]
+
+  for (const { block, text } of layoutText(report, columns)) {
+    const bold = block.type === 'title' || block.type === 'heading' || block.bold
+    if (block.type === 'title') bytes.push(...ALIGN_CENTER)
+    if (bold) bytes.push(...BOLD_ON)
+    bytes.push(...Buffer.from(toAscii(block.type === 'title' ? text.trim() : text.trimEnd()), 'ascii'), 0x0a)
+    if (bold) bytes.push(...BOLD_OFF)
+    if (block.type === 'title') bytes.push(...ALIGN_LEFT)
+  }
+
+  bytes.push(...FEED_AND_CUT)
+  return Buffer.from(bytes)
+}
+
+module.exports = {
+  PAPER_COLUMNS,
+  loadClosureReport,
+  renderPdf,
+  renderText,
+  renderEscPos
+}
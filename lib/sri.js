@@ -0,0 +1,586 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const { HttpError } = require('./errors')
+const { loadCertificate, signXml, escapeText, escapeAttribute } = require('./xades')
+const { round2, pad2 } = require('./helpers')
+
+// Electronic invoices for the SRI (Ecuador), "factura" schema v1.1.0, offline
+// scheme: the invoice gets a 49-digit access key, is written as XML, signed
+// with XAdES-BES (lib/xades.js), sent to the reception service and then
+// queried for its authorization (lib/sriClient.js). The outcome is stored on
+// the invoice and the signed XML in invoice_sri_documents (migration 0021):
+//
+//   signed      XML signed and stored; it may or may not have reached the SRI
+//   received    accepted by reception (RECIBIDA), waiting for authorization
+//   returned    rejected by reception (DEVUELTA); fix it and send it again
+//   authorized  AUTORIZADO, with its authorization number and date
+//   rejected    NO AUTORIZADO; sending it again uses a new access key
+
+const INVOICE_DOCUMENT_CODE = '01'
+const NORMAL_EMISSION = '1'
+
+// IVA rate (%) -> SRI codigoPorcentaje
+const IVA_TAX_CODE = '2'
+const IVA_RATE_CODES = { 0: '0', 5: '5', 8: '8', 12: '2', 13: '10', 14: '3', 15: '4' }
+
+// payments.payment_method -> SRI formaPago. Anything else is reported as 20
+// (otros con utilización del sistema financiero); settings.payment_codes can
+// add or change entries.
+const PAYMENT_CODES = { cash: '01', efectivo: '01', debit_card: '16', card: '19', credit_card: '19', transfer: '20', check: '20' }
+const OTHER_PAYMENT_CODE = '20'
+
+const FINAL_CONSUMER_ID = '9999999999999'
+
+// system_settings.sri
+const DEFAULT_SETTINGS = {
+  establishment: '001',
+  emission_point: '001',
+  // dirEstablecimiento; company_settings.address when empty
+  establishment_address: null,
+  trade_name: null,
+  accounting_required: false,
+  special_taxpayer: null,
+  payment_codes: {}
+}
+
+// Statuses in which the SRI may hold the document
+const SENT_STATUSES = ['signed', 'received', 'authorized']
+
+// The SRI needs a few seconds between reception and authorization
+const AUTHORIZATION_ATTEMPTS = 3
+const AUTHORIZATION_DELAY_MS = 2000
+
+// Reception error for an access key it already has
+const ACCESS_KEY_REGISTERED = '43'
+
+const amount = (value) => round2(parseFloat(value) || 0).toFixed(2)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// 1 = pruebas, 2 = producción
+const sriEnvironment = () => (process.env.SRI_ENVIRONMENT === '2' ? 2 : 1)
+
+async function getSriSettings(db) {
+  const result = await db.query("SELECT value FROM system_settings WHERE key = 'sri'")
+  if (result.rows.length === 0) return { ...DEFAULT_SETTINGS }
+
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(result.rows[0].value) }
+  } catch (error) {
+    console.warn('Invalid sri setting, using defaults:', error.message)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+// The .p12 in SRI_CERT_PATH, decrypted once per file version
+let cachedCertificate = null
+
+async function loadSigningCertificate() {
+  const file = process.env.SRI_CERT_PATH
+  if (!file) {
+    throw new HttpError(409, 'Electronic invoicing is not configured, set SRI_CERT_PATH and SRI_CERT_PASSWORD')
+  }
+
+  let certificate
+  try {
+    const { mtimeMs } = await fs.stat(file)
+    if (cachedCertificate && cachedCertificate.file === file && cachedCertificate.mtimeMs === mtimeMs) {
+      certificate = cachedCertificate.certificate
+    } else {
+      certificate = loadCertificate(await fs.readFile(file), process.env.SRI_CERT_PASSWORD)
+      cachedCertificate = { file, mtimeMs, certificate }
+    }
+  } catch (error) {
+    throw new HttpError(409, `SRI certificate could not be read: ${error.message}`)
+  }
+
+  const now = new Date()
+  if (now < certificate.notBefore || now > certificate.notAfter) {
+    throw new HttpError(409, 'SRI certificate is not valid today', {
+      not_before: certificate.notBefore,
+      not_after: certificate.notAfter
+    })
+  }
+  return certificate
+}
+
+// Módulo 11 check digit of the access key
+function checkDigit(digits) {
+  let sum = 0
+  let weight = 2
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += parseInt(digits[i]) * weight
+    weight = weight === 7 ? 2 : weight + 1
+  }
+  const digit = 11 - (sum % 11)
+  if (digit === 11) return '0'
+  if (digit === 10) return '1'
+  return String(digit)
+}
+
+// fecha (ddmmaaaa) + tipo de comprobante + RUC + ambiente + serie + secuencial
+// + código numérico + tipo de emisión + dígito verificador
+function buildAccessKey({
+  date,
+  documentCode = INVOICE_DOCUMENT_CODE,
+  ruc,
+  environment,
+  establishment,
+  emissionPoint,
+  sequential,
+  numericCode = String(crypto.randomInt(0, 100000000)).padStart(8, '0'),
+  emissionType = NORMAL_EMISSION
+}) {
+  const digits = `${pad2(date.getDate())}${pad2(date.getMonth() + 1)}${date.getFullYear()}` +
+    `${documentCode}${ruc}${environment}${establishment}${emissionPoint}${sequential}${numericCode}${emissionType}`
+  if (!/^\d{48}$/.test(digits)) throw new Error(`Invalid access key data: ${digits}`)
+  return `${digits}${checkDigit(digits)}`
+}
+
+// Establecimiento, punto de emisión and secuencial of an invoice number.
+// Numbers formatted like 001-002-000000123 carry all three; otherwise the
+// trailing digits are the secuencial and the rest comes from the settings.
+function parseDocumentNumber(invoiceNumber, settings) {
+  const full = /^(\d{3})-(\d{3})-(\d{1,9})$/.exec(invoiceNumber)
+  if (full) {
+    return { establishment: full[1], emissionPoint: full[2], sequential: full[3].padStart(9, '0') }
+  }
+
+  const digits = /(\d+)$/.exec(invoiceNumber)
+  if (!digits || digits[1].length > 9) return null
+  return {
+    establishment: String(settings.establishment).padStart(3, '0'),
+    emissionPoint: String(settings.emission_point).padStart(3, '0'),
+    sequential: digits[1].padStart(9, '0')
+  }
+}
+
+// tipoIdentificacionComprador: 04 RUC, 05 cédula, 06 pasaporte, 07 consumidor final
+function buyerIdentification(invoice) {
+  const id = String(invoice.customer_tax_id || '').trim()
+  if (!id || id === FINAL_CONSUMER_ID) {
+    return { type: '07', id: FINAL_CONSUMER_ID, name: 'CONSUMIDOR FINAL' }
+  }
+  const type = /^\d{13}$/.test(id) ? '04' : /^\d{10}$/.test(id) ? '05' : '06'
+  return { type, id, name: invoice.customer_name }
+}
+
+// Invoice with what the XML needs, optionally locking the invoice row
+async function loadElectronicInvoice(db, invoiceId, { lock = false } = {}) {
+  const invoiceResult = await db.query(`
+    SELECT
+      i.*,
+      c.name as customer_name,
+      c.tax_id as customer_tax_id,
+      c.email as customer_email,
+      c.phone as customer_phone,
+      c.address as customer_address
+    FROM invoices i
+    LEFT JOIN customers c ON i.customer_id = c.id
+    WHERE i.id = $1
+    ${lock ? 'FOR UPDATE OF i' : ''}
+  `, [invoiceId])
+  if (invoiceResult.rows.length === 0) return null
+
+  const itemsResult = await db.query(`
+    SELECT ii.product_name, ii.quantity, ii.unit_price, ii.total_price, ii.tax_rate, ii.tax_base, ii.tax_amount, p.sku
+    FROM invoice_items ii
+    LEFT JOIN products p ON ii.product_id = p.id
+    WHERE ii.invoice_id = $1
+    ORDER BY ii.created_at, ii.id
+  `, [invoiceId])
+
+  const paymentsResult = await db.query(`
+    SELECT payment_method, amount
+    FROM payments
+    WHERE invoice_id = $1 AND status = 'completed'
+  `, [invoiceId])
+
+  const companyResult = await db.query('SELECT * FROM company_settings ORDER BY id LIMIT 1')
+
+  return {
+    invoice: invoiceResult.rows[0],
+    items: itemsResult.rows,
+    payments: paymentsResult.rows,
+    company: companyResult.rows[0] || null
+  }
+}
+
+// Detail lines with their discount, taxable base and IVA. Lines priced by the
+// tax engine carry their own rate and amounts; on older invoices the invoice
+// discount and IVA are spread over the lines, the last one taking the
+// rounding difference so the lines add up to the invoice.
+function invoiceLines(invoice, items, problems) {
+  const subtotal = round2(items.reduce((sum, item) => sum + (parseFloat(item.total_price) || 0), 0))
+  const discount = round2(parseFloat(invoice.discount_amount) || 0)
+  const tax = round2(parseFloat(invoice.tax_amount) || 0)
+  const base = round2(subtotal - discount)
+
+  if (items.length === 0) problems.push('Invoice has no items')
+  if (Math.abs(subtotal - (parseFloat(invoice.subtotal) || 0)) > 0.01) {
+    problems.push(`Items add up to ${amount(subtotal)} but the invoice subtotal is ${amount(invoice.subtotal)}`)
+  }
+  if (Math.abs(base + tax - (parseFloat(invoice.total) || 0)) > 0.01) {
+    problems.push(`Subtotal - discount + tax is ${amount(base + tax)} but the invoice total is ${amount(invoice.total)}`)
+  }
+
+  const priced = items.length > 0 && items.every(item => item.tax_rate !== null && item.tax_base !== null && item.tax_amount !== null)
+  const lines = priced ? pricedLines(items) : spreadLines(items, { subtotal, discount, base, tax }, problems)
+
+  if (priced) {
+    const lineBase = round2(lines.reduce((sum, line) => sum + line.base, 0))
+    const lineTax = round2(lines.reduce((sum, line) => sum + line.tax, 0))
+    if (Math.abs(lineBase - base) > 0.01 || Math.abs(lineTax - tax) > 0.01) {
+      problems.push(`Items add up to a base of ${amount(lineBase)} and tax of ${amount(lineTax)} but the invoice has ${amount(base)} and ${amount(tax)}`)
+    }
+  }
+  for (const rate of new Set(lines.map(line => line.rate))) {
+    if (IVA_RATE_CODES[rate] === undefined) {
+      problems.push(`IVA rate of ${rate}% is not known to the SRI (${Object.keys(IVA_RATE_CODES).join(', ')}%)`)
+    }
+  }
+  if (lines.some(line => line.base < 0 || line.tax < 0)) {
+    problems.push('Discount or tax cannot be spread over the items')
+  }
+
+  // totalConImpuestos, one entry per rate
+  const byRate = new Map()
+  for (const line of lines) {
+    const entry = byRate.get(line.rate) || { rate: line.rate, percentCode: IVA_RATE_CODES[line.rate], base: 0, tax: 0 }
+    entry.base = round2(entry.base + line.base)
+    entry.tax = round2(entry.tax + line.tax)
+    byRate.set(line.rate, entry)
+  }
+
+  return { lines, subtotal, discount, tax, base, taxes: [...byRate.values()] }
+}
+
+function pricedLines(items) {
+  return items.map(item => {
+    const rate = round2(parseFloat(item.tax_rate))
+    const gross = round2(parseFloat(item.total_price) || 0)
+    const lineBase = round2(parseFloat(item.tax_base))
+    return {
+      item,
+      discount: round2(gross - lineBase),
+      base: lineBase,
+      tax: round2(parseFloat(item.tax_amount)),
+      rate,
+      percentCode: IVA_RATE_CODES[rate]
+    }
+  })
+}
+
+function spreadLines(items, { subtotal, discount, base, tax }, problems) {
+  const rate = base > 0 ? Math.round((tax / base) * 100) : 0
+  if (IVA_RATE_CODES[rate] !== undefined && Math.abs(round2((base * rate) / 100) - tax) > 0.01) {
+    problems.push(`Tax of ${amount(tax)} on ${amount(base)} is not an IVA rate known to the SRI (${Object.keys(IVA_RATE_CODES).join(', ')}%)`)
+  }
+
+  let discountLeft = discount
+  let taxLeft = tax
+  return items.map((item, index) => {
+    const isLast = index === items.length - 1
+    const gross = round2(parseFloat(item.total_price) || 0)
+    const lineDiscount = isLast ? discountLeft : round2(subtotal > 0 ? (discount * gross) / subtotal : 0)
+    const lineBase = round2(gross - lineDiscount)
+    const lineTax = isLast ? taxLeft : round2((lineBase * rate) / 100)
+    discountLeft = round2(discountLeft - lineDiscount)
+    taxLeft = round2(taxLeft - lineTax)
+
+    return { item, discount: lineDiscount, base: lineBase, tax: lineTax, rate, percentCode: IVA_RATE_CODES[rate] }
+  })
+}
+
+// <pagos>: completed payments by SRI code, and the unpaid rest as credit
+// until the due date
+function invoicePayments(invoice, payments, total, settings) {
+  const codes = { ...PAYMENT_CODES, ...settings.payment_codes }
+  const byCode = new Map()
+  let left = total
+
+  for (const payment of payments) {
+    const code = codes[String(payment.payment_method || '').toLowerCase()] || OTHER_PAYMENT_CODE
+    const paid = Math.min(round2(parseFloat(payment.amount) || 0), left)
+    if (paid <= 0) continue
+    byCode.set(code, round2((byCode.get(code) || 0) + paid))
+    left = round2(left - paid)
+  }
+
+  const entries = [...byCode.entries()].map(([code, paid]) => ({ code, total: paid }))
+  if (left > 0 || entries.length === 0) {
+    const days = invoice.due_date
+      ? Math.max(0, Math.round((new Date(invoice.due_date) - new Date(invoice.invoice_date)) / 86400000))
+      : 0
+    entries.push({ code: OTHER_PAYMENT_CODE, total: left, term: days })
+  }
+  return entries
+}
+
+const text = (value, max = 300) => String(value || '').replace(/\s+/g, ' ').trim().slice(0, max)
+// <name>value</name>, nothing for empty values
+const element = (name, value) =>
+  (value === null || value === undefined || value === '' ? '' : `<${name}>${escapeText(value)}</${name}>`)
+const group = (name, children) => `<${name}>${children.join('')}</${name}>`
+
+// Check that the company and the invoice have what the SRI requires. Answers
+// 409 with the list of problems; returns the invoice lines otherwise.
+function assertInvoiceSendable({ invoice, items, company }) {
+  const problems = []
+  if (!company || !/^\d{13}$/.test(String(company.ruc || ''))) problems.push('company_settings.ruc must be a 13-digit RUC')
+  if (!company || !company.address) problems.push('company_settings.address is required (dirMatriz)')
+  const totals = invoiceLines(invoice, items, problems)
+  if (problems.length > 0) {
+    throw new HttpError(409, 'Invoice cannot be sent to the SRI', { problems })
+  }
+  return totals
+}
+
+// Unsigned factura XML, in canonical form so it can be signed as it is
+function buildInvoiceXml({ invoice, items, payments, company }, { settings, environment, accessKey, number }) {
+  const totals = assertInvoiceSendable({ invoice, items, company })
+
+  const date = new Date(invoice.invoice_date)
+  const issueDate = `${pad2(date.getDate())}/${pad2(date.getMonth() + 1)}/${date.getFullYear()}`
+  const buyer = buyerIdentification(invoice)
+  const total = round2(totals.base + totals.tax)
+
+  const infoTributaria = group('infoTributaria', [
+    element('ambiente', environment),
+    element('tipoEmision', NORMAL_EMISSION),
+    element('razonSocial', text(company.name)),
+    element('nombreComercial', text(settings.trade_name)),
+    element('ruc', company.ruc),
+    element('claveAcceso', accessKey),
+    element('codDoc', INVOICE_DOCUMENT_CODE),
+    element('estab', number.establishment),
+    element('ptoEmi', number.emissionPoint),
+    element('secuencial', number.sequential),
+    element('dirMatriz', text(company.address))
+  ])
+
+  const infoFactura = group('infoFactura', [
+    element('fechaEmision', issueDate),
+    element('dirEstablecimiento', text(settings.establishment_address || company.address)),
+    element('contribuyenteEspecial', settings.special_taxpayer),
+    element('obligadoContabilidad', settings.accounting_required ? 'SI' : 'NO'),
+    element('tipoIdentificacionComprador', buyer.type),
+    element('razonSocialComprador', text(buyer.name) || 'CONSUMIDOR FINAL'),
+    element('identificacionComprador', buyer.id),
+    element('direccionComprador', text(invoice.customer_address)),
+    element('totalSinImpuestos', amount(totals.base)),
+    element('totalDescuento', amount(totals.discount)),
+    group('totalConImpuestos', totals.taxes.map(entry => group('totalImpuesto', [
+      element('codigo', IVA_TAX_CODE),
+      element('codigoPorcentaje', entry.percentCode),
+      element('baseImponible', amount(entry.base)),
+      element('valor', amount(entry.tax))
+    ]))),
+    element('propina', '0.00'),
+    element('importeTotal', amount(total)),
+    element('moneda', 'DOLAR'),
+    group('pagos', invoicePayments(invoice, payments, total, settings).map(payment => group('pago', [
+      element('formaPago', payment.code),
+      element('total', amount(payment.total)),
+      payment.term === undefined ? '' : element('plazo', payment.term),
+      payment.term === undefined ? '' : element('unidadTiempo', 'dias')
+    ])))
+  ])
+
+  const detalles = group('detalles', totals.lines.map(line => group('detalle', [
+    element('codigoPrincipal', text(line.item.sku, 25)),
+    element('descripcion', text(line.item.product_name)),
+    element('cantidad', (parseFloat(line.item.quantity) || 0).toFixed(2)),
+    element('precioUnitario', amount(line.item.unit_price)),
+    element('descuento', amount(line.discount)),
+    element('precioTotalSinImpuesto', amount(line.base)),
+    group('impuestos', [
+      group('impuesto', [
+        element('codigo', IVA_TAX_CODE),
+        element('codigoPorcentaje', line.percentCode),
+        element('tarifa', line.rate),
+        element('baseImponible', amount(line.base)),
+        element('valor', amount(line.tax))
+      ])
+    ])
+  ])))
+
+  const additional = [
+    ['Email', invoice.customer_email],
+    ['Teléfono', invoice.customer_phone],
+    ['Factura', invoice.invoice_number]
+  ].filter(([, value]) => value)
+    .map(([name, value]) => `<campoAdicional nombre="${escapeAttribute(name)}">${escapeText(text(value))}</campoAdicional>`)
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<factura id="comprobante" version="1.1.0">${infoTributaria}${infoFactura}${detalles}` +
+    `${additional.length > 0 ? group('infoAdicional', additional) : ''}</factura>`
+}
+
+// Documents the SRI may hold cannot change; corrections go through credit notes
+function assertNotSentToSri(invoice) {
+  if (SENT_STATUSES.includes(invoice.sri_status)) {
+    throw new HttpError(409, 'Invoice was sent to the SRI and can no longer be changed, issue a credit note instead', {
+      sri_status: invoice.sri_status
+    })
+  }
+}
+
+// Lock the invoice, give it an access key and store its signed XML. Call it
+// inside a transaction; returns the invoice row.
+async function signElectronicInvoice(client, invoiceId, { settings, certificate, environment }) {
+  const document = await loadElectronicInvoice(client, invoiceId, { lock: true })
+  if (!document) throw new HttpError(404, 'Invoice not found')
+
+  const { invoice, company } = document
+  if (invoice.status === 'cancelled') {
+    throw new HttpError(409, 'Cancelled invoices cannot be sent to the SRI')
+  }
+  if (invoice.sri_status === 'authorized') {
+    throw new HttpError(409, 'Invoice is already authorized by the SRI', {
+      authorization_number: invoice.sri_authorization_number
+    })
+  }
+  // Already in the SRI, only its authorization is missing
+  if (invoice.sri_status === 'received') return invoice
+
+  const number = parseDocumentNumber(invoice.invoice_number, settings)
+  if (!number) {
+    throw new HttpError(409, `Invoice number ${invoice.invoice_number} has no secuencial of up to 9 digits`)
+  }
+  // The access key carries the RUC, so a missing one is reported before it
+  assertInvoiceSendable(document)
+
+  // A signed document may have reached the SRI, so it keeps its key
+  const accessKey = invoice.sri_status === 'signed' && invoice.sri_access_key && invoice.sri_environment === environment
+    ? invoice.sri_access_key
+    : buildAccessKey({
+      date: new Date(invoice.invoice_date),
+      ruc: company && company.ruc,
+      environment,
+      establishment: number.establishment,
+      emissionPoint: number.emissionPoint,
+      sequential: number.sequential
+    })
+
+  const xml = buildInvoiceXml(document, { settings, environment, accessKey, number })
+  const signedXml = signXml(xml, certificate)
+
+  await client.query(`
+    INSERT INTO invoice_sri_documents (invoice_id, access_key, signed_xml)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (invoice_id) DO UPDATE
+      SET access_key = EXCLUDED.access_key,
+          signed_xml = EXCLUDED.signed_xml,
+          signed_at = CURRENT_TIMESTAMP
+  `, [invoiceId, accessKey, signedXml])
+
+  const result = await client.query(`
+    UPDATE invoices
+    SET sri_access_key = $2,
+        sri_environment = $3,
+        sri_status = 'signed',
+        sri_messages = '[]'::jsonb,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [invoiceId, accessKey, environment])
+  return result.rows[0]
+}
+
+async function updateSriStatus(db, invoiceId, { status, messages = [], authorizationNumber = null, authorizedAt = null }) {
+  const result = await db.query(`
+    UPDATE invoices
+    SET sri_status = $2,
+        sri_messages = $3,
+        sri_authorization_number = COALESCE($4, sri_authorization_number),
+        sri_authorized_at = COALESCE($5, sri_authorized_at),
+        sri_submitted_at = CASE WHEN $2 = 'received' THEN CURRENT_TIMESTAMP ELSE sri_submitted_at END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [invoiceId, status, JSON.stringify(messages), authorizationNumber, authorizedAt])
+  return result.rows[0]
+}
+
+// Ask for the authorization of a received invoice. It stays 'received' while
+// the SRI is still processing it.
+async function authorizeElectronicInvoice(db, invoice, sriClient, { attempts = AUTHORIZATION_ATTEMPTS } = {}) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let authorization
+    try {
+      authorization = await sriClient.checkAuthorization(invoice.sri_access_key)
+    } catch (error) {
+      throw new HttpError(502, `SRI authorization service failed: ${error.message}`)
+    }
+
+    if (authorization.state === 'AUTORIZADO') {
+      return updateSriStatus(db, invoice.id, {
+        status: 'authorized',
+        messages: authorization.messages,
+        authorizationNumber: authorization.authorizationNumber || invoice.sri_access_key,
+        authorizedAt: authorization.authorizedAt || new Date()
+      })
+    }
+    if (authorization.state === 'NO AUTORIZADO') {
+      return updateSriStatus(db, invoice.id, { status: 'rejected', messages: authorization.messages })
+    }
+    if (attempt < attempts) await sleep(AUTHORIZATION_DELAY_MS)
+  }
+  return invoice
+}
+
+// Send a signed invoice to reception and wait for its authorization
+async function submitElectronicInvoice(db, invoice, sriClient) {
+  if (invoice.sri_status !== 'received') {
+    const document = await db.query('SELECT signed_xml FROM invoice_sri_documents WHERE invoice_id = $1', [invoice.id])
+
+    let reception
+    try {
+      reception = await sriClient.sendDocument(document.rows[0].signed_xml)
+    } catch (error) {
+      throw new HttpError(502, `SRI reception service failed: ${error.message}`)
+    }
+
+    // Sent before without getting the answer: the SRI already has it
+    const registered = reception.messages.some(message => message.identifier === ACCESS_KEY_REGISTERED)
+    if (reception.state !== 'RECIBIDA' && !registered) {
+      return updateSriStatus(db, invoice.id, { status: 'returned', messages: reception.messages })
+    }
+    invoice = await updateSriStatus(db, invoice.id, { status: 'received', messages: reception.messages })
+  }
+
+  return authorizeElectronicInvoice(db, invoice, sriClient)
+}
+
+function sriSummary(invoice) {
+  return {
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    sri_status: invoice.sri_status,
+    sri_environment: invoice.sri_environment,
+    sri_access_key: invoice.sri_access_key,
+    sri_authorization_number: invoice.sri_authorization_number,
+    sri_authorized_at: invoice.sri_authorized_at,
+    sri_submitted_at: invoice.sri_submitted_at,
+    sri_messages: invoice.sri_messages || []
+  }
+}
+
+module.exports = {
+  IVA_RATE_CODES,
+  PAYMENT_CODES,
+  sriEnvironment,
+  getSriSettings,
+  loadSigningCertificate,
+  checkDigit,
+  buildAccessKey,
+  parseDocumentNumber,
+  buyerIdentification,
+  loadElectronicInvoice,
+  buildInvoiceXml,
+  assertNotSentToSri,
+  signElectronicInvoice,
+  authorizeElectronicInvoice,
+  submitElectronicInvoice,
+  sriSummary
+}
@@ -0,0 +1,137 @@
+// SOAP client for the SRI offline web services: reception
+// (validarComprobante) and authorization (autorizacionComprobante). The
+// endpoints default to the SRI test or production servers and can be pointed
+// anywhere else, such as sri-mock.js, with SRI_RECEPTION_URL and
+// SRI_AUTHORIZATION_URL. Anything with the same two methods can stand in for
+// this client.
+
+const ENDPOINTS = {
+  // Pruebas
+  1: {
+    reception: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline',
+    authorization: 'https://celcer.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline'
+  },
+  // Producción
+  2: {
+    reception: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/RecepcionComprobantesOffline',
+    authorization: 'https://cel.sri.gob.ec/comprobantes-electronicos-ws/AutorizacionComprobantesOffline'
+  }
+}
+
+const DEFAULT_TIMEOUT_MS = 15000
+
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+
+// Contents of every <name> element, with or without a namespace prefix
+function tagContents(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'g')
+  return [...xml.matchAll(pattern)].map(match => match[1])
+}
+
+function tagValue(xml, name) {
+  const [content] = tagContents(xml, name)
+  return content === undefined ? null : unescapeXml(content.trim())
+}
+
+// SRI messages, [{ identifier, message, additional_info, type }]. A <mensaje>
+// element contains another <mensaje> with the text, so the blocks are found
+// by their first and last children.
+function parseMessages(xml) {
+  return [...xml.matchAll(/<mensaje>\s*(<identificador>[\s\S]*?<\/tipo>)\s*<\/mensaje>/g)].map(([, block]) => ({
+    identifier: tagValue(block, 'identificador'),
+    message: tagValue(block.replace(/^<identificador>[\s\S]*?<\/identificador>/, ''), 'mensaje'),
+    additional_info: tagValue(block, 'informacionAdicional'),
+    type: tagValue(block, 'tipo')
+  }))
+}
+
+function envelope(namespace, body) {
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ec="${namespace}">` +
+    `<soapenv:Header/><soapenv:Body>${body}</soapenv:Body></soapenv:Envelope>`
+}
+
+async function post(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: '' },
+    body,
+    signal: AbortSignal.timeout(timeoutMs)
+  })
+  const text = await response.text()
+
+  const fault = tagValue(text, 'faultstring')
+  if (fault) throw new Error(`SRI fault: ${fault}`)
+  if (!response.ok) throw new Error(`SRI answered HTTP ${response.status}`)
+  return text
+}
+
+function createSriClient({
+  environment = 1,
+  receptionUrl = ENDPOINTS[environment].reception,
+  authorizationUrl = ENDPOINTS[environment].authorization,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+  return {
+    // Send a signed document. state is RECIBIDA or DEVUELTA.
+    async sendDocument(signedXml) {
+      const body = envelope(
+        'http://ec.gob.sri.ws.recepcion',
+        `<ec:validarComprobante><xml>${Buffer.from(signedXml, 'utf8').toString('base64')}</xml></ec:validarComprobante>`
+      )
+      const response = await post(receptionUrl, body, timeoutMs)
+      return {
+        state: tagValue(response, 'estado'),
+        messages: parseMessages(response)
+      }
+    },
+
+    // Authorization of an access key. state is AUTORIZADO, NO AUTORIZADO,
+    // EN PROCESO, or null while the SRI has not processed the document yet.
+    async checkAuthorization(accessKey) {
+      const body = envelope(
+        'http://ec.gob.sri.ws.autorizacion',
+        `<ec:autorizacionComprobante><claveAccesoComprobante>${accessKey}</claveAccesoComprobante></ec:autorizacionComprobante>`
+      )
+      const response = await post(authorizationUrl, body, timeoutMs)
+
+      // A document sent more than once has one entry per attempt
+      const authorizations = tagContents(response, 'autorizacion')
+      const authorization = authorizations.find(entry => tagValue(entry, 'estado') === 'AUTORIZADO') ||
+        authorizations[0]
+      if (!authorization) return { state: null, messages: [] }
+
+      // The signed document comes back inside <comprobante>; its own <mensaje>
+      // elements must not be mistaken for the SRI's
+      const outside = authorization.replace(/<comprobante>[\s\S]*?<\/comprobante>/, '')
+      return {
+        state: tagValue(outside, 'estado'),
+        authorizationNumber: tagValue(outside, 'numeroAutorizacion'),
+        authorizedAt: tagValue(outside, 'fechaAutorizacion'),
+        messages: parseMessages(outside)
+      }
+    }
+  }
+}
+
+function sriClientFromEnv(environment) {
+  return createSriClient({
+    environment,
+    receptionUrl: process.env.SRI_RECEPTION_URL || undefined,
+    authorizationUrl: process.env.SRI_AUTHORIZATION_URL || undefined,
+    timeoutMs: parseInt(process.env.SRI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  })
+}
+
+module.exports = {
+  ENDPOINTS,
+  createSriClient,
+  sriClientFromEnv,
+  parseMessages
+}
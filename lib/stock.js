@@ -0,0 +1,91 @@
+const { HttpError } = require('./errors')
+
+// Atomic stock changes. Every function takes a pg client (or the pool) and
+// changes products.stock with a single conditional UPDATE, so two requests
+// selling the last units of a product can never both succeed.
+
+// 409 answered when a decrement would leave the stock negative
+class InsufficientStockError extends HttpError {
+  constructor(product, requested) {
+    const available = parseFloat(product.stock) || 0
+    super(409, `Insufficient stock for product ${product.name}. Available: ${available}, Requested: ${requested}`, {
+      code: 'INSUFFICIENT_STOCK',
+      product_id: product.id,
+      product_name: product.name,
+      available,
+      requested
+    })
+    this.name = 'InsufficientStockError'
+  }
+}
+
+async function findProduct(client, productId) {
+  const result = await client.query('SELECT id, name, stock FROM products WHERE id = $1', [productId])
+  if (result.rows.length === 0) {
+    throw new HttpError(404, `Product with ID ${productId} not found`)
+  }
+  return result.rows[0]
+}
+
+// Take quantity units out of stock. Throws InsufficientStockError when fewer
+// units are available. Returns the updated product row.
+async function decrementStock(client, productId, quantity) {
+  const result = await client.query(`
+    UPDATE products
+    SET stock = stock - $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND stock >= $2
+    RETURNING id, name, stock
+  `, [productId, quantity])
+
+  if (result.rows.length === 0) {
+    // Either the product does not exist or another request got the stock first
+    throw new InsufficientStockError(await findProduct(client, productId), quantity)
+  }
+
+  return result.rows[0]
+}
+
+// Put quantity units back into stock. Returns the updated product row.
+async function incrementStock(client, productId, quantity) {
+  const result = await client.query(`
+    UPDATE products
+    SET stock = stock + $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, name, stock
+  `, [productId, quantity])
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, `Product with ID ${productId} not found`)
+  }
+
+  return result.rows[0]
+}
+
+// Apply a signed change, negative values go through decrementStock
+function adjustStock(client, productId, delta) {
+  return delta < 0
+    ? decrementStock(client, productId, Math.abs(delta))
+    : incrementStock(client, productId, delta)
+}
+
+// Decrement several products inside one transaction. Rows are locked in
+// product id order so two orders sharing products cannot deadlock.
+async function decrementStockForItems(client, items) {
+  const totals = new Map()
+  for (const item of items) {
+    totals.set(item.product_id, (totals.get(item.product_id) || 0) + parseFloat(item.quantity))
+  }
+
+  const productIds = [...totals.keys()].sort()
+  for (const productId of productIds) {
+    await decrementStock(client, productId, totals.get(productId))
+  }
+}
+
+module.exports = {
+  InsufficientStockError,
+  decrementStock,
+  incrementStock,
+  adjustStock,
+  decrementStockForItems
+}
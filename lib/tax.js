@@ -0,0 +1,206 @@
+const { HttpError } = require('./errors')
+const { round2 } = require('./helpers')
+
+// Tax engine (migration 0023). Orders, invoices and purchase orders compute
+// their totals here from their lines; amounts sent by the client are only
+// checked against the result.
+//
+// Each line is quantity x unit price, less its own discount and its share of
+// the document discount, which gives the taxable base. The tax is the base at
+// the line's rate:
+//   subtotal = sum of quantity x unit price
+//   discount_amount = line discounts + document discount
+//   total = subtotal - discount_amount + tax_amount
+
+const ROUNDING_MODES = ['line', 'document']
+
+// system_settings key `tax`. rounding 'line' rounds the tax of every line to
+// cents; 'document' rounds the tax of each rate once over the whole document.
+const DEFAULT_SETTINGS = {
+  rounding: 'line'
+}
+
+// Largest difference accepted between a client total and the computed one
+const TOLERANCE = 0.01
+
+async function getTaxSettings(db) {
+  const result = await db.query("SELECT value FROM system_settings WHERE key = 'tax'")
+  if (result.rows.length === 0) return { ...DEFAULT_SETTINGS }
+
+  try {
+    const settings = { ...DEFAULT_SETTINGS, ...JSON.parse(result.rows[0].value) }
+    if (!ROUNDING_MODES.includes(settings.rounding)) settings.rounding = DEFAULT_SETTINGS.rounding
+    return settings
+  } catch (error) {
+    console.warn('Invalid tax setting, using defaults:', error.message)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+// The default rate as { id, code, rate }, a 0% rate when none is set
+async function getDefaultTaxRate(db) {
+  const result = await db.query('SELECT id, code, rate FROM tax_rates WHERE is_default AND is_active LIMIT 1')
+  if (result.rows.length === 0) return { id: null, code: null, rate: 0 }
+  return { ...result.rows[0], rate: parseFloat(result.rows[0].rate) }
+}
+
+// Rate of each product: its own, else its category's, else the default one.
+// Returns a Map of product id -> { id, code, rate }; unknown products are left
+// out.
+async function resolveProductTaxRates(db, productIds) {
+  const ids = [...new Set(productIds.filter(Boolean))]
+  const rates = new Map()
+  if (ids.length === 0) return rates
+
+  const fallback = await getDefaultTaxRate(db)
+  const result = await db.query(`
+    SELECT p.id as product_id, COALESCE(pt.id, ct.id) as id, COALESCE(pt.code, ct.code) as code,
+      COALESCE(pt.rate, ct.rate) as rate
+    FROM products p
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN tax_rates pt ON pt.id = p.tax_rate_id AND pt.is_active
+    LEFT JOIN tax_rates ct ON ct.id = c.tax_rate_id AND ct.is_active
+    WHERE p.id = ANY($1::uuid[])
+  `, [ids])
+
+  for (const row of result.rows) {
+    rates.set(row.product_id, row.id
+      ? { id: row.id, code: row.code, rate: parseFloat(row.rate) }
+      : fallback)
+  }
+  return rates
+}
+
+// Amount of a line's own discount, given as discount_percentage or as
+// discount_amount (not both)
+function lineDiscount(line, gross, index) {
+  const hasPercentage = line.discount_percentage !== undefined && line.discount_percentage !== null && line.discount_percentage !== ''
+  const hasAmount = line.discount_amount !== undefined && line.discount_amount !== null && line.discount_amount !== ''
+  if (hasPercentage && hasAmount) {
+    throw new HttpError(400, `Line ${index + 1}: send either discount_percentage or discount_amount, not both`)
+  }
+
+  const discount = hasPercentage
+    ? round2((gross * parseFloat(line.discount_percentage)) / 100)
+    : round2(parseFloat(line.discount_amount) || 0)
+  if (!(discount >= 0) || discount > gross) {
+    throw new HttpError(400, `Line ${index + 1}: discount must be between 0 and the line amount of ${gross.toFixed(2)}`)
+  }
+  return discount
+}
+
+// Share `amount` out over `weights` in proportion; the last weighted entry
+// takes the rounding difference so the shares add up exactly
+function spread(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0)
+  const last = weights.reduce((found, weight, index) => (weight > 0 ? index : found), -1)
+  let left = amount
+
+  return weights.map((weight, index) => {
+    if (totalWeight <= 0 || weight <= 0) return 0
+    const share = index === last ? left : round2((amount * weight) / totalWeight)
+    left = round2(left - share)
+    return share
+  })
+}
+
+// Totals of a document. lines: [{ quantity, unit_price, tax_rate,
+// discount_percentage | discount_amount }]; discountPercentage is the document
+// discount. Returns the lines with gross, discount_amount (own), tax_base and
+// tax_amount, the document totals and the tax by rate.
+function computeTotals(lines, { discountPercentage = 0, rounding = DEFAULT_SETTINGS.rounding } = {}) {
+  const documentPercentage = parseFloat(discountPercentage) || 0
+  if (documentPercentage < 0 || documentPercentage > 100) {
+    throw new HttpError(400, 'Discount percentage must be between 0 and 100')
+  }
+
+  const computed = lines.map((line, index) => {
+    // Quantities and prices are stored with two decimals
+    const quantity = round2(parseFloat(line.quantity))
+    const unitPrice = round2(parseFloat(line.unit_price))
+    const rate = parseFloat(line.tax_rate) || 0
+    if (!(quantity > 0)) throw new HttpError(400, `Line ${index + 1}: quantity must be greater than 0`)
+    if (!(unitPrice >= 0)) throw new HttpError(400, `Line ${index + 1}: unit price must be 0 or more`)
+
+    const gross = round2(quantity * unitPrice)
+    const discount = lineDiscount(line, gross, index)
+    return { ...line, quantity, unit_price: unitPrice, tax_rate: rate, gross, discount_amount: discount, net: round2(gross - discount) }
+  })
+
+  // Document discount over what is left of each line
+  const netTotal = round2(computed.reduce((sum, line) => sum + line.net, 0))
+  const documentDiscount = round2((netTotal * documentPercentage) / 100)
+  const shares = spread(documentDiscount, computed.map(line => line.net))
+  computed.forEach((line, index) => {
+    line.tax_base = round2(line.net - shares[index])
+  })
+
+  if (rounding === 'document') {
+    // Tax of each rate rounded once, then shared out over its lines
+    for (const rate of new Set(computed.map(line => line.tax_rate))) {
+      const rateLines = computed.filter(line => line.tax_rate === rate)
+      const base = rateLines.reduce((sum, line) => sum + line.tax_base, 0)
+      const taxes = spread(round2((base * rate) / 100), rateLines.map(line => line.tax_base))
+      rateLines.forEach((line, index) => { line.tax_amount = taxes[index] })
+    }
+  } else {
+    computed.forEach(line => { line.tax_amount = round2((line.tax_base * line.tax_rate) / 100) })
+  }
+
+  const taxes = new Map()
+  for (const line of computed) {
+    const entry = taxes.get(line.tax_rate) || { rate: line.tax_rate, base: 0, tax_amount: 0 }
+    entry.base = round2(entry.base + line.tax_base)
+    entry.tax_amount = round2(entry.tax_amount + line.tax_amount)
+    taxes.set(line.tax_rate, entry)
+  }
+
+  const subtotal = round2(computed.reduce((sum, line) => sum + line.gross, 0))
+  const lineDiscounts = round2(computed.reduce((sum, line) => sum + line.discount_amount, 0))
+  const taxAmount = round2(computed.reduce((sum, line) => sum + line.tax_amount, 0))
+  const discountAmount = round2(lineDiscounts + documentDiscount)
+
+  return {
+    lines: computed.map(({ net, ...line }) => line),
+    subtotal,
+    discount_amount: discountAmount,
+    tax_amount: taxAmount,
+    total: round2(subtotal - discountAmount + taxAmount),
+    taxes: [...taxes.values()].sort((a, b) => a.rate - b.rate)
+  }
+}
+
+// Tax over the discounted amount as a fraction, for orders.tax_rate
+function effectiveRate(totals) {
+  const base = totals.subtotal - totals.discount_amount
+  return base > 0 ? Math.round((totals.tax_amount / base) * 10000) / 10000 : 0
+}
+
+// Reject a request whose totals disagree with the computed ones. expected maps
+// body fields to computed amounts; fields the client did not send are skipped.
+function assertTotalsMatch(body, expected) {
+  const mismatches = []
+  for (const [field, computed] of Object.entries(expected)) {
+    const sent = body[field]
+    if (sent === undefined || sent === null || sent === '') continue
+    if (!(Math.abs(parseFloat(sent) - computed) <= TOLERANCE)) {
+      mismatches.push({ field, sent, computed })
+    }
+  }
+
+  if (mismatches.length > 0) {
+    throw new HttpError(422, 'Totals do not match the server calculation', { mismatches })
+  }
+}
+
+module.exports = {
+  ROUNDING_MODES,
+  DEFAULT_SETTINGS,
+  round2,
+  getTaxSettings,
+  getDefaultTaxRate,
+  resolveProductTaxRates,
+  computeTotals,
+  effectiveRate,
+  assertTotalsMatch
+}
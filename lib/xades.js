@@ -0,0 +1,187 @@
+const crypto = require('crypto')
+const forge = require('node-forge')
+
+// XAdES-BES enveloped signatures as the SRI expects them: RSA-SHA1 over an
+// inclusive C14N SignedInfo with three references (the signed properties, the
+// KeyInfo holding the certificate, and the document itself).
+//
+// There is no XML library here. The document and the signature are written
+// directly in canonical form (no whitespace between tags, empty elements
+// expanded, attributes in order), so canonicalizing a part of them only means
+// adding the namespace declarations it inherits from ds:Signature.
+
+const DS = 'http://www.w3.org/2000/09/xmldsig#'
+const ETSI = 'http://uri.etsi.org/01903/v1.3.2#'
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315'
+// Namespaces in scope inside ds:Signature, as C14N writes them on a subtree root
+const INHERITED_NAMESPACES = `xmlns:ds="${DS}" xmlns:etsi="${ETSI}"`
+
+const sha1 = (data) => crypto.createHash('sha1').update(data, 'utf8').digest('base64')
+
+// Base64 of a forge BigInteger, without the sign byte
+function bigIntegerBase64(value) {
+  let hex = value.toString(16)
+  if (hex.length % 2) hex = `0${hex}`
+  return Buffer.from(hex, 'hex').toString('base64')
+}
+
+// RFC 4514 name, most specific attribute first, as the SRI validator prints it
+function distinguishedName(name) {
+  return name.attributes
+    .slice()
+    .reverse()
+    .map(attribute => `${attribute.shortName || attribute.name || attribute.type}=${attribute.value}`)
+    .join(',')
+}
+
+function keyUsageAllowsSigning(certificate) {
+  const usage = certificate.getExtension('keyUsage')
+  return !usage || usage.digitalSignature || usage.nonRepudiation
+}
+
+// Private key and certificate from a PKCS#12 (.p12/.pfx) file. Certificates
+// issued in Ecuador often carry the CA chain and more than one key pair; the
+// signing pair is the certificate whose public key matches a private key and
+// whose key usage allows signatures.
+function loadCertificate(p12, password) {
+  const asn1 = forge.asn1.fromDer(forge.util.createBuffer(p12.toString('binary')))
+  const store = forge.pkcs12.pkcs12FromAsn1(asn1, password || '')
+
+  const keys = [
+    ...(store.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(store.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ].map(bag => bag.key).filter(Boolean)
+  const certificates = (store.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+    .map(bag => bag.cert)
+    .filter(Boolean)
+
+  const pairs = []
+  for (const key of keys) {
+    for (const certificate of certificates) {
+      if (certificate.publicKey.n && certificate.publicKey.n.equals(key.n)) pairs.push({ key, certificate })
+    }
+  }
+  const pair = pairs.find(candidate => keyUsageAllowsSigning(candidate.certificate)) || pairs[0]
+  if (!pair) throw new Error('The certificate file has no private key matching its certificates')
+
+  const { key, certificate } = pair
+  const der = Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes(), 'binary')
+
+  return {
+    privateKey: forge.pki.privateKeyToPem(key),
+    der,
+    subject: distinguishedName(certificate.subject),
+    issuer: distinguishedName(certificate.issuer),
+    serialNumber: BigInt(`0x${certificate.serialNumber}`).toString(),
+    modulus: bigIntegerBase64(key.n),
+    exponent: bigIntegerBase64(key.e),
+    notBefore: certificate.validity.notBefore,
+    notAfter: certificate.validity.notAfter
+  }
+}
+
+const withNamespaces = (element) => element.replace(/^<([\w:]+) /, `<$1 ${INHERITED_NAMESPACES} `)
+
+// Sign `xml`, whose root element has Id/id `documentId` and is in canonical
+// form, and return it with the ds:Signature appended as the root's last child
+function signXml(xml, certificate, { documentId = 'comprobante', signingTime = new Date() } = {}) {
+  const root = /<([\w:]+)[^>]*>/.exec(xml.replace(/^<\?xml[^>]*\?>\s*/, ''))
+  const closingTag = `</${root[1]}>`
+  const end = xml.lastIndexOf(closingTag)
+  if (end === -1) throw new Error('Cannot find the end of the document to sign')
+  const start = xml.indexOf(root[0])
+  const document = xml.slice(start, end + closingTag.length)
+
+  const id = crypto.randomInt(100000, 1000000)
+  const signatureId = `Signature${id}`
+  const signedPropertiesId = `${signatureId}-SignedProperties${id}`
+  const certificateId = `Certificate${id}`
+  const referenceId = `Reference-ID-${id}`
+  const digestMethod = `<ds:DigestMethod Algorithm="${DS}sha1"></ds:DigestMethod>`
+
+  const signedProperties =
+    `<etsi:SignedProperties Id="${signedPropertiesId}">` +
+      '<etsi:SignedSignatureProperties>' +
+        `<etsi:SigningTime>${signingTime.toISOString().replace(/\.\d{3}Z$/, 'Z')}</etsi:SigningTime>` +
+        '<etsi:SigningCertificate><etsi:Cert>' +
+          `<etsi:CertDigest>${digestMethod}<ds:DigestValue>${sha1(certificate.der)}</ds:DigestValue></etsi:CertDigest>` +
+          '<etsi:IssuerSerial>' +
+            `<ds:X509IssuerName>${escapeText(certificate.issuer)}</ds:X509IssuerName>` +
+            `<ds:X509SerialNumber>${certificate.serialNumber}</ds:X509SerialNumber>` +
+          '</etsi:IssuerSerial>' +
+        '</etsi:Cert></etsi:SigningCertificate>' +
+      '</etsi:SignedSignatureProperties>' +
+      '<etsi:SignedDataObjectProperties>' +
+        `<etsi:DataObjectFormat ObjectReference="#${referenceId}">` +
+          '<etsi:Description>contenido comprobante</etsi:Description>' +
+          '<etsi:MimeType>text/xml</etsi:MimeType>' +
+        '</etsi:DataObjectFormat>' +
+      '</etsi:SignedDataObjectProperties>' +
+    '</etsi:SignedProperties>'
+
+  const keyInfo =
+    `<ds:KeyInfo Id="${certificateId}">` +
+      `<ds:X509Data><ds:X509Certificate>${certificate.der.toString('base64')}</ds:X509Certificate></ds:X509Data>` +
+      '<ds:KeyValue><ds:RSAKeyValue>' +
+        `<ds:Modulus>${certificate.modulus}</ds:Modulus><ds:Exponent>${certificate.exponent}</ds:Exponent>` +
+      '</ds:RSAKeyValue></ds:KeyValue>' +
+    '</ds:KeyInfo>'
+
+  const signedInfo =
+    `<ds:SignedInfo Id="Signature-SignedInfo${id}">` +
+      `<ds:CanonicalizationMethod Algorithm="${C14N}"></ds:CanonicalizationMethod>` +
+      `<ds:SignatureMethod Algorithm="${DS}rsa-sha1"></ds:SignatureMethod>` +
+      `<ds:Reference Id="SignedPropertiesID${id}" Type="http://uri.etsi.org/01903#SignedProperties" URI="#${signedPropertiesId}">` +
+        `${digestMethod}<ds:DigestValue>${sha1(withNamespaces(signedProperties))}</ds:DigestValue>` +
+      '</ds:Reference>' +
+      `<ds:Reference URI="#${certificateId}">` +
+        `${digestMethod}<ds:DigestValue>${sha1(withNamespaces(keyInfo))}</ds:DigestValue>` +
+      '</ds:Reference>' +
+      `<ds:Reference Id="${referenceId}" URI="#${documentId}">` +
+        `<ds:Transforms><ds:Transform Algorithm="${DS}enveloped-signature"></ds:Transform></ds:Transforms>` +
+        `${digestMethod}<ds:DigestValue>${sha1(document)}</ds:DigestValue>` +
+      '</ds:Reference>' +
+    '</ds:SignedInfo>'
+
+  const signatureValue = crypto.sign('RSA-SHA1', Buffer.from(withNamespaces(signedInfo), 'utf8'), certificate.privateKey)
+    .toString('base64')
+
+  const signature =
+    `<ds:Signature ${INHERITED_NAMESPACES} Id="${signatureId}">` +
+      signedInfo +
+      `<ds:SignatureValue Id="SignatureValue${id}">${signatureValue}</ds:SignatureValue>` +
+      keyInfo +
+      `<ds:Object Id="${signatureId}-Object${id}">` +
+        `<etsi:QualifyingProperties Target="#${signatureId}">${signedProperties}</etsi:QualifyingProperties>` +
+      '</ds:Object>' +
+    '</ds:Signature>'
+
+  return `${xml.slice(0, end)}${signature}${xml.slice(end)}`
+}
+
+// Text content in canonical form
+function escapeText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r/g, '&#xD;')
+}
+
+// Attribute value in canonical form
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;')
+    .replace(/\n/g, '&#xA;')
+    .replace(/\r/g, '&#xD;')
+}
+
+module.exports = {
+  loadCertificate,
+  signXml,
+  escapeText,
+  escapeAttribute
+}
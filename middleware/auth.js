@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken')
+const { hasPermission, normalizeRole } = require('../config/permissions')
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'
+
+// Verify the bearer token and attach its payload to req.user.
+// Missing, invalid and expired tokens all answer 401.
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization']
+  const token = authHeader && authHeader.split(' ')[1]
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token is required'
+    })
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      })
+    }
+    req.user = { ...user, role: normalizeRole(user.role) }
+    next()
+  })
+}
+
+// Allow the request when the user's role grants at least one of the
+// permissions. Answers 403 otherwise.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token is required'
+    })
+  }
+
+  if (!permissions.some(permission => hasPermission(req.user.role, permission))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      required_permission: permissions.length === 1 ? permissions[0] : permissions
+    })
+  }
+
+  next()
+}
+
+module.exports = {
+  JWT_SECRET,
+  authenticateToken,
+  requirePermission
+}
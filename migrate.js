@@ -0,0 +1,63 @@
+// Database migration CLI
+// Usage:
+//   node migrate.js up [--to=NNNN]   Apply pending migrations
+//   node migrate.js down [--steps=N] Revert the last N applied migrations (default 1)
+//   node migrate.js status           Show applied, pending and modified migrations
+require('dotenv').config()
+
+const { pool } = require('./config/database')
+const migrator = require('./lib/migrator')
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv
+  const options = {}
+
+  for (const arg of rest) {
+    const match = arg.match(/^--([a-z]+)=(.+)$/)
+    if (match) {
+      options[match[1]] = match[2]
+    }
+  }
+
+  return { command, options }
+}
+
+async function run() {
+  const { command, options } = parseArgs(process.argv.slice(2))
+
+  switch (command) {
+    case 'up': {
+      const ran = await migrator.up(pool, { to: options.to })
+      console.log(ran.length > 0 ? `\n✓ ${ran.length} migration(s) applied` : '✓ Database is up to date')
+      break
+    }
+    case 'down': {
+      const steps = parseInt(options.steps) || 1
+      const reverted = await migrator.down(pool, { steps })
+      console.log(reverted.length > 0 ? `\n✓ ${reverted.length} migration(s) reverted` : 'Nothing to revert')
+      break
+    }
+    case 'status': {
+      const entries = await migrator.status(pool)
+      for (const entry of entries) {
+        const appliedAt = entry.applied_at ? new Date(entry.applied_at).toISOString() : ''
+        console.log(`${entry.status.padEnd(8)} ${entry.version}_${entry.name} ${appliedAt}`)
+      }
+      const pending = entries.filter(entry => entry.status === 'pending').length
+      console.log(`\n${entries.length - pending} applied, ${pending} pending`)
+      if (entries.some(entry => entry.status === 'modified' || entry.status === 'missing')) {
+        process.exitCode = 1
+      }
+      break
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`)
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error('✗ Migration failed:', error.message)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
@@ -0,0 +1,304 @@
+-- Baseline schema for the FreshFruit ERP.
+-- Written with IF NOT EXISTS so it can be recorded against databases that
+-- were created before the migration runner existed.
+
+-- migrate:up
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  username VARCHAR(100) UNIQUE NOT NULL,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  full_name VARCHAR(255),
+  role VARCHAR(50) NOT NULL DEFAULT 'user'
+    CONSTRAINT users_role_check CHECK (role IN ('admin', 'manager', 'vendedor', 'user', 'cajero')),
+  avatar TEXT,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  last_activity TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  email_notifications BOOLEAN DEFAULT true,
+  push_notifications BOOLEAN DEFAULT true,
+  dark_mode BOOLEAN DEFAULT false,
+  language VARCHAR(5) DEFAULT 'es',
+  timezone VARCHAR(64) DEFAULT 'America/Lima',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS activity_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(100) NOT NULL,
+  table_name VARCHAR(100),
+  record_id VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS company_settings (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  ruc VARCHAR(20),
+  phone VARCHAR(50),
+  email VARCHAR(255),
+  website VARCHAR(255),
+  address TEXT,
+  logo_url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS system_settings (
+  key VARCHAR(100) PRIMARY KEY,
+  value TEXT,
+  type VARCHAR(20) DEFAULT 'string',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS categories (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  color VARCHAR(20),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS units (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  symbol VARCHAR(20) NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('weight', 'volume', 'length', 'unit')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS products (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  sku VARCHAR(100) UNIQUE,
+  barcode VARCHAR(100),
+  price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  cost DECIMAL(10, 2) DEFAULT 0,
+  stock DECIMAL(10, 2) DEFAULT 0,
+  min_stock DECIMAL(10, 2) DEFAULT 0,
+  max_stock DECIMAL(10, 2),
+  unit VARCHAR(20) DEFAULT 'kg',
+  status VARCHAR(20) DEFAULT 'active',
+  expiry_date DATE,
+  image_url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  address TEXT,
+  city VARCHAR(100),
+  country VARCHAR(100),
+  tax_id VARCHAR(50),
+  type VARCHAR(20) DEFAULT 'individual',
+  credit_limit DECIMAL(12, 2) DEFAULT 0,
+  balance DECIMAL(12, 2) DEFAULT 0,
+  status VARCHAR(20) DEFAULT 'active',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  address TEXT,
+  contact_person VARCHAR(255),
+  tax_id VARCHAR(50),
+  status VARCHAR(20) DEFAULT 'active',
+  payment_terms INTEGER DEFAULT 30,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_number VARCHAR(50) UNIQUE NOT NULL,
+  customer_id UUID REFERENCES customers(id),
+  order_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  status VARCHAR(20) DEFAULT 'pending',
+  payment_method VARCHAR(50) DEFAULT 'cash',
+  payment_status VARCHAR(20) DEFAULT 'pending',
+  subtotal DECIMAL(12, 2) DEFAULT 0,
+  tax_rate DECIMAL(5, 4) DEFAULT 0,
+  tax_amount DECIMAL(12, 2) DEFAULT 0,
+  discount_percentage DECIMAL(5, 2) DEFAULT 0,
+  discount_amount DECIMAL(12, 2) DEFAULT 0,
+  total DECIMAL(12, 2) DEFAULT 0,
+  delivery_date DATE,
+  delivery_address TEXT,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id),
+  product_name VARCHAR(255),
+  sku VARCHAR(100),
+  quantity DECIMAL(10, 2) NOT NULL,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  total DECIMAL(12, 2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  invoice_number VARCHAR(50) UNIQUE NOT NULL,
+  customer_id UUID REFERENCES customers(id),
+  order_id UUID REFERENCES orders(id),
+  sales_order_id UUID REFERENCES orders(id),
+  invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  due_date DATE,
+  subtotal DECIMAL(12, 2) DEFAULT 0,
+  tax_amount DECIMAL(12, 2) DEFAULT 0,
+  discount_amount DECIMAL(12, 2) DEFAULT 0,
+  total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  paid_amount DECIMAL(12, 2) DEFAULT 0,
+  status VARCHAR(20) DEFAULT 'pending',
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id),
+  user_id UUID REFERENCES users(id),
+  payment_number VARCHAR(50) UNIQUE,
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  payment_method VARCHAR(50) NOT NULL,
+  payment_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  reference_number VARCHAR(100),
+  notes TEXT,
+  status VARCHAR(20) DEFAULT 'completed',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_customer ON payments(customer_id);
+
+CREATE OR REPLACE FUNCTION generate_payment_number()
+RETURNS VARCHAR AS $$
+DECLARE
+  next_number INTEGER;
+BEGIN
+  SELECT COALESCE(MAX(CAST(SUBSTRING(payment_number FROM 5) AS INTEGER)), 0) + 1
+    INTO next_number
+    FROM payments
+    WHERE payment_number ~ '^PAY-[0-9]+$';
+
+  RETURN 'PAY-' || LPAD(next_number::TEXT, 6, '0');
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_number VARCHAR(100) UNIQUE NOT NULL,
+  supplier_id UUID REFERENCES suppliers(id),
+  order_date DATE DEFAULT CURRENT_DATE,
+  expected_delivery_date DATE,
+  status VARCHAR(20) DEFAULT 'pending',
+  subtotal DECIMAL(12, 2) DEFAULT 0,
+  tax_amount DECIMAL(12, 2) DEFAULT 0,
+  total_amount DECIMAL(12, 2) DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  purchase_order_id UUID REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id),
+  quantity DECIMAL(10, 2) NOT NULL,
+  unit_cost DECIMAL(10, 2) NOT NULL,
+  total_cost DECIMAL(12, 2) NOT NULL,
+  received_quantity DECIMAL(10, 2) DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  movement_type VARCHAR(20) NOT NULL,
+  quantity DECIMAL(10, 2) NOT NULL,
+  reference_type VARCHAR(50),
+  reference_id UUID,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id);
+CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS stock_movements;
+DROP TABLE IF EXISTS purchase_order_items;
+DROP TABLE IF EXISTS purchase_orders;
+DROP FUNCTION IF EXISTS generate_payment_number();
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS suppliers;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS units;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS system_settings;
+DROP TABLE IF EXISTS company_settings;
+DROP TABLE IF EXISTS activity_logs;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
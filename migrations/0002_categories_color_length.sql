@@ -0,0 +1,8 @@
+-- Category colors store Tailwind CSS classes, which exceed 20 characters.
+-- Replaces run_migration.js.
+
+-- migrate:up
+ALTER TABLE categories ALTER COLUMN color TYPE VARCHAR(100);
+
+-- migrate:down
+ALTER TABLE categories ALTER COLUMN color TYPE VARCHAR(20) USING LEFT(color, 20);
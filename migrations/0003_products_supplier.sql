@@ -0,0 +1,10 @@
+-- Free-text supplier reference on products. Replaces add_supplier_column.js.
+
+-- migrate:up
+ALTER TABLE products ADD COLUMN IF NOT EXISTS supplier VARCHAR(255);
+UPDATE products SET supplier = 'Proveedor General' WHERE supplier IS NULL;
+CREATE INDEX IF NOT EXISTS idx_products_supplier ON products(supplier) WHERE supplier IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_products_supplier;
+ALTER TABLE products DROP COLUMN IF EXISTS supplier;
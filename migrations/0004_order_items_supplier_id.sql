@@ -0,0 +1,10 @@
+-- Supplier each sold line belongs to, used by the register close summary.
+-- Replaces add_supplier_id_to_order_items.js.
+
+-- migrate:up
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS supplier_id UUID;
+CREATE INDEX IF NOT EXISTS idx_order_items_supplier ON order_items(supplier_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_order_items_supplier;
+ALTER TABLE order_items DROP COLUMN IF EXISTS supplier_id;
@@ -0,0 +1,9 @@
+-- Salesperson who took the order. Replaces add_user_id_to_orders.js.
+
+-- migrate:up
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id);
+CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_orders_user;
+ALTER TABLE orders DROP COLUMN IF EXISTS user_id;
@@ -0,0 +1,26 @@
+-- Line items for invoices. Replaces POST /api/billing/setup-invoice-items.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS invoice_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id),
+  product_name VARCHAR(255) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+  total_price DECIMAL(10, 2) GENERATED ALWAYS AS (quantity * unit_price) STORED,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_product ON invoice_items(product_id);
+
+DROP TRIGGER IF EXISTS update_invoice_items_updated_at ON invoice_items;
+CREATE TRIGGER update_invoice_items_updated_at
+  BEFORE UPDATE ON invoice_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- migrate:down
+DROP TABLE IF EXISTS invoice_items;
@@ -0,0 +1,13 @@
+-- Invoices may reference orders by number as well as by id, so the order
+-- columns become free-form text. Replaces POST /api/billing/modify-order-id
+-- and POST /api/billing/modify-sales-order-id.
+
+-- migrate:up
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_order_id_fkey;
+ALTER TABLE invoices ALTER COLUMN order_id TYPE VARCHAR(50);
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_sales_order_id_fkey;
+ALTER TABLE invoices ALTER COLUMN sales_order_id TYPE VARCHAR(50);
+
+-- migrate:down
+ALTER TABLE invoices ALTER COLUMN sales_order_id TYPE UUID USING sales_order_id::uuid;
+ALTER TABLE invoices ALTER COLUMN order_id TYPE UUID USING order_id::uuid;
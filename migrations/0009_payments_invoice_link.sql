@@ -0,0 +1,13 @@
+-- Payments can settle an invoice instead of an order. Replaces
+-- POST /api/payments/setup-payments-invoice-id and
+-- POST /api/payments/setup-payments-optional-order.
+
+-- migrate:up
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
+ALTER TABLE payments ALTER COLUMN order_id DROP NOT NULL;
+
+-- migrate:down
+ALTER TABLE payments ALTER COLUMN order_id SET NOT NULL;
+DROP INDEX IF EXISTS idx_payments_invoice;
+ALTER TABLE payments DROP COLUMN IF EXISTS invoice_id;
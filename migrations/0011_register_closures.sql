@@ -0,0 +1,15 @@
+-- Daily cash register closures. Replaces create_register_table.js.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS register_closures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  closing_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  total_sales DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  details JSONB DEFAULT '[]'::jsonb,
+  user_id UUID REFERENCES users(id),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS register_closures;
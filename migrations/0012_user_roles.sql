@@ -0,0 +1,12 @@
+-- Allow the canonical role names used by the permission model
+-- (config/permissions.js) alongside the legacy Spanish ones.
+
+-- migrate:up
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('admin', 'manager', 'cashier', 'user', 'vendedor', 'cajero', 'gerente'));
+
+-- migrate:down
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('admin', 'manager', 'vendedor', 'user', 'cajero'));
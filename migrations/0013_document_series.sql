@@ -0,0 +1,67 @@
+-- Numbering series for orders, invoices, payments and purchase orders
+-- (lib/numbering.js). One series per document type and branch; counters are
+-- kept per period so series with reset_yearly start again at 1 every year.
+-- Counters are seeded from the highest number already issued so existing
+-- databases continue where they left off.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS document_series (
+  id SERIAL PRIMARY KEY,
+  document_type VARCHAR(30) NOT NULL
+    CHECK (document_type IN ('order', 'invoice', 'payment', 'purchase_order')),
+  branch_code VARCHAR(20) NOT NULL DEFAULT 'main',
+  prefix VARCHAR(20) NOT NULL,
+  format VARCHAR(100) NOT NULL DEFAULT '{prefix}-{number}',
+  padding INTEGER NOT NULL DEFAULT 6 CHECK (padding BETWEEN 1 AND 12),
+  reset_yearly BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (document_type, branch_code)
+);
+
+-- period is the year for series with reset_yearly, 0 otherwise
+CREATE TABLE IF NOT EXISTS document_series_counters (
+  series_id INTEGER NOT NULL REFERENCES document_series(id) ON DELETE CASCADE,
+  period INTEGER NOT NULL DEFAULT 0,
+  last_number INTEGER NOT NULL DEFAULT 0 CHECK (last_number >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (series_id, period)
+);
+
+DROP TRIGGER IF EXISTS update_document_series_updated_at ON document_series;
+CREATE TRIGGER update_document_series_updated_at
+  BEFORE UPDATE ON document_series
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Default series keep the formats used so far
+INSERT INTO document_series (document_type, branch_code, prefix, padding) VALUES
+  ('order', 'main', 'ORD', 3),
+  ('invoice', 'main', 'FAC', 3),
+  ('payment', 'main', 'PAY', 6),
+  ('purchase_order', 'main', 'PO', 3)
+ON CONFLICT (document_type, branch_code) DO NOTHING;
+
+INSERT INTO document_series_counters (series_id, period, last_number)
+SELECT s.id, 0, COALESCE(existing.last_number, 0)
+FROM document_series s
+LEFT JOIN (
+  SELECT 'order' AS document_type, MAX(CAST(SUBSTRING(order_number FROM '^ORD-([0-9]+)$') AS INTEGER)) AS last_number
+  FROM orders
+  UNION ALL
+  SELECT 'invoice', MAX(CAST(SUBSTRING(invoice_number FROM '^FAC-([0-9]+)$') AS INTEGER))
+  FROM invoices
+  UNION ALL
+  SELECT 'payment', MAX(CAST(SUBSTRING(payment_number FROM '^PAY-([0-9]+)$') AS INTEGER))
+  FROM payments
+  UNION ALL
+  SELECT 'purchase_order', MAX(CAST(SUBSTRING(order_number FROM '^PO-([0-9]+)') AS INTEGER))
+  FROM purchase_orders
+) existing ON existing.document_type = s.document_type
+WHERE s.branch_code = 'main'
+ON CONFLICT (series_id, period) DO NOTHING;
+
+-- migrate:down
+DROP TABLE IF EXISTS document_series_counters;
+DROP TABLE IF EXISTS document_series;
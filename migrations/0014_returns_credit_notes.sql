@@ -0,0 +1,108 @@
+-- Customer returns against an order, the credit notes they issue and the
+-- refunds paid out for them. invoices.credited_amount tracks how much of an
+-- invoice has been cancelled by credit notes.
+
+-- migrate:up
+ALTER TABLE document_series DROP CONSTRAINT IF EXISTS document_series_document_type_check;
+ALTER TABLE document_series ADD CONSTRAINT document_series_document_type_check
+  CHECK (document_type IN ('order', 'invoice', 'payment', 'purchase_order', 'credit_note', 'refund'));
+
+INSERT INTO document_series (document_type, branch_code, prefix, padding) VALUES
+  ('credit_note', 'main', 'NC', 6),
+  ('refund', 'main', 'REF', 6)
+ON CONFLICT (document_type, branch_code) DO NOTHING;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credited_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS returns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id),
+  customer_id UUID REFERENCES customers(id),
+  invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  reason VARCHAR(30) NOT NULL
+    CHECK (reason IN ('spoiled', 'damaged', 'wrong_item', 'quality', 'customer_request', 'other')),
+  resolution VARCHAR(20) NOT NULL CHECK (resolution IN ('credit', 'refund')),
+  total DECIMAL(12, 2) NOT NULL CHECK (total > 0),
+  notes TEXT,
+  user_id UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_returns_order ON returns(order_id);
+CREATE INDEX IF NOT EXISTS idx_returns_customer ON returns(customer_id);
+
+CREATE TABLE IF NOT EXISTS return_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  return_id UUID NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id),
+  product_id UUID REFERENCES products(id),
+  product_name VARCHAR(255),
+  quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL,
+  total DECIMAL(12, 2) NOT NULL,
+  disposition VARCHAR(20) NOT NULL CHECK (disposition IN ('restock', 'write_off')),
+  reason VARCHAR(30),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_items_return ON return_items(return_id);
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item ON return_items(order_item_id);
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  credit_note_number VARCHAR(50) UNIQUE NOT NULL,
+  return_id UUID REFERENCES returns(id),
+  order_id UUID REFERENCES orders(id),
+  invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  customer_id UUID REFERENCES customers(id),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'refunded', 'void')),
+  reason TEXT,
+  user_id UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_customer ON credit_notes(customer_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_order ON credit_notes(order_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes(invoice_id);
+
+DROP TRIGGER IF EXISTS update_credit_notes_updated_at ON credit_notes;
+CREATE TRIGGER update_credit_notes_updated_at
+  BEFORE UPDATE ON credit_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Money paid back to a customer. Kept apart from payments so every existing
+-- "SUM(amount) FROM payments" keeps meaning money received.
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  refund_number VARCHAR(50) UNIQUE NOT NULL,
+  credit_note_id UUID REFERENCES credit_notes(id),
+  order_id UUID REFERENCES orders(id),
+  invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  customer_id UUID REFERENCES customers(id),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  refund_method VARCHAR(50) NOT NULL,
+  refund_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  reference_number VARCHAR(100),
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'completed',
+  user_id UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_customer ON refunds(customer_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_date ON refunds(refund_date);
+
+-- migrate:down
+DROP TABLE IF EXISTS refunds;
+DROP TABLE IF EXISTS credit_notes;
+DROP TABLE IF EXISTS return_items;
+DROP TABLE IF EXISTS returns;
+ALTER TABLE invoices DROP COLUMN IF EXISTS credited_amount;
+DELETE FROM document_series WHERE document_type IN ('credit_note', 'refund');
+ALTER TABLE document_series DROP CONSTRAINT IF EXISTS document_series_document_type_check;
+ALTER TABLE document_series ADD CONSTRAINT document_series_document_type_check
+  CHECK (document_type IN ('order', 'invoice', 'payment', 'purchase_order'));
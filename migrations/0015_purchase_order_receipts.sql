@@ -0,0 +1,49 @@
+-- Partial receiving of purchase orders. Every delivery is stored as a receipt
+-- with the accepted and rejected quantity of each line.
+-- purchase_order_items.received_quantity keeps meaning units accepted into
+-- stock; rejected_quantity adds up what was refused across deliveries.
+
+-- migrate:up
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS rejected_quantity DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS purchase_order_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  delivery_note VARCHAR(100),
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  accepted_cost DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  user_id UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_receipts_purchase_order ON purchase_order_receipts(purchase_order_id);
+
+CREATE TABLE IF NOT EXISTS purchase_order_receipt_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  receipt_id UUID NOT NULL REFERENCES purchase_order_receipts(id) ON DELETE CASCADE,
+  purchase_order_item_id UUID NOT NULL REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id),
+  accepted_quantity DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (accepted_quantity >= 0),
+  rejected_quantity DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (rejected_quantity >= 0),
+  rejection_reason TEXT,
+  unit_cost DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CHECK (accepted_quantity + rejected_quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_po_receipt_items_receipt ON purchase_order_receipt_items(receipt_id);
+
+-- Received orders from before receipts existed may not have their lines marked
+UPDATE purchase_order_items poi
+SET received_quantity = poi.quantity
+FROM purchase_orders po
+WHERE poi.purchase_order_id = po.id
+  AND po.status = 'received'
+  AND COALESCE(poi.received_quantity, 0) = 0;
+
+-- migrate:down
+DROP TABLE IF EXISTS purchase_order_receipt_items;
+DROP TABLE IF EXISTS purchase_order_receipts;
+ALTER TABLE purchase_order_items DROP COLUMN IF EXISTS rejected_quantity;
+UPDATE purchase_orders SET status = 'confirmed' WHERE status = 'partially_received';
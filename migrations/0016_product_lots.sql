@@ -0,0 +1,66 @@
+-- Lots (batches) of perishable products. products.stock stays the total on
+-- hand; product_lots splits the part received through purchase orders by
+-- expiry date so sales can consume first-expired-first-out (lib/lots.js).
+-- order_item_lots records which lots each sale took, so cancellations and
+-- returns put the units back into the same lots.
+
+-- migrate:up
+ALTER TABLE products ADD COLUMN IF NOT EXISTS shelf_life_days INTEGER CHECK (shelf_life_days > 0);
+
+CREATE TABLE IF NOT EXISTS product_lots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  lot_number VARCHAR(100),
+  supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL,
+  purchase_order_id UUID REFERENCES purchase_orders(id) ON DELETE SET NULL,
+  receipt_id UUID REFERENCES purchase_order_receipts(id) ON DELETE SET NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expiry_date DATE,
+  unit_cost DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  initial_quantity DECIMAL(10, 2) NOT NULL CHECK (initial_quantity > 0),
+  remaining_quantity DECIMAL(10, 2) NOT NULL CHECK (remaining_quantity >= 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'depleted', 'expired')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_lots_fefo ON product_lots(product_id, expiry_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_product_lots_expiry ON product_lots(expiry_date) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS update_product_lots_updated_at ON product_lots;
+CREATE TRIGGER update_product_lots_updated_at
+  BEFORE UPDATE ON product_lots
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS order_item_lots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  lot_id UUID NOT NULL REFERENCES product_lots(id) ON DELETE CASCADE,
+  quantity DECIMAL(10, 2) NOT NULL CHECK (quantity >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_item_lots_order_item ON order_item_lots(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_order_item_lots_lot ON order_item_lots(lot_id);
+
+-- Stock on hand today becomes one opening lot per product, carrying over the
+-- single expiry date products had so far
+INSERT INTO product_lots (product_id, lot_number, supplier_id, expiry_date, unit_cost, initial_quantity, remaining_quantity)
+SELECT
+  p.id,
+  'OPENING',
+  s.id,
+  p.expiry_date,
+  COALESCE(p.cost, 0),
+  p.stock,
+  p.stock
+FROM products p
+LEFT JOIN suppliers s ON p.supplier = s.id::text
+WHERE p.stock > 0
+  AND NOT EXISTS (SELECT 1 FROM product_lots l WHERE l.product_id = p.id);
+
+-- migrate:down
+DROP TABLE IF EXISTS order_item_lots;
+DROP TABLE IF EXISTS product_lots;
+ALTER TABLE products DROP COLUMN IF EXISTS shelf_life_days;
@@ -0,0 +1,170 @@
+-- Audit trail. Row triggers on the business tables write every insert, update
+-- and delete into activity_logs with the row before and after the change.
+-- Who made the change and from where comes from the transaction setting
+-- app.audit_context, set by config/database.js for requests (lib/audit.js).
+-- Changes made outside a request (CLI, schedulers) are logged without a user.
+
+-- migrate:up
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS old_values JSONB;
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS new_values JSONB;
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS changed_fields TEXT[];
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS request_method VARCHAR(10);
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS request_path TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_activity_logs_record ON activity_logs(table_name, record_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_activity_logs_user ON activity_logs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_activity_logs_created_at ON activity_logs(created_at);
+
+-- Trigger arguments name columns whose changes alone are not worth a log
+-- entry (e.g. products.stock, already tracked by stock_movements).
+CREATE OR REPLACE FUNCTION audit_row_change() RETURNS TRIGGER AS $$
+DECLARE
+  context JSONB := NULLIF(current_setting('app.audit_context', true), '')::jsonb;
+  old_row JSONB;
+  new_row JSONB;
+  changed TEXT[];
+  audit_action VARCHAR(20) := LOWER(TG_OP);
+BEGIN
+  -- Backup restores reload data that was already audited
+  IF current_setting('app.audit_disabled', true) = 'on' THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP <> 'INSERT' THEN
+    old_row := to_jsonb(OLD) - 'password_hash' - 'password';
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    new_row := to_jsonb(NEW) - 'password_hash' - 'password';
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    SELECT ARRAY_AGG(n.key ORDER BY n.key) INTO changed
+    FROM jsonb_each(new_row) n
+    WHERE n.value IS DISTINCT FROM old_row -> n.key
+      AND n.key <> 'updated_at';
+
+    IF changed IS NULL OR changed <@ TG_ARGV THEN
+      RETURN NULL;
+    END IF;
+
+    -- Soft deletes are deletes for the reader of the log
+    IF old_row ->> 'deleted_at' IS NULL AND new_row ->> 'deleted_at' IS NOT NULL THEN
+      audit_action := 'delete';
+    END IF;
+  END IF;
+
+  INSERT INTO activity_logs
+  (user_id, action, table_name, record_id, old_values, new_values, changed_fields,
+   ip_address, user_agent, request_method, request_path)
+  VALUES (
+    NULLIF(context ->> 'user_id', '')::uuid,
+    audit_action,
+    TG_TABLE_NAME,
+    COALESCE(new_row ->> 'id', old_row ->> 'id', new_row ->> 'key', old_row ->> 'key'),
+    old_row,
+    new_row,
+    changed,
+    context ->> 'ip',
+    context ->> 'user_agent',
+    context ->> 'method',
+    context ->> 'path'
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_orders ON orders;
+CREATE TRIGGER audit_orders AFTER INSERT OR UPDATE OR DELETE ON orders
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_invoices ON invoices;
+CREATE TRIGGER audit_invoices AFTER INSERT OR UPDATE OR DELETE ON invoices
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_payments ON payments;
+CREATE TRIGGER audit_payments AFTER INSERT OR UPDATE OR DELETE ON payments
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_credit_notes ON credit_notes;
+CREATE TRIGGER audit_credit_notes AFTER INSERT OR UPDATE OR DELETE ON credit_notes
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_refunds ON refunds;
+CREATE TRIGGER audit_refunds AFTER INSERT OR UPDATE OR DELETE ON refunds
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_register_closures ON register_closures;
+CREATE TRIGGER audit_register_closures AFTER INSERT OR UPDATE OR DELETE ON register_closures
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_customers ON customers;
+CREATE TRIGGER audit_customers AFTER INSERT OR UPDATE OR DELETE ON customers
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_suppliers ON suppliers;
+CREATE TRIGGER audit_suppliers AFTER INSERT OR UPDATE OR DELETE ON suppliers
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_supplier_payments ON supplier_payments;
+CREATE TRIGGER audit_supplier_payments AFTER INSERT OR UPDATE OR DELETE ON supplier_payments
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_purchase_orders ON purchase_orders;
+CREATE TRIGGER audit_purchase_orders AFTER INSERT OR UPDATE OR DELETE ON purchase_orders
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_products ON products;
+CREATE TRIGGER audit_products AFTER INSERT OR UPDATE OR DELETE ON products
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('stock');
+
+DROP TRIGGER IF EXISTS audit_categories ON categories;
+CREATE TRIGGER audit_categories AFTER INSERT OR UPDATE OR DELETE ON categories
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_company_settings ON company_settings;
+CREATE TRIGGER audit_company_settings AFTER INSERT OR UPDATE OR DELETE ON company_settings
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_system_settings ON system_settings;
+CREATE TRIGGER audit_system_settings AFTER INSERT OR UPDATE OR DELETE ON system_settings
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_document_series ON document_series;
+CREATE TRIGGER audit_document_series AFTER INSERT OR UPDATE OR DELETE ON document_series
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_users ON users;
+CREATE TRIGGER audit_users AFTER INSERT OR UPDATE OR DELETE ON users
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change('last_login_at');
+
+-- migrate:down
+DROP TRIGGER IF EXISTS audit_orders ON orders;
+DROP TRIGGER IF EXISTS audit_invoices ON invoices;
+DROP TRIGGER IF EXISTS audit_payments ON payments;
+DROP TRIGGER IF EXISTS audit_credit_notes ON credit_notes;
+DROP TRIGGER IF EXISTS audit_refunds ON refunds;
+DROP TRIGGER IF EXISTS audit_register_closures ON register_closures;
+DROP TRIGGER IF EXISTS audit_customers ON customers;
+DROP TRIGGER IF EXISTS audit_suppliers ON suppliers;
+DROP TRIGGER IF EXISTS audit_supplier_payments ON supplier_payments;
+DROP TRIGGER IF EXISTS audit_purchase_orders ON purchase_orders;
+DROP TRIGGER IF EXISTS audit_products ON products;
+DROP TRIGGER IF EXISTS audit_categories ON categories;
+DROP TRIGGER IF EXISTS audit_company_settings ON company_settings;
+DROP TRIGGER IF EXISTS audit_system_settings ON system_settings;
+DROP TRIGGER IF EXISTS audit_document_series ON document_series;
+DROP TRIGGER IF EXISTS audit_users ON users;
+DROP FUNCTION IF EXISTS audit_row_change();
+DROP INDEX IF EXISTS idx_activity_logs_record;
+DROP INDEX IF EXISTS idx_activity_logs_user;
+DROP INDEX IF EXISTS idx_activity_logs_created_at;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS request_path;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS request_method;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS ip_address;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS changed_fields;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS new_values;
+ALTER TABLE activity_logs DROP COLUMN IF EXISTS old_values;
@@ -0,0 +1,76 @@
+-- Cash register shifts (lib/register.js). A shift is opened with a starting
+-- float, collects the payments and refunds taken while it is open, records
+-- cash drops and payouts, and is closed with a cash count. The closure keeps
+-- the expected and counted amounts computed by the server.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS register_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  opening_float DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (opening_float >= 0),
+  opened_by UUID REFERENCES users(id),
+  opened_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  closed_by UUID REFERENCES users(id),
+  closed_at TIMESTAMP WITH TIME ZONE,
+  notes TEXT
+);
+
+-- A single register: only one shift can be open at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_register_sessions_single_open
+  ON register_sessions ((status)) WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS register_cash_movements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES register_sessions(id) ON DELETE CASCADE,
+  movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('drop', 'payout')),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  user_id UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_register_cash_movements_session ON register_cash_movements(session_id);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS register_session_id UUID REFERENCES register_sessions(id);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS register_session_id UUID REFERENCES register_sessions(id);
+CREATE INDEX IF NOT EXISTS idx_payments_register_session ON payments(register_session_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_register_session ON refunds(register_session_id);
+
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS session_id UUID UNIQUE REFERENCES register_sessions(id);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS opening_float DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS total_collected DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS total_refunded DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS cash_drops DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS cash_payouts DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS expected_cash DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS counted_cash DECIMAL(12, 2);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS over_short DECIMAL(12, 2);
+-- { "20": 3, "0.25": 8 } bill/coin value -> count
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS denominations JSONB;
+-- [{ payment_method, expected, counted, over_short }]
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS payment_methods JSONB;
+
+DROP TRIGGER IF EXISTS audit_register_sessions ON register_sessions;
+CREATE TRIGGER audit_register_sessions AFTER INSERT OR UPDATE OR DELETE ON register_sessions
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+DROP TRIGGER IF EXISTS audit_register_cash_movements ON register_cash_movements;
+CREATE TRIGGER audit_register_cash_movements AFTER INSERT OR UPDATE OR DELETE ON register_cash_movements
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- migrate:down
+ALTER TABLE register_closures DROP COLUMN IF EXISTS payment_methods;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS denominations;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS over_short;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS counted_cash;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS expected_cash;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS cash_payouts;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS cash_drops;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS total_refunded;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS total_collected;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS opening_float;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS session_id;
+ALTER TABLE refunds DROP COLUMN IF EXISTS register_session_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS register_session_id;
+DROP TABLE IF EXISTS register_cash_movements;
+DROP TABLE IF EXISTS register_sessions;
@@ -0,0 +1,50 @@
+-- Named registers (tills). Each shift belongs to a register and to the cashier
+-- who opened it; orders, payments and refunds are stamped with the shift they
+-- were taken in, so every drawer is reconciled on its own.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS registers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  location VARCHAR(255),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The till used until now
+INSERT INTO registers (code, name)
+VALUES ('MAIN', 'Caja principal')
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE register_sessions ADD COLUMN IF NOT EXISTS register_id UUID REFERENCES registers(id);
+UPDATE register_sessions
+SET register_id = (SELECT id FROM registers WHERE code = 'MAIN')
+WHERE register_id IS NULL;
+ALTER TABLE register_sessions ALTER COLUMN register_id SET NOT NULL;
+
+-- One open shift per register, and a cashier works one register at a time
+DROP INDEX IF EXISTS idx_register_sessions_single_open;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_register_sessions_open_register
+  ON register_sessions (register_id) WHERE status = 'open';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_register_sessions_open_user
+  ON register_sessions (opened_by) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_register_sessions_opened_at ON register_sessions(opened_at);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS register_session_id UUID REFERENCES register_sessions(id);
+CREATE INDEX IF NOT EXISTS idx_orders_register_session ON orders(register_session_id);
+
+DROP TRIGGER IF EXISTS audit_registers ON registers;
+CREATE TRIGGER audit_registers AFTER INSERT OR UPDATE OR DELETE ON registers
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- migrate:down
+DROP TABLE IF EXISTS registers CASCADE;
+ALTER TABLE orders DROP COLUMN IF EXISTS register_session_id;
+DROP INDEX IF EXISTS idx_register_sessions_opened_at;
+DROP INDEX IF EXISTS idx_register_sessions_open_user;
+DROP INDEX IF EXISTS idx_register_sessions_open_register;
+ALTER TABLE register_sessions DROP COLUMN IF EXISTS register_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_register_sessions_single_open
+  ON register_sessions ((status)) WHERE status = 'open';
@@ -0,0 +1,73 @@
+-- Register closures become immutable. A correction is a new version of the
+-- closure linked to the original (amend), and a shift can be reopened by a
+-- manager and closed again, which also produces a new version. Only the
+-- columns that mark a version as replaced can be written after the insert.
+
+-- migrate:up
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+-- First version of the chain; NULL on the first version itself
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS original_closure_id UUID
+  REFERENCES register_closures(id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS supersedes_id UUID
+  REFERENCES register_closures(id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS superseded_by UUID
+  REFERENCES register_closures(id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS amendment_reason TEXT;
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS reopened_by UUID REFERENCES users(id);
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS reopen_reason TEXT;
+
+-- Versions share the shift; only the current one is unique
+ALTER TABLE register_closures DROP CONSTRAINT IF EXISTS register_closures_session_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_register_closures_current_session
+  ON register_closures (session_id) WHERE superseded_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_register_closures_original ON register_closures(original_closure_id);
+
+CREATE OR REPLACE FUNCTION register_closure_immutable() RETURNS trigger AS $$
+DECLARE
+  replaced_columns TEXT[] := ARRAY['superseded_by', 'superseded_at', 'reopened_at', 'reopened_by', 'reopen_reason'];
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    RAISE EXCEPTION 'Register closure % cannot be deleted', OLD.id
+      USING ERRCODE = 'restrict_violation';
+  END IF;
+
+  -- Every other column is frozen, and the replacement marks are written once
+  IF (to_jsonb(NEW) - replaced_columns) IS DISTINCT FROM (to_jsonb(OLD) - replaced_columns)
+     OR (OLD.superseded_by IS NOT NULL AND NEW.superseded_by IS DISTINCT FROM OLD.superseded_by)
+     OR (OLD.superseded_at IS NOT NULL AND NEW.superseded_at IS DISTINCT FROM OLD.superseded_at)
+     OR (OLD.reopened_at IS NOT NULL AND NEW.reopened_at IS DISTINCT FROM OLD.reopened_at) THEN
+    RAISE EXCEPTION 'Register closure % is immutable, amend it instead', OLD.id
+      USING ERRCODE = 'restrict_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS register_closures_immutable ON register_closures;
+CREATE TRIGGER register_closures_immutable BEFORE UPDATE OR DELETE ON register_closures
+  FOR EACH ROW EXECUTE FUNCTION register_closure_immutable();
+
+-- migrate:down
+DROP TRIGGER IF EXISTS register_closures_immutable ON register_closures;
+DROP FUNCTION IF EXISTS register_closure_immutable();
+DROP INDEX IF EXISTS idx_register_closures_original;
+DROP INDEX IF EXISTS idx_register_closures_current_session;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS original_closure_id;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS supersedes_id;
+-- Keep only the latest version of each closure. Check the deferred keys now so
+-- the table can still be altered in this transaction.
+SET CONSTRAINTS ALL IMMEDIATE;
+DELETE FROM register_closures WHERE superseded_by IS NOT NULL;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS superseded_by;
+ALTER TABLE register_closures ADD CONSTRAINT register_closures_session_id_key UNIQUE (session_id);
+ALTER TABLE register_closures DROP COLUMN IF EXISTS reopen_reason;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS reopened_by;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS reopened_at;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS approved_by;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS amendment_reason;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS superseded_at;
+ALTER TABLE register_closures DROP COLUMN IF EXISTS version;
@@ -0,0 +1,39 @@
+-- Electronic invoices for the SRI (lib/sri.js). Each invoice keeps its access
+-- key and the state of its submission: signed, received, returned, authorized
+-- or rejected. The signed XML lives in its own table so invoice listings do
+-- not carry it.
+
+-- migrate:up
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_access_key VARCHAR(49);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_environment SMALLINT
+  CHECK (sri_environment IN (1, 2));
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_status VARCHAR(20)
+  CHECK (sri_status IN ('signed', 'received', 'returned', 'authorized', 'rejected'));
+-- [{ identifier, message, additional_info, type }] from the last SRI answer
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_messages JSONB;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_authorization_number VARCHAR(49);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS sri_authorized_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_sri_access_key ON invoices(sri_access_key);
+CREATE INDEX IF NOT EXISTS idx_invoices_sri_status ON invoices(sri_status);
+
+-- Last signed version of each invoice, replaced when it is signed again
+CREATE TABLE IF NOT EXISTS invoice_sri_documents (
+  invoice_id UUID PRIMARY KEY REFERENCES invoices(id) ON DELETE CASCADE,
+  access_key VARCHAR(49) NOT NULL,
+  signed_xml TEXT NOT NULL,
+  signed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS invoice_sri_documents;
+DROP INDEX IF EXISTS idx_invoices_sri_status;
+DROP INDEX IF EXISTS idx_invoices_sri_access_key;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_authorized_at;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_authorization_number;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_submitted_at;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_messages;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_status;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_environment;
+ALTER TABLE invoices DROP COLUMN IF EXISTS sri_access_key;
@@ -0,0 +1,52 @@
+-- Consolidated invoicing (lib/consolidation.js). orders.invoice_id marks the
+-- orders an invoice covers, so one invoice can bill many orders and no order
+-- is billed twice. Customers can ask to be billed weekly or monthly.
+-- invoice_items.quantity becomes decimal like order_items.quantity, produce
+-- sold by weight was being rounded to whole units.
+
+-- migrate:up
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_orders_invoice ON orders(invoice_id);
+
+-- Invoices issued so far name their order in order_id or sales_order_id, by
+-- id or by number
+UPDATE orders o
+SET invoice_id = i.id
+FROM invoices i
+WHERE o.invoice_id IS NULL
+  AND (i.order_id IN (o.id::text, o.order_number) OR i.sales_order_id IN (o.id::text, o.order_number))
+  AND i.deleted_at IS NULL
+  AND i.status <> 'cancelled';
+
+-- Order each line of a consolidated invoice came from
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES orders(id) ON DELETE SET NULL;
+
+-- total_price is generated from quantity and has to be rebuilt around the change
+ALTER TABLE invoice_items DROP COLUMN total_price;
+ALTER TABLE invoice_items ALTER COLUMN quantity TYPE DECIMAL(10, 2);
+ALTER TABLE invoice_items ADD COLUMN total_price DECIMAL(10, 2)
+  GENERATED ALWAYS AS (ROUND(quantity * unit_price, 2)) STORED;
+
+-- billing_day: ISO weekday (1 = Monday) for weekly billing, day of the month
+-- (1-28) for monthly billing
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS billing_frequency VARCHAR(10) NOT NULL DEFAULT 'none'
+  CHECK (billing_frequency IN ('none', 'weekly', 'monthly'));
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS billing_day SMALLINT
+  CHECK (billing_day BETWEEN 1 AND 28);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS payment_terms_days INTEGER NOT NULL DEFAULT 30
+  CHECK (payment_terms_days >= 0);
+-- Last billing day already consolidated
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS last_consolidated_on DATE;
+
+-- migrate:down
+ALTER TABLE customers DROP COLUMN IF EXISTS last_consolidated_on;
+ALTER TABLE customers DROP COLUMN IF EXISTS payment_terms_days;
+ALTER TABLE customers DROP COLUMN IF EXISTS billing_day;
+ALTER TABLE customers DROP COLUMN IF EXISTS billing_frequency;
+ALTER TABLE invoice_items DROP COLUMN total_price;
+ALTER TABLE invoice_items ALTER COLUMN quantity TYPE INTEGER USING CEIL(quantity);
+ALTER TABLE invoice_items ADD COLUMN total_price DECIMAL(10, 2)
+  GENERATED ALWAYS AS (quantity * unit_price) STORED;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS order_id;
+DROP INDEX IF EXISTS idx_orders_invoice;
+ALTER TABLE orders DROP COLUMN IF EXISTS invoice_id;
@@ -0,0 +1,77 @@
+-- Tax rates for the tax engine (lib/tax.js). A product is taxed at its own
+-- rate, else at its category's, else at the default rate. Lines keep the rate
+-- they were charged at, their own discount, the taxable base after every
+-- discount and their tax, so totals can be recomputed and reported by rate.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS tax_rates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0 AND rate < 100),
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one default rate
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rates_default ON tax_rates(is_default) WHERE is_default;
+
+DROP TRIGGER IF EXISTS update_tax_rates_updated_at ON tax_rates;
+CREATE TRIGGER update_tax_rates_updated_at
+  BEFORE UPDATE ON tax_rates
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS audit_tax_rates ON tax_rates;
+CREATE TRIGGER audit_tax_rates AFTER INSERT OR UPDATE OR DELETE ON tax_rates
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Fresh produce is sold without IVA, which is what every sale was charged
+-- until now, so it is the default
+INSERT INTO tax_rates (code, name, rate, is_default)
+VALUES ('IVA0', 'IVA 0%', 0, true), ('IVA15', 'IVA 15%', 15, false)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS tax_rate_id UUID REFERENCES tax_rates(id) ON DELETE SET NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS tax_rate_id UUID REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+-- discount_amount is the line's own discount; tax_base also takes out its
+-- share of the document discount. NULL tax_rate: line from before the engine.
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_base DECIMAL(12, 2);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(12, 2);
+
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2);
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS tax_base DECIMAL(12, 2);
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(12, 2);
+
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2);
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS tax_base DECIMAL(12, 2);
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(12, 2);
+
+-- Discount over the whole invoice, on top of the line discounts
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS discount_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE purchase_orders DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE invoices DROP COLUMN IF EXISTS discount_percentage;
+ALTER TABLE purchase_order_items DROP COLUMN IF EXISTS tax_amount;
+ALTER TABLE purchase_order_items DROP COLUMN IF EXISTS tax_base;
+ALTER TABLE purchase_order_items DROP COLUMN IF EXISTS tax_rate;
+ALTER TABLE purchase_order_items DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS tax_amount;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS tax_base;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS tax_rate;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE order_items DROP COLUMN IF EXISTS tax_amount;
+ALTER TABLE order_items DROP COLUMN IF EXISTS tax_base;
+ALTER TABLE order_items DROP COLUMN IF EXISTS tax_rate;
+ALTER TABLE order_items DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE products DROP COLUMN IF EXISTS tax_rate_id;
+ALTER TABLE categories DROP COLUMN IF EXISTS tax_rate_id;
+DROP TABLE IF EXISTS tax_rates;
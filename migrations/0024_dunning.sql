@@ -0,0 +1,51 @@
+-- Dunning (lib/receivables.js). A notice is a payment reminder sent to a
+-- customer, by email or as a printed letter, at one of the stages configured
+-- in system_settings.dunning. It lists the overdue invoices it was sent for
+-- and the stage each one reached, so an invoice is reminded once per stage.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS dunning_notices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  level SMALLINT NOT NULL CHECK (level >= 1),
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'letter')),
+  recipient VARCHAR(255),
+  subject VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL,
+  total_due DECIMAL(12, 2) NOT NULL,
+  as_of DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'cancelled')),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  error TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_notices_customer ON dunning_notices(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dunning_notices_status ON dunning_notices(status);
+
+CREATE TABLE IF NOT EXISTS dunning_notice_invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  notice_id UUID NOT NULL REFERENCES dunning_notices(id) ON DELETE CASCADE,
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  level SMALLINT NOT NULL,
+  outstanding DECIMAL(12, 2) NOT NULL,
+  days_overdue INTEGER NOT NULL,
+  UNIQUE (notice_id, invoice_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_notice_invoices_invoice ON dunning_notice_invoices(invoice_id);
+
+DROP TRIGGER IF EXISTS update_dunning_notices_updated_at ON dunning_notices;
+CREATE TRIGGER update_dunning_notices_updated_at
+  BEFORE UPDATE ON dunning_notices
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS audit_dunning_notices ON dunning_notices;
+CREATE TRIGGER audit_dunning_notices AFTER INSERT OR UPDATE OR DELETE ON dunning_notices
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- migrate:down
+DROP TABLE IF EXISTS dunning_notice_invoices;
+DROP TABLE IF EXISTS dunning_notices;
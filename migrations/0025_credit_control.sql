@@ -0,0 +1,31 @@
+-- Credit control at order time (lib/credit.js). Credit sales are checked
+-- against the customer's credit limit; a manager can let one through over the
+-- limit, which is recorded in credit_overrides. A customer on credit hold
+-- cannot buy on credit at all.
+
+-- migrate:up
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS credit_hold BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS credit_hold_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS credit_overrides (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id),
+  credit_limit DECIMAL(12, 2) NOT NULL,
+  balance DECIMAL(12, 2) NOT NULL,
+  order_total DECIMAL(12, 2) NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_overrides_customer ON credit_overrides(customer_id, created_at);
+
+DROP TRIGGER IF EXISTS audit_credit_overrides ON credit_overrides;
+CREATE TRIGGER audit_credit_overrides AFTER INSERT OR UPDATE OR DELETE ON credit_overrides
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- migrate:down
+DROP TABLE IF EXISTS credit_overrides;
+ALTER TABLE customers DROP COLUMN IF EXISTS credit_hold_reason;
+ALTER TABLE customers DROP COLUMN IF EXISTS credit_hold;
@@ -0,0 +1,105 @@
+-- Consignment settlements (lib/consignment.js). Goods of a consignment
+-- supplier stay theirs until sold; for a period the store settles what was
+-- sold, less customer returns, and pays the supplier either the sale value
+-- less an agreed commission or an agreed cost per unit. Each sold line and
+-- return line is settled once, through its consignment_settlement_id.
+
+-- migrate:up
+ALTER TABLE document_series DROP CONSTRAINT IF EXISTS document_series_document_type_check;
+ALTER TABLE document_series ADD CONSTRAINT document_series_document_type_check
+  CHECK (document_type IN ('order', 'invoice', 'payment', 'purchase_order', 'credit_note', 'refund', 'consignment_settlement'));
+
+INSERT INTO document_series (document_type, branch_code, prefix, padding) VALUES
+  ('consignment_settlement', 'main', 'LIQ', 6)
+ON CONFLICT (document_type, branch_code) DO NOTHING;
+
+-- NULL consignment_basis: the supplier sells to the store, no consignment
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS consignment_basis VARCHAR(20)
+  CHECK (consignment_basis IN ('commission', 'unit_cost'));
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS consignment_commission DECIMAL(5, 2)
+  CHECK (consignment_commission >= 0 AND consignment_commission <= 100);
+-- Agreed amount paid per unit sold, for suppliers settled by unit cost
+ALTER TABLE products ADD COLUMN IF NOT EXISTS consignment_unit_cost DECIMAL(10, 2)
+  CHECK (consignment_unit_cost >= 0);
+
+CREATE TABLE IF NOT EXISTS consignment_settlements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  settlement_number VARCHAR(50) UNIQUE NOT NULL,
+  supplier_id UUID NOT NULL REFERENCES suppliers(id),
+  period_from DATE,
+  period_to DATE NOT NULL,
+  basis VARCHAR(20) NOT NULL CHECK (basis IN ('commission', 'unit_cost')),
+  commission_percentage DECIMAL(5, 2),
+  units_sold DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  units_returned DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  units_spoiled DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  units_expired DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  sale_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  returns_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  commission_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  amount_owed DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved', 'void')),
+  notes TEXT,
+  void_reason TEXT,
+  created_by UUID REFERENCES users(id),
+  approved_by UUID REFERENCES users(id),
+  approved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_consignment_settlements_supplier ON consignment_settlements(supplier_id, period_to);
+
+-- One line per product. units_spoiled: returned by customers and written off;
+-- units_expired: consigned lots that expired in stock, shown for information
+CREATE TABLE IF NOT EXISTS consignment_settlement_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  settlement_id UUID NOT NULL REFERENCES consignment_settlements(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  product_name VARCHAR(255) NOT NULL,
+  units_sold DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  units_returned DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  units_spoiled DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  units_expired DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  sale_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  returns_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  unit_cost DECIMAL(10, 2),
+  commission_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  amount_owed DECIMAL(12, 2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_consignment_settlement_lines_settlement ON consignment_settlement_lines(settlement_id);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS consignment_settlement_id UUID
+  REFERENCES consignment_settlements(id) ON DELETE SET NULL;
+ALTER TABLE return_items ADD COLUMN IF NOT EXISTS consignment_settlement_id UUID
+  REFERENCES consignment_settlements(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_order_items_consignment_settlement ON order_items(consignment_settlement_id);
+
+-- The payment that paid out an approved settlement
+ALTER TABLE supplier_payments ADD COLUMN IF NOT EXISTS settlement_id UUID
+  REFERENCES consignment_settlements(id) ON DELETE SET NULL;
+
+DROP TRIGGER IF EXISTS update_consignment_settlements_updated_at ON consignment_settlements;
+CREATE TRIGGER update_consignment_settlements_updated_at
+  BEFORE UPDATE ON consignment_settlements
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS audit_consignment_settlements ON consignment_settlements;
+CREATE TRIGGER audit_consignment_settlements AFTER INSERT OR UPDATE OR DELETE ON consignment_settlements
+  FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- migrate:down
+ALTER TABLE supplier_payments DROP COLUMN IF EXISTS settlement_id;
+DROP INDEX IF EXISTS idx_order_items_consignment_settlement;
+ALTER TABLE return_items DROP COLUMN IF EXISTS consignment_settlement_id;
+ALTER TABLE order_items DROP COLUMN IF EXISTS consignment_settlement_id;
+DROP TABLE IF EXISTS consignment_settlement_lines;
+DROP TABLE IF EXISTS consignment_settlements;
+ALTER TABLE products DROP COLUMN IF EXISTS consignment_unit_cost;
+ALTER TABLE suppliers DROP COLUMN IF EXISTS consignment_commission;
+ALTER TABLE suppliers DROP COLUMN IF EXISTS consignment_basis;
+DELETE FROM document_series WHERE document_type = 'consignment_settlement';
+ALTER TABLE document_series DROP CONSTRAINT IF EXISTS document_series_document_type_check;
+ALTER TABLE document_series ADD CONSTRAINT document_series_document_type_check
+  CHECK (document_type IN ('order', 'invoice', 'payment', 'purchase_order', 'credit_note', 'refund'));
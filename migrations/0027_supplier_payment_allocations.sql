@@ -0,0 +1,47 @@
+-- Accounts payable (lib/payables.js). A supplier payment can be split across
+-- the supplier's purchase orders; what is left stays on account. Payments are
+-- voided instead of deleted, and purchase_orders.paid_amount and
+-- payment_status follow the allocations of completed payments.
+
+-- migrate:up
+ALTER TABLE supplier_payments ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed'
+  CHECK (status IN ('completed', 'voided'));
+ALTER TABLE supplier_payments ADD COLUMN IF NOT EXISTS void_reason TEXT;
+ALTER TABLE supplier_payments ADD COLUMN IF NOT EXISTS voided_by UUID REFERENCES users(id);
+ALTER TABLE supplier_payments ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE supplier_payments ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_supplier_payments_supplier ON supplier_payments(supplier_id, payment_date);
+
+CREATE TABLE IF NOT EXISTS supplier_payment_allocations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL REFERENCES supplier_payments(id) ON DELETE CASCADE,
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (payment_id, purchase_order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_supplier_payment_allocations_po ON supplier_payment_allocations(purchase_order_id);
+
+-- Existing payments were never allocated, so every purchase order starts unpaid
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid'
+  CHECK (payment_status IN ('unpaid', 'partial', 'paid'));
+
+DROP TRIGGER IF EXISTS update_supplier_payments_updated_at ON supplier_payments;
+CREATE TRIGGER update_supplier_payments_updated_at
+  BEFORE UPDATE ON supplier_payments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- migrate:down
+DROP TRIGGER IF EXISTS update_supplier_payments_updated_at ON supplier_payments;
+ALTER TABLE purchase_orders DROP COLUMN IF EXISTS payment_status;
+ALTER TABLE purchase_orders DROP COLUMN IF EXISTS paid_amount;
+DROP TABLE IF EXISTS supplier_payment_allocations;
+DROP INDEX IF EXISTS idx_supplier_payments_supplier;
+ALTER TABLE supplier_payments DROP COLUMN IF EXISTS user_id;
+ALTER TABLE supplier_payments DROP COLUMN IF EXISTS voided_at;
+ALTER TABLE supplier_payments DROP COLUMN IF EXISTS voided_by;
+ALTER TABLE supplier_payments DROP COLUMN IF EXISTS void_reason;
+ALTER TABLE supplier_payments DROP COLUMN IF EXISTS status;
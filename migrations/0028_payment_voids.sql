@@ -0,0 +1,34 @@
+-- Payments are voided or refunded instead of deleted (lib/payments.js). A void
+-- keeps the payment with status 'voided', who voided it, when, why and in
+-- which register shift; that shift pays the money back out. A refund is a
+-- negative payment linked to the payment it gives money back for.
+
+-- migrate:up
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS void_reason TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS voided_by UUID REFERENCES users(id);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS void_session_id UUID REFERENCES register_sessions(id);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_of_payment_id UUID REFERENCES payments(id);
+
+-- Only refunds may be negative
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_amount_check;
+ALTER TABLE payments ADD CONSTRAINT payments_amount_check
+  CHECK (amount > 0 OR (amount < 0 AND refund_of_payment_id IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_payments_void_session ON payments(void_session_id);
+CREATE INDEX IF NOT EXISTS idx_payments_refund_of ON payments(refund_of_payment_id);
+
+-- Payments voided during a shift that were taken in another one
+ALTER TABLE register_closures ADD COLUMN IF NOT EXISTS total_voided DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE register_closures DROP COLUMN IF EXISTS total_voided;
+DROP INDEX IF EXISTS idx_payments_refund_of;
+DROP INDEX IF EXISTS idx_payments_void_session;
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_amount_check;
+ALTER TABLE payments ADD CONSTRAINT payments_amount_check CHECK (amount > 0);
+ALTER TABLE payments DROP COLUMN IF EXISTS refund_of_payment_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS void_session_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS voided_at;
+ALTER TABLE payments DROP COLUMN IF EXISTS voided_by;
+ALTER TABLE payments DROP COLUMN IF EXISTS void_reason;
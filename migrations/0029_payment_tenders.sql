@@ -0,0 +1,13 @@
+-- Split tender (lib/payments.js). A sale can be paid with several tenders at
+-- once, each one recorded as its own payment. Cash payments keep what the
+-- customer handed over and the change given back; amount is what was applied
+-- to the sale, so it is also what stays in the drawer.
+
+-- migrate:up
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_tendered DECIMAL(12, 2);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS change_given DECIMAL(12, 2) NOT NULL DEFAULT 0
+  CHECK (change_given >= 0);
+
+-- migrate:down
+ALTER TABLE payments DROP COLUMN IF EXISTS change_given;
+ALTER TABLE payments DROP COLUMN IF EXISTS amount_tendered;
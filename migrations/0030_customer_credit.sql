@@ -0,0 +1,19 @@
+-- Customer advances (lib/payments.js). A deposit is a payment of the customer
+-- with no order or invoice; it sits as unapplied credit. Overpayments leave
+-- their excess as a deposit. Applying credit to an invoice or order records a
+-- payment of method 'account_credit' linked to the deposit it draws from; it
+-- moves no money, so it belongs to no register shift and is left out of what
+-- the customer paid.
+
+-- migrate:up
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS is_deposit BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS applied_from_payment_id UUID REFERENCES payments(id);
+
+CREATE INDEX IF NOT EXISTS idx_payments_deposits ON payments(customer_id, payment_date) WHERE is_deposit;
+CREATE INDEX IF NOT EXISTS idx_payments_applied_from ON payments(applied_from_payment_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_payments_applied_from;
+DROP INDEX IF EXISTS idx_payments_deposits;
+ALTER TABLE payments DROP COLUMN IF EXISTS applied_from_payment_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS is_deposit;
@@ -0,0 +1,160 @@
+const express = require('express')
+const router = express.Router()
+const { pool } = require('../config/database')
+const { requirePermission } = require('../middleware/auth')
+
+// Tables written to activity_logs by the audit triggers (migration 0017)
+const AUDITED_TABLES = [
+  'orders', 'invoices', 'payments', 'credit_notes', 'refunds', 'register_closures',
+  'registers', 'register_sessions', 'register_cash_movements',
+  'customers', 'suppliers', 'supplier_payments', 'consignment_settlements', 'credit_overrides', 'dunning_notices', 'purchase_orders', 'products',
+  'categories', 'tax_rates', 'company_settings', 'system_settings', 'document_series', 'users'
+]
+
+const formatEntry = (entry) => ({
+  ...entry,
+  changed_fields: entry.changed_fields || []
+})
+
+// GET /api/audit - Search the audit trail
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const {
+      user_id,
+      table_name,
+      record_id,
+      action,
+      date_from,
+      date_to,
+      page = 1,
+      limit = 50
+    } = req.query
+
+    let whereClause = 'WHERE 1=1'
+    const queryParams = []
+    let paramIndex = 1
+
+    if (user_id) {
+      whereClause += ` AND a.user_id = $${paramIndex}`
+      queryParams.push(user_id)
+      paramIndex++
+    }
+
+    if (table_name) {
+      whereClause += ` AND a.table_name = $${paramIndex}`
+      queryParams.push(table_name)
+      paramIndex++
+    }
+
+    if (record_id) {
+      whereClause += ` AND a.record_id = $${paramIndex}`
+      queryParams.push(record_id)
+      paramIndex++
+    }
+
+    if (action) {
+      whereClause += ` AND a.action = $${paramIndex}`
+      queryParams.push(action)
+      paramIndex++
+    }
+
+    if (date_from) {
+      whereClause += ` AND a.created_at >= $${paramIndex}`
+      queryParams.push(date_from)
+      paramIndex++
+    }
+
+    if (date_to) {
+      whereClause += ` AND a.created_at < ($${paramIndex}::date + INTERVAL '1 day')`
+      queryParams.push(date_to)
+      paramIndex++
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM activity_logs a ${whereClause}`,
+      queryParams
+    )
+    const total = parseInt(countResult.rows[0].total)
+
+    const result = await pool.query(`
+      SELECT
+        a.*,
+        u.username,
+        u.full_name as user_name
+      FROM activity_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      ${whereClause}
+      ORDER BY a.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...queryParams, limit, (page - 1) * limit])
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatEntry),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching audit trail:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/audit/tables - Tables covered by the audit trail
+router.get('/tables', requirePermission('audit:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: AUDITED_TABLES
+  })
+})
+
+// GET /api/audit/:table/:recordId - Full history of one record, oldest first
+router.get('/:table/:recordId', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { table, recordId } = req.params
+
+    if (!AUDITED_TABLES.includes(table)) {
+      return res.status(404).json({
+        success: false,
+        error: `Table ${table} is not audited`
+      })
+    }
+
+    const result = await pool.query(`
+      SELECT
+        a.*,
+        u.username,
+        u.full_name as user_name
+      FROM activity_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.table_name = $1 AND a.record_id = $2
+      ORDER BY a.created_at ASC
+    `, [table, recordId])
+
+    res.json({
+      success: true,
+      data: {
+        table_name: table,
+        record_id: recordId,
+        history: result.rows.map(formatEntry)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching record history:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+module.exports = router
@@ -1,45 +1,15 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool, withTransaction } = require('../config/database')
 const { body, validationResult } = require('express-validator')
 const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken')
+const { JWT_SECRET, authenticateToken, requirePermission } = require('../middleware/auth')
+const { ASSIGNABLE_ROLES, getPermissions } = require('../config/permissions')
+const { HttpError, sendHttpError } = require('../lib/errors')
 
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h'
 
-// Middleware to authenticate JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization']
-  const token = authHeader && authHeader.split(' ')[1]
-
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Access token is required'
-    })
-  }
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        success: false,
-        error: 'Invalid or expired token'
-      })
-    }
-    req.user = user
-    next()
-  })
-}
-
 // POST /api/auth/login - User login
 router.post('/login', [
   body('email').isEmail().withMessage('Valid email is required'),
@@ -105,6 +75,7 @@ router.post('/login', [
         user: {
           ...userWithoutPassword,
           name: user.full_name, // Map full_name to name for consistency
+          permissions: getPermissions(user.role),
           preferences: {
             email_notifications: true,
             push_notifications: true,
@@ -133,8 +104,8 @@ router.post('/register', [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['admin', 'manager', 'vendedor', 'user', 'cajero']).withMessage('Invalid role')
-], authenticateToken, async (req, res) => {
+  body('role').isIn(ASSIGNABLE_ROLES).withMessage('Invalid role')
+], authenticateToken, requirePermission('users:manage'), async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -144,60 +115,44 @@ router.post('/register', [
     })
   }
 
-  // Check if current user is admin
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Only administrators can create new users'
-    })
-  }
-
-  const client = await pool.connect()
-
   try {
-    await client.query('BEGIN')
-
-    const { name, email, password, role, avatar } = req.body
+    const newUser = await withTransaction(async (client) => {
+      const { name, email, password, role, avatar } = req.body
 
-    // Check if email already exists
-    const existingUser = await client.query(
-      'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
-      [email]
-    )
-
-    if (existingUser.rows.length > 0) {
-      await client.query('ROLLBACK')
-      return res.status(400).json({
-        success: false,
-        error: 'Email already exists'
-      })
-    }
+      // Check if email already exists
+      const existingUser = await client.query(
+        'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
+        [email]
+      )
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12)
+      if (existingUser.rows.length > 0) {
+        throw new HttpError(400, 'Email already exists')
+      }
 
-    // Generate username from email
-    const username = email.split('@')[0] + Math.floor(Math.random() * 1000)
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 12)
 
-    // Insert new user
-    const insertUserQuery = `
-      INSERT INTO users (username, email, password_hash, full_name, role, avatar)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, username, email, full_name, role, avatar, created_at
-    `
+      // Generate username from email
+      const username = email.split('@')[0] + Math.floor(Math.random() * 1000)
 
-    const newUserResult = await client.query(insertUserQuery, [
-      username,
-      email,
-      hashedPassword,
-      name,
-      role,
-      avatar || null
-    ])
+      // Insert new user
+      const insertUserQuery = `
+        INSERT INTO users (username, email, password_hash, full_name, role, avatar)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, username, email, full_name, role, avatar, created_at
+      `
 
-    const newUser = newUserResult.rows[0]
+      const newUserResult = await client.query(insertUserQuery, [
+        username,
+        email,
+        hashedPassword,
+        name,
+        role,
+        avatar || null
+      ])
 
-    await client.query('COMMIT')
+      return newUserResult.rows[0]
+    })
 
     res.status(201).json({
       success: true,
@@ -210,15 +165,13 @@ router.post('/register', [
       message: 'User created successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error during registration:', error)
     res.status(500).json({
       success: false,
       error: 'Internal server error',
       message: error.message
     })
-  } finally {
-    client.release()
   }
 })
 
@@ -283,6 +236,7 @@ router.get('/me', authenticateToken, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          permissions: getPermissions(user.role),
           avatar: user.avatar,
           created_at: user.created_at,
           last_login_at: user.last_login_at,
@@ -441,14 +395,7 @@ router.delete('/sessions/:id', authenticateToken, async (req, res) => {
 })
 
 // Cleanup old sessions (utility endpoint for admin)
-router.post('/cleanup-sessions', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Admin access required'
-    })
-  }
-
+router.post('/cleanup-sessions', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
     // Remove sessions older than 30 days
     const result = await pool.query(`
@@ -473,7 +420,7 @@ router.post('/cleanup-sessions', authenticateToken, async (req, res) => {
 })
 
 // Temporary endpoint to create demo users (REMOVE IN PRODUCTION)
-router.post('/create-demo-users', async (req, res) => {
+router.post('/create-demo-users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const demoPassword = 'password123'
     const hashedPassword = await bcrypt.hash(demoPassword, 12)
@@ -540,7 +487,7 @@ router.post('/create-demo-users', async (req, res) => {
 })
 
 // Temporary endpoint to create sample data for testing (REMOVE IN PRODUCTION)
-router.post('/create-sample-data', async (req, res) => {
+router.post('/create-sample-data', authenticateToken, requirePermission('settings:write'), async (req, res) => {
   try {
     // Clear existing sample data first
     await pool.query('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders)')
@@ -675,15 +622,7 @@ router.post('/create-sample-data', async (req, res) => {
 })
 
 // GET /api/auth/users - Get all users (admin and manager only)
-router.get('/users', authenticateToken, async (req, res) => {
-  // Check if current user has permission to view users
-  if (!['admin', 'manager'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      error: 'Insufficient permissions to view users'
-    })
-  }
-
+router.get('/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
     const usersQuery = `
       SELECT 
@@ -719,8 +658,8 @@ router.get('/users', authenticateToken, async (req, res) => {
 router.put('/users/:id', [
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
-  body('role').optional().isIn(['admin', 'manager', 'vendedor', 'user', 'cajero']).withMessage('Invalid role')
-], authenticateToken, async (req, res) => {
+  body('role').optional().isIn(ASSIGNABLE_ROLES).withMessage('Invalid role')
+], authenticateToken, requirePermission('users:manage'), async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -730,14 +669,6 @@ router.put('/users/:id', [
     })
   }
 
-  // Check if current user is admin
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Only administrators can update users'
-    })
-  }
-
   const { id } = req.params
   const updates = {}
   const allowedFields = ['name', 'email', 'role', 'password']
@@ -830,15 +761,7 @@ router.put('/users/:id', [
 })
 
 // DELETE /api/auth/users/:id - Delete user (admin only)
-router.delete('/users/:id', authenticateToken, async (req, res) => {
-  // Check if current user is admin
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      error: 'Only administrators can delete users'
-    })
-  }
-
+router.delete('/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   const { id } = req.params
 
   // Prevent self-deletion
@@ -886,5 +809,4 @@ router.delete('/users/:id', authenticateToken, async (req, res) => {
   }
 })
 
-module.exports = router
-module.exports.authenticateToken = authenticateToken
\ No newline at end of file
+module.exports = router
\ No newline at end of file
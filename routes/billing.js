@@ -1,17 +1,86 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
+const { body, query, validationResult } = require('express-validator')
+const { pool, withTransaction } = require('../config/database')
+const { requirePermission } = require('../middleware/auth')
+const { HttpError, sendHttpError } = require('../lib/errors')
+const { nextNumber, previewNumber } = require('../lib/numbering')
+const { getOpenSessionId, requestedOverride } = require('../lib/register')
+const {
+  TEMPLATES,
+  LABELS,
+  getInvoicePdfSettings,
+  loadInvoiceDocument,
+  loadLogo,
+  renderInvoicePdf
+} = require('../lib/invoicePdf')
+const {
+  sriEnvironment,
+  getSriSettings,
+  loadSigningCertificate,
+  assertNotSentToSri,
+  signElectronicInvoice,
+  authorizeElectronicInvoice,
+  submitElectronicInvoice,
+  sriSummary
+} = require('../lib/sri')
+const { sriClientFromEnv } = require('../lib/sriClient')
+const { findUninvoicedOrders, sumOrders, consolidateOrders, runScheduledConsolidation } = require('../lib/consolidation')
+const {
+  getTaxSettings,
+  getDefaultTaxRate,
+  resolveProductTaxRates,
+  computeTotals,
+  assertTotalsMatch
+} = require('../lib/tax')
+
+// Invoice lines priced by the tax engine. Lines without a rate of their own
+// (new lines, or lines from before the engine) take their product's rate.
+async function computeInvoiceTotals(client, items, discountPercentage) {
+  const rates = await resolveProductTaxRates(client, items.map(item => item.product_id))
+  const fallback = await getDefaultTaxRate(client)
+  const lines = items.map(item => ({
+    ...item,
+    tax_rate: item.tax_rate !== undefined && item.tax_rate !== null
+      ? item.tax_rate
+      : (rates.get(item.product_id) || fallback).rate
+  }))
+  return computeTotals(lines, { discountPercentage, rounding: (await getTaxSettings(client)).rounding })
+}
+
+async function insertInvoiceItems(client, invoiceId, lines) {
+  for (const line of lines) {
+    await client.query(`
+      INSERT INTO invoice_items
+      (invoice_id, order_id, product_id, product_name, quantity, unit_price, discount_amount, tax_rate, tax_base, tax_amount)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      invoiceId,
+      line.order_id || null,
+      line.product_id || null,
+      line.product_name || 'Unknown Product',
+      line.quantity,
+      line.unit_price,
+      line.discount_amount,
+      line.tax_rate,
+      line.tax_base,
+      line.tax_amount
+    ])
+  }
+}
+
+// Only what the client may set on a line; rates and amounts are computed
+const requestedLine = (item) => ({
+  product_id: item.product_id,
+  product_name: item.product_name,
+  quantity: item.quantity,
+  unit_price: item.unit_price,
+  discount_percentage: item.discount_percentage,
+  discount_amount: item.discount_amount
 })
 
 // GET /api/billing/invoices - Get all invoices with filtering
-router.get('/invoices', async (req, res) => {
+router.get('/invoices', requirePermission('invoices:read'), async (req, res) => {
   try {
     const { status, customer, date_from, date_to, search, page = 1, limit = 50 } = req.query
 
@@ -28,7 +97,10 @@ router.get('/invoices', async (req, res) => {
               'product_name', p.name,
               'quantity', ii.quantity,
               'unit_price', ii.unit_price,
-              'total', ii.total_price
+              'total', ii.total_price,
+              'discount_amount', ii.discount_amount,
+              'tax_rate', ii.tax_rate,
+              'tax_amount', ii.tax_amount
             )
           ) FILTER (WHERE ii.id IS NOT NULL),
           '[]'::json
@@ -143,7 +215,7 @@ router.get('/invoices', async (req, res) => {
 })
 
 // GET /api/billing/invoices/:id - Get specific invoice
-router.get('/invoices/:id', async (req, res) => {
+router.get('/invoices/:id', requirePermission('invoices:read'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -162,7 +234,10 @@ router.get('/invoices/:id', async (req, res) => {
               'product_name', p.name,
               'quantity', ii.quantity,
               'unit_price', ii.unit_price,
-              'total', ii.total_price
+              'total', ii.total_price,
+              'discount_amount', ii.discount_amount,
+              'tax_rate', ii.tax_rate,
+              'tax_amount', ii.tax_amount
             )
           ) FILTER (WHERE ii.id IS NOT NULL),
           '[]'::json
@@ -191,7 +266,10 @@ router.get('/invoices/:id', async (req, res) => {
                 'product_name', ii.product_name,
                 'quantity', ii.quantity,
                 'unit_price', ii.unit_price,
-                'total', ii.total_price
+                'total', ii.total_price,
+                'discount_amount', ii.discount_amount,
+                'tax_rate', ii.tax_rate,
+                'tax_amount', ii.tax_amount
               )
             )
             FROM invoice_items ii
@@ -208,7 +286,8 @@ router.get('/invoices/:id', async (req, res) => {
                 'payment_date', p.payment_date,
                 'payment_method', p.payment_method,
                 'reference_number', p.reference_number,
-                'notes', p.notes
+                'notes', p.notes,
+                'status', p.status
               ) ORDER BY p.payment_date DESC
             )
             FROM payments p
@@ -235,116 +314,245 @@ router.get('/invoices/:id', async (req, res) => {
   }
 })
 
-// POST /api/billing/invoices - Create new invoice
-router.post('/invoices', async (req, res) => {
-  const client = await pool.connect()
+// GET /api/billing/invoices/:id/pdf - Printable invoice
+// ?template= and ?lang= override system_settings.invoice_pdf; ?download=1 saves it
+router.get('/invoices/:id/pdf', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const settings = await getInvoicePdfSettings(pool)
+    const template = req.query.template || settings.template
+    const language = req.query.lang || settings.language
+
+    if (!TEMPLATES[template]) {
+      return res.status(400).json({
+        success: false,
+        error: `Template must be one of ${Object.keys(TEMPLATES).join(', ')}`
+      })
+    }
+    if (!LABELS[language]) {
+      return res.status(400).json({
+        success: false,
+        error: `Language must be one of ${Object.keys(LABELS).join(', ')}`
+      })
+    }
+
+    const document = await loadInvoiceDocument(pool, req.params.id)
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' })
+    }
 
+    const logo = TEMPLATES[template].logo && document.company
+      ? await loadLogo(document.company.logo_url)
+      : null
+    const pdf = renderInvoicePdf(document, { template, language, footer: settings.footer, logo })
+
+    const disposition = req.query.download === '1' || req.query.download === 'true' ? 'attachment' : 'inline'
+    const filename = `factura-${document.invoice.invoice_number}`.replace(/[^\w.-]+/g, '_')
+    res.set('Content-Type', 'application/pdf')
+    res.set('Content-Disposition', `${disposition}; filename="${filename}.pdf"`)
+    res.send(pdf)
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error)
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message })
+  }
+})
+
+// GET /api/billing/invoices/:id/sri - Electronic invoice status
+router.get('/invoices/:id/sri', requirePermission('invoices:read'), async (req, res) => {
   try {
-    await client.query('BEGIN')
-
-    const {
-      customer_id,
-      invoice_number,
-      invoice_date,
-      due_date,
-      subtotal,
-      tax_amount,
-      total,
-      discount_amount,
-      paid_amount,
-      notes,
-      order_id,
-      status = 'pending',
-      items
-    } = req.body
-
-    // Validate required fields
-    if (!customer_id || !invoice_number || !invoice_date || !due_date || !total) {
-      return res.status(400).json({ error: 'Missing required fields' })
+    const result = await pool.query('SELECT * FROM invoices WHERE id = $1', [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' })
     }
 
-    // Check if invoice number already exists
-    const existingInvoice = await client.query(
-      'SELECT id FROM invoices WHERE invoice_number = $1',
-      [invoice_number]
-    )
+    res.json({ success: true, data: sriSummary(result.rows[0]) })
+  } catch (error) {
+    console.error('Error fetching SRI status:', error)
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message })
+  }
+})
 
-    if (existingInvoice.rows.length > 0) {
-      return res.status(400).json({ error: 'Invoice number already exists' })
+// GET /api/billing/invoices/:id/sri/xml - Signed XML as sent to the SRI
+router.get('/invoices/:id/sri/xml', requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT i.id, d.access_key, d.signed_xml
+      FROM invoices i
+      LEFT JOIN invoice_sri_documents d ON d.invoice_id = i.id
+      WHERE i.id = $1
+    `, [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' })
+    }
+    const document = result.rows[0]
+    if (!document.signed_xml) {
+      return res.status(404).json({ success: false, error: 'Invoice has not been signed yet' })
     }
 
-    // Create invoice
-    const invoiceQuery = `
-      INSERT INTO invoices
-      (customer_id, invoice_number, invoice_date, due_date, subtotal, tax_amount, total, discount_amount, paid_amount, notes, order_id, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-      RETURNING *
-    `
+    res.set('Content-Type', 'application/xml; charset=utf-8')
+    res.set('Content-Disposition', `attachment; filename="${document.access_key}.xml"`)
+    res.send(document.signed_xml)
+  } catch (error) {
+    console.error('Error fetching SRI XML:', error)
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message })
+  }
+})
 
-    const invoiceResult = await client.query(invoiceQuery, [
-      customer_id, invoice_number, invoice_date, due_date,
-      subtotal || 0, tax_amount || 0, total, discount_amount || 0, paid_amount || 0, notes, order_id, status
-    ])
+// POST /api/billing/invoices/:id/sri - Sign the invoice, send it to the SRI and
+// wait for its authorization
+router.post('/invoices/:id/sri', requirePermission('invoices:update'), async (req, res) => {
+  try {
+    const environment = sriEnvironment()
+    const certificate = await loadSigningCertificate()
+    const settings = await getSriSettings(pool)
+
+    // Signed and stored first: if the SRI call fails, a retry sends the same document
+    const signed = await withTransaction(client =>
+      signElectronicInvoice(client, req.params.id, { settings, certificate, environment })
+    )
+    const invoice = await submitElectronicInvoice(pool, signed, sriClientFromEnv(environment))
 
-    const invoice = invoiceResult.rows[0]
+    const rejected = ['returned', 'rejected'].includes(invoice.sri_status)
+    res.status(rejected ? 422 : 200).json({
+      success: !rejected,
+      ...(rejected && { error: invoice.sri_status === 'returned' ? 'The SRI returned the invoice' : 'The SRI did not authorize the invoice' }),
+      data: sriSummary(invoice)
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error sending invoice to the SRI:', error)
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message })
+  }
+})
 
+// POST /api/billing/invoices/:id/sri/authorization - Ask again for the
+// authorization of a received invoice
+router.post('/invoices/:id/sri/authorization', requirePermission('invoices:update'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM invoices WHERE id = $1', [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' })
+    }
+    const invoice = result.rows[0]
+    if (invoice.sri_status !== 'received') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only invoices received by the SRI wait for authorization',
+        sri_status: invoice.sri_status
+      })
+    }
 
+    const updated = await authorizeElectronicInvoice(pool, invoice, sriClientFromEnv(invoice.sri_environment), { attempts: 1 })
+    res.json({ success: true, data: sriSummary(updated) })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error checking SRI authorization:', error)
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message })
+  }
+})
 
-    // Create invoice items if provided
-    if (items && items.length > 0) {
-      for (const item of items) {
-        const itemQuery = `
-          INSERT INTO invoice_items (invoice_id, product_id, product_name, quantity, unit_price)
-          VALUES ($1, $2, $3, $4, $5)
-        `
-        await client.query(itemQuery, [
-          invoice.id,
-          item.product_id,
-          item.product_name || 'Unknown Product',
-          item.quantity,
-          item.unit_price
-        ])
+// POST /api/billing/invoices - Create new invoice
+router.post('/invoices', requirePermission('invoices:create'), async (req, res) => {
+  try {
+    const invoice = await withTransaction(async (client) => {
+      const {
+        customer_id,
+        invoice_date,
+        due_date,
+        discount_percentage = 0,
+        paid_amount,
+        notes,
+        order_id,
+        status = 'pending',
+        items,
+        branch_code
+      } = req.body
+
+      // Validate required fields
+      if (!customer_id || !invoice_date || !due_date || !Array.isArray(items) || items.length === 0) {
+        throw new HttpError(400, 'Missing required fields')
       }
-    }
 
-    // Create payment record if paid_amount > 0
-    // We expect payment_method and payment_notes in the request body for the initial payment
-    const { payment_method, payment_notes, user_id } = req.body
-    if (paid_amount && parseFloat(paid_amount) > 0) {
-      // Generate payment number using DB function
-      const paymentNumberResult = await client.query('SELECT generate_payment_number() as payment_number');
-      let payment_number = paymentNumberResult.rows[0].payment_number;
-
-      console.log('Generated payment number from DB:', payment_number);
-
-      // Fallback if DB function returns null
-      if (!payment_number) {
-        console.warn('Warning: generate_payment_number() returned null. using fallback.');
-        const timestamp = Date.now();
-        const random = Math.floor(Math.random() * 1000);
-        payment_number = `PAY-${timestamp}-${random}`;
+      // Totals come from the items; the ones the client shows must agree
+      const totals = await computeInvoiceTotals(client, items.map(requestedLine), discount_percentage)
+      assertTotalsMatch(req.body, {
+        subtotal: totals.subtotal,
+        discount_amount: totals.discount_amount,
+        tax_amount: totals.tax_amount,
+        total: totals.total
+      })
+
+      // An order is billed once, whether on its own or consolidated
+      let order = null
+      if (order_id) {
+        const orderResult = await client.query(
+          'SELECT id, invoice_id FROM orders WHERE (id::text = $1 OR order_number = $1) AND deleted_at IS NULL FOR UPDATE',
+          [String(order_id)]
+        )
+        order = orderResult.rows[0] || null
+        if (order && order.invoice_id) {
+          throw new HttpError(409, 'Order is already invoiced', { invoice_id: order.invoice_id })
+        }
       }
 
-      const paymentQuery = `
-        INSERT INTO payments
-        (invoice_id, user_id, amount, payment_date, payment_method, payment_number, reference_number, notes, status, created_at)
-        VALUES ($1, $2, $3, NOW(), $4, $5, $6, $7, 'completed', NOW())
+      // The number always comes from the invoice series, a number sent by the
+      // client (e.g. from /next-invoice-number) is only a preview
+      const invoice_number = await nextNumber(client, 'invoice', { branch: branch_code })
+
+      // Create invoice
+      const invoiceQuery = `
+        INSERT INTO invoices
+        (customer_id, invoice_number, invoice_date, due_date, subtotal, tax_amount, total, discount_amount,
+         discount_percentage, paid_amount, notes, order_id, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
       `
-      // For initial payment, generate a reference number if not provided
-      const refNumber = `INIT-${invoice_number}`
-
-      await client.query(paymentQuery, [
-        invoice.id,
-        user_id || null, // allow null if not provided
-        parseFloat(paid_amount),
-        payment_method || 'cash',
-        payment_number,
-        refNumber,
-        payment_notes || 'Pago inicial al crear factura'
+
+      const invoiceResult = await client.query(invoiceQuery, [
+        customer_id, invoice_number, invoice_date, due_date,
+        totals.subtotal, totals.tax_amount, totals.total, totals.discount_amount,
+        parseFloat(discount_percentage) || 0, paid_amount || 0, notes, order_id, status
       ])
-    }
 
-    await client.query('COMMIT')
+      const invoice = invoiceResult.rows[0]
+
+      if (order) {
+        await client.query('UPDATE orders SET invoice_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [invoice.id, order.id])
+      }
+
+      await insertInvoiceItems(client, invoice.id, totals.lines)
+
+      // Create payment record if paid_amount > 0
+      // We expect payment_method and payment_notes in the request body for the initial payment
+      const { payment_method, payment_notes, user_id } = req.body
+      if (paid_amount && parseFloat(paid_amount) > 0) {
+        const payment_number = await nextNumber(client, 'payment', { branch: branch_code });
+
+        const paymentQuery = `
+          INSERT INTO payments
+          (invoice_id, user_id, amount, payment_date, payment_method, payment_number, reference_number, notes, status, register_session_id, created_at)
+          VALUES ($1, $2, $3, NOW(), $4, $5, $6, $7, 'completed', $8, NOW())
+        `
+        // For initial payment, generate a reference number if not provided
+        const refNumber = `INIT-${invoice_number}`
+
+        await client.query(paymentQuery, [
+          invoice.id,
+          user_id || null, // allow null if not provided
+          parseFloat(paid_amount),
+          payment_method || 'cash',
+          payment_number,
+          refNumber,
+          payment_notes || 'Pago inicial al crear factura',
+          await getOpenSessionId(client, {
+            sessionId: req.body.register_session_id,
+            userId: req.user.id,
+            override: requestedOverride(req)
+          })
+        ])
+      }
+
+      return invoice
+    })
 
     // Fetch complete invoice with items
     const completeInvoiceQuery = `
@@ -360,7 +568,10 @@ router.post('/invoices', async (req, res) => {
               'product_name', p.name,
               'quantity', ii.quantity,
               'unit_price', ii.unit_price,
-              'total', ii.total_price
+              'total', ii.total_price,
+              'discount_amount', ii.discount_amount,
+              'tax_rate', ii.tax_rate,
+              'tax_amount', ii.tax_amount
             )
           ) FILTER (WHERE ii.id IS NOT NULL),
           '[]'::json
@@ -373,115 +584,123 @@ router.post('/invoices', async (req, res) => {
       GROUP BY i.id, c.name, c.email
     `
 
-    const completeResult = await client.query(completeInvoiceQuery, [invoice.id])
+    const completeResult = await pool.query(completeInvoiceQuery, [invoice.id])
 
     res.status(201).json(completeResult.rows[0])
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error creating invoice:', error)
     res.status(500).json({ error: error.message })
-  } finally {
-    client.release()
   }
 })
 
 // PUT /api/billing/invoices/:id - Update invoice
-router.put('/invoices/:id', async (req, res) => {
-  const client = await pool.connect()
+router.put('/invoices/:id', requirePermission('invoices:update'), async (req, res) => {
+  const { id } = req.params
 
   try {
-    await client.query('BEGIN')
-
-    const { id } = req.params
-    const {
-      customer_id,
-      invoice_number,
-      invoice_date,
-      due_date,
-      status,
-      order_id,
-      discount_amount,
-      paid_amount,
-      notes,
-      items,
-      subtotal,
-      tax_amount,
-      total,
-      total_amount
-    } = req.body
-
-    // Handle both total and total_amount parameter names
-    const finalTotal = total || total_amount
-
-    // Check if invoice exists
-    const existingInvoice = await client.query('SELECT * FROM invoices WHERE id = $1', [id])
-    if (existingInvoice.rows.length === 0) {
-      return res.status(404).json({ error: 'Invoice not found' })
-    }
-
-    // Update invoice
-    const updateQuery = `
-      UPDATE invoices
-      SET customer_id = $2, invoice_number = $3, invoice_date = $4, due_date = $5,
-          status = $6, order_id = $7, discount_amount = $8, paid_amount = $9, notes = $10,
-          subtotal = $11, tax_amount = $12, total = $13,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING *
-    `
-
-    await client.query(updateQuery, [
-      id,
-      customer_id,
-      invoice_number,
-      invoice_date,
-      due_date,
-      status,
-      order_id,
-      discount_amount || 0,
-      paid_amount || 0,
-      notes,
-      subtotal || 0,
-      tax_amount || 0,
-      finalTotal || 0
-    ])
-
-    // Update invoice items
-    if (items && items.length > 0) {
-      // Delete existing items
-      await client.query('DELETE FROM invoice_items WHERE invoice_id = $1', [id])
-
-      // Insert updated items
-      for (const item of items) {
-        let productName = item.product_name || 'Unknown Product'
-
-        // If product_name is not provided, fetch it from products table
-        if (!item.product_name && item.product_id) {
-          try {
-            const productResult = await client.query('SELECT name FROM products WHERE id = $1', [item.product_id])
-            if (productResult.rows.length > 0) {
-              productName = productResult.rows[0].name
+    await withTransaction(async (client) => {
+      const {
+        customer_id,
+        invoice_number,
+        invoice_date,
+        due_date,
+        status,
+        order_id,
+        discount_percentage,
+        paid_amount,
+        notes,
+        items
+      } = req.body
+
+      // Check if invoice exists
+      const existingInvoice = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [id])
+      if (existingInvoice.rows.length === 0) {
+        throw new HttpError(404, 'Invoice not found')
+      }
+      const current = existingInvoice.rows[0]
+      assertNotSentToSri(current)
+
+      // New items or a new discount reprice the invoice, otherwise its totals stay
+      const percentage = discount_percentage === undefined ? current.discount_percentage : discount_percentage
+      let totals = null
+      if (items && items.length > 0) {
+        const lines = []
+        for (const item of items) {
+          let productName = item.product_name || 'Unknown Product'
+
+          // If product_name is not provided, fetch it from products table
+          if (!item.product_name && item.product_id) {
+            try {
+              const productResult = await client.query('SELECT name FROM products WHERE id = $1', [item.product_id])
+              if (productResult.rows.length > 0) {
+                productName = productResult.rows[0].name
+              }
+            } catch (err) {
+              console.log('Could not fetch product name:', err.message)
             }
-          } catch (err) {
-            console.log('Could not fetch product name:', err.message)
           }
+          lines.push({ ...requestedLine(item), product_name: productName })
         }
+        totals = await computeInvoiceTotals(client, lines, percentage)
+      } else if (discount_percentage !== undefined) {
+        const storedItems = await client.query(
+          'SELECT order_id, product_id, product_name, quantity, unit_price, discount_amount, tax_rate FROM invoice_items WHERE invoice_id = $1 ORDER BY created_at, id',
+          [id]
+        )
+        if (storedItems.rows.length > 0) {
+          totals = await computeInvoiceTotals(client, storedItems.rows, percentage)
+        }
+      }
 
-        const itemQuery = `
-          INSERT INTO invoice_items (invoice_id, product_id, product_name, quantity, unit_price)
-          VALUES ($1, $2, $3, $4, $5)
-        `
-        await client.query(itemQuery, [
-          id,
-          item.product_id,
-          productName,
-          item.quantity,
-          item.unit_price
-        ])
+      const amounts = totals || {
+        subtotal: parseFloat(current.subtotal) || 0,
+        discount_amount: parseFloat(current.discount_amount) || 0,
+        tax_amount: parseFloat(current.tax_amount) || 0,
+        total: parseFloat(current.total) || 0
       }
-    }
+      assertTotalsMatch(req.body, {
+        subtotal: amounts.subtotal,
+        discount_amount: amounts.discount_amount,
+        tax_amount: amounts.tax_amount,
+        total: amounts.total,
+        total_amount: amounts.total
+      })
+
+      // Update invoice
+      const updateQuery = `
+        UPDATE invoices
+        SET customer_id = $2, invoice_number = $3, invoice_date = $4, due_date = $5,
+            status = $6, order_id = $7, discount_amount = $8, paid_amount = $9, notes = $10,
+            subtotal = $11, tax_amount = $12, total = $13, discount_percentage = $14,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `
 
-    await client.query('COMMIT')
+      await client.query(updateQuery, [
+        id,
+        customer_id,
+        invoice_number,
+        invoice_date,
+        due_date,
+        status,
+        order_id,
+        amounts.discount_amount,
+        paid_amount || 0,
+        notes,
+        amounts.subtotal,
+        amounts.tax_amount,
+        amounts.total,
+        parseFloat(percentage) || 0
+      ])
+
+      // Update invoice items
+      if (totals) {
+        await client.query('DELETE FROM invoice_items WHERE invoice_id = $1', [id])
+        await insertInvoiceItems(client, id, totals.lines)
+      }
+    })
 
     // Fetch updated invoice with items
     const completeInvoiceQuery = `
@@ -497,7 +716,10 @@ router.put('/invoices/:id', async (req, res) => {
               'product_name', p.name,
               'quantity', ii.quantity,
               'unit_price', ii.unit_price,
-              'total', ii.total_price
+              'total', ii.total_price,
+              'discount_amount', ii.discount_amount,
+              'tax_rate', ii.tax_rate,
+              'tax_amount', ii.tax_amount
             )
           ) FILTER (WHERE ii.id IS NOT NULL),
           '[]'::json
@@ -510,19 +732,17 @@ router.put('/invoices/:id', async (req, res) => {
       GROUP BY i.id, c.name, c.email
     `
 
-    const result = await client.query(completeInvoiceQuery, [id])
+    const result = await pool.query(completeInvoiceQuery, [id])
     res.json(result.rows[0])
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error updating invoice:', error)
     res.status(500).json({ error: 'Internal server error' })
-  } finally {
-    client.release()
   }
 })
 
 // PATCH /api/billing/invoices/:id/status - Update invoice status
-router.patch('/invoices/:id/status', async (req, res) => {
+router.patch('/invoices/:id/status', requirePermission('invoices:update'), async (req, res) => {
   try {
     const { id } = req.params
     const { status } = req.body
@@ -532,58 +752,76 @@ router.patch('/invoices/:id/status', async (req, res) => {
       return res.status(400).json({ error: 'Invalid status' })
     }
 
-    const query = `
-      UPDATE invoices 
-      SET status = $2, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING *
-    `
-
-    const result = await pool.query(query, [id, status])
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Invoice not found' })
-    }
+    const invoice = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [id])
+      if (existing.rows.length === 0) {
+        throw new HttpError(404, 'Invoice not found')
+      }
+      assertNotSentToSri(existing.rows[0])
+
+      const updated = await client.query(`
+        UPDATE invoices
+        SET status = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id, status])
+
+      // A cancelled invoice no longer bills its orders, they can be invoiced
+      // again. The money consolidation moved onto it goes back to the orders.
+      if (status === 'cancelled') {
+        const orders = await client.query(
+          'UPDATE orders SET invoice_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE invoice_id = $1 RETURNING id',
+          [id]
+        )
+        const orderIds = orders.rows.map(order => order.id)
+        if (orderIds.length > 0) {
+          for (const table of ['payments', 'refunds', 'credit_notes']) {
+            await client.query(
+              `UPDATE ${table} SET invoice_id = NULL WHERE invoice_id = $1 AND order_id = ANY($2::uuid[])`,
+              [id, orderIds]
+            )
+          }
+        }
+      }
+      return updated.rows[0]
+    })
 
-    res.json(result.rows[0])
+    res.json(invoice)
   } catch (error) {
+    if (sendHttpError(res, error)) return
     console.error('Error updating invoice status:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
 // DELETE /api/billing/invoices/:id - Delete invoice
-router.delete('/invoices/:id', async (req, res) => {
-  const client = await pool.connect()
-
+router.delete('/invoices/:id', requirePermission('invoices:delete'), async (req, res) => {
   try {
-    await client.query('BEGIN')
-
-    const { id } = req.params
+    await withTransaction(async (client) => {
+      const { id } = req.params
 
-    // Delete invoice items first (foreign key constraint)
-    await client.query('DELETE FROM invoice_items WHERE invoice_id = $1', [id])
-
-    // Delete invoice
-    const result = await client.query('DELETE FROM invoices WHERE id = $1 RETURNING *', [id])
+      const existing = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [id])
+      if (existing.rows.length === 0) {
+        throw new HttpError(404, 'Invoice not found')
+      }
+      assertNotSentToSri(existing.rows[0])
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Invoice not found' })
-    }
+      // Delete invoice items first (foreign key constraint)
+      await client.query('DELETE FROM invoice_items WHERE invoice_id = $1', [id])
 
-    await client.query('COMMIT')
+      // Delete invoice
+      await client.query('DELETE FROM invoices WHERE id = $1', [id])
+    })
     res.json({ message: 'Invoice deleted successfully' })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error deleting invoice:', error)
     res.status(500).json({ error: 'Internal server error' })
-  } finally {
-    client.release()
   }
 })
 
 // GET /api/billing/summary - Get billing summary/stats
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission('invoices:read'), async (req, res) => {
   try {
     const summaryQuery = `
       SELECT
@@ -619,138 +857,136 @@ router.get('/summary', async (req, res) => {
   }
 })
 
-// GET /api/billing/next-invoice-number - Get next available invoice number
-router.get('/next-invoice-number', async (req, res) => {
+// GET /api/billing/next-invoice-number - Preview the next invoice number (not reserved)
+router.get('/next-invoice-number', requirePermission('invoices:create'), async (req, res) => {
   try {
-    const query = `
-      SELECT invoice_number 
-      FROM invoices 
-      WHERE invoice_number ~ '^FAC-[0-9]+$'
-      ORDER BY CAST(SUBSTRING(invoice_number FROM 5) AS INTEGER) DESC 
-      LIMIT 1
-    `
+    const nextInvoiceNumber = await previewNumber(pool, 'invoice', { branch: req.query.branch_code })
 
-    const result = await pool.query(query)
-
-    let nextNumber = 'FAC-001'
-    if (result.rows.length > 0) {
-      const lastNumber = result.rows[0].invoice_number
-      const numberPart = parseInt(lastNumber.split('-')[1])
-      nextNumber = `FAC-${String(numberPart + 1).padStart(3, '0')}`
-    }
-
-    res.json({ next_invoice_number: nextNumber })
+    res.json({ next_invoice_number: nextInvoiceNumber })
   } catch (error) {
     console.error('Error getting next invoice number:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : value)
 
-// Temporary endpoint to modify sales_order_id field type
-router.post('/modify-sales-order-id', async (req, res) => {
-  const client = await pool.connect()
-
+// GET /api/billing/consolidate/preview - Completed orders of a customer that
+// a consolidated invoice would take, with their totals. Nothing is saved.
+router.get('/consolidate/preview', requirePermission('invoices:read'), [
+  query('customer_id').isUUID().withMessage('customer_id must be a UUID'),
+  query('date_from').optional().isISO8601().withMessage('date_from must be a date'),
+  query('date_to').optional().isISO8601().withMessage('date_to must be a date')
+], async (req, res) => {
   try {
-    console.log('Modifying sales_order_id field type...')
-
-    // Drop the foreign key constraint first
-    await client.query(`
-      ALTER TABLE invoices 
-      DROP CONSTRAINT IF EXISTS invoices_sales_order_id_fkey
-    `)
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
 
-    // Change the column type from UUID to VARCHAR
-    await client.query(`
-      ALTER TABLE invoices 
-      ALTER COLUMN sales_order_id TYPE VARCHAR(50)
-    `)
+    const { customer_id, date_from, date_to } = req.query
+    const orders = await findUninvoicedOrders(pool, customer_id, {
+      dateFrom: dateOnly(date_from),
+      dateTo: dateOnly(date_to)
+    })
 
-    console.log('sales_order_id field modified successfully')
-    res.json({ message: 'sales_order_id field modified successfully' })
+    res.json({
+      success: true,
+      data: {
+        customer_id,
+        orders,
+        ...sumOrders(orders)
+      }
+    })
   } catch (error) {
-    console.error('Error modifying sales_order_id field:', error)
-    res.status(500).json({ error: error.message })
-  } finally {
-    client.release()
+    if (sendHttpError(res, error)) return
+    console.error('Error previewing consolidated invoice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
   }
 })
 
-// Temporary endpoint to modify order_id field type
-router.post('/modify-order-id', async (req, res) => {
-  const client = await pool.connect()
-
+// POST /api/billing/consolidate - Invoice the completed uninvoiced orders of a
+// customer, all of them in the period or only order_ids, as one invoice
+router.post('/consolidate', requirePermission('invoices:create'), [
+  body('customer_id').isUUID().withMessage('customer_id must be a UUID'),
+  body('date_from').optional({ nullable: true }).isISO8601().withMessage('date_from must be a date'),
+  body('date_to').optional({ nullable: true }).isISO8601().withMessage('date_to must be a date'),
+  body('invoice_date').optional({ nullable: true }).isISO8601().withMessage('invoice_date must be a date'),
+  body('due_date').optional({ nullable: true }).isISO8601().withMessage('due_date must be a date'),
+  body('order_ids').optional({ nullable: true }).isArray({ min: 1 }).withMessage('order_ids must be a non-empty array'),
+  body('order_ids.*').isUUID().withMessage('order_ids must be UUIDs'),
+  body('notes').optional({ nullable: true }).isString()
+], async (req, res) => {
   try {
-    console.log('Modifying order_id field type...')
-
-    // Drop the foreign key constraint first (if any)
-    await client.query(`
-      ALTER TABLE invoices
-      DROP CONSTRAINT IF EXISTS invoices_order_id_fkey
-    `)
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
 
-    // Change the column type from UUID to VARCHAR
-    await client.query(`
-      ALTER TABLE invoices
-      ALTER COLUMN order_id TYPE VARCHAR(50)
-    `)
+    const { customer_id, date_from, date_to, invoice_date, due_date, order_ids, notes, branch_code } = req.body
+    const result = await withTransaction(client => consolidateOrders(client, {
+      customerId: customer_id,
+      dateFrom: dateOnly(date_from) || null,
+      dateTo: dateOnly(date_to) || null,
+      orderIds: order_ids ? [...new Set(order_ids.map(id => id.toLowerCase()))] : null,
+      invoiceDate: dateOnly(invoice_date) || undefined,
+      dueDate: dateOnly(due_date) || null,
+      branch: branch_code,
+      notes: notes || null
+    }))
+
+    if (!result) {
+      throw new HttpError(422, 'The customer has no completed uninvoiced orders in the period')
+    }
 
-    console.log('order_id field modified successfully')
-    res.json({ message: 'order_id field modified successfully' })
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.invoice,
+        orders: result.orders
+      },
+      message: 'Consolidated invoice created successfully'
+    })
   } catch (error) {
-    console.error('Error modifying order_id field:', error)
-    res.status(500).json({ error: error.message })
-  } finally {
-    client.release()
+    if (sendHttpError(res, error)) return
+    console.error('Error creating consolidated invoice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
   }
 })
 
-// Temporary endpoint to create invoice_items table
-router.post('/setup-invoice-items', async (req, res) => {
-  const client = await pool.connect()
-
+// POST /api/billing/consolidate/run - Run the customer billing schedules now
+router.post('/consolidate/run', requirePermission('invoices:create'), async (req, res) => {
   try {
-    console.log('Creating invoice_items table...')
-
-    // Create the table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS invoice_items (
-          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-          invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
-          product_id UUID REFERENCES products(id),
-          product_name VARCHAR(255) NOT NULL,
-          quantity INTEGER NOT NULL CHECK (quantity > 0),
-          unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
-          total_price DECIMAL(10,2) GENERATED ALWAYS AS (quantity * unit_price) STORED,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    // Create indexes
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id)`)
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_invoice_items_product ON invoice_items(product_id)`)
-
-    // Create trigger - PostgreSQL doesn't support IF NOT EXISTS for triggers
-    try {
-      await client.query(`
-        CREATE TRIGGER update_invoice_items_updated_at 
-            BEFORE UPDATE ON invoice_items 
-            FOR EACH ROW 
-            EXECUTE FUNCTION update_updated_at_column()
-      `)
-    } catch (triggerError) {
-      // Trigger might already exist, that's ok
-      console.log('Trigger may already exist:', triggerError.message)
-    }
+    const results = await runScheduledConsolidation()
 
-    console.log('invoice_items table created successfully')
-    res.json({ message: 'invoice_items table created successfully' })
+    res.json({
+      success: true,
+      data: results,
+      message: `${results.filter(result => !result.error).length} consolidated invoices created`
+    })
   } catch (error) {
-    console.error('Error creating invoice_items table:', error)
-    res.status(500).json({ error: error.message })
-  } finally {
-    client.release()
+    console.error('Error running consolidated invoicing:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
   }
 })
 
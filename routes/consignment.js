@@ -0,0 +1,287 @@
+const express = require('express')
+const router = express.Router()
+const { pool, withTransaction } = require('../config/database')
+const { body, query, validationResult } = require('express-validator')
+const { requirePermission } = require('../middleware/auth')
+const { sendHttpError } = require('../lib/errors')
+const {
+  computeSettlement,
+  loadSettlement,
+  createSettlement,
+  approveSettlement,
+  voidSettlement
+} = require('../lib/consignment')
+const { renderSettlementPdf } = require('../lib/consignmentPdf')
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : value)
+
+// GET /api/consignment/preview - What settling a supplier would give, without
+// saving anything. date_from defaults to the end of the last settlement.
+router.get('/preview', requirePermission('suppliers:read'), [
+  query('supplier_id').isUUID().withMessage('supplier_id must be a UUID'),
+  query('date_from').optional().isISO8601().withMessage('date_from must be a date'),
+  query('date_to').optional().isISO8601().withMessage('date_to must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { supplier_id, date_from, date_to } = req.query
+    const { order_item_ids, return_item_ids, ...settlement } = await computeSettlement(pool, supplier_id, {
+      dateFrom: dateOnly(date_from),
+      dateTo: dateOnly(date_to)
+    })
+
+    res.json({
+      success: true,
+      data: settlement
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error previewing consignment settlement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/consignment/settlements - Create a draft settlement
+router.post('/settlements', requirePermission('consignment:settle'), [
+  body('supplier_id').isUUID().withMessage('supplier_id must be a UUID'),
+  body('date_from').optional({ nullable: true }).isISO8601().withMessage('date_from must be a date'),
+  body('date_to').isISO8601().withMessage('date_to is required'),
+  body('notes').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { supplier_id, date_from, date_to, notes, branch_code } = req.body
+    const settlement = await withTransaction(client => createSettlement(client, supplier_id, {
+      dateFrom: dateOnly(date_from),
+      dateTo: dateOnly(date_to),
+      notes: notes || null,
+      userId: req.user.id,
+      branch: branch_code
+    }))
+
+    res.status(201).json({
+      success: true,
+      data: settlement,
+      message: 'Consignment settlement created successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error creating consignment settlement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/consignment/settlements - Settlements, newest period first
+router.get('/settlements', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const { supplier_id, status, page = 1, limit = 50 } = req.query
+
+    let whereClause = 'WHERE 1=1'
+    const queryParams = []
+    let paramIndex = 1
+
+    if (supplier_id) {
+      whereClause += ` AND cs.supplier_id = $${paramIndex}`
+      queryParams.push(supplier_id)
+      paramIndex++
+    }
+
+    if (status) {
+      whereClause += ` AND cs.status = $${paramIndex}`
+      queryParams.push(status)
+      paramIndex++
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM consignment_settlements cs ${whereClause}`,
+      queryParams
+    )
+    const total = parseInt(countResult.rows[0].total)
+
+    const result = await pool.query(`
+      SELECT
+        cs.id, cs.settlement_number, cs.supplier_id, s.name as supplier_name,
+        cs.period_from::text as period_from, cs.period_to::text as period_to, cs.basis,
+        cs.units_sold, cs.sale_value, cs.commission_amount, cs.amount_owed, cs.status,
+        cs.approved_at, cs.created_at
+      FROM consignment_settlements cs
+      JOIN suppliers s ON cs.supplier_id = s.id
+      ${whereClause}
+      ORDER BY cs.period_to DESC, cs.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...queryParams, limit, (page - 1) * limit])
+
+    res.json({
+      success: true,
+      data: result.rows.map(settlement => ({
+        ...settlement,
+        units_sold: parseFloat(settlement.units_sold),
+        sale_value: parseFloat(settlement.sale_value),
+        commission_amount: parseFloat(settlement.commission_amount),
+        amount_owed: parseFloat(settlement.amount_owed)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching consignment settlements:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/consignment/settlements/:id - Settlement with its product lines
+router.get('/settlements/:id', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const settlement = await loadSettlement(pool, req.params.id)
+    if (!settlement) {
+      return res.status(404).json({ success: false, error: 'Settlement not found' })
+    }
+
+    res.json({
+      success: true,
+      data: settlement
+    })
+  } catch (error) {
+    console.error('Error fetching consignment settlement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/consignment/settlements/:id/pdf - Printable settlement for the
+// supplier; ?download=1 saves it
+router.get('/settlements/:id/pdf', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const settlement = await loadSettlement(pool, req.params.id)
+    if (!settlement) {
+      return res.status(404).json({ success: false, error: 'Settlement not found' })
+    }
+
+    const companyResult = await pool.query('SELECT name, ruc, address FROM company_settings ORDER BY id LIMIT 1')
+    const pdf = renderSettlementPdf(settlement, companyResult.rows[0] || null)
+    const disposition = req.query.download ? 'attachment' : 'inline'
+    res.set('Content-Type', 'application/pdf')
+    res.set('Content-Disposition', `${disposition}; filename="${settlement.settlement_number}.pdf"`)
+    res.send(pdf)
+  } catch (error) {
+    console.error('Error rendering consignment settlement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/consignment/settlements/:id/approve - Approve a draft and record
+// the supplier payment for the amount owed
+router.post('/settlements/:id/approve', requirePermission('consignment:approve'), [
+  body('payment_method').optional({ nullable: true }).isString(),
+  body('reference_number').optional({ nullable: true }).isString(),
+  body('payment_date').optional({ nullable: true }).isISO8601().withMessage('payment_date must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { payment_method, reference_number, payment_date } = req.body
+    const settlement = await withTransaction(client => approveSettlement(client, req.params.id, {
+      userId: req.user.id,
+      paymentMethod: payment_method || null,
+      referenceNumber: reference_number || null,
+      paymentDate: payment_date || null
+    }))
+
+    res.json({
+      success: true,
+      data: settlement,
+      message: 'Consignment settlement approved successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error approving consignment settlement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/consignment/settlements/:id/void - Void a draft; its sales and
+// returns can be settled again
+router.post('/settlements/:id/void', requirePermission('consignment:settle'), [
+  body('reason').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const settlement = await withTransaction(client => voidSettlement(client, req.params.id, {
+      reason: req.body.reason || null
+    }))
+
+    res.json({
+      success: true,
+      data: settlement,
+      message: 'Consignment settlement voided successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error voiding consignment settlement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+module.exports = router
@@ -1,18 +1,15 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
+const { requirePermission } = require('../middleware/auth')
+const { hasPermission } = require('../config/permissions')
+const { BILLING_FREQUENCIES } = require('../lib/consolidation')
+const { getCreditStatus } = require('../lib/credit')
+const { getUnappliedCredit } = require('../lib/payments')
 
 // GET /api/customers - Get all customers with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('customers:read'), async (req, res) => {
   try {
     const { search, type, sort_by = 'name', sort_order = 'ASC', page = 1, limit = 50 } = req.query
 
@@ -22,8 +19,12 @@ router.get('/', async (req, res) => {
         (SELECT COALESCE(COUNT(id), 0) FROM orders WHERE customer_id = c.id) as total_orders,
         (SELECT COALESCE(SUM(total), 0) FROM orders WHERE customer_id = c.id) as total_spent,
         (SELECT MAX(created_at) FROM orders WHERE customer_id = c.id) as last_order_date,
-        (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE customer_id = c.id AND status = 'completed') as total_paid,
-        (SELECT MAX(payment_date) FROM payments WHERE customer_id = c.id AND status = 'completed') as last_payment_date
+        (SELECT COALESCE(SUM(amount), 0) FROM payments
+          WHERE customer_id = c.id AND status = 'completed' AND applied_from_payment_id IS NULL) as total_paid,
+        (SELECT MAX(payment_date) FROM payments
+          WHERE customer_id = c.id AND status = 'completed' AND applied_from_payment_id IS NULL) as last_payment_date,
+        (SELECT COALESCE(SUM(amount), 0) FROM credit_notes WHERE customer_id = c.id AND status <> 'void') as total_credited,
+        (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE customer_id = c.id AND status = 'completed') as total_refunded
       FROM customers c
       WHERE 1=1 -- deleted_at check temporarily disabled
     `
@@ -92,13 +93,18 @@ router.get('/', async (req, res) => {
     const customers = result.rows.map(customer => {
       const totalSpent = parseFloat(customer.total_spent) || 0
       const totalPaid = parseFloat(customer.total_paid) || 0
+      const totalCredited = parseFloat(customer.total_credited) || 0
+      const totalRefunded = parseFloat(customer.total_refunded) || 0
 
       return {
         ...customer,
         total_orders: parseInt(customer.total_orders) || 0,
         total_spent: totalSpent,
         total_paid: totalPaid,
-        balance: totalSpent - totalPaid, // Calculate balance dynamically
+        total_credited: totalCredited,
+        total_refunded: totalRefunded,
+        // Calculate balance dynamically. Credit notes lower the debt, refunds give money back.
+        balance: totalSpent - totalPaid - totalCredited + totalRefunded,
         credit_limit: parseFloat(customer.credit_limit) || 0
       }
     })
@@ -124,7 +130,7 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/customers/:id - Get specific customer
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('customers:read'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -182,7 +188,7 @@ router.get('/:id', async (req, res) => {
 })
 
 // GET /api/customers/:id/account - Get customer account details (ledger)
-router.get('/:id/account', async (req, res) => {
+router.get('/:id/account', requirePermission('customers:read'), async (req, res) => {
   try {
     const { id } = req.params
     const { start_date, end_date } = req.query
@@ -218,13 +224,14 @@ router.get('/:id/account', async (req, res) => {
 
     const ordersResult = await pool.query(ordersQuery, orderParams)
 
-    // 3. Get Payments (Credits)
+    // 3. Get Payments (Credits). Credit applied from a deposit was already
+    // counted with the deposit.
     let paymentsQuery = `
       SELECT 
         id, payment_number, amount, payment_method, payment_date as date, 'payment' as type,
-        status, reference_number
+        status, reference_number, is_deposit
       FROM payments
-      WHERE customer_id = $1 AND status = 'completed'
+      WHERE customer_id = $1 AND status = 'completed' AND applied_from_payment_id IS NULL
     `
     const paymentParams = [id]
 
@@ -235,7 +242,33 @@ router.get('/:id/account', async (req, res) => {
 
     const paymentsResult = await pool.query(paymentsQuery, paymentParams)
 
-    // 4. Combine and Sort
+    // 4. Get Credit Notes (Credits) and Refunds (Debits)
+    let creditNotesQuery = `
+      SELECT
+        id, credit_note_number, amount, status, created_at as date, 'credit_note' as type,
+        order_id, reason
+      FROM credit_notes
+      WHERE customer_id = $1 AND status <> 'void'
+    `
+    let refundsQuery = `
+      SELECT
+        id, refund_number, amount, refund_method, refund_date as date, 'refund' as type,
+        status, reference_number
+      FROM refunds
+      WHERE customer_id = $1 AND status = 'completed'
+    `
+    const returnParams = [id]
+
+    if (start_date) {
+      creditNotesQuery += ` AND created_at >= $2`
+      refundsQuery += ` AND refund_date >= $2`
+      returnParams.push(start_date)
+    }
+
+    const creditNotesResult = await pool.query(creditNotesQuery, returnParams)
+    const refundsResult = await pool.query(refundsQuery, returnParams)
+
+    // 5. Combine and Sort
     const transactions = [
       ...ordersResult.rows.map(o => ({
         ...o,
@@ -246,13 +279,28 @@ router.get('/:id/account', async (req, res) => {
         ...p,
         amount: parseFloat(p.amount),
         is_credit: true // Decreases debt
+      })),
+      ...creditNotesResult.rows.map(cn => ({
+        ...cn,
+        amount: parseFloat(cn.amount),
+        is_credit: true // Decreases debt
+      })),
+      ...refundsResult.rows.map(r => ({
+        ...r,
+        amount: parseFloat(r.amount),
+        is_debit: true // Money paid back to the customer
       }))
     ].sort((a, b) => new Date(b.date) - new Date(a.date)) // Sort descending (newest first)
 
     // Calculate dynamic balance
     const totalSales = ordersResult.rows.reduce((sum, order) => sum + parseFloat(order.total), 0)
     const totalPaid = paymentsResult.rows.reduce((sum, payment) => sum + parseFloat(payment.amount), 0)
-    const calculatedBalance = totalSales - totalPaid
+    const totalCredited = creditNotesResult.rows.reduce((sum, note) => sum + parseFloat(note.amount), 0)
+    const totalRefunded = refundsResult.rows.reduce((sum, refund) => sum + parseFloat(refund.amount), 0)
+    const calculatedBalance = totalSales - totalPaid - totalCredited + totalRefunded
+
+    // 6. Deposits and overpayments not applied to any invoice or order yet
+    const credit = await getUnappliedCredit(pool, id)
 
     res.json({
       success: true,
@@ -260,9 +308,11 @@ router.get('/:id/account', async (req, res) => {
         customer: {
           ...customer,
           balance: calculatedBalance, // Use calculated balance
-          credit_limit: parseFloat(customer.credit_limit)
+          credit_limit: parseFloat(customer.credit_limit),
+          unapplied_credit: credit.unapplied
         },
-        transactions
+        transactions,
+        deposits: credit.deposits.filter(deposit => deposit.remaining > 0)
       }
     })
 
@@ -277,7 +327,7 @@ router.get('/:id/account', async (req, res) => {
 })
 
 // POST /api/customers - Create new customer
-router.post('/', [
+router.post('/', requirePermission('customers:write'), [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').optional({ nullable: true, checkFalsy: true }).isString(),
   body('phone').optional({ nullable: true, checkFalsy: true }).isString().isLength({ min: 6, max: 20 }),
@@ -307,6 +357,15 @@ router.post('/', [
       status
     } = req.body
 
+    // Granting credit is a manager decision (see PATCH /:id/credit)
+    if (parseFloat(credit_limit) > 0 && !hasPermission(req.user.role, 'customers:credit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        required_permission: 'customers:credit'
+      })
+    }
+
     // Check if email already exists
     const existingCustomer = await pool.query(
       'SELECT id FROM customers WHERE email = $1 -- AND deleted_at IS NULL -- temporarily disabled',
@@ -351,7 +410,7 @@ router.post('/', [
 })
 
 // PUT /api/customers/:id - Update customer
-router.put('/:id', [
+router.put('/:id', requirePermission('customers:write'), [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').optional({ nullable: true, checkFalsy: true }).isString(),
   body('phone').optional({ nullable: true, checkFalsy: true }).isString().isLength({ min: 6, max: 20 }),
@@ -394,6 +453,16 @@ router.put('/:id', [
       })
     }
 
+    const creditLimitChanged = credit_limit !== undefined && credit_limit !== null &&
+      parseFloat(credit_limit) !== (parseFloat(existingCustomer.rows[0].credit_limit) || 0)
+    if (creditLimitChanged && !hasPermission(req.user.role, 'customers:credit')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        required_permission: 'customers:credit'
+      })
+    }
+
     // Check if email is already used by another customer
     const emailCheck = await pool.query(
       'SELECT id FROM customers WHERE email = $1 AND id != $2 -- AND deleted_at IS NULL -- temporarily disabled',
@@ -410,7 +479,7 @@ router.put('/:id', [
     const query = `
       UPDATE customers 
       SET name = $2, email = $3, phone = $4, address = $5, type = $6, 
-          credit_limit = $7, status = $8, updated_at = CURRENT_TIMESTAMP
+          credit_limit = COALESCE($7, credit_limit), status = $8, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1 -- AND deleted_at IS NULL -- temporarily disabled
       RETURNING *
     `
@@ -439,7 +508,7 @@ router.put('/:id', [
 })
 
 // PATCH /api/customers/:id/balance - Update customer balance
-router.patch('/:id/balance', [
+router.patch('/:id/balance', requirePermission('customers:balance'), [
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('operation').isIn(['add', 'subtract', 'set']).withMessage('Operation must be add, subtract, or set'),
   body('description').optional().isString()
@@ -512,8 +581,173 @@ router.patch('/:id/balance', [
   }
 })
 
+// PATCH /api/customers/:id/billing - Set how often the customer's orders are
+// consolidated into one invoice (lib/consolidation.js)
+router.patch('/:id/billing', requirePermission('customers:write'), [
+  body('billing_frequency').isIn(BILLING_FREQUENCIES).withMessage(`Billing frequency must be one of ${BILLING_FREQUENCIES.join(', ')}`),
+  body('billing_day')
+    .if(body('billing_frequency').equals('weekly'))
+    .optional({ nullable: true }).isInt({ min: 1, max: 7 }).withMessage('Billing day must be a weekday from 1 (Monday) to 7 (Sunday)'),
+  body('billing_day')
+    .if(body('billing_frequency').equals('monthly'))
+    .optional({ nullable: true }).isInt({ min: 1, max: 28 }).withMessage('Billing day must be a day of the month from 1 to 28'),
+  body('payment_terms_days').optional().isInt({ min: 0 }).withMessage('Payment terms must be 0 or more days')
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors.array()
+    })
+  }
+
+  try {
+    const { id } = req.params
+    const { billing_frequency, billing_day, payment_terms_days } = req.body
+
+    const result = await pool.query(`
+      UPDATE customers
+      SET billing_frequency = $2,
+          billing_day = $3,
+          payment_terms_days = COALESCE($4, payment_terms_days),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, name, billing_frequency, billing_day, payment_terms_days, last_consolidated_on
+    `, [
+      id,
+      billing_frequency,
+      billing_frequency === 'none' ? null : parseInt(billing_day) || 1,
+      payment_terms_days === undefined ? null : parseInt(payment_terms_days)
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Customer billing schedule updated successfully'
+    })
+  } catch (error) {
+    console.error('Error updating customer billing schedule:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/customers/:id/credit - Credit limit, hold, balance and available
+// credit, with the latest sales let through over the limit
+router.get('/:id/credit', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const status = await getCreditStatus(pool, id)
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      })
+    }
+
+    const overridesResult = await pool.query(`
+      SELECT co.*, o.order_number, u.full_name as user_name
+      FROM credit_overrides co
+      LEFT JOIN orders o ON co.order_id = o.id
+      LEFT JOIN users u ON co.user_id = u.id
+      WHERE co.customer_id = $1
+      ORDER BY co.created_at DESC
+      LIMIT 20
+    `, [id])
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        overrides: overridesResult.rows.map(override => ({
+          ...override,
+          credit_limit: parseFloat(override.credit_limit),
+          balance: parseFloat(override.balance),
+          order_total: parseFloat(override.order_total)
+        }))
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching customer credit:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// PATCH /api/customers/:id/credit - Set the credit limit or put the customer
+// on credit hold, which blocks every credit sale
+router.patch('/:id/credit', requirePermission('customers:credit'), [
+  body('credit_limit').optional().isFloat({ min: 0 }).withMessage('Credit limit must be 0 or more'),
+  body('credit_hold').optional().isBoolean().withMessage('Credit hold must be a boolean'),
+  body('credit_hold_reason').optional({ nullable: true }).isString()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors.array()
+    })
+  }
+
+  try {
+    const { id } = req.params
+    const { credit_limit, credit_hold, credit_hold_reason } = req.body
+
+    const result = await pool.query(`
+      UPDATE customers
+      SET credit_limit = COALESCE($2, credit_limit),
+          credit_hold = COALESCE($3, credit_hold),
+          credit_hold_reason = CASE WHEN COALESCE($3, credit_hold) THEN COALESCE($4, credit_hold_reason) END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id
+    `, [
+      id,
+      credit_limit === undefined ? null : parseFloat(credit_limit),
+      credit_hold === undefined ? null : credit_hold === true || credit_hold === 'true',
+      credit_hold_reason || null
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await getCreditStatus(pool, id),
+      message: 'Customer credit updated successfully'
+    })
+  } catch (error) {
+    console.error('Error updating customer credit:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
 // DELETE /api/customers/:id - Soft delete customer
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('customers:delete'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -578,7 +812,7 @@ router.delete('/:id', async (req, res) => {
 })
 
 // GET /api/customers/stats - Get customer statistics
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('customers:read'), async (req, res) => {
   try {
     const query = `
       SELECT 
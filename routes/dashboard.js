@@ -1,17 +1,12 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
+const { pool } = require('../config/database')
+const { requirePermission } = require('../middleware/auth')
+const { findExpiringLots } = require('../lib/lots')
+const { round2 } = require('../lib/helpers')
 
 // GET /api/dashboard/metrics - Get main dashboard metrics
-router.get('/metrics', async (req, res) => {
+router.get('/metrics', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const metricsQuery = `
       WITH date_ranges AS (
@@ -121,7 +116,7 @@ router.get('/metrics', async (req, res) => {
 })
 
 // GET /api/dashboard/sales-chart - Get sales data for charts
-router.get('/sales-chart', async (req, res) => {
+router.get('/sales-chart', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { 
       period = 'week', 
@@ -217,7 +212,7 @@ router.get('/sales-chart', async (req, res) => {
 })
 
 // GET /api/dashboard/top-products - Get top selling products
-router.get('/top-products', async (req, res) => {
+router.get('/top-products', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { limit = 10, period = 'month' } = req.query
     
@@ -286,7 +281,7 @@ router.get('/top-products', async (req, res) => {
 })
 
 // GET /api/dashboard/recent-orders - Get recent orders
-router.get('/recent-orders', async (req, res) => {
+router.get('/recent-orders', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { 
       limit = 10, 
@@ -348,7 +343,7 @@ router.get('/recent-orders', async (req, res) => {
 })
 
 // GET /api/dashboard/low-stock - Get low stock alerts
-router.get('/low-stock', async (req, res) => {
+router.get('/low-stock', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const lowStockQuery = `
       SELECT 
@@ -395,8 +390,36 @@ router.get('/low-stock', async (req, res) => {
   }
 })
 
+// GET /api/dashboard/expiring-soon - Lots expiring soon (?days=3), companion of low-stock
+router.get('/expiring-soon', requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 3
+    const lots = await findExpiringLots(pool, { days })
+
+    // Value at cost of what is about to be lost
+    const valueAtRisk = lots.reduce((sum, lot) => sum + lot.remaining_quantity * lot.unit_cost, 0)
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        lots: lots.slice(0, 20),
+        total_lots: lots.length,
+        value_at_risk: round2(valueAtRisk)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching expiring lots:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
 // GET /api/dashboard/category-sales - Get sales distribution by category
-router.get('/category-sales', async (req, res) => {
+router.get('/category-sales', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { 
       period = 'month', 
@@ -1,10 +1,11 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool, withTransaction } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-
-// Use the pool from server.js
-const pool = require('../server').pool
+const { requirePermission } = require('../middleware/auth')
+const { sendHttpError } = require('../lib/errors')
+const { adjustStock } = require('../lib/stock')
+const { consumeLots, findExpiringLots, writeOffExpiredLots } = require('../lib/lots')
 
 // Helper function to check if deleted_at column exists
 async function hasDeletedAtColumn(tableName) {
@@ -21,8 +22,16 @@ async function hasDeletedAtColumn(tableName) {
   }
 }
 
+// A tax_rate_id sent for a product or category must name an active rate;
+// null clears it so the category's or the default rate applies
+async function isUsableTaxRate(taxRateId) {
+  if (!taxRateId) return true
+  const result = await pool.query('SELECT id FROM tax_rates WHERE id = $1 AND is_active', [taxRateId])
+  return result.rows.length > 0
+}
+
 // GET /api/inventory/products - Get all products with filtering and pagination
-router.get('/products', async (req, res) => {
+router.get('/products', requirePermission('products:read'), async (req, res) => {
   try {
     const {
       search,
@@ -41,6 +50,7 @@ router.get('/products', async (req, res) => {
         p.name,
         p.description,
         p.category_id,
+        p.tax_rate_id,
         p.sku,
         p.price,
         p.cost,
@@ -177,7 +187,7 @@ router.get('/products', async (req, res) => {
 })
 
 // GET /api/inventory/products/:id - Get specific product
-router.get('/products/:id', async (req, res) => {
+router.get('/products/:id', requirePermission('products:read'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -187,6 +197,7 @@ router.get('/products/:id', async (req, res) => {
         p.name,
         p.description,
         p.category_id,
+        p.tax_rate_id,
         p.sku,
         p.price,
         p.cost,
@@ -259,14 +270,16 @@ router.get('/products/:id', async (req, res) => {
 })
 
 // POST /api/inventory/products - Create new product
-router.post('/products', [
+router.post('/products', requirePermission('products:write'), [
   body('name').notEmpty().withMessage('Product name is required'),
   body('sku').optional().isString(),
   body('price').isNumeric().withMessage('Price must be a number'),
   body('cost').optional().isNumeric().withMessage('Cost must be a number'),
   body('stock').optional().isNumeric().withMessage('Stock must be a number'),
   body('min_stock').optional().isNumeric().withMessage('Min stock must be a number'),
+  body('shelf_life_days').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Shelf life must be a positive number of days'),
   body('category_id').optional().isUUID().withMessage('Category ID must be a valid UUID'),
+  body('tax_rate_id').optional({ nullable: true }).isUUID().withMessage('Tax rate ID must be a valid UUID'),
   body('unit').optional().isString()
 ], async (req, res) => {
   const errors = validationResult(req)
@@ -292,9 +305,18 @@ router.post('/products', [
       unit = 'kg',
       supplier,
       barcode,
-      status = 'active'
+      status = 'active',
+      shelf_life_days = null,
+      tax_rate_id = null
     } = req.body
 
+    if (!(await isUsableTaxRate(tax_rate_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tax rate not found'
+      })
+    }
+
     // Check if SKU already exists
     if (sku) {
       const existingProduct = await pool.query(
@@ -312,14 +334,14 @@ router.post('/products', [
 
     const query = `
       INSERT INTO products
-      (name, description, category_id, sku, price, cost, stock, min_stock, unit, supplier, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      (name, description, category_id, sku, price, cost, stock, min_stock, unit, supplier, status, shelf_life_days, tax_rate_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `
 
     const result = await pool.query(query, [
       name, description, category_id, sku, price, cost, stock, min_stock,
-      unit, supplier, status
+      unit, supplier, status, shelf_life_days, tax_rate_id
     ])
 
     // Create initial stock movement if stock > 0
@@ -353,10 +375,12 @@ router.post('/products', [
 })
 
 // PUT /api/inventory/products/:id - Update product
-router.put('/products/:id', [
+router.put('/products/:id', requirePermission('products:write'), [
   body('name').notEmpty().withMessage('Product name is required'),
   body('price').isNumeric().withMessage('Price must be a number'),
-  body('cost').optional().isNumeric().withMessage('Cost must be a number')
+  body('cost').optional().isNumeric().withMessage('Cost must be a number'),
+  body('shelf_life_days').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Shelf life must be a positive number of days'),
+  body('tax_rate_id').optional({ nullable: true }).isUUID().withMessage('Tax rate ID must be a valid UUID')
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -381,7 +405,9 @@ router.put('/products/:id', [
       unit,
       supplier,
       barcode,
-      status
+      status,
+      shelf_life_days,
+      tax_rate_id
     } = req.body
 
     // Check if product exists
@@ -465,6 +491,24 @@ router.put('/products/:id', [
       paramIndex++
     }
 
+    if (shelf_life_days !== undefined) {
+      updateFields.push(`shelf_life_days = $${paramIndex}`)
+      queryParams.push(shelf_life_days)
+      paramIndex++
+    }
+
+    if (tax_rate_id !== undefined) {
+      if (!(await isUsableTaxRate(tax_rate_id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tax rate not found'
+        })
+      }
+      updateFields.push(`tax_rate_id = $${paramIndex}`)
+      queryParams.push(tax_rate_id)
+      paramIndex++
+    }
+
     if (supplier !== undefined) {
       updateFields.push(`supplier = $${paramIndex}`)
       queryParams.push(supplier)
@@ -519,7 +563,7 @@ router.put('/products/:id', [
 })
 
 // PATCH /api/inventory/products/:id/stock - Adjust product stock
-router.patch('/products/:id/stock', [
+router.patch('/products/:id/stock', requirePermission('stock:adjust'), [
   body('quantity').isNumeric().withMessage('Quantity must be a number'),
   body('type').isIn(['adjustment', 'sale', 'purchase', 'return', 'loss']).withMessage('Invalid movement type'),
   body('notes').optional().isString()
@@ -533,68 +577,41 @@ router.patch('/products/:id/stock', [
     })
   }
 
-  const client = await pool.connect()
+  const { id } = req.params
 
   try {
-    await client.query('BEGIN')
-
-    const { id } = req.params
-    const { quantity, type, notes, reference_id, reference_type } = req.body
-
-    // Get current product stock
-    const productResult = await client.query(
-      'SELECT * FROM products WHERE id = $1 -- AND deleted_at IS NULL -- temporarily disabled',
-      [id]
-    )
-
-    if (productResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      })
-    }
-
-    const product = productResult.rows[0]
-    const currentStock = parseFloat(product.stock) || 0
-    const adjustment = parseFloat(quantity)
-
-    let newStock
-    switch (type) {
-      case 'adjustment':
-      case 'purchase':
-      case 'return':
-        newStock = currentStock + adjustment
-        break
-      case 'sale':
-      case 'loss':
-        newStock = currentStock - Math.abs(adjustment)
-        break
-      default:
-        newStock = currentStock + adjustment
-    }
-
-    // Prevent negative stock
-    if (newStock < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Insufficient stock available'
-      })
-    }
+    await withTransaction(async (client) => {
+      const { quantity, type, notes, reference_id, reference_type } = req.body
+
+      const adjustment = parseFloat(quantity)
+
+      let delta
+      switch (type) {
+        case 'sale':
+        case 'loss':
+          delta = -Math.abs(adjustment)
+          break
+        default:
+          delta = adjustment
+      }
 
-    // Update product stock
-    await client.query(
-      'UPDATE products SET stock = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [id, newStock]
-    )
+      // Atomic update: 404 for an unknown product, 409 with the available
+      // quantity when the stock would go negative
+      await adjustStock(client, id, delta)
 
-    // Create stock movement record
-    await client.query(`
-      INSERT INTO stock_movements 
-      (product_id, movement_type, quantity, reference_type, reference_id, notes)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [id, type, adjustment, reference_type, reference_id, notes])
+      // Units taken out by hand leave the lots that expire first, so the
+      // lots never hold more than the stock
+      if (delta < 0) {
+        await consumeLots(client, id, Math.abs(delta))
+      }
 
-    await client.query('COMMIT')
+      // Create stock movement record
+      await client.query(`
+        INSERT INTO stock_movements 
+        (product_id, movement_type, quantity, reference_type, reference_id, notes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [id, type, adjustment, reference_type, reference_id, notes])
+    })
 
     // Get updated product
     const updatedProduct = await pool.query(`
@@ -624,20 +641,18 @@ router.patch('/products/:id/stock', [
       message: 'Stock updated successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error updating stock:', error)
     res.status(500).json({
       success: false,
       error: 'Internal server error',
       message: error.message
     })
-  } finally {
-    client.release()
   }
 })
 
 // DELETE /api/inventory/products/:id - Soft delete product
-router.delete('/products/:id', async (req, res) => {
+router.delete('/products/:id', requirePermission('products:delete'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -692,7 +707,7 @@ router.delete('/products/:id', async (req, res) => {
 // ===== CATEGORIES ENDPOINTS =====
 
 // GET /api/inventory/categories - Get all categories
-router.get('/categories', async (req, res) => {
+router.get('/categories', requirePermission('products:read'), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -727,10 +742,11 @@ router.get('/categories', async (req, res) => {
 })
 
 // POST /api/inventory/categories - Create new category
-router.post('/categories', [
+router.post('/categories', requirePermission('products:write'), [
   body('name').notEmpty().withMessage('Category name is required'),
   body('slug').notEmpty().withMessage('Category slug is required'),
-  body('color').optional().isString()
+  body('color').optional().isString(),
+  body('tax_rate_id').optional({ nullable: true }).isUUID().withMessage('Tax rate ID must be a valid UUID')
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -742,7 +758,14 @@ router.post('/categories', [
   }
 
   try {
-    const { name, slug, description, color = 'bg-gray-100 text-gray-800' } = req.body
+    const { name, slug, description, color = 'bg-gray-100 text-gray-800', tax_rate_id = null } = req.body
+
+    if (!(await isUsableTaxRate(tax_rate_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tax rate not found'
+      })
+    }
 
     // Check if slug already exists
     const existingCategory = await pool.query(
@@ -758,12 +781,12 @@ router.post('/categories', [
     }
 
     const query = `
-      INSERT INTO categories (name, slug, description, color)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO categories (name, slug, description, color, tax_rate_id)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *
     `
 
-    const result = await pool.query(query, [name, slug, description, color])
+    const result = await pool.query(query, [name, slug, description, color, tax_rate_id])
 
     res.status(201).json({
       success: true,
@@ -781,10 +804,11 @@ router.post('/categories', [
 })
 
 // PUT /api/inventory/categories/:id - Update category
-router.put('/categories/:id', [
+router.put('/categories/:id', requirePermission('products:write'), [
   body('name').notEmpty().withMessage('Category name is required'),
   body('slug').notEmpty().withMessage('Category slug is required'),
-  body('color').optional().isString()
+  body('color').optional().isString(),
+  body('tax_rate_id').optional({ nullable: true }).isUUID().withMessage('Tax rate ID must be a valid UUID')
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -797,7 +821,7 @@ router.put('/categories/:id', [
 
   try {
     const { id } = req.params
-    const { name, slug, description, color } = req.body
+    const { name, slug, description, color, tax_rate_id } = req.body
 
     // Check if category exists
     const existingCategory = await pool.query(
@@ -825,14 +849,24 @@ router.put('/categories/:id', [
       })
     }
 
+    if (!(await isUsableTaxRate(tax_rate_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tax rate not found'
+      })
+    }
+
     const query = `
       UPDATE categories
-      SET name = $2, slug = $3, description = $4, color = $5, updated_at = CURRENT_TIMESTAMP
+      SET name = $2, slug = $3, description = $4, color = $5, tax_rate_id = $6, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
       RETURNING *
     `
 
-    const result = await pool.query(query, [id, name, slug, description, color])
+    const result = await pool.query(query, [
+      id, name, slug, description, color,
+      tax_rate_id === undefined ? existingCategory.rows[0].tax_rate_id : tax_rate_id
+    ])
 
     res.json({
       success: true,
@@ -850,7 +884,7 @@ router.put('/categories/:id', [
 })
 
 // DELETE /api/inventory/categories/:id - Delete category
-router.delete('/categories/:id', async (req, res) => {
+router.delete('/categories/:id', requirePermission('products:delete'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -901,7 +935,7 @@ router.delete('/categories/:id', async (req, res) => {
 })
 
 // GET /api/inventory/stats - Get inventory statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('products:read'), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -966,7 +1000,7 @@ router.get('/stats', async (req, res) => {
 })
 
 // GET /api/inventory/low-stock - Get products with low stock
-router.get('/low-stock', async (req, res) => {
+router.get('/low-stock', requirePermission('products:read'), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -1006,4 +1040,105 @@ router.get('/low-stock', async (req, res) => {
   }
 })
 
+// GET /api/inventory/lots - List product lots
+router.get('/lots', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { product_id, status = 'active' } = req.query
+
+    let query = `
+      SELECT
+        l.*,
+        p.name as product_name,
+        p.unit,
+        s.name as supplier_name,
+        po.order_number as purchase_order_number,
+        (l.expiry_date - CURRENT_DATE) as days_to_expiry
+      FROM product_lots l
+      JOIN products p ON l.product_id = p.id
+      LEFT JOIN suppliers s ON l.supplier_id = s.id
+      LEFT JOIN purchase_orders po ON l.purchase_order_id = po.id
+      WHERE 1=1
+    `
+
+    const queryParams = []
+    let paramIndex = 1
+
+    if (product_id) {
+      query += ` AND l.product_id = $${paramIndex}`
+      queryParams.push(product_id)
+      paramIndex++
+    }
+
+    if (status !== 'all') {
+      query += ` AND l.status = $${paramIndex}`
+      queryParams.push(status)
+      paramIndex++
+    }
+
+    query += ' ORDER BY l.expiry_date ASC NULLS LAST, l.received_at ASC'
+
+    const result = await pool.query(query, queryParams)
+
+    res.json({
+      success: true,
+      data: result.rows.map(lot => ({
+        ...lot,
+        initial_quantity: parseFloat(lot.initial_quantity) || 0,
+        remaining_quantity: parseFloat(lot.remaining_quantity) || 0,
+        unit_cost: parseFloat(lot.unit_cost) || 0,
+        days_to_expiry: lot.days_to_expiry === null ? null : parseInt(lot.days_to_expiry)
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching lots:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/inventory/lots/expiring - Lots expiring within the next N days (?days=7)
+router.get('/lots/expiring', requirePermission('products:read'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 7
+    const lots = await findExpiringLots(pool, { days, productId: req.query.product_id })
+
+    res.json({
+      success: true,
+      data: lots
+    })
+  } catch (error) {
+    console.error('Error fetching expiring lots:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/inventory/lots/write-off-expired - Write off expired lots now
+// (also done periodically, see LOT_EXPIRY_CHECK_HOURS)
+router.post('/lots/write-off-expired', requirePermission('stock:adjust'), async (req, res) => {
+  try {
+    const lots = await writeOffExpiredLots()
+
+    res.json({
+      success: true,
+      data: lots,
+      message: `${lots.length} expired lot(s) written off`
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error writing off expired lots:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
 module.exports = router
\ No newline at end of file
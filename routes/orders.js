@@ -1,38 +1,19 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool, withTransaction } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-// Helper function to generate order number
-async function generateOrderNumber() {
-  const result = await pool.query(`
-    SELECT order_number 
-    FROM orders 
-    WHERE order_number ~ '^ORD-[0-9]+$'
-    ORDER BY CAST(SUBSTRING(order_number FROM 5) AS INTEGER) DESC 
-    LIMIT 1
-  `)
-
-  let nextNumber = 'ORD-001'
-  if (result.rows.length > 0) {
-    const lastNumber = result.rows[0].order_number
-    const numberPart = parseInt(lastNumber.split('-')[1])
-    nextNumber = `ORD-${String(numberPart + 1).padStart(3, '0')}`
-  }
-
-  return nextNumber
-}
+const { requirePermission } = require('../middleware/auth')
+const { HttpError, sendHttpError } = require('../lib/errors')
+const { decrementStockForItems, incrementStock } = require('../lib/stock')
+const { nextNumber, previewNumber } = require('../lib/numbering')
+const { allocateOrderItem, restoreOrderItemLots } = require('../lib/lots')
+const { getOpenSessionId, requestedOverride, assertShiftOpen } = require('../lib/register')
+const { getTaxSettings, resolveProductTaxRates, computeTotals, effectiveRate, assertTotalsMatch } = require('../lib/tax')
+const { CREDIT_PAYMENT_METHODS, requestedCreditOverride, assertCreditAvailable, recordCreditOverride } = require('../lib/credit')
+const { planTenders, recordTenders, voidPayment, refreshPaymentTargets } = require('../lib/payments')
 
 // GET /api/orders - Get all orders with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('orders:read'), async (req, res) => {
   try {
     const {
       status,
@@ -226,7 +207,7 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/orders/:id - Get specific order
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('orders:read'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -257,7 +238,8 @@ router.get('/:id', async (req, res) => {
     // Fetch items query
     const itemsQuery = `
       SELECT 
-        oi.id, oi.product_id, oi.product_name, oi.supplier_id, oi.sku, oi.quantity, oi.unit_price, oi.total
+        oi.id, oi.product_id, oi.product_name, oi.supplier_id, oi.sku, oi.quantity, oi.unit_price, oi.total,
+        oi.discount_amount, oi.tax_rate, oi.tax_base, oi.tax_amount
       FROM order_items oi
       WHERE oi.order_id = $1
     `
@@ -309,13 +291,22 @@ router.get('/:id', async (req, res) => {
 })
 
 // POST /api/orders - Create new order
-router.post('/', [
+router.post('/', requirePermission('orders:create'), [
   body('customer_id').optional().isUUID().withMessage('Customer ID must be a valid UUID'),
   body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
   body('items.*.product_id').isUUID().withMessage('Product ID is required and must be a valid UUID'),
   body('items.*.quantity').isNumeric().withMessage('Quantity must be numeric'),
   body('items.*.unit_price').isNumeric().withMessage('Unit price must be numeric'),
-  body('discount_percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount percentage must be between 0 and 100')
+  body('items.*.discount_percentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Line discount percentage must be between 0 and 100'),
+  body('items.*.discount_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Line discount amount must be 0 or more'),
+  body('discount_percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount percentage must be between 0 and 100'),
+  body('register_session_id').optional().isUUID().withMessage('Register session ID must be a valid UUID'),
+  body('credit_override').optional().isBoolean().withMessage('credit_override must be a boolean'),
+  body('credit_override_reason').optional({ nullable: true }).isString(),
+  body('tenders').optional().isArray({ min: 1 }).withMessage('Tenders must be a non-empty array'),
+  body('tenders.*.payment_method').isString().notEmpty().withMessage('Each tender needs a payment_method'),
+  body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+  body('tenders.*.reference_number').optional({ nullable: true }).isString()
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -326,148 +317,177 @@ router.post('/', [
     })
   }
 
-  const client = await pool.connect()
-
   try {
-    await client.query('BEGIN')
-
-    const {
-      customer_id,
-      customer_name,
-      items,
-      delivery_address,
-      delivery_date,
-      payment_method = 'cash',
-      notes,
-      user_id,
-      user_name,
-      discount_percentage = 0
-    } = req.body
-
-    // Append salesperson info to notes if available
-    let finalNotes = notes || '';
-
-    // Generate order number
-    const orderNumber = await generateOrderNumber()
-
-    // Calculate totals
-    let subtotal = 0
-    const processedItems = []
-
-    for (const item of items) {
-      // Get product details and check stock
-      const productResult = await client.query(
-        'SELECT * FROM products WHERE id = $1 -- -- AND deleted_at IS NULL temporarily disabled -- temporarily disabled',
-        [item.product_id]
-      )
-
-      if (productResult.rows.length === 0) {
-        throw new Error(`Product with ID ${item.product_id} not found`)
-      }
-
-      const product = productResult.rows[0]
-      const quantity = parseFloat(item.quantity)
-      const unitPrice = parseFloat(item.unit_price) || parseFloat(product.price)
-      const itemTotal = quantity * unitPrice
+    const { order, payments, tenderPlan } = await withTransaction(async (client) => {
+      const {
+        customer_id,
+        customer_name,
+        items,
+        delivery_address,
+        delivery_date,
+        notes,
+        user_id,
+        user_name,
+        discount_percentage = 0,
+        branch_code,
+        register_session_id,
+        tenders
+      } = req.body
+      let { payment_method = 'cash' } = req.body
+
+      // Append salesperson info to notes if available
+      let finalNotes = notes || '';
+
+      // Generate order number (rolled back together with the order)
+      const orderNumber = await nextNumber(client, 'order', { branch: branch_code })
+
+      const processedItems = []
+
+      for (const item of items) {
+        // Get product details and check stock
+        const productResult = await client.query(
+          'SELECT * FROM products WHERE id = $1 -- -- AND deleted_at IS NULL temporarily disabled -- temporarily disabled',
+          [item.product_id]
+        )
 
-      // Check stock availability
-      if (parseFloat(product.stock) < quantity) {
-        throw new Error(`Insufficient stock for product ${product.name}.Available: ${product.stock}, Requested: ${quantity} `)
-      }
+        if (productResult.rows.length === 0) {
+          throw new HttpError(404, `Product with ID ${item.product_id} not found`)
+        }
 
-      // Validate supplier_id is a UUID
-      // Validate supplier_id is a UUID or lookup by name
-      let supplierId = item.supplier_id || product.supplier
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
-
-      if (supplierId && !uuidRegex.test(supplierId)) {
-        // Try to lookup supplier by name if it's not a UUID
-        try {
-          const supplierResult = await client.query('SELECT id FROM suppliers WHERE name = $1', [supplierId])
-          if (supplierResult.rows.length > 0) {
-            supplierId = supplierResult.rows[0].id
-          } else {
-            console.warn(`Supplier not found for name: ${supplierId}`)
+        const product = productResult.rows[0]
+        const quantity = parseFloat(item.quantity)
+        const unitPrice = parseFloat(item.unit_price) || parseFloat(product.price)
+
+        // Validate supplier_id is a UUID
+        // Validate supplier_id is a UUID or lookup by name
+        let supplierId = item.supplier_id || product.supplier
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+        if (supplierId && !uuidRegex.test(supplierId)) {
+          // Try to lookup supplier by name if it's not a UUID
+          try {
+            const supplierResult = await client.query('SELECT id FROM suppliers WHERE name = $1', [supplierId])
+            if (supplierResult.rows.length > 0) {
+              supplierId = supplierResult.rows[0].id
+            } else {
+              console.warn(`Supplier not found for name: ${supplierId}`)
+              supplierId = null
+            }
+          } catch (err) {
+            console.error('Error looking up supplier:', err)
             supplierId = null
           }
-        } catch (err) {
-          console.error('Error looking up supplier:', err)
+        } else if (!supplierId) {
           supplierId = null
         }
-      } else if (!supplierId) {
-        supplierId = null
+
+        processedItems.push({
+          product_id: item.product_id,
+          product_name: product.name,
+          supplier_id: supplierId,
+          sku: product.sku,
+          quantity,
+          unit_price: unitPrice,
+          discount_percentage: item.discount_percentage,
+          discount_amount: item.discount_amount
+        })
       }
 
-      processedItems.push({
-        product_id: item.product_id,
-        product_name: product.name,
-        supplier_id: supplierId,
-        sku: product.sku,
-        quantity,
-        unit_price: unitPrice,
-        total: itemTotal
+      // Totals come from the tax engine; the ones the client shows must agree
+      const taxRates = await resolveProductTaxRates(client, processedItems.map(item => item.product_id))
+      const totals = computeTotals(
+        processedItems.map(item => ({ ...item, tax_rate: taxRates.get(item.product_id).rate })),
+        { discountPercentage: discount_percentage, rounding: (await getTaxSettings(client)).rounding }
+      )
+      assertTotalsMatch(req.body, {
+        subtotal: totals.subtotal,
+        discount_amount: totals.discount_amount,
+        tax_amount: totals.tax_amount,
+        total: totals.total
       })
 
-      subtotal += itemTotal
-    }
+      // Split tender: the payments taken at the counter, and the change due
+      const tenderPlan = tenders ? planTenders(tenders, totals.total) : null
+      if (tenderPlan) {
+        assertTotalsMatch(req.body, { change_due: tenderPlan.change_due })
+        if (!CREDIT_PAYMENT_METHODS.includes(payment_method)) {
+          const methods = [...new Set(tenderPlan.tenders.map(tender => tender.payment_method))]
+          payment_method = methods.length === 1 ? methods[0] : 'split'
+        }
+      }
 
-    // Calculate discount
-    const discountAmount = (subtotal * parseFloat(discount_percentage)) / 100
-    const subtotalAfterDiscount = subtotal - discountAmount
-
-    // Calculate tax on discounted amount
-    const taxRate = 0 // IVA moved to 0 as requested
-    const taxAmount = subtotalAfterDiscount * taxRate
-    const total = subtotalAfterDiscount + taxAmount
-
-    // Create order
-    const orderQuery = `
-      INSERT INTO orders
-      (customer_id, order_number, subtotal, tax_amount, discount_amount, discount_percentage, total,
-        delivery_date, payment_method, notes, user_id)
-    VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-    RETURNING *
-      `
+      // Credit sales must fit in the customer's credit limit; only what the
+      // tenders leave unpaid goes on account
+      const creditOverride = CREDIT_PAYMENT_METHODS.includes(payment_method)
+        ? await assertCreditAvailable(client, {
+          customerId: customer_id,
+          orderTotal: tenderPlan ? tenderPlan.balance_due : totals.total,
+          override: requestedCreditOverride(req)
+        })
+        : null
+
+      // Create order
+      const orderQuery = `
+        INSERT INTO orders
+        (customer_id, order_number, subtotal, tax_amount, discount_amount, discount_percentage, total,
+          delivery_date, payment_method, notes, user_id, register_session_id, tax_rate)
+      VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+        `
+
+      // Stamp the sale with the shift of the register it was rung up on
+      const sessionId = await getOpenSessionId(client, {
+        sessionId: register_session_id,
+        userId: req.user.id,
+        override: requestedOverride(req)
+      })
 
-    const orderResult = await client.query(orderQuery, [
-      customer_id, orderNumber, subtotal, taxAmount, discountAmount, discount_percentage, total,
-      delivery_date, payment_method, finalNotes, user_id
-    ])
-
-    const order = orderResult.rows[0]
-
-    // Create order items and update stock
-    for (const item of processedItems) {
-      // Create order item
-      await client.query(`
-        INSERT INTO order_items
-      (order_id, product_id, product_name, supplier_id, sku, quantity, unit_price, total)
-    VALUES($1, $2, $3, $4, $5, $6, $7, $8)
-      `, [order.id, item.product_id, item.product_name, item.supplier_id, item.sku, item.quantity, item.unit_price, item.total])
-
-      // Update product stock
-      const stockResult = await client.query(
-        'SELECT stock FROM products WHERE id = $1',
-        [item.product_id]
-      )
+      const orderResult = await client.query(orderQuery, [
+        customer_id, orderNumber, totals.subtotal, totals.tax_amount, totals.discount_amount, discount_percentage, totals.total,
+        delivery_date, payment_method, finalNotes, user_id, sessionId, effectiveRate(totals)
+      ])
 
-      const currentStock = parseFloat(stockResult.rows[0].stock)
-      const newStock = currentStock - item.quantity
+      const order = orderResult.rows[0]
 
-      await client.query(
-        'UPDATE products SET stock = $2 WHERE id = $1',
-        [item.product_id, newStock]
-      )
+      if (creditOverride) {
+        await recordCreditOverride(client, creditOverride, { orderId: order.id, userId: req.user.id })
+      }
 
-      // Create stock movement
-      await client.query(`
-        INSERT INTO stock_movements
-      (product_id, movement_type, quantity, reference_type, reference_id, notes)
-    VALUES($1, 'out', $2, 'sale', $3, $4)
-      `, [item.product_id, item.quantity, order.id, `Sale from order ${orderNumber} `])
-    }
+      const payments = tenderPlan
+        ? await recordTenders(client, order, tenderPlan, { userId: req.user.id, sessionId, branch: branch_code })
+        : []
+
+      // Reserve stock with conditional updates; answers 409 with the available
+      // quantity when another sale took the units first
+      await decrementStockForItems(client, processedItems)
+
+      // Create order items and stock movements
+      for (const item of totals.lines) {
+        // Create order item
+        const orderItemResult = await client.query(`
+          INSERT INTO order_items
+        (order_id, product_id, product_name, supplier_id, sku, quantity, unit_price, total,
+          discount_amount, tax_rate, tax_base, tax_amount)
+      VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id
+        `, [
+          order.id, item.product_id, item.product_name, item.supplier_id, item.sku, item.quantity, item.unit_price, item.gross,
+          item.discount_amount, item.tax_rate, item.tax_base, item.tax_amount
+        ])
+
+        // Take the units from the lots that expire first (FEFO)
+        await allocateOrderItem(client, orderItemResult.rows[0].id, item.product_id, item.quantity)
+
+        // Create stock movement
+        await client.query(`
+          INSERT INTO stock_movements
+        (product_id, movement_type, quantity, reference_type, reference_id, notes)
+      VALUES($1, 'out', $2, 'sale', $3, $4)
+        `, [item.product_id, item.quantity, order.id, `Sale from order ${orderNumber} `])
+      }
 
-    await client.query('COMMIT')
+      return { order, payments, tenderPlan }
+    })
 
     // Fetch complete order with items
     const completeOrder = await pool.query(`
@@ -484,7 +504,10 @@ router.post('/', [
           'sku', oi.sku,
           'quantity', oi.quantity,
           'unit_price', oi.unit_price,
-          'total', oi.total
+          'total', oi.total,
+          'discount_amount', oi.discount_amount,
+          'tax_rate', oi.tax_rate,
+          'tax_amount', oi.tax_amount
         )
       ) as items
       FROM orders o
@@ -501,25 +524,35 @@ router.post('/', [
         subtotal: parseFloat(completeOrder.rows[0].subtotal) || 0,
         tax_amount: parseFloat(completeOrder.rows[0].tax_amount) || 0,
         total: parseFloat(completeOrder.rows[0].total) || 0,
-        tax_rate: parseFloat(completeOrder.rows[0].tax_rate) || 0
+        tax_rate: parseFloat(completeOrder.rows[0].tax_rate) || 0,
+        ...(tenderPlan && {
+          payments: payments.map(payment => ({
+            ...payment,
+            amount: parseFloat(payment.amount),
+            amount_tendered: parseFloat(payment.amount_tendered),
+            change_given: parseFloat(payment.change_given)
+          })),
+          amount_tendered: tenderPlan.tendered,
+          total_paid: tenderPlan.paid,
+          change_due: tenderPlan.change_due,
+          balance_due: tenderPlan.balance_due
+        })
       },
       message: 'Order created successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error creating order:', error)
     res.status(500).json({
       success: false,
       error: 'Internal server error',
       message: error.message
     })
-  } finally {
-    client.release()
   }
 })
 
 // PATCH /api/orders/:id/status - Update order status
-router.patch('/:id/status', [
+router.patch('/:id/status', requirePermission('orders:update'), [
   body('status').isIn(['pending', 'processing', 'completed', 'cancelled']).withMessage('Invalid status'),
   body('notes').optional().isString()
 ], async (req, res) => {
@@ -532,81 +565,90 @@ router.patch('/:id/status', [
     })
   }
 
-  const client = await pool.connect()
-
   try {
-    await client.query('BEGIN')
+    const result = await withTransaction(async (client) => {
+      const { id } = req.params
+      const { status, notes } = req.body
+
+      // Get current order
+      // Lock the row so two concurrent cancellations cannot both restore stock
+      const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id])
+      if (orderResult.rows.length === 0) {
+        throw new HttpError(404, 'Order not found')
+      }
 
-    const { id } = req.params
-    const { status, notes } = req.body
+      const currentOrder = orderResult.rows[0]
+      const currentStatus = currentOrder.status
 
-    // Get current order
-    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1', [id])
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      })
-    }
-
-    const currentOrder = orderResult.rows[0]
-    const currentStatus = currentOrder.status
+      // Handle status transitions
+      if (currentStatus === 'cancelled' && status !== 'cancelled') {
+        throw new HttpError(400, 'Cannot change status of cancelled order')
+      }
 
-    // Handle status transitions
-    if (currentStatus === 'cancelled' && status !== 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot change status of cancelled order'
-      })
-    }
+      if (currentStatus === 'completed' && status !== 'completed') {
+        throw new HttpError(400, 'Cannot change status of completed order')
+      }
 
-    if (currentStatus === 'completed' && status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot change status of completed order'
-      })
-    }
+      // If cancelling order, restore stock
+      if (status === 'cancelled' && currentStatus !== 'cancelled') {
+        // Cancelling would change the sales of a closed shift
+        await assertShiftOpen(client, currentOrder.register_session_id, requestedOverride(req))
 
-    // If cancelling order, restore stock
-    if (status === 'cancelled' && currentStatus !== 'cancelled') {
-      const orderItems = await client.query('SELECT * FROM order_items WHERE order_id = $1', [id])
+        const orderItems = await client.query('SELECT * FROM order_items WHERE order_id = $1', [id])
 
-      for (const item of orderItems.rows) {
-        const stockResult = await client.query('SELECT stock FROM products WHERE id = $1', [item.product_id])
-        const currentStock = parseFloat(stockResult.rows[0].stock)
-        const newStock = currentStock + parseFloat(item.quantity)
+        for (const item of orderItems.rows) {
+          await incrementStock(client, item.product_id, parseFloat(item.quantity))
+          await restoreOrderItemLots(client, item.id, parseFloat(item.quantity))
 
-        await client.query('UPDATE products SET stock = $2 WHERE id = $1', [item.product_id, newStock])
+          // Create stock movement for return
+          await client.query(`
+            INSERT INTO stock_movements
+        (product_id, movement_type, quantity, reference_type, reference_id, notes)
+      VALUES($1, 'in', $2, 'return', $3, $4)
+          `, [item.product_id, parseFloat(item.quantity), id, `Order cancellation ${currentOrder.order_number} `])
+        }
 
-        // Create stock movement for return
-        await client.query(`
-          INSERT INTO stock_movements
-      (product_id, movement_type, quantity, reference_type, reference_id, notes)
-    VALUES($1, 'in', $2, 'return', $3, $4)
-        `, [item.product_id, parseFloat(item.quantity), id, `Order cancellation ${currentOrder.order_number} `])
+        // Money taken for the order goes back out: its refunds are voided
+        // before the payments they refund
+        const payments = await client.query(
+          "SELECT id FROM payments WHERE order_id = $1 AND status = 'completed' ORDER BY amount < 0 DESC, payment_date DESC",
+          [id]
+        )
+        if (payments.rows.length > 0) {
+          const sessionId = await getOpenSessionId(client, {
+            sessionId: req.body.register_session_id,
+            userId: req.user.id,
+            override: requestedOverride(req)
+          })
+          for (const payment of payments.rows) {
+            await voidPayment(client, payment.id, {
+              reason: `Order ${currentOrder.order_number} cancelled`,
+              userId: req.user.id,
+              sessionId
+            })
+          }
+        }
       }
-    }
-
-    // Update order status
-    const updateFields = ['status = $2', 'updated_at = CURRENT_TIMESTAMP']
-    const updateValues = [id, status]
-    let paramIndex = 3
 
-    // Remove completed_at field update since column doesn't exist
-    // if (status === 'completed') {
-    //   updateFields.push(`completed_at = CURRENT_TIMESTAMP`)
-    // }
+      // Update order status
+      const updateFields = ['status = $2', 'updated_at = CURRENT_TIMESTAMP']
+      const updateValues = [id, status]
+      let paramIndex = 3
 
-    if (notes) {
-      updateFields.push(`notes = $${paramIndex} `)
-      updateValues.push(notes)
-      paramIndex++
-    }
+      // Remove completed_at field update since column doesn't exist
+      // if (status === 'completed') {
+      //   updateFields.push(`completed_at = CURRENT_TIMESTAMP`)
+      // }
 
-    const updateQuery = `UPDATE orders SET ${updateFields.join(', ')} WHERE id = $1 RETURNING * `
-    const result = await client.query(updateQuery, updateValues)
+      if (notes) {
+        updateFields.push(`notes = $${paramIndex} `)
+        updateValues.push(notes)
+        paramIndex++
+      }
 
-    await client.query('COMMIT')
+      const updateQuery = `UPDATE orders SET ${updateFields.join(', ')} WHERE id = $1 RETURNING * `
+      return client.query(updateQuery, updateValues)
+    })
 
     res.json({
       success: true,
@@ -620,20 +662,18 @@ router.patch('/:id/status', [
       message: 'Order status updated successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error updating order status:', error)
     res.status(500).json({
       success: false,
       error: 'Internal server error',
       message: error.message
     })
-  } finally {
-    client.release()
   }
 })
 
 // PUT /api/orders/:id - Update order details (discount, notes, etc)
-router.put('/:id', [
+router.put('/:id', requirePermission('orders:update'), [
   body('discount_percentage').optional().isFloat({ min: 0, max: 100 }),
   body('notes').optional().isString()
 ], async (req, res) => {
@@ -642,63 +682,87 @@ router.put('/:id', [
     return res.status(400).json({ success: false, errors: errors.array() })
   }
 
-  const client = await pool.connect()
+  const { id } = req.params
+
   try {
-    await client.query('BEGIN')
-    const { id } = req.params
-    const { discount_percentage, notes } = req.body
+    await withTransaction(async (client) => {
+      const { discount_percentage, notes } = req.body
 
-    // Get current order
-    const orderRes = await client.query('SELECT * FROM orders WHERE id = $1', [id])
-    if (orderRes.rows.length === 0) {
-      await client.query('ROLLBACK')
-      return res.status(404).json({ success: false, error: 'Order not found' })
-    }
-    const order = orderRes.rows[0]
-
-    // If updating discount
-    if (discount_percentage !== undefined) {
-      const subtotal = parseFloat(order.subtotal)
-      const discountAmount = (subtotal * parseFloat(discount_percentage)) / 100
-      const subtotalAfterDiscount = subtotal - discountAmount
-
-      const taxRate = 0 // 0%
-      const taxAmount = subtotalAfterDiscount * taxRate
-      const total = subtotalAfterDiscount + taxAmount
-
-      await client.query(`
-        UPDATE orders 
-        SET discount_percentage = $2,
-      discount_amount = $3,
-      tax_amount = $4,
-      total = $5,
-      updated_at = CURRENT_TIMESTAMP
-        WHERE id = $1
-      `, [id, discount_percentage, discountAmount, taxAmount, total])
-    }
+      // Get current order, locked against payments and returns running alongside
+      const orderRes = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id])
+      if (orderRes.rows.length === 0) {
+        throw new HttpError(404, 'Order not found')
+      }
+      const order = orderRes.rows[0]
 
-    // If updating notes
-    if (notes !== undefined) {
-      await client.query('UPDATE orders SET notes = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id, notes])
-    }
+      // If updating discount
+      if (discount_percentage !== undefined) {
+        await assertShiftOpen(client, order.register_session_id, requestedOverride(req))
+
+        // The invoice and the credit notes were issued for the current total
+        if (order.invoice_id) {
+          throw new HttpError(409, 'Order is invoiced, its discount can no longer change', { invoice_id: order.invoice_id })
+        }
+        const returnsResult = await client.query('SELECT COUNT(*) as count FROM returns WHERE order_id = $1', [id])
+        if (parseInt(returnsResult.rows[0].count) > 0) {
+          throw new HttpError(409, 'Order has returns, its discount can no longer change')
+        }
+
+        // Lines keep the rate they were sold at; lines sold before the tax
+        // engine were charged no tax
+        const orderItems = await client.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY created_at, id', [id])
+        const totals = computeTotals(
+          orderItems.rows.map(item => ({
+            id: item.id,
+            quantity: item.quantity,
+            unit_price: item.unit_price,
+            discount_amount: item.discount_amount,
+            tax_rate: item.tax_rate === null ? 0 : item.tax_rate
+          })),
+          { discountPercentage: discount_percentage, rounding: (await getTaxSettings(client)).rounding }
+        )
+
+        for (const line of totals.lines) {
+          await client.query(
+            'UPDATE order_items SET tax_rate = $2, tax_base = $3, tax_amount = $4 WHERE id = $1',
+            [line.id, line.tax_rate, line.tax_base, line.tax_amount]
+          )
+        }
 
-    await client.query('COMMIT')
+        await client.query(`
+          UPDATE orders 
+          SET discount_percentage = $2,
+        discount_amount = $3,
+        tax_amount = $4,
+        total = $5,
+        tax_rate = $6,
+        updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id, discount_percentage, totals.discount_amount, totals.tax_amount, totals.total, effectiveRate(totals)])
+
+        // What was paid may now cover more or less than the new total
+        await refreshPaymentTargets(client, { orderId: id })
+      }
+
+      // If updating notes
+      if (notes !== undefined) {
+        await client.query('UPDATE orders SET notes = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id, notes])
+      }
+    })
 
     // Return updated order
-    const updatedOrder = await client.query('SELECT * FROM orders WHERE id = $1', [id])
+    const updatedOrder = await pool.query('SELECT * FROM orders WHERE id = $1', [id])
     res.json({ success: true, data: updatedOrder.rows[0] })
 
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error updating order:', error)
     res.status(500).json({ success: false, error: error.message })
-  } finally {
-    client.release()
   }
 })
 
 // GET /api/orders/stats/financial - Get consolidated financial stats
-router.get('/stats/financial', async (req, res) => {
+router.get('/stats/financial', requirePermission('orders:read'), async (req, res) => {
   try {
     const { user_id } = req.query
 
@@ -748,7 +812,7 @@ router.get('/stats/financial', async (req, res) => {
 })
 
 // GET /api/orders/stats - Get order statistics
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('orders:read'), async (req, res) => {
   try {
     const { user_id } = req.query
     let query = `
@@ -801,13 +865,13 @@ router.get('/stats/summary', async (req, res) => {
   }
 })
 
-// GET /api/orders/next-number - Get next order number
-router.get('/next-number', async (req, res) => {
+// GET /api/orders/next-number - Preview the next order number (not reserved)
+router.get('/next-number', requirePermission('orders:create'), async (req, res) => {
   try {
-    const nextNumber = await generateOrderNumber()
+    const nextOrderNumber = await previewNumber(pool, 'order', { branch: req.query.branch_code })
     res.json({
       success: true,
-      data: { next_order_number: nextNumber }
+      data: { next_order_number: nextOrderNumber }
     })
   } catch (error) {
     console.error('Error generating order number:', error)
@@ -0,0 +1,283 @@
+const express = require('express')
+const router = express.Router()
+const { pool, withTransaction } = require('../config/database')
+const { body, query, validationResult } = require('express-validator')
+const { requirePermission } = require('../middleware/auth')
+const { sendHttpError } = require('../lib/errors')
+const {
+  loadSupplierPayment,
+  createSupplierPayment,
+  updateSupplierPayment,
+  voidSupplierPayment,
+  buildPayablesAging
+} = require('../lib/payables')
+
+const allocationRules = [
+  body('allocations').optional().isArray().withMessage('allocations must be an array'),
+  body('allocations.*.purchase_order_id').isUUID().withMessage('Purchase order ID must be a valid UUID'),
+  body('allocations.*.amount').isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than 0')
+]
+
+// GET /api/payables/aging - What is owed to each supplier by days past due
+// ?supplier_id=, ?include_purchase_orders=true
+router.get('/aging', requirePermission('reports:read'), [
+  query('supplier_id').optional().isUUID().withMessage('supplier_id must be a UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const report = await buildPayablesAging(pool, {
+      supplierId: req.query.supplier_id || null,
+      includePurchaseOrders: req.query.include_purchase_orders === 'true'
+    })
+
+    res.json({
+      success: true,
+      data: report
+    })
+  } catch (error) {
+    console.error('Error generating payables aging report:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/payables/payments - Supplier payments, newest first
+router.get('/payments', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const { supplier_id, purchase_order_id, status, start_date, end_date, page = 1, limit = 50 } = req.query
+
+    let whereClause = 'WHERE 1=1'
+    const queryParams = []
+    let paramIndex = 1
+
+    if (supplier_id) {
+      whereClause += ` AND sp.supplier_id = $${paramIndex}`
+      queryParams.push(supplier_id)
+      paramIndex++
+    }
+
+    if (purchase_order_id) {
+      whereClause += ` AND EXISTS (SELECT 1 FROM supplier_payment_allocations a WHERE a.payment_id = sp.id AND a.purchase_order_id = $${paramIndex})`
+      queryParams.push(purchase_order_id)
+      paramIndex++
+    }
+
+    if (status) {
+      whereClause += ` AND sp.status = $${paramIndex}`
+      queryParams.push(status)
+      paramIndex++
+    }
+
+    if (start_date) {
+      whereClause += ` AND sp.payment_date >= $${paramIndex}`
+      queryParams.push(start_date)
+      paramIndex++
+    }
+
+    if (end_date) {
+      whereClause += ` AND sp.payment_date <= $${paramIndex}`
+      queryParams.push(end_date + ' 23:59:59')
+      paramIndex++
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM supplier_payments sp ${whereClause}`,
+      queryParams
+    )
+    const total = parseInt(countResult.rows[0].total)
+
+    const result = await pool.query(`
+      SELECT
+        sp.id, sp.supplier_id, s.name as supplier_name, sp.amount, sp.payment_date, sp.payment_method,
+        sp.reference_number, sp.status, sp.settlement_id, sp.created_at,
+        COALESCE((SELECT SUM(a.amount) FROM supplier_payment_allocations a WHERE a.payment_id = sp.id), 0) as allocated_amount
+      FROM supplier_payments sp
+      LEFT JOIN suppliers s ON sp.supplier_id = s.id
+      ${whereClause}
+      ORDER BY sp.payment_date DESC, sp.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...queryParams, limit, (page - 1) * limit])
+
+    res.json({
+      success: true,
+      data: result.rows.map(payment => ({
+        ...payment,
+        amount: parseFloat(payment.amount),
+        allocated_amount: parseFloat(payment.allocated_amount)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching supplier payments:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/payables/payments/:id - Supplier payment with its allocations
+router.get('/payments/:id', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const payment = await loadSupplierPayment(pool, req.params.id)
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Supplier payment not found' })
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    })
+  } catch (error) {
+    console.error('Error fetching supplier payment:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/payables/payments - Pay a supplier, optionally allocating the
+// payment to its purchase orders; the rest stays on account
+router.post('/payments', requirePermission('supplier_payments:create'), [
+  body('supplier_id').isUUID().withMessage('supplier_id must be a UUID'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('payment_date').optional({ nullable: true }).isISO8601().withMessage('payment_date must be a date'),
+  body('payment_method').optional({ nullable: true }).isString(),
+  body('reference_number').optional({ nullable: true }).isString(),
+  body('notes').optional({ nullable: true }).isString(),
+  ...allocationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { supplier_id, amount, payment_date, payment_method, reference_number, notes, allocations = [] } = req.body
+    const payment = await withTransaction(client => createSupplierPayment(client, {
+      supplierId: supplier_id,
+      amount,
+      paymentDate: payment_date || null,
+      paymentMethod: payment_method || null,
+      referenceNumber: reference_number || null,
+      notes: notes || null,
+      allocations,
+      userId: req.user.id
+    }))
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      message: 'Supplier payment created successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error creating supplier payment:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// PUT /api/payables/payments/:id - Edit a completed payment. Sending
+// allocations replaces the previous ones.
+router.put('/payments/:id', requirePermission('supplier_payments:update'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('payment_date').optional({ nullable: true }).isISO8601().withMessage('payment_date must be a date'),
+  body('payment_method').optional({ nullable: true }).isString(),
+  body('reference_number').optional({ nullable: true }).isString(),
+  body('notes').optional({ nullable: true }).isString(),
+  ...allocationRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const fields = ['amount', 'payment_date', 'payment_method', 'reference_number', 'notes', 'allocations']
+    const changes = Object.fromEntries(fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]))
+    const payment = await withTransaction(client => updateSupplierPayment(client, req.params.id, changes))
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Supplier payment updated successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error updating supplier payment:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/payables/payments/:id/void - Void a payment; the purchase orders
+// it paid owe that amount again
+router.post('/payments/:id/void', requirePermission('supplier_payments:void'), [
+  body('reason').notEmpty().withMessage('A reason is required to void a payment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const payment = await withTransaction(client => voidSupplierPayment(client, req.params.id, {
+      reason: req.body.reason,
+      userId: req.user.id
+    }))
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Supplier payment voided successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error voiding supplier payment:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+module.exports = router
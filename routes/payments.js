@@ -1,57 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../config/database');
-
-// Temporary endpoint to add invoice_id to payments table
-router.post('/setup-payments-invoice-id', async (req, res) => {
-  const client = await pool.connect();
-
-  try {
-    console.log('Adding invoice_id column to payments table...');
-
-    // Add column if it doesn't exist
-    await client.query(`
-      ALTER TABLE payments
-      ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL
-    `);
-
-    // Create index
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id)`);
-
-    console.log('invoice_id column added successfully');
-    res.json({ message: 'invoice_id column added successfully' });
-  } catch (error) {
-    console.error('Error adding invoice_id column:', error);
-    res.status(500).json({ error: error.message });
-  } finally {
-    client.release();
-  }
-});
-
-// Temporary endpoint to make order_id optional
-router.post('/setup-payments-optional-order', async (req, res) => {
-  const client = await pool.connect();
-
-  try {
-    console.log('Making order_id nullable in payments table...');
-
-    await client.query(`
-      ALTER TABLE payments
-      ALTER COLUMN order_id DROP NOT NULL
-    `);
-
-    console.log('order_id is now nullable');
-    res.json({ message: 'order_id is now nullable' });
-  } catch (error) {
-    console.error('Error modifying order_id column:', error);
-    res.status(500).json({ error: error.message });
-  } finally {
-    client.release();
-  }
-});
+const { pool, withTransaction } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+const { requirePermission } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../lib/errors');
+const { nextNumber } = require('../lib/numbering');
+const {
+  refreshPaymentTargets,
+  voidPayment,
+  refundPayment,
+  getRefundable,
+  recordDeposit,
+  applyCustomerCredit
+} = require('../lib/payments');
+const {
+  getOpenSessionId,
+  requestedOverride,
+  assertDateNotInClosedShift,
+  assertShiftOpen
+} = require('../lib/register');
+const { round2 } = require('../lib/helpers');
 
 // Get all payments with optional filters
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('payments:read'), async (req, res) => {
   try {
     const { customer_id, order_id, invoice_id, status, start_date, end_date, sort_by = 'payment_date', order = 'desc' } = req.query;
 
@@ -129,7 +100,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get payment by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('payments:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -145,12 +116,18 @@ router.get('/:id', async (req, res) => {
         c.name as customer_name,
         c.email as customer_email,
         c.phone as customer_phone,
-        u.full_name as processed_by
+        u.full_name as processed_by,
+        vu.full_name as voided_by_name,
+        rp.payment_number as refund_of_payment_number,
+        (SELECT COALESCE(SUM(-r.amount), 0) FROM payments r
+          WHERE r.refund_of_payment_id = p.id AND r.status = 'completed') as refunded_amount
       FROM payments p
       LEFT JOIN orders o ON p.order_id = o.id
       LEFT JOIN invoices i ON p.invoice_id = i.id
       LEFT JOIN customers c ON p.customer_id = c.id
       LEFT JOIN users u ON p.user_id = u.id
+      LEFT JOIN users vu ON p.voided_by = vu.id
+      LEFT JOIN payments rp ON p.refund_of_payment_id = rp.id
       WHERE p.id = $1
     `;
 
@@ -168,7 +145,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get payments summary for an order
-router.get('/order/:order_id/summary', async (req, res) => {
+router.get('/order/:order_id/summary', requirePermission('payments:read'), async (req, res) => {
   try {
     const { order_id } = req.params;
 
@@ -201,10 +178,21 @@ router.get('/order/:order_id/summary', async (req, res) => {
 });
 
 // Create new payment
-router.post('/', async (req, res) => {
-  const client = await pool.connect();
-
+router.post('/', requirePermission('payments:create'), [
+  body('order_id').optional({ nullable: true }).isUUID().withMessage('Order ID must be a valid UUID'),
+  body('invoice_id').optional({ nullable: true }).isUUID().withMessage('Invoice ID must be a valid UUID'),
+  body('customer_id').optional({ nullable: true }).isUUID().withMessage('Customer ID must be a valid UUID')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const {
       order_id,
       invoice_id,
@@ -214,14 +202,15 @@ router.post('/', async (req, res) => {
       payment_date,
       reference_number,
       notes,
-      user_id
+      user_id,
+      branch_code
     } = req.body;
 
     // Validate required fields
-    if ((!order_id && !invoice_id) || !amount || !payment_method) {
+    if ((!order_id && !invoice_id && !customer_id) || !amount || !payment_method) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: order_id OR invoice_id, amount, and payment_method are required'
+        error: 'Missing required fields: order_id, invoice_id OR customer_id, amount, and payment_method are required'
       });
     }
 
@@ -233,158 +222,182 @@ router.post('/', async (req, res) => {
       });
     }
 
-    await client.query('BEGIN');
-
-    let finalCustomerId = customer_id;
-    let finalOrderId = order_id;
-    let totalToPay = 0;
-    let currentlyPaid = 0;
-
-    // Handle Invoice Logic
-    if (invoice_id) {
-      const invoiceQuery = 'SELECT id, total, customer_id, paid_amount, order_id FROM invoices WHERE id = $1';
-      const invoiceResult = await client.query(invoiceQuery, [invoice_id]);
+    const { result, credit, totalToPay, newTotalPaid } = await withTransaction(async (client) => {
+      let finalCustomerId = customer_id;
+      let finalOrderId = order_id;
+      let totalToPay = 0;
+      let currentlyPaid = 0;
 
-      if (invoiceResult.rows.length === 0) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ success: false, error: 'Invoice not found' });
-      }
+      // Overpayment credit goes to the customer of the invoice or order
+      const assertSameCustomer = (targetCustomerId, label) => {
+        if (customer_id && targetCustomerId && String(targetCustomerId).toLowerCase() !== customer_id.toLowerCase()) {
+          throw new HttpError(409, `${label} belongs to another customer`);
+        }
+      };
 
-      const invoice = invoiceResult.rows[0];
-      finalCustomerId = finalCustomerId || invoice.customer_id;
-      // Note: invoices.order_id is VARCHAR, payments.order_id is likely UUID. 
-      // We will keep finalOrderId null unless explicitly provided or safely parseable (omitted for now).
+      // Handle Invoice Logic
+      if (invoice_id) {
+        // Locked so concurrent payments see each other's amounts
+        const invoiceQuery = 'SELECT id, invoice_number, total, credited_amount, customer_id, paid_amount, order_id FROM invoices WHERE id = $1 FOR UPDATE';
+        const invoiceResult = await client.query(invoiceQuery, [invoice_id]);
 
-      totalToPay = parseFloat(invoice.total);
+        if (invoiceResult.rows.length === 0) {
+          throw new HttpError(404, 'Invoice not found');
+        }
 
-      // Calculate total paid for this invoice
-      const paidQuery = `
-        SELECT COALESCE(SUM(amount), 0) as total_paid
-        FROM payments
-        WHERE invoice_id = $1 AND status = 'completed'
-      `;
-      const paidResult = await client.query(paidQuery, [invoice_id]);
-      currentlyPaid = parseFloat(paidResult.rows[0].total_paid);
-    }
-    // Handle Order Logic (Fallback)
-    else if (order_id) {
-      const orderQuery = 'SELECT id, total, customer_id FROM orders WHERE id = $1';
-      const orderResult = await client.query(orderQuery, [order_id]);
-
-      if (orderResult.rows.length === 0) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ success: false, error: 'Order not found' });
+        const invoice = invoiceResult.rows[0];
+        assertSameCustomer(invoice.customer_id, `Invoice ${invoice.invoice_number}`);
+        finalCustomerId = invoice.customer_id || finalCustomerId;
+        // Note: invoices.order_id is VARCHAR, payments.order_id is likely UUID. 
+        // We will keep finalOrderId null unless explicitly provided or safely parseable (omitted for now).
+
+        // Credit notes from returns reduce what is still owed
+        totalToPay = parseFloat(invoice.total) - parseFloat(invoice.credited_amount || 0);
+
+        // Calculate total paid for this invoice, net of refunds
+        const paidQuery = `
+          SELECT
+            (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE invoice_id = $1 AND status = 'completed')
+            - (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE invoice_id = $1 AND status = 'completed') as total_paid
+        `;
+        const paidResult = await client.query(paidQuery, [invoice_id]);
+        currentlyPaid = parseFloat(paidResult.rows[0].total_paid);
       }
+      // Handle Order Logic (Fallback)
+      else if (order_id) {
+        const orderQuery = 'SELECT id, order_number, total, customer_id FROM orders WHERE id = $1 FOR UPDATE';
+        const orderResult = await client.query(orderQuery, [order_id]);
 
-      const order = orderResult.rows[0];
-      finalCustomerId = finalCustomerId || order.customer_id;
-      totalToPay = parseFloat(order.total);
-
-      const paidQuery = `
-        SELECT COALESCE(SUM(amount), 0) as total_paid
-        FROM payments
-        WHERE order_id = $1 AND status = 'completed'
-      `;
-      const paidResult = await client.query(paidQuery, [order_id]);
-      currentlyPaid = parseFloat(paidResult.rows[0].total_paid);
-    }
+        if (orderResult.rows.length === 0) {
+          throw new HttpError(404, 'Order not found');
+        }
 
-    const newTotalPaid = currentlyPaid + parseFloat(amount);
+        const order = orderResult.rows[0];
+        assertSameCustomer(order.customer_id, `Order ${order.order_number}`);
+        finalCustomerId = order.customer_id || finalCustomerId;
+        const creditedQuery = `
+          SELECT COALESCE(SUM(amount), 0) as total_credited
+          FROM credit_notes
+          WHERE order_id = $1 AND status <> 'void'
+        `;
+        const creditedResult = await client.query(creditedQuery, [order_id]);
+        totalToPay = parseFloat(order.total) - parseFloat(creditedResult.rows[0].total_credited);
+
+        const paidQuery = `
+          SELECT
+            (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE order_id = $1 AND status = 'completed')
+            - (SELECT COALESCE(SUM(amount), 0) FROM refunds WHERE order_id = $1 AND status = 'completed') as total_paid
+        `;
+        const paidResult = await client.query(paidQuery, [order_id]);
+        currentlyPaid = parseFloat(paidResult.rows[0].total_paid);
+      }
 
-    // Check if payment exceeds total
-    // Allow slight floating point tolerance or strict check? Strict for now.
-    if (newTotalPaid > totalToPay) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
-        success: false,
-        error: `Payment amount exceeds balance. Total: ${totalToPay}, Already paid: ${currentlyPaid}, Balance: ${totalToPay - currentlyPaid}`
+      const sessionId = await getOpenSessionId(client, {
+        sessionId: req.body.register_session_id,
+        userId: req.user.id,
+        documentDate: payment_date,
+        override: requestedOverride(req)
       });
-    }
 
-    // Generate payment number
-    const paymentNumberResult = await client.query('SELECT generate_payment_number() as payment_number');
-    const payment_number = paymentNumberResult.rows[0].payment_number;
-
-    // Insert payment
-    const insertQuery = `
-      INSERT INTO payments (
-        order_id, invoice_id, customer_id, payment_number, amount, payment_method,
-        payment_date, reference_number, notes, user_id, status
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'completed')
-      RETURNING *
-    `;
-
-    const values = [
-      finalOrderId,
-      invoice_id || null,
-      finalCustomerId,
-      payment_number,
-      amount,
-      payment_method,
-      payment_date || new Date(),
-      reference_number,
-      notes,
-      user_id
-    ];
-
-    const result = await client.query(insertQuery, values);
+      // Without an invoice or order the money is a deposit: unapplied credit
+      if (!invoice_id && !order_id) {
+        const customerResult = await client.query('SELECT id FROM customers WHERE id = $1 AND deleted_at IS NULL', [customer_id]);
+        if (customerResult.rows.length === 0) {
+          throw new HttpError(404, 'Customer not found');
+        }
 
-    // Update Invoice Status if linked
-    if (invoice_id) {
-      let newStatus = 'pending';
-      if (newTotalPaid >= totalToPay) {
-        newStatus = 'paid';
-      } else if (newTotalPaid > 0) {
-        newStatus = 'pending';
+        const deposit = await recordDeposit(client, {
+          customerId: customer_id,
+          amount,
+          paymentMethod: payment_method,
+          paymentDate: payment_date || null,
+          referenceNumber: reference_number,
+          notes,
+          userId: user_id,
+          sessionId,
+          branch: branch_code
+        });
+        return { result: null, credit: deposit, totalToPay: 0, newTotalPaid: 0 };
       }
 
-      // Update invoice paid_amount and status
-      await client.query(
-        'UPDATE invoices SET paid_amount = $1, status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-        [newTotalPaid, newStatus, invoice_id]
-      );
-    }
-
-    // Update Order Status if linked
-    if (finalOrderId) {
-      let newPaymentStatus;
-      if (newTotalPaid >= totalToPay) {
-        newPaymentStatus = 'paid';
-      } else if (newTotalPaid > 0) {
-        newPaymentStatus = 'partial';
-      } else {
-        newPaymentStatus = 'pending';
+      // Whatever goes over the balance stays with the customer as credit
+      const balance = Math.max(round2(totalToPay - currentlyPaid), 0);
+      const excess = Math.max(round2(parseFloat(amount) - balance), 0);
+      if (excess > 0 && !finalCustomerId) {
+        throw new HttpError(400, `Payment amount exceeds balance. Total: ${totalToPay}, Already paid: ${currentlyPaid}, Balance: ${balance}`);
+      }
+      const applied = round2(parseFloat(amount) - excess);
+      const newTotalPaid = currentlyPaid + applied;
+
+      let result = null;
+      if (applied > 0) {
+        // Generate payment number
+        const payment_number = await nextNumber(client, 'payment', { branch: branch_code });
+
+        // Insert payment
+        const insertQuery = `
+          INSERT INTO payments (
+            order_id, invoice_id, customer_id, payment_number, amount, payment_method,
+            payment_date, reference_number, notes, user_id, status, register_session_id
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'completed', $11)
+          RETURNING *
+        `;
+
+        const values = [
+          finalOrderId,
+          invoice_id || null,
+          finalCustomerId,
+          payment_number,
+          applied,
+          payment_method,
+          payment_date || new Date(),
+          reference_number,
+          notes,
+          user_id,
+          sessionId
+        ];
+
+        result = await client.query(insertQuery, values);
+
+        // Invoice paid_amount and status, order payment_status
+        await refreshPaymentTargets(client, { invoiceId: invoice_id || null, orderId: finalOrderId || null });
       }
 
-      await client.query(
-        'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [newPaymentStatus, finalOrderId]
-      );
-    }
-
-    await client.query('COMMIT');
+      const credit = excess > 0
+        ? await recordDeposit(client, {
+          customerId: finalCustomerId,
+          amount: excess,
+          paymentMethod: payment_method,
+          paymentDate: payment_date || null,
+          referenceNumber: reference_number,
+          notes: result ? `Overpayment of payment ${result.rows[0].payment_number}` : 'Overpayment',
+          userId: user_id,
+          sessionId,
+          branch: branch_code
+        })
+        : null;
+
+      return { result, credit, totalToPay, newTotalPaid };
+    });
 
     res.status(201).json({
       success: true,
-      data: result.rows[0],
-      message: 'Payment registered successfully',
-      balance_remaining: totalToPay - newTotalPaid
+      data: result ? result.rows[0] : credit,
+      ...(credit && { credit }),
+      message: result ? 'Payment registered successfully' : 'Deposit registered as customer credit',
+      balance_remaining: Math.max(totalToPay - newTotalPaid, 0)
     });
 
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (sendHttpError(res, error)) return;
     console.error('Error creating payment:', error);
     res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
-  } finally {
-    client.release();
   }
 });
 
 // Update payment
-router.put('/:id', async (req, res) => {
-  const client = await pool.connect();
-
+router.put('/:id', requirePermission('payments:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -392,104 +405,107 @@ router.put('/:id', async (req, res) => {
       payment_method,
       payment_date,
       reference_number,
-      notes,
-      status
+      notes
     } = req.body;
 
-    await client.query('BEGIN');
-
-    // Get current payment
-    const currentPayment = await client.query('SELECT * FROM payments WHERE id = $1', [id]);
-
-    if (currentPayment.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ success: false, error: 'Payment not found' });
+    // Voids keep who, when and why; the status never changes through an edit
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'The status of a payment cannot be edited, use POST /api/payments/:id/void to void it'
+      });
+    }
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment amount must be greater than 0'
+      });
     }
 
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+    const result = await withTransaction(async (client) => {
+      // Get current payment
+      const currentPayment = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [id]);
 
-    if (amount !== undefined) {
-      updates.push(`amount = $${paramCount}`);
-      values.push(amount);
-      paramCount++;
-    }
-    if (payment_method !== undefined) {
-      updates.push(`payment_method = $${paramCount}`);
-      values.push(payment_method);
-      paramCount++;
-    }
-    if (payment_date !== undefined) {
-      updates.push(`payment_date = $${paramCount}`);
-      values.push(payment_date);
-      paramCount++;
-    }
-    if (reference_number !== undefined) {
-      updates.push(`reference_number = $${paramCount}`);
-      values.push(reference_number);
-      paramCount++;
-    }
-    if (notes !== undefined) {
-      updates.push(`notes = $${paramCount}`);
-      values.push(notes);
-      paramCount++;
-    }
-    if (status !== undefined) {
-      updates.push(`status = $${paramCount}`);
-      values.push(status);
-      paramCount++;
-    }
+      if (currentPayment.rows.length === 0) {
+        throw new HttpError(404, 'Payment not found');
+      }
+      if (currentPayment.rows[0].status === 'voided') {
+        throw new HttpError(409, 'Payment is voided');
+      }
+      if (amount !== undefined && currentPayment.rows[0].refund_of_payment_id) {
+        throw new HttpError(409, 'The amount of a refund cannot change, void it instead');
+      }
+      if (amount !== undefined && currentPayment.rows[0].applied_from_payment_id) {
+        throw new HttpError(409, 'The amount of applied credit cannot change, void it instead');
+      }
+      if (amount !== undefined) {
+        // Never below what was already refunded or applied from it
+        const { refunded, applied } = await getRefundable(client, currentPayment.rows[0]);
+        const used = round2(refunded + applied);
+        if (parseFloat(amount) < used) {
+          throw new HttpError(409, 'A payment cannot be less than what was refunded or applied from it', { refunded, applied });
+        }
+      }
 
-    if (updates.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ success: false, error: 'No fields to update' });
-    }
+      // A closed shift keeps the payments it was closed with
+      const override = requestedOverride(req);
+      await assertShiftOpen(client, currentPayment.rows[0].register_session_id, override);
+      if (payment_date !== undefined) {
+        await assertDateNotInClosedShift(client, payment_date, override);
+      }
 
-    values.push(id);
-    const query = `
-      UPDATE payments
-      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $${paramCount}
-      RETURNING *
-    `;
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
 
-    const result = await client.query(query, values);
+      if (amount !== undefined) {
+        updates.push(`amount = $${paramCount}`);
+        values.push(amount);
+        paramCount++;
+      }
+      if (payment_method !== undefined) {
+        updates.push(`payment_method = $${paramCount}`);
+        values.push(payment_method);
+        paramCount++;
+      }
+      if (payment_date !== undefined) {
+        updates.push(`payment_date = $${paramCount}`);
+        values.push(payment_date);
+        paramCount++;
+      }
+      if (reference_number !== undefined) {
+        updates.push(`reference_number = $${paramCount}`);
+        values.push(reference_number);
+        paramCount++;
+      }
+      if (notes !== undefined) {
+        updates.push(`notes = $${paramCount}`);
+        values.push(notes);
+        paramCount++;
+      }
 
-    // Recalculate order payment status
-    const order_id = currentPayment.rows[0].order_id;
-    if (order_id) {
-      const orderQuery = 'SELECT total FROM orders WHERE id = $1';
-      const orderResult = await client.query(orderQuery, [order_id]);
+      if (updates.length === 0) {
+        throw new HttpError(400, 'No fields to update');
+      }
 
-      const paidQuery = `
-        SELECT COALESCE(SUM(amount), 0) as total_paid
-        FROM payments
-        WHERE order_id = $1 AND status = 'completed'
+      values.push(id);
+      const query = `
+        UPDATE payments
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${paramCount}
+        RETURNING *
       `;
-      const paidResult = await client.query(paidQuery, [order_id]);
-      const totalPaid = parseFloat(paidResult.rows[0].total_paid);
-      const orderTotal = parseFloat(orderResult.rows[0].total);
-
-      let newPaymentStatus;
-      if (totalPaid >= orderTotal) {
-        newPaymentStatus = 'paid';
-      } else if (totalPaid > 0) {
-        newPaymentStatus = 'partial';
-      } else {
-        newPaymentStatus = 'pending';
-      }
 
-      await client.query(
-        'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [newPaymentStatus, order_id]
-      );
-    }
+      const result = await client.query(query, values);
 
-    // TODO: Add logic for invoice status update on edit. 
-    // Omitted for simplicity. Ideally should be similar to order logic.
+      // Recalculate invoice and order payment status
+      await refreshPaymentTargets(client, {
+        invoiceId: currentPayment.rows[0].invoice_id,
+        orderId: currentPayment.rows[0].order_id
+      });
 
-    await client.query('COMMIT');
+      return result;
+    });
 
     res.json({
       success: true,
@@ -498,86 +514,135 @@ router.put('/:id', async (req, res) => {
     });
 
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (sendHttpError(res, error)) return;
     console.error('Error updating payment:', error);
     res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
-  } finally {
-    client.release();
   }
 });
 
-// Delete payment
-router.delete('/:id', async (req, res) => {
-  const client = await pool.connect();
-
+// Void a payment. It is kept with status 'voided' and the reason, user, time
+// and register shift of the void; the invoice and order owe its amount again.
+// The shift it is voided in pays it back out of the drawer.
+async function handleVoid(req, res) {
   try {
-    const { id } = req.params;
+    const reason = String(req.body.reason || req.query.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required to void a payment' });
+    }
 
-    await client.query('BEGIN');
+    const payment = await withTransaction(async (client) => voidPayment(client, req.params.id, {
+      reason,
+      userId: req.user.id,
+      sessionId: await getOpenSessionId(client, {
+        sessionId: req.body.register_session_id,
+        userId: req.user.id,
+        override: requestedOverride(req)
+      })
+    }));
 
-    // Get payment details
-    const paymentQuery = 'SELECT * FROM payments WHERE id = $1';
-    const paymentResult = await client.query(paymentQuery, [id]);
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment voided successfully'
+    });
 
-    if (paymentResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ success: false, error: 'Payment not found' });
-    }
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Error voiding payment:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+}
 
-    const payment = paymentResult.rows[0];
+router.post('/:id/void', requirePermission('payments:void'), handleVoid);
 
-    // Delete payment
-    await client.query('DELETE FROM payments WHERE id = $1', [id]);
+// DELETE no longer removes the payment, it voids it
+router.delete('/:id', requirePermission('payments:void'), handleVoid);
 
-    // Recalculate order payment status
-    if (payment.order_id) {
-      const orderQuery = 'SELECT total FROM orders WHERE id = $1';
-      const orderResult = await client.query(orderQuery, [payment.order_id]);
+// Refund part or all of a payment as a negative payment linked to it
+router.post('/:id/refund', requirePermission('payments:refund'), async (req, res) => {
+  try {
+    const { amount, payment_method, reference_number, reason, branch_code } = req.body;
 
-      const paidQuery = `
-        SELECT COALESCE(SUM(amount), 0) as total_paid
-        FROM payments
-        WHERE order_id = $1 AND status = 'completed'
-      `;
-      const paidResult = await client.query(paidQuery, [payment.order_id]);
-      const totalPaid = parseFloat(paidResult.rows[0].total_paid);
-      const orderTotal = parseFloat(orderResult.rows[0].total);
-
-      let newPaymentStatus;
-      if (totalPaid >= orderTotal) {
-        newPaymentStatus = 'paid';
-      } else if (totalPaid > 0) {
-        newPaymentStatus = 'partial';
-      } else {
-        newPaymentStatus = 'pending';
-      }
+    if (amount !== undefined && amount !== null && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ success: false, error: 'Refund amount must be greater than 0' });
+    }
+
+    const refund = await withTransaction(async (client) => refundPayment(client, req.params.id, {
+      amount: amount === undefined ? null : amount,
+      paymentMethod: payment_method,
+      referenceNumber: reference_number,
+      reason,
+      userId: req.user.id,
+      branch: branch_code,
+      sessionId: await getOpenSessionId(client, {
+        sessionId: req.body.register_session_id,
+        userId: req.user.id,
+        override: requestedOverride(req)
+      })
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+      message: 'Payment refunded successfully'
+    });
 
-      await client.query(
-        'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [newPaymentStatus, payment.order_id]
-      );
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Error refunding payment:', error);
+    res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+});
+
+// Apply a customer's unapplied credit (deposits and overpayments) to its
+// invoices or orders: { customer_id, applications: [{ invoice_id | order_id, amount? }] }
+router.post('/apply-credit', requirePermission('payments:create'), [
+  body('customer_id').isUUID().withMessage('Customer ID must be a valid UUID'),
+  body('applications').isArray({ min: 1 }).withMessage('Applications array is required and must not be empty'),
+  body('applications.*.invoice_id').optional({ nullable: true }).isUUID().withMessage('Invoice ID must be a valid UUID'),
+  body('applications.*.order_id').optional({ nullable: true }).isUUID().withMessage('Order ID must be a valid UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Invoice Status recalculation omitted for brevity.
+    const { customer_id, applications, branch_code } = req.body;
+    for (const application of applications) {
+      if (!application || !!application.invoice_id === !!application.order_id) {
+        return res.status(400).json({ success: false, error: 'Each application needs either invoice_id or order_id' });
+      }
+      if (application.amount !== undefined && application.amount !== null && !(parseFloat(application.amount) > 0)) {
+        return res.status(400).json({ success: false, error: 'Applied amount must be greater than 0' });
+      }
+    }
 
-    await client.query('COMMIT');
+    const applied = await withTransaction(async (client) => applyCustomerCredit(client, customer_id, applications, {
+      userId: req.user.id,
+      branch: branch_code
+    }));
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Payment deleted successfully'
+      data: applied.payments,
+      unapplied_credit: applied.unapplied,
+      message: 'Credit applied successfully'
     });
 
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error deleting payment:', error);
+    if (sendHttpError(res, error)) return;
+    console.error('Error applying customer credit:', error);
     res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
-  } finally {
-    client.release();
   }
 });
 
 // Get payment statistics
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('payments:read'), async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
 
@@ -589,7 +654,7 @@ router.get('/stats/summary', async (req, res) => {
         COUNT(DISTINCT customer_id) as unique_customers,
         COUNT(DISTINCT order_id) as orders_with_payments
       FROM payments
-      WHERE status = 'completed'
+      WHERE status = 'completed' AND applied_from_payment_id IS NULL
     `;
 
     const params = [];
@@ -616,7 +681,7 @@ router.get('/stats/summary', async (req, res) => {
         COUNT(*) as count,
         COALESCE(SUM(amount), 0) as total_amount
       FROM payments
-      WHERE status = 'completed'
+      WHERE status = 'completed' AND applied_from_payment_id IS NULL
     `;
 
     if (start_date || end_date) {
@@ -1,14 +1,10 @@
 const express = require('express')
 const { body, validationResult } = require('express-validator')
-const { Pool } = require('pg')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
+const { pool, withTransaction } = require('../config/database')
+const { requirePermission } = require('../middleware/auth')
+const { sendHttpError } = require('../lib/errors')
+const { adjustStock } = require('../lib/stock')
+const { consumeLots } = require('../lib/lots')
 
 const router = express.Router()
 
@@ -23,7 +19,7 @@ const validateProduct = [
 ]
 
 // GET /api/products - Obtener todos los productos con categorías
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('products:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -58,7 +54,7 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/products/:id - Obtener un producto por ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('products:read'), async (req, res) => {
   try {
     const { id } = req.params
     const result = await pool.query(`
@@ -98,7 +94,7 @@ router.get('/:id', async (req, res) => {
 })
 
 // POST /api/products - Crear nuevo producto
-router.post('/', validateProduct, async (req, res) => {
+router.post('/', requirePermission('products:write'), validateProduct, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -172,7 +168,7 @@ router.post('/', validateProduct, async (req, res) => {
 })
 
 // PUT /api/products/:id - Actualizar producto
-router.put('/:id', validateProduct, async (req, res) => {
+router.put('/:id', requirePermission('products:write'), validateProduct, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -262,7 +258,7 @@ router.put('/:id', validateProduct, async (req, res) => {
 })
 
 // DELETE /api/products/:id - Eliminar producto
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -280,7 +276,7 @@ router.delete('/:id', async (req, res) => {
 })
 
 // PATCH /api/products/:id/stock - Actualizar solo el stock
-router.patch('/:id/stock', async (req, res) => {
+router.patch('/:id/stock', requirePermission('stock:adjust'), async (req, res) => {
   try {
     const { id } = req.params
     const { quantity } = req.body
@@ -289,26 +285,26 @@ router.patch('/:id/stock', async (req, res) => {
       return res.status(400).json({ error: 'La cantidad debe ser un número' })
     }
 
-    const result = await pool.query(`
-      UPDATE products 
-      SET stock = GREATEST(0, stock + $1), updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING stock
-    `, [quantity, id])
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Producto no encontrado' })
-    }
+    // Responde 409 con el stock disponible en lugar de dejarlo negativo.
+    // Las salidas descuentan también de los lotes que vencen primero.
+    const product = await withTransaction(async (client) => {
+      const updated = await adjustStock(client, id, quantity)
+      if (quantity < 0) {
+        await consumeLots(client, id, Math.abs(quantity))
+      }
+      return updated
+    })
 
-    res.json({ message: 'Stock actualizado', newStock: result.rows[0].stock })
+    res.json({ message: 'Stock actualizado', newStock: product.stock })
   } catch (error) {
+    if (sendHttpError(res, error)) return
     console.error('Error updating stock:', error)
     res.status(500).json({ error: 'Error interno del servidor' })
   }
 })
 
 // GET /api/products/categories - Obtener todas las categorías
-router.get('/categories/all', async (req, res) => {
+router.get('/categories/all', requirePermission('products:read'), async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM categories ORDER BY name')
     res.json(result.rows)
@@ -1,19 +1,7 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-const { authenticateToken } = require('./auth')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-// All routes require authentication
-router.use(authenticateToken)
 
 // GET /api/profile - Get user profile
 router.get('/', async (req, res) => {
@@ -203,6 +191,8 @@ router.get('/activity', async (req, res) => {
         action,
         table_name,
         record_id,
+        changed_fields,
+        request_path,
         created_at
       FROM activity_logs
       WHERE user_id = $1
@@ -1,36 +1,21 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool, withTransaction } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-// Helper function to generate purchase order number
-async function generatePurchaseOrderNumber(trackingNumber = null) {
-  const result = await pool.query(`
-    SELECT order_number
-    FROM purchase_orders
-    WHERE order_number ~ '^PO-[0-9]+'
-    ORDER BY created_at DESC
-    LIMIT 1
-  `)
-
-  let sequentialNumber = 'PO-001'
-  if (result.rows.length > 0) {
-    const lastNumber = result.rows[0].order_number
-    // Extract the sequential part (PO-XXX)
-    const match = lastNumber.match(/^PO-(\d+)/)
-    if (match) {
-      const numberPart = parseInt(match[1])
-      sequentialNumber = `PO-${String(numberPart + 1).padStart(3, '0')}`
-    }
-  }
+const { requirePermission } = require('../middleware/auth')
+const { hasPermission } = require('../config/permissions')
+const { HttpError, sendHttpError } = require('../lib/errors')
+const { incrementStock } = require('../lib/stock')
+const { nextNumber } = require('../lib/numbering')
+const { createLot } = require('../lib/lots')
+const { getTaxSettings, resolveProductTaxRates, computeTotals, assertTotalsMatch } = require('../lib/tax')
+const { refreshPurchaseOrderPayments } = require('../lib/payables')
+const { round2 } = require('../lib/helpers')
+
+// Helper function to generate purchase order number. Runs on the transaction
+// client so the number is released again if the purchase order is rolled back.
+async function generatePurchaseOrderNumber(client, { trackingNumber = null, branch } = {}) {
+  const sequentialNumber = await nextNumber(client, 'purchase_order', { branch })
 
   // If tracking number is provided, append it
   if (trackingNumber) {
@@ -40,11 +25,140 @@ async function generatePurchaseOrderNumber(trackingNumber = null) {
   return sequentialNumber
 }
 
+// Record one delivery of a purchase order. Each line gives the units accepted
+// (received_quantity) and refused (rejected_quantity) for a purchase order
+// item, plus the lot_number and expiry_date printed on the goods. Accepted
+// units go into stock as a new lot and the order moves to
+// partially_received, or to received once every line is complete.
+// Must run inside a transaction with the purchase order row locked.
+async function recordReceipt(client, purchaseOrder, lines, { deliveryNote, notes, userId } = {}) {
+  if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+    throw new HttpError(409, `Purchase order ${purchaseOrder.order_number} is ${purchaseOrder.status} and cannot receive goods`)
+  }
+
+  const itemsResult = await client.query(
+    'SELECT * FROM purchase_order_items WHERE purchase_order_id = $1',
+    [purchaseOrder.id]
+  )
+  const itemsById = new Map(itemsResult.rows.map(item => [item.id, item]))
+
+  // Add up repeated lines for the same item before validating
+  const totals = new Map()
+  for (const line of lines) {
+    const item = itemsById.get(line.purchase_order_item_id)
+    if (!item) {
+      throw new HttpError(400, `Item ${line.purchase_order_item_id} does not belong to purchase order ${purchaseOrder.order_number}`)
+    }
+
+    const current = totals.get(item.id) || { item, accepted: 0, rejected: 0, reasons: [] }
+    current.accepted += parseFloat(line.received_quantity) || 0
+    current.rejected += parseFloat(line.rejected_quantity) || 0
+    if (line.rejection_reason) {
+      current.reasons.push(line.rejection_reason)
+    }
+    current.lotNumber = line.lot_number || current.lotNumber
+    current.expiryDate = line.expiry_date || current.expiryDate
+    totals.set(item.id, current)
+  }
+
+  const receiptLines = [...totals.values()].filter(line => line.accepted > 0 || line.rejected > 0)
+  if (receiptLines.length === 0) {
+    throw new HttpError(400, 'Nothing to receive, every quantity is 0')
+  }
+
+  for (const { item, accepted } of receiptLines) {
+    const outstanding = parseFloat(item.quantity) - (parseFloat(item.received_quantity) || 0)
+    if (accepted - outstanding > 0.001) {
+      throw new HttpError(409, `Cannot accept ${accepted} units of item ${item.id}, only ${outstanding} are outstanding`, {
+        purchase_order_item_id: item.id,
+        outstanding_quantity: outstanding
+      })
+    }
+  }
+
+  const receiptResult = await client.query(`
+    INSERT INTO purchase_order_receipts (purchase_order_id, delivery_note, notes, user_id)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [purchaseOrder.id, deliveryNote, notes, userId])
+  const receipt = receiptResult.rows[0]
+
+  let acceptedCost = 0
+  for (const { item, accepted, rejected, reasons, lotNumber, expiryDate } of receiptLines) {
+    // Stock is valued net of the line discount; the tax is not part of its cost
+    const unitCost = item.tax_base !== null && parseFloat(item.quantity) > 0
+      ? round2(parseFloat(item.tax_base) / parseFloat(item.quantity))
+      : parseFloat(item.unit_cost)
+    acceptedCost += accepted * unitCost
+
+    await client.query(`
+      INSERT INTO purchase_order_receipt_items
+      (receipt_id, purchase_order_item_id, product_id, accepted_quantity, rejected_quantity, rejection_reason, unit_cost)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [receipt.id, item.id, item.product_id, accepted, rejected, reasons.join('; ') || null, unitCost])
+
+    await client.query(`
+      UPDATE purchase_order_items
+      SET received_quantity = COALESCE(received_quantity, 0) + $2,
+          rejected_quantity = rejected_quantity + $3
+      WHERE id = $1
+    `, [item.id, accepted, rejected])
+
+    // Rejected units go back with the truck, only accepted units enter stock
+    if (accepted > 0) {
+      await incrementStock(client, item.product_id, accepted)
+
+      await createLot(client, {
+        productId: item.product_id,
+        quantity: accepted,
+        unitCost,
+        supplierId: purchaseOrder.supplier_id,
+        purchaseOrderId: purchaseOrder.id,
+        receiptId: receipt.id,
+        lotNumber,
+        expiryDate
+      })
+
+      await client.query(`
+        INSERT INTO stock_movements
+        (product_id, movement_type, quantity, reference_type, reference_id, notes)
+        VALUES ($1, 'in', $2, 'purchase', $3, $4)
+      `, [item.product_id, accepted, purchaseOrder.id, `Purchase order ${purchaseOrder.order_number} received${deliveryNote ? ` (delivery note ${deliveryNote})` : ''}`])
+    }
+  }
+
+  await client.query(
+    'UPDATE purchase_order_receipts SET accepted_cost = $2 WHERE id = $1',
+    [receipt.id, round2(acceptedCost)]
+  )
+
+  const progressResult = await client.query(`
+    SELECT
+      BOOL_AND(received_quantity >= quantity) as complete,
+      BOOL_OR(received_quantity > 0) as started
+    FROM purchase_order_items
+    WHERE purchase_order_id = $1
+  `, [purchaseOrder.id])
+  const { complete, started } = progressResult.rows[0]
+  const status = complete ? 'received' : started ? 'partially_received' : purchaseOrder.status
+
+  await client.query(
+    'UPDATE purchase_orders SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [purchaseOrder.id, status]
+  )
+
+  // What the order owes grew with the goods accepted
+  await refreshPurchaseOrderPayments(client, [purchaseOrder.id])
+
+  return { ...receipt, accepted_cost: round2(acceptedCost), status }
+}
+
 // GET /api/purchase-orders - Get all purchase orders with filtering
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('purchase_orders:read'), async (req, res) => {
   try {
     const {
       status,
+      payment_status,
       supplier_id,
       date_from,
       date_to,
@@ -69,7 +183,14 @@ router.get('/', async (req, res) => {
               'quantity', poi.quantity,
               'unit_cost', poi.unit_cost,
               'total_cost', poi.total_cost,
-              'received_quantity', poi.received_quantity
+            'discount_amount', poi.discount_amount,
+            'tax_rate', poi.tax_rate,
+            'tax_amount', poi.tax_amount,
+              'discount_amount', poi.discount_amount,
+              'tax_rate', poi.tax_rate,
+              'tax_amount', poi.tax_amount,
+              'received_quantity', poi.received_quantity,
+              'rejected_quantity', poi.rejected_quantity
             )
           ) FILTER (WHERE poi.id IS NOT NULL),
           '[]'::json
@@ -90,6 +211,12 @@ router.get('/', async (req, res) => {
       paramIndex++
     }
 
+    if (payment_status) {
+      query += ` AND po.payment_status = $${paramIndex}`
+      queryParams.push(payment_status)
+      paramIndex++
+    }
+
     if (supplier_id) {
       query += ` AND po.supplier_id = $${paramIndex}`
       queryParams.push(supplier_id)
@@ -130,6 +257,7 @@ router.get('/', async (req, res) => {
       subtotal: parseFloat(order.subtotal) || 0,
       tax_amount: parseFloat(order.tax_amount) || 0,
       total_amount: parseFloat(order.total_amount) || 0,
+      paid_amount: parseFloat(order.paid_amount) || 0,
       items_count: parseInt(order.items_count) || 0
     }))
 
@@ -148,7 +276,7 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/purchase-orders/:id - Get specific purchase order
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('purchase_orders:read'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -167,7 +295,11 @@ router.get('/:id', async (req, res) => {
             'quantity', poi.quantity,
             'unit_cost', poi.unit_cost,
             'total_cost', poi.total_cost,
-            'received_quantity', poi.received_quantity
+            'discount_amount', poi.discount_amount,
+            'tax_rate', poi.tax_rate,
+            'tax_amount', poi.tax_amount,
+            'received_quantity', poi.received_quantity,
+            'rejected_quantity', poi.rejected_quantity
           )
         ) as items
       FROM purchase_orders po
@@ -191,7 +323,8 @@ router.get('/:id', async (req, res) => {
       ...result.rows[0],
       subtotal: parseFloat(result.rows[0].subtotal) || 0,
       tax_amount: parseFloat(result.rows[0].tax_amount) || 0,
-      total_amount: parseFloat(result.rows[0].total_amount) || 0
+      total_amount: parseFloat(result.rows[0].total_amount) || 0,
+      paid_amount: parseFloat(result.rows[0].paid_amount) || 0
     }
 
     res.json({
@@ -209,12 +342,14 @@ router.get('/:id', async (req, res) => {
 })
 
 // POST /api/purchase-orders - Create new purchase order
-router.post('/', [
+router.post('/', requirePermission('purchase_orders:create'), [
   body('supplier_id').isUUID().withMessage('Supplier ID is required and must be a valid UUID'),
   body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
   body('items.*.product_id').isUUID().withMessage('Product ID is required and must be a valid UUID'),
   body('items.*.quantity').isNumeric().withMessage('Quantity must be numeric'),
-  body('items.*.unit_cost').isNumeric().withMessage('Unit cost must be numeric')
+  body('items.*.unit_cost').isNumeric().withMessage('Unit cost must be numeric'),
+  body('items.*.discount_percentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Line discount percentage must be between 0 and 100'),
+  body('items.*.discount_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Line discount amount must be 0 or more')
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -225,95 +360,116 @@ router.post('/', [
     })
   }
 
-  const client = await pool.connect()
+  if (req.body.status === 'received' && !hasPermission(req.user.role, 'purchase_orders:receive')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      required_permission: 'purchase_orders:receive'
+    })
+  }
 
   try {
-    await client.query('BEGIN')
-
-    const {
-      supplier_id,
-      items,
-      expected_delivery_date,
-      notes,
-      subtotal,
-      tax_amount,
-      total_amount,
-      tracking_number,
-      status // Extract status from body
-    } = req.body
-
-    // Default status to 'pending' if not provided, though frontend sends 'received'
-    const finalStatus = status || 'pending'
-
-    // Generate purchase order number with tracking number
-    const orderNumber = await generatePurchaseOrderNumber(tracking_number)
-
-    // Calculate totals if not provided
-    let calculatedSubtotal = subtotal || 0
-    if (!subtotal) {
-      calculatedSubtotal = items.reduce((sum, item) => sum + (item.quantity * item.unit_cost), 0)
-    }
-
-    const calculatedTaxAmount = 0 // Tax removed as per requirement
-    const calculatedTotal = total_amount || (calculatedSubtotal + calculatedTaxAmount)
-
-    // Create purchase order
-    const purchaseOrderQuery = `
-      INSERT INTO purchase_orders
-      (supplier_id, order_number, subtotal, tax_amount, total_amount,
-       expected_delivery_date, notes, order_date, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE, $8)
-      RETURNING *
-    `
-
-    const purchaseOrderResult = await client.query(purchaseOrderQuery, [
-      supplier_id, orderNumber, calculatedSubtotal, calculatedTaxAmount, calculatedTotal,
-      expected_delivery_date, notes, finalStatus
-    ])
-
-    const purchaseOrder = purchaseOrderResult.rows[0]
+    const purchaseOrder = await withTransaction(async (client) => {
+      const {
+        supplier_id,
+        items,
+        expected_delivery_date,
+        notes,
+        tracking_number,
+        status, // Extract status from body
+        branch_code
+      } = req.body
+
+      // Default status to 'pending' if not provided, though frontend sends 'received'
+      const finalStatus = status || 'pending'
+      // An order received on creation is stored as pending and then received in
+      // full through a receipt
+      const receiveOnCreation = finalStatus === 'received'
+
+      // Generate purchase order number with tracking number
+      const orderNumber = await generatePurchaseOrderNumber(client, { trackingNumber: tracking_number, branch: branch_code })
+
+      // Totals come from the tax engine, each product at its own rate; the
+      // ones the client shows must agree
+      const taxRates = await resolveProductTaxRates(client, items.map(item => item.product_id))
+      const missing = items.find(item => !taxRates.has(item.product_id))
+      if (missing) {
+        throw new HttpError(404, `Product with ID ${missing.product_id} not found`)
+      }
+      const totals = computeTotals(items.map(item => ({
+        product_id: item.product_id,
+        quantity: item.quantity,
+        unit_price: item.unit_cost,
+        discount_percentage: item.discount_percentage,
+        discount_amount: item.discount_amount,
+        tax_rate: taxRates.get(item.product_id).rate
+      })), { rounding: (await getTaxSettings(client)).rounding })
+      assertTotalsMatch(req.body, {
+        subtotal: totals.subtotal,
+        discount_amount: totals.discount_amount,
+        tax_amount: totals.tax_amount,
+        total_amount: totals.total
+      })
 
-    // Create purchase order items
-    for (const item of items) {
-      // Verify product exists
-      const productResult = await client.query(
-        'SELECT * FROM products WHERE id = $1 AND deleted_at IS NULL',
-        [item.product_id]
-      )
+      // Create purchase order
+      const purchaseOrderQuery = `
+        INSERT INTO purchase_orders
+        (supplier_id, order_number, subtotal, discount_amount, tax_amount, total_amount,
+         expected_delivery_date, notes, order_date, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_DATE, $9)
+        RETURNING *
+      `
+
+      const purchaseOrderResult = await client.query(purchaseOrderQuery, [
+        supplier_id, orderNumber, totals.subtotal, totals.discount_amount, totals.tax_amount, totals.total,
+        expected_delivery_date, notes, receiveOnCreation ? 'pending' : finalStatus
+      ])
+
+      const purchaseOrder = purchaseOrderResult.rows[0]
+      const receiptLines = []
+
+      // Create purchase order items
+      for (const [index, item] of items.entries()) {
+        // Verify product exists
+        const productResult = await client.query(
+          'SELECT * FROM products WHERE id = $1 AND deleted_at IS NULL',
+          [item.product_id]
+        )
 
-      if (productResult.rows.length === 0) {
-        throw new Error(`Product with ID ${item.product_id} not found`)
+        if (productResult.rows.length === 0) {
+          throw new HttpError(404, `Product with ID ${item.product_id} not found`)
+        }
+
+        const line = totals.lines[index]
+
+        const itemResult = await client.query(`
+          INSERT INTO purchase_order_items
+          (purchase_order_id, product_id, quantity, unit_cost, total_cost, received_quantity,
+           discount_amount, tax_rate, tax_base, tax_amount)
+          VALUES ($1, $2, $3, $4, $5, 0, $6, $7, $8, $9)
+          RETURNING id
+        `, [
+          purchaseOrder.id, item.product_id, line.quantity, line.unit_price, line.gross,
+          line.discount_amount, line.tax_rate, line.tax_base, line.tax_amount
+        ])
+
+        receiptLines.push({
+          purchase_order_item_id: itemResult.rows[0].id,
+          received_quantity: line.quantity,
+          lot_number: item.lot_number,
+          expiry_date: item.expiry_date
+        })
       }
 
-      const product = productResult.rows[0]
-      const quantity = parseFloat(item.quantity)
-      const unitCost = parseFloat(item.unit_cost)
-      const totalCost = quantity * unitCost
-      const receivedQuantity = finalStatus === 'received' ? quantity : 0
-
-      await client.query(`
-        INSERT INTO purchase_order_items
-        (purchase_order_id, product_id, quantity, unit_cost, total_cost, received_quantity)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [purchaseOrder.id, item.product_id, quantity, unitCost, totalCost, receivedQuantity])
-
-      // Update inventory if status is received
-      if (finalStatus === 'received') {
-        const currentStock = parseFloat(product.stock)
-        const newStock = currentStock + quantity
-
-        await client.query('UPDATE products SET stock = $2 WHERE id = $1', [item.product_id, newStock])
-
-        // Create stock movement
-        await client.query(`
-          INSERT INTO stock_movements
-          (product_id, movement_type, quantity, reference_type, reference_id, notes)
-          VALUES ($1, 'in', $2, 'purchase', $3, $4)
-        `, [item.product_id, quantity, purchaseOrder.id, `Purchase order ${orderNumber} received on creation`])
+      if (receiveOnCreation) {
+        await recordReceipt(client, purchaseOrder, receiptLines, {
+          notes: 'Received on creation',
+          userId: req.user.id
+        })
       }
-    }
 
-    await client.query('COMMIT')
+      return purchaseOrder
+    })
 
     // Fetch complete purchase order with items
     const completePurchaseOrder = await pool.query(`
@@ -329,7 +485,11 @@ router.post('/', [
             'quantity', poi.quantity,
             'unit_cost', poi.unit_cost,
             'total_cost', poi.total_cost,
-            'received_quantity', poi.received_quantity
+            'discount_amount', poi.discount_amount,
+            'tax_rate', poi.tax_rate,
+            'tax_amount', poi.tax_amount,
+            'received_quantity', poi.received_quantity,
+            'rejected_quantity', poi.rejected_quantity
           )
         ) as items
       FROM purchase_orders po
@@ -351,21 +511,21 @@ router.post('/', [
       message: 'Purchase order created successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error creating purchase order:', error)
     res.status(500).json({
       success: false,
       error: 'Internal server error',
       message: error.message
     })
-  } finally {
-    client.release()
   }
 })
 
 // PATCH /api/purchase-orders/:id/status - Update purchase order status
-router.patch('/:id/status', [
-  body('status').isIn(['pending', 'confirmed', 'received', 'cancelled']).withMessage('Invalid status')
+router.patch('/:id/status', requirePermission('purchase_orders:update'), [
+  body('status').isIn(['pending', 'confirmed', 'received', 'cancelled']).withMessage('Invalid status'),
+  body('close_short').optional().isBoolean().withMessage('close_short must be a boolean'),
+  body('close_reason').optional({ nullable: true }).isString()
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -376,57 +536,74 @@ router.patch('/:id/status', [
     })
   }
 
-  const client = await pool.connect()
+  // Marking an order as received takes goods into stock
+  if (req.body.status === 'received' && !hasPermission(req.user.role, 'purchase_orders:receive')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      required_permission: 'purchase_orders:receive'
+    })
+  }
 
   try {
-    await client.query('BEGIN')
-
-    const { id } = req.params
-    const { status } = req.body
-
-    // Get current purchase order
-    const purchaseOrderResult = await client.query('SELECT * FROM purchase_orders WHERE id = $1', [id])
-    if (purchaseOrderResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Purchase order not found'
-      })
-    }
-
-    const currentOrder = purchaseOrderResult.rows[0]
-
-    // If marking as received, update inventory
-    if (status === 'received' && currentOrder.status !== 'received') {
-      const orderItems = await client.query('SELECT * FROM purchase_order_items WHERE purchase_order_id = $1', [id])
-
-      for (const item of orderItems.rows) {
-        // Update product stock
-        const stockResult = await client.query('SELECT stock FROM products WHERE id = $1', [item.product_id])
-        const currentStock = parseFloat(stockResult.rows[0].stock)
-        const newStock = currentStock + parseFloat(item.quantity)
+    const result = await withTransaction(async (client) => {
+      const { id } = req.params
+      const { status, close_short: closeShort = false, close_reason: closeReason } = req.body
+
+      // Get current purchase order
+      // Lock the row so two concurrent "received" updates cannot both add stock
+      const purchaseOrderResult = await client.query('SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE', [id])
+      if (purchaseOrderResult.rows.length === 0) {
+        throw new HttpError(404, 'Purchase order not found')
+      }
 
-        await client.query('UPDATE products SET stock = $2 WHERE id = $1', [item.product_id, newStock])
+      const currentOrder = purchaseOrderResult.rows[0]
 
-        // Update received quantity
-        await client.query(
-          'UPDATE purchase_order_items SET received_quantity = quantity WHERE purchase_order_id = $1 AND product_id = $2',
-          [id, item.product_id]
-        )
+      // Received goods stay in stock and lots, so the order cannot go back
+      if (['partially_received', 'received'].includes(currentOrder.status) && status !== 'received') {
+        throw new HttpError(409, `Purchase order ${currentOrder.order_number} is ${currentOrder.status} and can only be closed as received`)
+      }
 
-        // Create stock movement
-        await client.query(`
-          INSERT INTO stock_movements
-          (product_id, movement_type, quantity, reference_type, reference_id, notes)
-          VALUES ($1, 'in', $2, 'purchase', $3, $4)
-        `, [item.product_id, parseFloat(item.quantity), id, `Purchase order ${currentOrder.order_number} received`])
+      // A supplier that delivered short: close the order with what arrived,
+      // without receiving the rest
+      if (closeShort) {
+        if (status !== 'received') {
+          throw new HttpError(400, "close_short only applies to status 'received'")
+        }
+        if (currentOrder.status !== 'partially_received') {
+          throw new HttpError(409, `Only partially received orders can be closed short, ${currentOrder.order_number} is ${currentOrder.status}`)
+        }
+
+        return client.query(`
+          UPDATE purchase_orders
+          SET status = 'received', notes = CONCAT_WS(E'\n', notes, $2::text), updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [id, `Closed short${closeReason ? `: ${closeReason}` : ''}`])
       }
-    }
 
-    // Update purchase order status
-    const updateQuery = `UPDATE purchase_orders SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`
-    const result = await client.query(updateQuery, [id, status])
+      // If marking as received, receive everything still outstanding in one receipt
+      if (status === 'received' && currentOrder.status !== 'received') {
+        const orderItems = await client.query('SELECT * FROM purchase_order_items WHERE purchase_order_id = $1', [id])
+        const outstandingLines = orderItems.rows
+          .map(item => ({
+            purchase_order_item_id: item.id,
+            received_quantity: parseFloat(item.quantity) - (parseFloat(item.received_quantity) || 0)
+          }))
+          .filter(line => line.received_quantity > 0)
+
+        if (outstandingLines.length > 0) {
+          await recordReceipt(client, currentOrder, outstandingLines, {
+            notes: 'Remaining quantities received',
+            userId: req.user.id
+          })
+        }
+      }
 
-    await client.query('COMMIT')
+      // Update purchase order status
+      const updateQuery = `UPDATE purchase_orders SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`
+      return client.query(updateQuery, [id, status])
+    })
 
     res.json({
       success: true,
@@ -439,15 +616,119 @@ router.patch('/:id/status', [
       message: 'Purchase order status updated successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
+    if (sendHttpError(res, error)) return
     console.error('Error updating purchase order status:', error)
     res.status(500).json({
       success: false,
       error: 'Internal server error',
       message: error.message
     })
-  } finally {
-    client.release()
+  }
+})
+
+// GET /api/purchase-orders/:id/receipts - Deliveries received for a purchase order
+router.get('/:id/receipts', requirePermission('purchase_orders:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        r.*,
+        u.full_name as user_name,
+        COALESCE(
+          (SELECT JSON_AGG(JSON_BUILD_OBJECT(
+            'id', ri.id,
+            'purchase_order_item_id', ri.purchase_order_item_id,
+            'product_id', ri.product_id,
+            'product_name', p.name,
+            'accepted_quantity', ri.accepted_quantity,
+            'rejected_quantity', ri.rejected_quantity,
+            'rejection_reason', ri.rejection_reason,
+            'unit_cost', ri.unit_cost
+          ))
+          FROM purchase_order_receipt_items ri
+          LEFT JOIN products p ON ri.product_id = p.id
+          WHERE ri.receipt_id = r.id),
+          '[]'::json
+        ) as items
+      FROM purchase_order_receipts r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.purchase_order_id = $1
+      ORDER BY r.received_at
+    `, [req.params.id])
+
+    res.json({
+      success: true,
+      data: result.rows.map(receipt => ({
+        ...receipt,
+        accepted_cost: parseFloat(receipt.accepted_cost) || 0
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching purchase order receipts:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/purchase-orders/:id/receipts - Receive a (partial) delivery
+router.post('/:id/receipts', requirePermission('purchase_orders:receive'), [
+  body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
+  body('items.*.purchase_order_item_id').isUUID().withMessage('Purchase order item ID must be a valid UUID'),
+  body('items.*.received_quantity').optional().isFloat({ min: 0 }).withMessage('Received quantity must be 0 or more'),
+  body('items.*.rejected_quantity').optional().isFloat({ min: 0 }).withMessage('Rejected quantity must be 0 or more'),
+  body('items.*.rejection_reason').optional().isString(),
+  body('items.*.lot_number').optional().isString(),
+  body('items.*.expiry_date').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('delivery_note').optional().isString(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors.array()
+    })
+  }
+
+  try {
+    const { id } = req.params
+    const { items, delivery_note, notes } = req.body
+
+    const receipt = await withTransaction(async (client) => {
+      // Lock the order so two deliveries cannot both fill the same outstanding units
+      const purchaseOrderResult = await client.query(
+        'SELECT * FROM purchase_orders WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [id]
+      )
+      if (purchaseOrderResult.rows.length === 0) {
+        throw new HttpError(404, 'Purchase order not found')
+      }
+
+      return recordReceipt(client, purchaseOrderResult.rows[0], items, {
+        deliveryNote: delivery_note,
+        notes,
+        userId: req.user.id
+      })
+    })
+
+    res.status(201).json({
+      success: true,
+      data: receipt,
+      message: receipt.status === 'received'
+        ? 'Delivery received, purchase order complete'
+        : 'Delivery received, purchase order partially received'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error receiving purchase order:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
   }
 })
 
@@ -0,0 +1,303 @@
+const express = require('express')
+const router = express.Router()
+const { pool } = require('../config/database')
+const { body, query, validationResult } = require('express-validator')
+const { requirePermission } = require('../middleware/auth')
+const { sendHttpError } = require('../lib/errors')
+const { buildAgingReport } = require('../lib/receivables')
+const {
+  getDunningSettings,
+  loadNotice,
+  renderNoticeLetter,
+  sendNotice,
+  runDunning
+} = require('../lib/dunning')
+
+// GET /api/receivables/aging - Open balances by customer and days overdue
+// ?as_of= (default today), ?customer_id=, ?include_invoices=true
+router.get('/aging', requirePermission('reports:read'), [
+  query('as_of').optional().isISO8601().withMessage('as_of must be a date'),
+  query('customer_id').optional().isUUID().withMessage('customer_id must be a UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const report = await buildAgingReport(pool, {
+      asOf: req.query.as_of ? req.query.as_of.slice(0, 10) : undefined,
+      customerId: req.query.customer_id || null,
+      includeInvoices: req.query.include_invoices === 'true'
+    })
+
+    res.json({
+      success: true,
+      data: report
+    })
+  } catch (error) {
+    console.error('Error generating aging report:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/receivables/dunning/settings - Dunning stages in effect
+// (system_settings.dunning, or the defaults)
+router.get('/dunning/settings', requirePermission('dunning:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getDunningSettings(pool)
+    })
+  } catch (error) {
+    console.error('Error fetching dunning settings:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/receivables/dunning/run - Create the notices due
+// dry_run: true lists them without creating or sending anything
+router.post('/dunning/run', requirePermission('dunning:send'), [
+  body('as_of').optional().isISO8601().withMessage('as_of must be a date'),
+  body('customer_id').optional().isUUID().withMessage('customer_id must be a UUID'),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true'
+    const results = await runDunning({
+      asOf: req.body.as_of ? String(req.body.as_of).slice(0, 10) : undefined,
+      customerId: req.body.customer_id || null,
+      dryRun,
+      userId: req.user.id
+    })
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: results
+    })
+  } catch (error) {
+    console.error('Error running dunning:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/receivables/dunning - Notices sent, newest first
+router.get('/dunning', requirePermission('dunning:read'), async (req, res) => {
+  try {
+    const { customer_id, status, channel, page = 1, limit = 50 } = req.query
+
+    let whereClause = 'WHERE 1=1'
+    const queryParams = []
+    let paramIndex = 1
+
+    if (customer_id) {
+      whereClause += ` AND dn.customer_id = $${paramIndex}`
+      queryParams.push(customer_id)
+      paramIndex++
+    }
+
+    if (status) {
+      whereClause += ` AND dn.status = $${paramIndex}`
+      queryParams.push(status)
+      paramIndex++
+    }
+
+    if (channel) {
+      whereClause += ` AND dn.channel = $${paramIndex}`
+      queryParams.push(channel)
+      paramIndex++
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM dunning_notices dn ${whereClause}`,
+      queryParams
+    )
+    const total = parseInt(countResult.rows[0].total)
+
+    const result = await pool.query(`
+      SELECT
+        dn.id, dn.customer_id, c.name as customer_name, dn.level, dn.channel, dn.recipient,
+        dn.subject, dn.total_due, dn.as_of::text as as_of, dn.status, dn.sent_at, dn.error, dn.created_at,
+        (SELECT COUNT(*) FROM dunning_notice_invoices dni WHERE dni.notice_id = dn.id) as invoice_count
+      FROM dunning_notices dn
+      JOIN customers c ON dn.customer_id = c.id
+      ${whereClause}
+      ORDER BY dn.created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...queryParams, limit, (page - 1) * limit])
+
+    res.json({
+      success: true,
+      data: result.rows.map(notice => ({
+        ...notice,
+        total_due: parseFloat(notice.total_due),
+        invoice_count: parseInt(notice.invoice_count)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching dunning notices:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/receivables/dunning/:id - Notice with the invoices it reminded
+router.get('/dunning/:id', requirePermission('dunning:read'), async (req, res) => {
+  try {
+    const notice = await loadNotice(pool, req.params.id)
+    if (!notice) {
+      return res.status(404).json({ success: false, error: 'Dunning notice not found' })
+    }
+
+    res.json({
+      success: true,
+      data: notice
+    })
+  } catch (error) {
+    console.error('Error fetching dunning notice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/receivables/dunning/:id/letter - The notice as a printable letter
+router.get('/dunning/:id/letter', requirePermission('dunning:read'), async (req, res) => {
+  try {
+    const notice = await loadNotice(pool, req.params.id)
+    if (!notice) {
+      return res.status(404).json({ success: false, error: 'Dunning notice not found' })
+    }
+
+    const pdf = await renderNoticeLetter(pool, notice)
+    const disposition = req.query.download ? 'attachment' : 'inline'
+    res.set('Content-Type', 'application/pdf')
+    res.set('Content-Disposition', `${disposition}; filename="aviso-de-cobro-${notice.id}.pdf"`)
+    res.send(pdf)
+  } catch (error) {
+    console.error('Error rendering dunning letter:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/receivables/dunning/:id/send - Email a pending or failed notice
+router.post('/dunning/:id/send', requirePermission('dunning:send'), async (req, res) => {
+  try {
+    const notice = await sendNotice(req.params.id)
+    if (notice.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        error: 'Email could not be sent',
+        message: notice.error,
+        data: notice
+      })
+    }
+
+    res.json({
+      success: true,
+      data: notice
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error sending dunning notice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// PATCH /api/receivables/dunning/:id - Mark a notice sent (a letter that was
+// mailed) or cancel it. A cancelled notice no longer counts as a reminder, so
+// its invoices are reminded again on the next run.
+router.patch('/dunning/:id', requirePermission('dunning:send'), [
+  body('status').isIn(['sent', 'cancelled']).withMessage('Status must be sent or cancelled')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const { status } = req.body
+    const current = await pool.query('SELECT status FROM dunning_notices WHERE id = $1', [req.params.id])
+    if (current.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Dunning notice not found' })
+    }
+    if (current.rows[0].status === 'sent' || current.rows[0].status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: `Dunning notice is already ${current.rows[0].status}`
+      })
+    }
+
+    const result = await pool.query(`
+      UPDATE dunning_notices
+      SET status = $2, sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+      WHERE id = $1 AND status IN ('pending', 'failed')
+      RETURNING *
+    `, [req.params.id, status])
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'Dunning notice changed, try again' })
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Error updating dunning notice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+module.exports = router
@@ -1,15 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../config/database');
+const { pool, withTransaction } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+const { requirePermission } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../lib/errors');
+const {
+    DENOMINATIONS,
+    getOpenSession,
+    countDenominations,
+    computeSessionTotals,
+    listSessionVoids,
+    reconcile
+} = require('../lib/register');
+const {
+    PAPER_COLUMNS,
+    loadClosureReport,
+    renderPdf,
+    renderText,
+    renderEscPos
+} = require('../lib/registerReport');
+const { round2 } = require('../lib/helpers');
 
-// GET /api/register/summary - Get summary for the current day/shift
-router.get('/summary', async (req, res) => {
-    try {
-        const { date } = req.query;
-        const targetDate = date || new Date().toISOString().split('T')[0];
-
-        // 1. Get Sales Items (Existing logic)
-        const salesQuery = `
+const SALES_SELECT = `
       SELECT 
         s.id as supplier_id,
         s.name as supplier_name,
@@ -21,37 +33,272 @@ router.get('/summary', async (req, res) => {
       FROM order_items oi
       JOIN orders o ON oi.order_id = o.id
       LEFT JOIN suppliers s ON oi.supplier_id = s.id
-      WHERE DATE(o.created_at) = $1
+`;
+
+// Group sold items by supplier
+function groupSalesBySupplier(rows) {
+    const groupedSales = rows.reduce((acc, item) => {
+        const supplierName = item.supplier_name || 'Sin Proveedor';
+        if (!acc[supplierName]) {
+            acc[supplierName] = {
+                supplier_name: supplierName,
+                items: [],
+                supplier_total: 0
+            };
+        }
+        acc[supplierName].items.push({
+            product_name: item.product_name,
+            quantity: parseFloat(item.quantity),
+            unit_price: parseFloat(item.unit_price),
+            sale_type: item.sale_type,
+            total: parseFloat(item.total)
+        });
+        acc[supplierName].supplier_total += parseFloat(item.total);
+        return acc;
+    }, {});
+    return Object.values(groupedSales);
+}
+
+// Products still in stock, grouped by supplier
+async function getInventoryDetails(db) {
+    // We assume 'supplier' column in products matches 'id' in suppliers table. 
+    // If it's a string name, the join might fail or we need to adjust.
+    // Based on previous code analysis, 'supplier' in products seems to be an ID/FK.
+    const inventoryQuery = `
+        SELECT 
+            p.id,
+            p.name as product_name,
+            p.stock,
+            s.name as supplier_name
+        FROM products p
+        LEFT JOIN suppliers s ON p.supplier = s.id::text
+        WHERE p.stock > 0
+        ORDER BY s.name, p.name
+    `;
+    const inventoryResult = await db.query(inventoryQuery);
+
+    const groupedInventory = inventoryResult.rows.reduce((acc, item) => {
+        const supplierName = item.supplier_name || 'Sin Proveedor';
+        if (!acc[supplierName]) {
+            acc[supplierName] = {
+                supplier_name: supplierName,
+                items: [],
+                total_items: 0
+            };
+        }
+        acc[supplierName].items.push({
+            product_name: item.product_name,
+            stock: parseInt(item.stock)
+        });
+        acc[supplierName].total_items += parseInt(item.stock);
+        return acc;
+    }, {});
+    return Object.values(groupedInventory).sort((a, b) => a.supplier_name.localeCompare(b.supplier_name));
+}
+
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+    res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+// WHERE clause limiting documents to one shift, or to a day (optionally of a
+// single register). Voids are scoped by void_session_id and voided_at.
+function scopeClause(alias, dateColumn, { date, registerId, sessionId }, sessionColumn = 'register_session_id') {
+    if (sessionId) {
+        return { where: `${alias}.${sessionColumn} = $1`, params: [sessionId] };
+    }
+    if (registerId) {
+        return {
+            where: `DATE(${alias}.${dateColumn}) = $1
+          AND ${alias}.${sessionColumn} IN (SELECT id FROM register_sessions WHERE register_id = $2)`,
+            params: [date, registerId]
+        };
+    }
+    return { where: `DATE(${alias}.${dateColumn}) = $1`, params: [date] };
+}
+
+// Open shift a request acts on: the one named in it, otherwise the shift the
+// current user has open
+const findRequestedSession = (db, req, sessionId, { lock = false } = {}) => getOpenSession(db, {
+    sessionId,
+    userId: sessionId ? undefined : req.user.id,
+    lock
+});
+
+// Latest version of a shift's closure, locked, or null
+async function getLatestClosure(client, sessionId) {
+    const result = await client.query(`
+    SELECT * FROM register_closures
+    WHERE session_id = $1
+    ORDER BY version DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [sessionId]);
+    return result.rows[0] || null;
+}
+
+// Compute a shift's closure from the database and store it. With `previous`
+// it is stored as the next version, and `previous` is marked as replaced;
+// closures are never changed otherwise (migration 0020).
+async function writeClosure(client, session, {
+    denominations, countedCash, declared, notes, userId,
+    closingDate = null, previous = null, amendmentReason = null, approvedBy = null,
+    inventory = null
+}) {
+    const counted = denominations !== undefined && denominations !== null
+        ? countDenominations(denominations)
+        : parseFloat(countedCash);
+
+    const totals = await computeSessionTotals(client, session);
+    const paymentMethods = reconcile(totals, counted, declared);
+    const cashLine = paymentMethods.find(line => line.payment_method === 'cash');
+
+    const salesResult = await client.query(`${SALES_SELECT}
+      WHERE o.register_session_id = $1
+      AND o.status != 'cancelled'
+      ORDER BY s.name, oi.product_name
+    `, [session.id]);
+    const totalSales = salesResult.rows.reduce((sum, item) => sum + parseFloat(item.total), 0);
+
+    // Same rules as computeSessionTotals: payments voided later in another
+    // shift still belong here
+    const paymentsResult = await client.query(`
+      SELECT p.id as payment_id, p.payment_date, p.amount, p.payment_method,
+             p.reference_number, p.order_id, o.order_number
+      FROM payments p
+      LEFT JOIN orders o ON p.order_id = o.id
+      WHERE p.register_session_id = $1 AND p.amount > 0
+        AND (p.status = 'completed' OR (p.status = 'voided' AND p.void_session_id IS DISTINCT FROM $1))
+      ORDER BY p.payment_date
+    `, [session.id]);
+
+    // Refunds for returns and refunds of payments
+    const refundsResult = await client.query(`
+      SELECT * FROM (
+        SELECT r.id as refund_id, r.refund_number, r.refund_date, r.amount,
+               r.refund_method, r.reference_number, o.order_number
+        FROM refunds r
+        LEFT JOIN orders o ON r.order_id = o.id
+        WHERE r.register_session_id = $1 AND r.status = 'completed'
+        UNION ALL
+        SELECT p.id, p.payment_number, p.payment_date, -p.amount,
+               p.payment_method, p.reference_number, o.order_number
+        FROM payments p
+        LEFT JOIN orders o ON p.order_id = o.id
+        WHERE p.register_session_id = $1 AND p.amount < 0
+          AND (p.status = 'completed' OR (p.status = 'voided' AND p.void_session_id IS DISTINCT FROM $1))
+      ) refunds
+      ORDER BY refund_date
+    `, [session.id]);
+
+    const movementsResult = await client.query(`
+      SELECT id, movement_type, amount, reason, user_id, created_at
+      FROM register_cash_movements
+      WHERE session_id = $1
+      ORDER BY created_at
+    `, [session.id]);
+
+    // Structured details; legacy records are just arrays (sales)
+    const compositeDetails = {
+        sales: groupSalesBySupplier(salesResult.rows),
+        payments: paymentsResult.rows,
+        refunds: refundsResult.rows,
+        voids: await listSessionVoids(client, session.id),
+        cash_movements: movementsResult.rows,
+        // Stock as it was when the shift closed; amendments keep that snapshot
+        inventory: inventory || await getInventoryDetails(client)
+    };
+
+    // Only one current version per shift: retire the previous one first
+    if (previous && !previous.superseded_at) {
+        await client.query(
+            'UPDATE register_closures SET superseded_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [previous.id]
+        );
+    }
+
+    const result = await client.query(`
+      INSERT INTO register_closures (
+        session_id, total_sales, details, notes, user_id, closing_date,
+        opening_float, total_collected, total_refunded, cash_drops, cash_payouts,
+        expected_cash, counted_cash, over_short, denominations, payment_methods,
+        version, original_closure_id, supersedes_id, amendment_reason, approved_by,
+        total_voided
+      ) VALUES (
+        $1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP),
+        $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22
+      )
+      RETURNING *
+    `, [
+        session.id,
+        round2(totalSales),
+        JSON.stringify(compositeDetails),
+        notes || null,
+        userId,
+        closingDate,
+        totals.opening_float,
+        totals.total_collected,
+        totals.total_refunded,
+        totals.cash_drops,
+        totals.cash_payouts,
+        totals.expected_cash,
+        counted,
+        cashLine.over_short,
+        denominations !== undefined && denominations !== null ? JSON.stringify(denominations) : null,
+        JSON.stringify(paymentMethods),
+        previous ? previous.version + 1 : 1,
+        previous ? previous.original_closure_id || previous.id : null,
+        previous ? previous.id : null,
+        amendmentReason,
+        approvedBy,
+        totals.total_voided
+    ]);
+    const closure = result.rows[0];
+
+    if (previous) {
+        await client.query(
+            'UPDATE register_closures SET superseded_by = $1 WHERE id = $2',
+            [closure.id, previous.id]
+        );
+    }
+
+    return closure;
+}
+
+// GET /api/register/summary - Summary of a day, of one register on a day
+// (?register_id=) or of a single shift (?session_id=)
+router.get('/summary', requirePermission('register:read'), async (req, res) => {
+    try {
+        const { date, register_id, session_id } = req.query;
+        const targetDate = date || new Date().toISOString().split('T')[0];
+        const scope = { date: targetDate, registerId: register_id, sessionId: session_id };
+        const salesScope = scopeClause('o', 'created_at', scope);
+        const paymentsScope = scopeClause('p', 'payment_date', scope);
+        const refundsScope = scopeClause('r', 'refund_date', scope);
+        const voidsScope = scopeClause('p', 'voided_at', scope, 'void_session_id');
+        // A payment voided within the same scope it was taken in never counts
+        const voidedInScope = `COALESCE((${voidsScope.where}), false)`;
+        const takenInScope = `COALESCE((${paymentsScope.where}), false)`;
+
+        // 1. Get Sales Items (Existing logic)
+        const salesQuery = `${SALES_SELECT}
+      WHERE ${salesScope.where}
       AND o.status != 'cancelled'
       ORDER BY s.name, oi.product_name
     `;
-        const salesResult = await pool.query(salesQuery, [targetDate]);
-
-        // Group Sales by Supplier
-        const groupedSales = salesResult.rows.reduce((acc, item) => {
-            const supplierName = item.supplier_name || 'Sin Proveedor';
-            if (!acc[supplierName]) {
-                acc[supplierName] = {
-                    supplier_name: supplierName,
-                    items: [],
-                    supplier_total: 0
-                };
-            }
-            acc[supplierName].items.push({
-                product_name: item.product_name,
-                quantity: parseFloat(item.quantity),
-                unit_price: parseFloat(item.unit_price),
-                sale_type: item.sale_type,
-                total: parseFloat(item.total)
-            });
-            acc[supplierName].supplier_total += parseFloat(item.total);
-            return acc;
-        }, {});
-        const salesDetails = Object.values(groupedSales);
+        const salesResult = await pool.query(salesQuery, salesScope.params);
+
+        const salesDetails = groupSalesBySupplier(salesResult.rows);
         const totalSales = salesResult.rows.reduce((sum, item) => sum + parseFloat(item.total), 0);
 
 
-        // 2. Get Payments (Raw)
+        // 2. Get Payments (Raw). Credit applied from a deposit moves no money.
         const paymentsQuery = `
           SELECT 
             p.id as payment_id,
@@ -60,65 +307,107 @@ router.get('/summary', async (req, res) => {
             p.payment_method,
             p.reference_number,
             p.order_id,
+            p.register_session_id,
+            p.payment_number,
+            p.refund_of_payment_id,
             o.order_number
           FROM payments p
           LEFT JOIN orders o ON p.order_id = o.id
-          WHERE DATE(p.payment_date) = $1 AND p.status = 'completed'
+          WHERE ${paymentsScope.where} AND p.applied_from_payment_id IS NULL
+            AND (p.status = 'completed' OR (p.status = 'voided' AND NOT ${voidedInScope}))
           ORDER BY p.payment_date DESC
         `;
-        const paymentsResult = await pool.query(paymentsQuery, [targetDate]);
-        const totalCollected = paymentsResult.rows.reduce((sum, p) => sum + parseFloat(p.amount), 0);
+        const paymentsResult = await pool.query(paymentsQuery, paymentsScope.params);
+        const collectedRows = paymentsResult.rows.filter(p => parseFloat(p.amount) > 0);
+        // Refunds of payments are negative payments
+        const paymentRefundRows = paymentsResult.rows.filter(p => parseFloat(p.amount) < 0);
+        const totalCollected = collectedRows.reduce((sum, p) => sum + parseFloat(p.amount), 0);
 
-        const paymentDetails = paymentsResult.rows.map(p => ({
+        const paymentDetails = collectedRows.map(p => ({
             ...p,
             amount: parseFloat(p.amount)
         }));
 
-        // 3. Get Pending Inventory (Stock)
-        // We assume 'supplier' column in products matches 'id' in suppliers table. 
-        // If it's a string name, the join might fail or we need to adjust.
-        // Based on previous code analysis, 'supplier' in products seems to be an ID/FK.
-        const inventoryQuery = `
-            SELECT 
-                p.id,
-                p.name as product_name,
-                p.stock,
-                s.name as supplier_name
-            FROM products p
-            LEFT JOIN suppliers s ON p.supplier = s.id::text
-            WHERE p.stock > 0
-            ORDER BY s.name, p.name
+        // 2b. Get Refunds paid out of the register for returns
+        const refundsQuery = `
+          SELECT 
+            r.id as refund_id,
+            r.refund_number,
+            r.refund_date,
+            r.amount,
+            r.refund_method,
+            r.reference_number,
+            r.register_session_id,
+            o.order_number
+          FROM refunds r
+          LEFT JOIN orders o ON r.order_id = o.id
+          WHERE ${refundsScope.where} AND r.status = 'completed'
+          ORDER BY r.refund_date DESC
         `;
-        const inventoryResult = await pool.query(inventoryQuery);
-
-        // Group Inventory by Supplier
-        const groupedInventory = inventoryResult.rows.reduce((acc, item) => {
-            const supplierName = item.supplier_name || 'Sin Proveedor';
-            if (!acc[supplierName]) {
-                acc[supplierName] = {
-                    supplier_name: supplierName,
-                    items: [],
-                    total_items: 0
-                };
-            }
-            acc[supplierName].items.push({
-                product_name: item.product_name,
-                stock: parseInt(item.stock)
-            });
-            acc[supplierName].total_items += parseInt(item.stock);
-            return acc;
-        }, {});
-        const inventoryDetails = Object.values(groupedInventory).sort((a, b) => a.supplier_name.localeCompare(b.supplier_name));
+        const refundsResult = await pool.query(refundsQuery, refundsScope.params);
+
+        const refundDetails = [
+            ...refundsResult.rows.map(r => ({
+                ...r,
+                amount: parseFloat(r.amount)
+            })),
+            ...paymentRefundRows.map(p => ({
+                refund_id: p.payment_id,
+                refund_number: p.payment_number,
+                refund_date: p.payment_date,
+                amount: -parseFloat(p.amount),
+                refund_method: p.payment_method,
+                reference_number: p.reference_number,
+                register_session_id: p.register_session_id,
+                refund_of_payment_id: p.refund_of_payment_id,
+                order_number: p.order_number
+            }))
+        ];
+        const totalRefunded = refundDetails.reduce((sum, r) => sum + r.amount, 0);
+
+        // 2c. Payments taken elsewhere and voided here go back out of the drawer
+        const voidsQuery = `
+          SELECT
+            p.id as payment_id,
+            p.payment_number,
+            p.payment_date,
+            p.amount,
+            p.payment_method,
+            p.voided_at,
+            p.void_reason,
+            p.register_session_id,
+            p.void_session_id,
+            o.order_number
+          FROM payments p
+          LEFT JOIN orders o ON p.order_id = o.id
+          WHERE ${voidsScope.where} AND p.status = 'voided' AND p.applied_from_payment_id IS NULL AND NOT ${takenInScope}
+          ORDER BY p.voided_at DESC
+        `;
+        const voidsResult = await pool.query(voidsQuery, voidsScope.params);
+        const voidDetails = voidsResult.rows.map(p => ({
+            ...p,
+            amount: parseFloat(p.amount)
+        }));
+        const totalVoided = voidDetails.reduce((sum, p) => sum + p.amount, 0);
+
+        // 3. Get Pending Inventory (Stock)
+        const inventoryDetails = await getInventoryDetails(pool);
 
 
         res.json({
             success: true,
             data: {
-                date: targetDate,
+                date: session_id ? null : targetDate,
+                register_id: register_id || null,
+                session_id: session_id || null,
                 total_sales: totalSales,
                 total_collected: totalCollected,
+                total_refunded: totalRefunded,
+                total_voided: totalVoided,
                 details: salesDetails,
                 payment_details: paymentDetails,
+                refund_details: refundDetails,
+                void_details: voidDetails,
                 inventory_details: inventoryDetails
             }
         });
@@ -129,64 +418,521 @@ router.get('/summary', async (req, res) => {
     }
 });
 
-// POST /api/register/close - Close the register
-router.post('/close', async (req, res) => {
-    const client = await pool.connect();
+// POST /api/register/open - Open a shift on a register with a starting float
+router.post('/open', requirePermission('register:close'), [
+    body('register_id').optional().isUUID().withMessage('Register ID must be a valid UUID'),
+    body('opening_float').isFloat({ min: 0 }).withMessage('Opening float must be 0 or more'),
+    body('notes').optional().isString()
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
     try {
-        const { total_sales, details, payment_details, inventory_details, notes, user_id } = req.body;
+        const { register_id, opening_float, notes } = req.body;
 
-        await client.query('BEGIN');
+        const session = await withTransaction(async (client) => {
+            // Without register_id, the only active register is used
+            const registersResult = await client.query(`
+        SELECT * FROM registers
+        WHERE is_active = true ${register_id ? 'AND id = $1' : ''}
+      `, register_id ? [register_id] : []);
 
-        // Store both sales and payments in the details column
-        // We use a structured object now. Legacy records are just arrays (sales).
-        const compositeDetails = {
-            sales: details,
-            payments: payment_details,
-            inventory: inventory_details
-        };
+            if (registersResult.rows.length === 0) {
+                throw new HttpError(404, register_id ? 'Register not found or inactive' : 'No active register');
+            }
+            if (registersResult.rows.length > 1) {
+                throw new HttpError(400, 'register_id is required when more than one register is active');
+            }
+            const register = registersResult.rows[0];
 
-        const insertQuery = `
-      INSERT INTO register_closures (
-        total_sales, details, notes, user_id, closing_date
-      ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-      RETURNING *
-    `;
+            const registerSession = await getOpenSession(client, { registerId: register.id });
+            if (registerSession) {
+                throw new HttpError(409, `Register ${register.name} already has an open shift`, { session_id: registerSession.id });
+            }
 
-        const result = await client.query(insertQuery, [
-            total_sales,
-            JSON.stringify(compositeDetails),
-            notes,
-            user_id
-        ]);
+            const userSession = await getOpenSession(client, { userId: req.user.id });
+            if (userSession) {
+                throw new HttpError(409, `You already have an open shift on ${userSession.register_name}`, { session_id: userSession.id });
+            }
 
-        await client.query('COMMIT');
+            const result = await client.query(`
+        INSERT INTO register_sessions (register_id, opening_float, opened_by, notes)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [register.id, opening_float, req.user.id, notes || null]);
+
+            return result.rows[0];
+        });
 
         res.status(201).json({
             success: true,
-            data: result.rows[0],
+            data: session,
+            message: 'Caja abierta correctamente'
+        });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        // Two shifts opened at the same time: the unique indexes keep only one
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'The register or the cashier already has an open shift' });
+        }
+        console.error('Error opening register:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/register/current - Open shift with its running totals: the
+// current user's, or the one of ?register_id= or ?session_id=
+router.get('/current', requirePermission('register:read'), async (req, res) => {
+    try {
+        const { register_id, session_id } = req.query;
+        const session = register_id
+            ? await getOpenSession(pool, { registerId: register_id })
+            : await findRequestedSession(pool, req, session_id);
+        if (!session) {
+            return res.json({ success: true, data: null, message: 'No hay un turno abierto' });
+        }
+
+        const totals = await computeSessionTotals(pool, session);
+        const movementsResult = await pool.query(`
+      SELECT m.*, u.full_name as user_name
+      FROM register_cash_movements m
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE m.session_id = $1
+      ORDER BY m.created_at
+    `, [session.id]);
+
+        res.json({
+            success: true,
+            data: {
+                ...session,
+                totals,
+                cash_movements: movementsResult.rows,
+                denominations: DENOMINATIONS
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching current register shift:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/register/cash-movements - Record a cash drop or payout
+router.post('/cash-movements', requirePermission('register:close'), [
+    body('session_id').optional().isUUID().withMessage('Session ID must be a valid UUID'),
+    body('movement_type').isIn(['drop', 'payout']).withMessage('Movement type must be drop or payout'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('reason').optional().isString()
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
+    try {
+        const { session_id, movement_type, amount, reason } = req.body;
+
+        const movement = await withTransaction(async (client) => {
+            const session = await findRequestedSession(client, req, session_id, { lock: true });
+            if (!session) {
+                throw new HttpError(409, 'No register shift is open');
+            }
+
+            const result = await client.query(`
+        INSERT INTO register_cash_movements (session_id, movement_type, amount, reason, user_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [session.id, movement_type, amount, reason || null, req.user.id]);
+
+            return result.rows[0];
+        });
+
+        res.status(201).json({
+            success: true,
+            data: movement
+        });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error recording cash movement:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/register/close - Count the drawer and close a shift (the current
+// user's unless session_id is given). Every total is computed here; amounts
+// sent by the client are ignored.
+router.post('/close', requirePermission('register:close'), [
+    body('session_id').optional().isUUID().withMessage('Session ID must be a valid UUID'),
+    body('denominations').optional().isObject().withMessage('Denominations must be an object of { value: count }'),
+    body('counted_cash').optional().isFloat({ min: 0 }).withMessage('Counted cash must be 0 or more'),
+    body('declared').optional().isObject().withMessage('Declared must be an object of { payment_method: amount }'),
+    body('notes').optional().isString()
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
+    try {
+        const { session_id, denominations, counted_cash, declared, notes } = req.body;
+
+        if (denominations === undefined && counted_cash === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Either denominations or counted_cash is required'
+            });
+        }
+
+        const closure = await withTransaction(async (client) => {
+            const session = await findRequestedSession(client, req, session_id, { lock: true });
+            if (!session) {
+                throw new HttpError(409, 'No register shift is open');
+            }
+
+            // A shift that was reopened gets a new version of its closure
+            const previous = await getLatestClosure(client, session.id);
+
+            await client.query(`
+        UPDATE register_sessions
+        SET status = 'closed', closed_by = $1, closed_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [req.user.id, session.id]);
+
+            return writeClosure(client, session, {
+                denominations,
+                countedCash: counted_cash,
+                declared,
+                notes,
+                userId: req.user.id,
+                previous
+            });
+        });
+
+        res.status(201).json({
+            success: true,
+            data: closure,
+            report_url: `/api/register/history/${closure.id}/report`,
             message: 'Caja cerrada correctamente'
         });
 
     } catch (error) {
-        await client.query('ROLLBACK');
+        if (sendHttpError(res, error)) return;
         console.error('Error closing register:', error);
         res.status(500).json({ success: false, error: error.message });
-    } finally {
-        client.release();
     }
 });
 
-// GET /api/register/history - Get past closures
-router.get('/history', async (req, res) => {
+// Shared filters of the shift and closure listings
+function shiftFilters(query, { sessionColumn = 'rs.id', dateColumn = 'rs.opened_at', conditions: baseConditions = [] } = {}) {
+    const conditions = [...baseConditions];
+    const params = [];
+    const add = (condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (query.register_id) add('rs.register_id = ?', query.register_id);
+    if (query.session_id) add(`${sessionColumn} = ?`, query.session_id);
+    if (query.user_id) add('rs.opened_by = ?', query.user_id);
+    if (query.status) add('rs.status = ?', query.status);
+    if (query.date_from) add(`${dateColumn} >= ?`, query.date_from);
+    if (query.date_to) add(`${dateColumn} < (?::date + INTERVAL '1 day')`, query.date_to);
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// GET /api/register/sessions - Shifts, filtered by register, cashier, status and dates
+router.get('/sessions', requirePermission('register:read'), async (req, res) => {
+    try {
+        const filters = shiftFilters(req.query);
+
+        const result = await pool.query(`
+      SELECT
+        rs.*,
+        r.code as register_code,
+        r.name as register_name,
+        u.full_name as user_name,
+        rc.id as closure_id,
+        rc.total_sales,
+        rc.expected_cash,
+        rc.counted_cash,
+        rc.over_short
+      FROM register_sessions rs
+      JOIN registers r ON rs.register_id = r.id
+      LEFT JOIN users u ON rs.opened_by = u.id
+      LEFT JOIN register_closures rc ON rc.session_id = rs.id AND rc.superseded_at IS NULL
+      ${filters.where}
+      ORDER BY rs.opened_at DESC
+    `, filters.params);
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching register sessions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/register/sessions/:id/voids - Payments voided during a shift. Only
+// those taken in another shift (same_shift false) come out of this drawer.
+router.get('/sessions/:id/voids', requirePermission('register:read'), async (req, res) => {
     try {
+        const sessionResult = await pool.query('SELECT id FROM register_sessions WHERE id = $1', [req.params.id]);
+        if (sessionResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Register shift not found' });
+        }
+
+        const voids = await listSessionVoids(pool, req.params.id);
+        const byMethod = new Map();
+        for (const entry of voids.filter(entry => !entry.same_shift)) {
+            const method = String(entry.payment_method || '').toLowerCase();
+            byMethod.set(method, round2((byMethod.get(method) || 0) + entry.amount));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                session_id: req.params.id,
+                voids,
+                total_voided: round2(voids.filter(entry => !entry.same_shift).reduce((sum, entry) => sum + entry.amount, 0)),
+                by_payment_method: [...byMethod].map(([payment_method, amount]) => ({ payment_method, amount }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching register shift voids:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/register/daily - Consolidation of every register for a day
+router.get('/daily', requirePermission('register:read'), async (req, res) => {
+    try {
+        const targetDate = req.query.date || new Date().toISOString().split('T')[0];
+
+        const shiftsResult = await pool.query(`
+      SELECT
+        rs.id as session_id,
+        rs.register_id,
+        rs.status,
+        rs.opened_at,
+        rs.closed_at,
+        rs.opening_float,
+        u.full_name as user_name,
+        rc.total_sales,
+        rc.total_collected,
+        rc.total_refunded,
+        rc.total_voided,
+        rc.expected_cash,
+        rc.counted_cash,
+        rc.over_short
+      FROM register_sessions rs
+      LEFT JOIN users u ON rs.opened_by = u.id
+      LEFT JOIN register_closures rc ON rc.session_id = rs.id AND rc.superseded_at IS NULL
+      WHERE DATE(rs.opened_at) = $1
+      ORDER BY rs.opened_at
+    `, [targetDate]);
+
+        const registersResult = await pool.query(`
+      SELECT id, code, name
+      FROM registers
+      WHERE is_active = true OR id IN (SELECT register_id FROM register_sessions WHERE DATE(opened_at) = $1)
+      ORDER BY code
+    `, [targetDate]);
+
+        const sum = (rows, field) => round2(rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0));
+        const totalsOf = (shifts) => {
+            const closed = shifts.filter(shift => shift.status === 'closed');
+            return {
+                shifts: shifts.length,
+                open_shifts: shifts.length - closed.length,
+                total_sales: sum(closed, 'total_sales'),
+                total_collected: sum(closed, 'total_collected'),
+                total_refunded: sum(closed, 'total_refunded'),
+                total_voided: sum(closed, 'total_voided'),
+                expected_cash: sum(closed, 'expected_cash'),
+                counted_cash: sum(closed, 'counted_cash'),
+                over_short: sum(closed, 'over_short')
+            };
+        };
+
+        const registers = registersResult.rows.map(register => {
+            const shifts = shiftsResult.rows.filter(shift => shift.register_id === register.id);
+            return {
+                register_id: register.id,
+                register_code: register.code,
+                register_name: register.name,
+                ...totalsOf(shifts),
+                sessions: shifts
+            };
+        });
+
+        // Documents of the day taken outside any shift are not in any drawer
+        const unassignedResult = await pool.query(`
+      SELECT
+        (SELECT COALESCE(SUM(total), 0) FROM orders
+         WHERE DATE(created_at) = $1 AND status != 'cancelled' AND register_session_id IS NULL) as sales,
+        (SELECT COALESCE(SUM(GREATEST(amount, 0)), 0) FROM payments
+         WHERE DATE(payment_date) = $1 AND register_session_id IS NULL AND applied_from_payment_id IS NULL
+           AND (status = 'completed' OR (status = 'voided' AND NOT (DATE(voided_at) = $1 AND void_session_id IS NULL)))) as collected,
+        (SELECT COALESCE(SUM(amount), 0) FROM refunds
+         WHERE DATE(refund_date) = $1 AND status = 'completed' AND register_session_id IS NULL)
+        + (SELECT COALESCE(SUM(GREATEST(-amount, 0)), 0) FROM payments
+         WHERE DATE(payment_date) = $1 AND register_session_id IS NULL AND applied_from_payment_id IS NULL
+           AND (status = 'completed' OR (status = 'voided' AND NOT (DATE(voided_at) = $1 AND void_session_id IS NULL)))) as refunded,
+        (SELECT COALESCE(SUM(amount), 0) FROM payments
+         WHERE DATE(voided_at) = $1 AND status = 'voided' AND void_session_id IS NULL AND applied_from_payment_id IS NULL
+           AND NOT (DATE(payment_date) = $1 AND register_session_id IS NULL)) as voided
+    `, [targetDate]);
+        const unassigned = unassignedResult.rows[0];
+
+        res.json({
+            success: true,
+            data: {
+                date: targetDate,
+                // Only closed shifts are added up; open_shifts > 0 means the day is not final
+                totals: totalsOf(shiftsResult.rows),
+                registers,
+                unassigned: {
+                    total_sales: parseFloat(unassigned.sales),
+                    total_collected: parseFloat(unassigned.collected),
+                    total_refunded: parseFloat(unassigned.refunded),
+                    total_voided: parseFloat(unassigned.voided)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching daily register consolidation:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/register/registers - Registers (tills)
+router.get('/registers', requirePermission('register:read'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+      SELECT
+        r.*,
+        rs.id as open_session_id,
+        u.full_name as open_session_user
+      FROM registers r
+      LEFT JOIN register_sessions rs ON rs.register_id = r.id AND rs.status = 'open'
+      LEFT JOIN users u ON rs.opened_by = u.id
+      ORDER BY r.code
+    `);
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching registers:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/register/registers - Create a register
+router.post('/registers', requirePermission('register:manage'), [
+    body('code').trim().notEmpty().isLength({ max: 20 }).withMessage('Code is required (max 20 characters)'),
+    body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('location').optional().isString()
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
+    try {
+        const { code, name, location } = req.body;
+        const result = await pool.query(`
+      INSERT INTO registers (code, name, location)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [code.toUpperCase(), name, location || null]);
+
+        res.status(201).json({
+            success: true,
+            data: result.rows[0]
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'A register with this code already exists' });
+        }
+        console.error('Error creating register:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/register/registers/:id - Rename, move or deactivate a register
+router.put('/registers/:id', requirePermission('register:manage'), [
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must not be empty (max 100 characters)'),
+    body('location').optional({ nullable: true }).isString(),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
+    try {
+        const { id } = req.params;
+        const { name, location, is_active } = req.body;
+
+        const register = await withTransaction(async (client) => {
+            if (is_active === false && await getOpenSession(client, { registerId: id })) {
+                throw new HttpError(409, 'Close the open shift before deactivating the register');
+            }
+
+            const result = await client.query(`
+        UPDATE registers
+        SET name = COALESCE($1, name),
+            location = CASE WHEN $2::boolean THEN $3 ELSE location END,
+            is_active = COALESCE($4, is_active),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [name, location !== undefined, location, is_active, id]);
+
+            if (result.rows.length === 0) {
+                throw new HttpError(404, 'Register not found');
+            }
+            return result.rows[0];
+        });
+
+        res.json({
+            success: true,
+            data: register
+        });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error updating register:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/register/history - Past closures, filtered by register, shift,
+// cashier and dates. Only the latest version of each closure is listed unless
+// all_versions=true.
+router.get('/history', requirePermission('register:read'), async (req, res) => {
+    try {
+        const filters = shiftFilters(req.query, {
+            sessionColumn: 'rc.session_id',
+            dateColumn: 'rc.closing_date',
+            conditions: req.query.all_versions === 'true' ? [] : ['rc.superseded_by IS NULL']
+        });
         const query = `
-      SELECT rc.*, u.full_name as user_name
+      SELECT
+        rc.*,
+        u.full_name as user_name,
+        approver.full_name as approved_by_name,
+        rs.register_id,
+        r.code as register_code,
+        r.name as register_name,
+        rs.opened_at,
+        opener.full_name as opened_by_name,
+        (SELECT COUNT(*) FROM register_closures v
+         WHERE COALESCE(v.original_closure_id, v.id) = COALESCE(rc.original_closure_id, rc.id))::int as versions
       FROM register_closures rc
       LEFT JOIN users u ON rc.user_id = u.id
-      ORDER BY rc.closing_date DESC
+      LEFT JOIN users approver ON rc.approved_by = approver.id
+      LEFT JOIN register_sessions rs ON rc.session_id = rs.id
+      LEFT JOIN registers r ON rs.register_id = r.id
+      LEFT JOIN users opener ON rs.opened_by = opener.id
+      ${filters.where}
+      ORDER BY rc.closing_date DESC, rc.version DESC
     `;
 
-        const result = await pool.query(query);
+        const result = await pool.query(query, filters.params);
 
         res.json({
             success: true,
@@ -198,25 +944,228 @@ router.get('/history', async (req, res) => {
     }
 });
 
-// DELETE /api/register/history/:id - Delete a closure record
-router.delete('/history/:id', async (req, res) => {
+// GET /api/register/history/:id - A closure with every version of it
+router.get('/history/:id', requirePermission('register:read'), async (req, res) => {
     try {
         const { id } = req.params;
-        const query = 'DELETE FROM register_closures WHERE id = $1 RETURNING *';
-        const result = await pool.query(query, [id]);
 
-        if (result.rowCount === 0) {
+        const closureResult = await pool.query('SELECT * FROM register_closures WHERE id = $1', [id]);
+        if (closureResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Closure record not found' });
+        }
+        const closure = closureResult.rows[0];
+
+        const versionsResult = await pool.query(`
+      SELECT
+        rc.*,
+        u.full_name as user_name,
+        approver.full_name as approved_by_name,
+        reopener.full_name as reopened_by_name
+      FROM register_closures rc
+      LEFT JOIN users u ON rc.user_id = u.id
+      LEFT JOIN users approver ON rc.approved_by = approver.id
+      LEFT JOIN users reopener ON rc.reopened_by = reopener.id
+      WHERE COALESCE(rc.original_closure_id, rc.id) = $1
+      ORDER BY rc.version
+    `, [closure.original_closure_id || closure.id]);
+
+        res.json({
+            success: true,
+            data: {
+                ...closure,
+                versions: versionsResult.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching register closure:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/register/history/:id/report - Z-report of a closure.
+// ?format=pdf (default), text or escpos; &paper=58 or 80 (mm) for text/escpos
+router.get('/history/:id/report', requirePermission('register:read'), async (req, res) => {
+    try {
+        const { format = 'pdf', paper = '80' } = req.query;
+
+        if (!['pdf', 'text', 'escpos'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'Format must be pdf, text or escpos' });
+        }
+        if (!PAPER_COLUMNS[paper]) {
+            return res.status(400).json({
+                success: false,
+                error: `Paper must be one of ${Object.keys(PAPER_COLUMNS).join(', ')} (mm)`
+            });
+        }
+
+        const report = await loadClosureReport(pool, req.params.id);
+        if (!report) {
             return res.status(404).json({ success: false, error: 'Closure record not found' });
         }
 
+        const closingDate = new Date(report.closure.closing_date).toISOString().split('T')[0];
+        const filename = `cierre-${report.closure.register_code || 'caja'}-${closingDate}-v${report.closure.version || 1}`;
+
+        if (format === 'pdf') {
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+            return res.send(renderPdf(report));
+        }
+
+        if (format === 'text') {
+            res.set('Content-Type', 'text/plain; charset=utf-8');
+            return res.send(renderText(report, { paperWidth: parseInt(paper) }));
+        }
+
+        // Raw bytes to send to the printer as they are
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename="${filename}.bin"`);
+        res.send(renderEscPos(report, { paperWidth: parseInt(paper) }));
+    } catch (error) {
+        console.error('Error generating register report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Current version of a closure, locked, for amend and reopen
+async function getCurrentClosure(client, id) {
+    const result = await client.query('SELECT * FROM register_closures WHERE id = $1 FOR UPDATE', [id]);
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Closure record not found');
+    }
+
+    const closure = result.rows[0];
+    if (closure.superseded_at) {
+        throw new HttpError(409, 'Only the latest version of a closure can be changed', {
+            superseded_by: closure.superseded_by
+        });
+    }
+    if (!closure.session_id) {
+        throw new HttpError(409, 'Closures recorded before register shifts cannot be changed');
+    }
+    return closure;
+}
+
+// POST /api/register/history/:id/amend - Correct a closure with a new version.
+// Totals are recomputed from the shift; the count and declared amounts are
+// taken from the request or kept from the amended version.
+router.post('/history/:id/amend', requirePermission('register:amend'), [
+    body('reason').trim().notEmpty().withMessage('A reason is required to amend a closure'),
+    body('denominations').optional().isObject().withMessage('Denominations must be an object of { value: count }'),
+    body('counted_cash').optional().isFloat({ min: 0 }).withMessage('Counted cash must be 0 or more'),
+    body('declared').optional().isObject().withMessage('Declared must be an object of { payment_method: amount }'),
+    body('notes').optional().isString()
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
+    try {
+        const { reason, denominations, counted_cash, declared, notes } = req.body;
+
+        const closure = await withTransaction(async (client) => {
+            const previous = await getCurrentClosure(client, req.params.id);
+
+            const sessionResult = await client.query(
+                'SELECT * FROM register_sessions WHERE id = $1 FOR UPDATE',
+                [previous.session_id]
+            );
+            const session = sessionResult.rows[0];
+
+            const recount = denominations !== undefined || counted_cash !== undefined;
+            const previousDeclared = Object.fromEntries((previous.payment_methods || [])
+                .filter(line => line.payment_method !== 'cash' && line.counted !== null)
+                .map(line => [line.payment_method, line.counted]));
+
+            return writeClosure(client, session, {
+                denominations: recount ? denominations : previous.denominations,
+                countedCash: recount ? counted_cash : previous.counted_cash,
+                declared: declared || previousDeclared,
+                notes: notes !== undefined ? notes : previous.notes,
+                userId: previous.user_id,
+                closingDate: previous.closing_date,
+                previous,
+                amendmentReason: reason,
+                approvedBy: req.user.id,
+                inventory: previous.details && previous.details.inventory
+            });
+        });
+
+        res.status(201).json({
+            success: true,
+            data: closure,
+            message: 'Cierre corregido correctamente'
+        });
+    } catch (error) {
+        if (sendHttpError(res, error)) return;
+        console.error('Error amending register closure:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /api/register/history/:id/reopen - Reopen the shift of a closure. The
+// closure stays as it was; closing the shift again stores a new version.
+router.post('/history/:id/reopen', requirePermission('register:reopen'), [
+    body('reason').trim().notEmpty().withMessage('A reason is required to reopen a shift')
+], async (req, res) => {
+    if (validationFailed(req, res)) return;
+
+    try {
+        const session = await withTransaction(async (client) => {
+            const closure = await getCurrentClosure(client, req.params.id);
+
+            const sessionResult = await client.query(
+                'SELECT * FROM register_sessions WHERE id = $1 FOR UPDATE',
+                [closure.session_id]
+            );
+            const closedSession = sessionResult.rows[0];
+
+            if (await getOpenSession(client, { registerId: closedSession.register_id })) {
+                throw new HttpError(409, 'The register already has an open shift');
+            }
+            if (await getOpenSession(client, { userId: closedSession.opened_by })) {
+                throw new HttpError(409, 'The cashier of this shift already has another open shift');
+            }
+
+            await client.query(`
+        UPDATE register_closures
+        SET superseded_at = CURRENT_TIMESTAMP,
+            reopened_at = CURRENT_TIMESTAMP,
+            reopened_by = $1,
+            reopen_reason = $2
+        WHERE id = $3
+      `, [req.user.id, req.body.reason, closure.id]);
+
+            const result = await client.query(`
+        UPDATE register_sessions
+        SET status = 'open', closed_by = NULL, closed_at = NULL
+        WHERE id = $1
+        RETURNING *
+      `, [closure.session_id]);
+
+            return result.rows[0];
+        });
+
         res.json({
             success: true,
-            message: 'Registro de cierre eliminado correctamente'
+            data: session,
+            message: 'Turno reabierto correctamente'
         });
     } catch (error) {
-        console.error('Error deleting register history:', error);
+        if (sendHttpError(res, error)) return;
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'The register or the cashier already has an open shift' });
+        }
+        console.error('Error reopening register shift:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// DELETE /api/register/history/:id - Closures are immutable
+router.delete('/history/:id', requirePermission('register:manage'), (req, res) => {
+    res.status(405).json({
+        success: false,
+        error: 'Register closures cannot be deleted',
+        message: 'Use POST /api/register/history/:id/amend to correct a closure'
+    });
+});
+
 module.exports = router;
@@ -1,21 +1,10 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
-const { authenticateToken } = require('./auth')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-// All routes require authentication
-router.use(authenticateToken)
+const { pool } = require('../config/database')
+const { requirePermission } = require('../middleware/auth')
 
 // GET /api/reports/sales - Sales reports with various metrics
-router.get('/sales', async (req, res) => {
+router.get('/sales', requirePermission('reports:read'), async (req, res) => {
   try {
     const {
       period = 'month',
@@ -230,7 +219,7 @@ router.get('/sales', async (req, res) => {
 })
 
 // GET /api/reports/inventory - Inventory reports
-router.get('/inventory', async (req, res) => {
+router.get('/inventory', requirePermission('reports:read'), async (req, res) => {
   try {
     // Current inventory status
     const inventoryQuery = `
@@ -374,7 +363,7 @@ router.get('/inventory', async (req, res) => {
 })
 
 // GET /api/reports/customers - Customer analysis reports
-router.get('/customers', async (req, res) => {
+router.get('/customers', requirePermission('reports:read'), async (req, res) => {
   try {
     const { period = 'month' } = req.query
 
@@ -513,7 +502,7 @@ router.get('/customers', async (req, res) => {
 })
 
 // GET /api/reports/financial - Financial reports
-router.get('/financial', async (req, res) => {
+router.get('/financial', requirePermission('reports:read'), async (req, res) => {
   try {
     const { period = 'month' } = req.query
 
@@ -0,0 +1,471 @@
+const express = require('express')
+const router = express.Router()
+const { pool, withTransaction } = require('../config/database')
+const { body, validationResult } = require('express-validator')
+const { requirePermission } = require('../middleware/auth')
+const { HttpError, sendHttpError } = require('../lib/errors')
+const { incrementStock } = require('../lib/stock')
+const { nextNumber } = require('../lib/numbering')
+const { restoreOrderItemLots } = require('../lib/lots')
+const { getOpenSessionId, requestedOverride } = require('../lib/register')
+const { refreshPaymentTargets } = require('../lib/payments')
+const { round2 } = require('../lib/helpers')
+
+const RETURN_REASONS = ['spoiled', 'damaged', 'wrong_item', 'quality', 'customer_request', 'other']
+
+// Order items with the quantity already returned and the quantity still returnable
+async function getReturnableItems(db, orderId) {
+  const result = await db.query(`
+    SELECT
+      oi.*,
+      COALESCE(SUM(ri.quantity), 0) as returned_quantity
+    FROM order_items oi
+    LEFT JOIN return_items ri ON ri.order_item_id = oi.id
+    WHERE oi.order_id = $1
+    GROUP BY oi.id
+    ORDER BY oi.created_at
+  `, [orderId])
+
+  return result.rows.map(item => {
+    const quantity = parseFloat(item.quantity) || 0
+    const returnedQuantity = parseFloat(item.returned_quantity) || 0
+    return {
+      ...item,
+      quantity,
+      unit_price: parseFloat(item.unit_price) || 0,
+      total: parseFloat(item.total) || 0,
+      returned_quantity: returnedQuantity,
+      returnable_quantity: round2(quantity - returnedQuantity)
+    }
+  })
+}
+
+// Invoice issued for an order. orders.invoice_id names it, also for
+// consolidated invoices; older invoices may only hold the order id or number
+// in invoices.order_id.
+async function findOrderInvoice(client, order) {
+  const result = await client.query(`
+    SELECT *
+    FROM invoices
+    WHERE (id = $3 OR order_id IN ($1, $2) OR sales_order_id IN ($1, $2))
+      AND deleted_at IS NULL
+      AND status <> 'cancelled'
+    ORDER BY (id = $3) IS TRUE DESC, created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [String(order.id), order.order_number, order.invoice_id || null])
+
+  return result.rows[0] || null
+}
+
+// Money received for the order minus what has already been refunded. A
+// consolidated invoice is paid for several orders, so never more than the
+// order total counts as paid for this one.
+async function getNetPaid(client, order, invoice) {
+  const result = await client.query(`
+    SELECT
+      (SELECT COALESCE(SUM(amount), 0) FROM payments
+        WHERE status = 'completed' AND (order_id = $1 OR ($2::uuid IS NOT NULL AND invoice_id = $2))) as paid,
+      (SELECT COALESCE(SUM(amount), 0) FROM refunds
+        WHERE status = 'completed' AND order_id = $1) as refunded
+  `, [order.id, invoice ? invoice.id : null])
+
+  const paid = Math.min(parseFloat(result.rows[0].paid), parseFloat(order.total) || 0)
+  return round2(paid - parseFloat(result.rows[0].refunded))
+}
+
+async function getReturnDetails(db, id) {
+  const result = await db.query(`
+    SELECT
+      r.*,
+      o.order_number,
+      c.name as customer_name,
+      i.invoice_number,
+      u.full_name as user_name,
+      COALESCE(
+        (SELECT JSON_AGG(ri.* ORDER BY ri.created_at) FROM return_items ri WHERE ri.return_id = r.id),
+        '[]'::json
+      ) as items,
+      (SELECT ROW_TO_JSON(cn.*) FROM credit_notes cn WHERE cn.return_id = r.id LIMIT 1) as credit_note,
+      (SELECT ROW_TO_JSON(rf.*) FROM refunds rf
+        JOIN credit_notes cn ON rf.credit_note_id = cn.id
+        WHERE cn.return_id = r.id LIMIT 1) as refund
+    FROM returns r
+    LEFT JOIN orders o ON r.order_id = o.id
+    LEFT JOIN customers c ON r.customer_id = c.id
+    LEFT JOIN invoices i ON r.invoice_id = i.id
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.id = $1
+  `, [id])
+
+  if (result.rows.length === 0) {
+    return null
+  }
+
+  const row = result.rows[0]
+  return {
+    ...row,
+    total: parseFloat(row.total) || 0
+  }
+}
+
+// GET /api/returns - List returns
+router.get('/', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { order_id, customer_id, date_from, date_to, page = 1, limit = 50 } = req.query
+
+    let query = `
+      SELECT
+        r.*,
+        o.order_number,
+        c.name as customer_name,
+        cn.credit_note_number,
+        cn.status as credit_note_status
+      FROM returns r
+      LEFT JOIN orders o ON r.order_id = o.id
+      LEFT JOIN customers c ON r.customer_id = c.id
+      LEFT JOIN credit_notes cn ON cn.return_id = r.id
+      WHERE 1=1
+    `
+
+    const queryParams = []
+    let paramIndex = 1
+
+    if (order_id) {
+      query += ` AND r.order_id = $${paramIndex}`
+      queryParams.push(order_id)
+      paramIndex++
+    }
+
+    if (customer_id) {
+      query += ` AND r.customer_id = $${paramIndex}`
+      queryParams.push(customer_id)
+      paramIndex++
+    }
+
+    if (date_from) {
+      query += ` AND r.created_at >= $${paramIndex}`
+      queryParams.push(date_from)
+      paramIndex++
+    }
+
+    if (date_to) {
+      query += ` AND r.created_at < ($${paramIndex}::date + INTERVAL '1 day')`
+      queryParams.push(date_to)
+      paramIndex++
+    }
+
+    query += ` ORDER BY r.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`
+    queryParams.push(limit, (page - 1) * limit)
+
+    const result = await pool.query(query, queryParams)
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        total: parseFloat(row.total) || 0
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching returns:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/returns/credit-notes - List credit notes
+router.get('/credit-notes', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { customer_id, status } = req.query
+
+    let query = `
+      SELECT
+        cn.*,
+        c.name as customer_name,
+        o.order_number,
+        i.invoice_number
+      FROM credit_notes cn
+      LEFT JOIN customers c ON cn.customer_id = c.id
+      LEFT JOIN orders o ON cn.order_id = o.id
+      LEFT JOIN invoices i ON cn.invoice_id = i.id
+      WHERE 1=1
+    `
+
+    const queryParams = []
+    let paramIndex = 1
+
+    if (customer_id) {
+      query += ` AND cn.customer_id = $${paramIndex}`
+      queryParams.push(customer_id)
+      paramIndex++
+    }
+
+    if (status) {
+      query += ` AND cn.status = $${paramIndex}`
+      queryParams.push(status)
+      paramIndex++
+    }
+
+    query += ' ORDER BY cn.created_at DESC'
+
+    const result = await pool.query(query, queryParams)
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        amount: parseFloat(row.amount) || 0
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching credit notes:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/returns/orders/:orderId/items - Order items with the quantity still returnable
+router.get('/orders/:orderId/items', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const items = await getReturnableItems(pool, req.params.orderId)
+
+    res.json({
+      success: true,
+      data: items
+    })
+  } catch (error) {
+    console.error('Error fetching returnable items:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// GET /api/returns/:id - Get a return with its items, credit note and refund
+router.get('/:id', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const details = await getReturnDetails(pool, req.params.id)
+
+    if (!details) {
+      return res.status(404).json({
+        success: false,
+        error: 'Return not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: details
+    })
+  } catch (error) {
+    console.error('Error fetching return:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+// POST /api/returns - Return items of an order and issue a credit note
+router.post('/', requirePermission('returns:create'), [
+  body('order_id').isUUID().withMessage('Order ID is required and must be a valid UUID'),
+  body('reason').isIn(RETURN_REASONS).withMessage(`Reason must be one of ${RETURN_REASONS.join(', ')}`),
+  body('resolution').optional().isIn(['credit', 'refund']).withMessage('Resolution must be credit or refund'),
+  body('refund_method').if(body('resolution').equals('refund')).notEmpty().withMessage('Refund method is required for refunds'),
+  body('items').isArray({ min: 1 }).withMessage('Items array is required and must not be empty'),
+  body('items.*.order_item_id').isUUID().withMessage('Order item ID must be a valid UUID'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.disposition').isIn(['restock', 'write_off']).withMessage('Disposition must be restock or write_off'),
+  body('items.*.reason').optional().isIn(RETURN_REASONS).withMessage('Invalid item reason'),
+  body('notes').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors.array()
+    })
+  }
+
+  const {
+    order_id,
+    reason,
+    resolution = 'credit',
+    refund_method,
+    reference_number,
+    items,
+    notes,
+    branch_code
+  } = req.body
+  const userId = req.user.id
+
+  try {
+    const returnId = await withTransaction(async (client) => {
+      // Lock the order so two returns of the same order are checked one after the other
+      const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [order_id])
+      if (orderResult.rows.length === 0) {
+        throw new HttpError(404, 'Order not found')
+      }
+
+      const order = orderResult.rows[0]
+      if (order.status !== 'completed') {
+        throw new HttpError(400, `Only completed orders take returns, order ${order.order_number} is ${order.status}`)
+      }
+
+      const orderItems = await getReturnableItems(client, order_id)
+      const orderSubtotal = parseFloat(order.subtotal) || 0
+      const orderTotal = parseFloat(order.total) || 0
+
+      // Validate quantities, counting repeated lines for the same order item together
+      const requested = new Map()
+      const lines = items.map(item => {
+        const orderItem = orderItems.find(oi => oi.id === item.order_item_id)
+        if (!orderItem) {
+          throw new HttpError(400, `Order item ${item.order_item_id} does not belong to order ${order.order_number}`)
+        }
+
+        const quantity = parseFloat(item.quantity)
+        const totalRequested = round2((requested.get(orderItem.id) || 0) + quantity)
+        if (totalRequested > orderItem.returnable_quantity) {
+          throw new HttpError(409, `Cannot return ${totalRequested} of ${orderItem.product_name}, only ${orderItem.returnable_quantity} can still be returned`, {
+            order_item_id: orderItem.id,
+            returnable_quantity: orderItem.returnable_quantity
+          })
+        }
+        requested.set(orderItem.id, totalRequested)
+
+        // Credit what the line was charged after its discounts and with its
+        // own tax. Lines sold before the tax engine take their share of the
+        // order total instead.
+        const lineSubtotal = quantity * orderItem.unit_price
+        const total = orderItem.tax_base !== null
+          ? round2((parseFloat(orderItem.tax_base) + parseFloat(orderItem.tax_amount)) * quantity / orderItem.quantity)
+          : orderSubtotal > 0 ? round2(orderTotal * lineSubtotal / orderSubtotal) : 0
+
+        return { ...item, orderItem, quantity, total }
+      })
+
+      const returnTotal = round2(lines.reduce((sum, line) => sum + line.total, 0))
+      if (returnTotal <= 0) {
+        throw new HttpError(400, 'Return total must be greater than 0')
+      }
+
+      const invoice = await findOrderInvoice(client, order)
+
+      if (resolution === 'refund') {
+        const netPaid = await getNetPaid(client, order, invoice)
+        if (returnTotal > netPaid) {
+          throw new HttpError(400, `Refund of ${returnTotal} exceeds the ${netPaid} paid for this order. Use resolution "credit" instead.`, {
+            refundable_amount: netPaid
+          })
+        }
+      }
+
+      const returnResult = await client.query(`
+        INSERT INTO returns (order_id, customer_id, invoice_id, reason, resolution, total, notes, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [order.id, order.customer_id, invoice ? invoice.id : null, reason, resolution, returnTotal, notes, userId])
+
+      const returnRecord = returnResult.rows[0]
+
+      for (const line of lines) {
+        const { orderItem } = line
+
+        await client.query(`
+          INSERT INTO return_items
+          (return_id, order_item_id, product_id, product_name, quantity, unit_price, total, disposition, reason)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          returnRecord.id, orderItem.id, orderItem.product_id, orderItem.product_name,
+          line.quantity, orderItem.unit_price, line.total, line.disposition, line.reason || reason
+        ])
+
+        if (line.disposition === 'restock') {
+          await incrementStock(client, orderItem.product_id, line.quantity)
+          await restoreOrderItemLots(client, orderItem.id, line.quantity)
+
+          await client.query(`
+            INSERT INTO stock_movements
+            (product_id, movement_type, quantity, reference_type, reference_id, notes)
+            VALUES ($1, 'in', $2, 'return', $3, $4)
+          `, [orderItem.product_id, line.quantity, returnRecord.id, `Return from order ${order.order_number}`])
+        } else {
+          // The goods come back and are thrown away: stock does not change,
+          // the loss is recorded for the shrinkage reports
+          await client.query(`
+            INSERT INTO stock_movements
+            (product_id, movement_type, quantity, reference_type, reference_id, notes)
+            VALUES ($1, 'loss', $2, 'return', $3, $4)
+          `, [orderItem.product_id, line.quantity, returnRecord.id, `Written off from return of order ${order.order_number} (${line.reason || reason})`])
+        }
+      }
+
+      const creditNoteNumber = await nextNumber(client, 'credit_note', { branch: branch_code })
+      const creditNoteResult = await client.query(`
+        INSERT INTO credit_notes
+        (credit_note_number, return_id, order_id, invoice_id, customer_id, amount, status, reason, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        creditNoteNumber, returnRecord.id, order.id, invoice ? invoice.id : null, order.customer_id,
+        returnTotal, resolution === 'refund' ? 'refunded' : 'issued', notes || reason, userId
+      ])
+
+      const creditNote = creditNoteResult.rows[0]
+
+      if (resolution === 'refund') {
+        const refundNumber = await nextNumber(client, 'refund', { branch: branch_code })
+        await client.query(`
+          INSERT INTO refunds
+          (refund_number, credit_note_id, order_id, invoice_id, customer_id, amount, refund_method, reference_number, notes, user_id, register_session_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          refundNumber, creditNote.id, order.id, invoice ? invoice.id : null, order.customer_id,
+          returnTotal, refund_method, reference_number, `Refund for credit note ${creditNoteNumber}`, userId,
+          await getOpenSessionId(client, { sessionId: req.body.register_session_id, userId, override: requestedOverride(req) })
+        ])
+      }
+
+      // The credit note lowers what the invoice asks for; a refund also lowers
+      // what was actually collected for it and for the order
+      if (invoice) {
+        await client.query(`
+          UPDATE invoices
+          SET credited_amount = COALESCE(credited_amount, 0) + $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [invoice.id, returnTotal])
+      }
+      await refreshPaymentTargets(client, { invoiceId: invoice ? invoice.id : null, orderId: order.id })
+
+      return returnRecord.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: await getReturnDetails(pool, returnId),
+      message: resolution === 'refund' ? 'Return registered and refund issued' : 'Return registered and credit note issued'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error creating return:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
+module.exports = router
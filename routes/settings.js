@@ -1,22 +1,16 @@
 const express = require('express')
+const fs = require('fs')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool, withTransaction } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-const { authenticateToken } = require('./auth')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-// All routes require authentication
-router.use(authenticateToken)
+const { requirePermission } = require('../middleware/auth')
+const { ASSIGNABLE_ROLES } = require('../config/permissions')
+const { HttpError, sendHttpError } = require('../lib/errors')
+const backup = require('../lib/backup')
+const numbering = require('../lib/numbering')
 
 // GET /api/settings - Get all settings
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('settings:read'), async (req, res) => {
   try {
     // Get company settings
     const companyQuery = 'SELECT * FROM company_settings ORDER BY id DESC LIMIT 1'
@@ -71,7 +65,7 @@ router.get('/', async (req, res) => {
 })
 
 // PUT /api/settings/company - Update company settings
-router.put('/company', [
+router.put('/company', requirePermission('settings:write'), [
   body('name').notEmpty().withMessage('Company name is required'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
   body('website').optional().isURL().withMessage('Valid website URL is required')
@@ -85,14 +79,6 @@ router.put('/company', [
     })
   }
   
-  // Check if user has admin privileges
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Admin access required' 
-    })
-  }
-  
   try {
     const {
       name,
@@ -140,7 +126,7 @@ router.put('/company', [
 })
 
 // PUT /api/settings/system - Update system settings
-router.put('/system', [
+router.put('/system', requirePermission('settings:write'), [
   body('settings').isObject().withMessage('Settings object is required')
 ], async (req, res) => {
   const errors = validationResult(req)
@@ -152,49 +138,37 @@ router.put('/system', [
     })
   }
   
-  // Check if user has admin privileges
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Admin access required' 
-    })
-  }
-  
-  const client = await pool.connect()
+  const { settings } = req.body
   
   try {
-    await client.query('BEGIN')
-    
-    const { settings } = req.body
-    
-    // Update each setting
-    for (const [key, value] of Object.entries(settings)) {
-      let processedValue = value
-      let type = 'string'
+    await withTransaction(async (client) => {
+      // Update each setting
+      for (const [key, value] of Object.entries(settings)) {
+        let processedValue = value
+        let type = 'string'
       
-      // Determine type and process value
-      if (typeof value === 'number') {
-        type = 'number'
-        processedValue = value.toString()
-      } else if (typeof value === 'boolean') {
-        type = 'boolean'
-        processedValue = value.toString()
-      } else if (typeof value === 'object') {
-        type = 'json'
-        processedValue = JSON.stringify(value)
-      }
+        // Determine type and process value
+        if (typeof value === 'number') {
+          type = 'number'
+          processedValue = value.toString()
+        } else if (typeof value === 'boolean') {
+          type = 'boolean'
+          processedValue = value.toString()
+        } else if (typeof value === 'object') {
+          type = 'json'
+          processedValue = JSON.stringify(value)
+        }
       
-      await client.query(`
-        INSERT INTO system_settings (key, value, type)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (key) DO UPDATE SET
-          value = $2,
-          type = $3,
-          updated_at = CURRENT_TIMESTAMP
-      `, [key, processedValue, type])
-    }
-    
-    await client.query('COMMIT')
+        await client.query(`
+          INSERT INTO system_settings (key, value, type)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (key) DO UPDATE SET
+            value = $2,
+            type = $3,
+            updated_at = CURRENT_TIMESTAMP
+        `, [key, processedValue, type])
+      }
+    })
     
     res.json({
       success: true,
@@ -202,20 +176,17 @@ router.put('/system', [
       message: 'System settings updated successfully'
     })
   } catch (error) {
-    await client.query('ROLLBACK')
     console.error('Error updating system settings:', error)
     res.status(500).json({ 
       success: false, 
       error: 'Internal server error',
       message: error.message 
     })
-  } finally {
-    client.release()
   }
 })
 
 // GET /api/settings/system/:key - Get specific system setting
-router.get('/system/:key', async (req, res) => {
+router.get('/system/:key', requirePermission('settings:read'), async (req, res) => {
   try {
     const { key } = req.params
     
@@ -269,30 +240,348 @@ router.get('/system/:key', async (req, res) => {
   }
 })
 
-// POST /api/settings/backup - Create system backup (admin only)
-router.post('/backup', async (req, res) => {
-  // Check if user has admin privileges
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
+// GET /api/settings/numbering - List document numbering series
+router.get('/numbering', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        ds.*,
+        COALESCE(
+          JSON_AGG(
+            JSON_BUILD_OBJECT('period', dsc.period, 'last_number', dsc.last_number)
+            ORDER BY dsc.period DESC
+          ) FILTER (WHERE dsc.series_id IS NOT NULL),
+          '[]'::json
+        ) as counters
+      FROM document_series ds
+      LEFT JOIN document_series_counters dsc ON dsc.series_id = ds.id
+      GROUP BY ds.id
+      ORDER BY ds.document_type, ds.branch_code
+    `)
+    
+    const year = new Date().getFullYear()
+    const series = result.rows.map(row => {
+      const counter = row.counters.find(c => c.period === (row.reset_yearly ? year : 0))
+      return {
+        ...row,
+        next_number: numbering.formatNumber(row, (counter ? counter.last_number : 0) + 1, year)
+      }
+    })
+    
+    res.json({
+      success: true,
+      data: { series }
+    })
+  } catch (error) {
+    console.error('Error fetching numbering series:', error)
+    res.status(500).json({ 
       success: false, 
-      error: 'Admin access required' 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// POST /api/settings/numbering - Create a numbering series (e.g. for a new branch)
+router.post('/numbering', requirePermission('settings:write'), [
+  body('document_type').isIn(numbering.DOCUMENT_TYPES).withMessage('Invalid document type'),
+  body('branch_code').matches(/^[A-Za-z0-9_-]{1,20}$/).withMessage('Branch code must be 1-20 letters, digits, dashes or underscores'),
+  body('prefix').notEmpty().withMessage('Prefix is required'),
+  body('format').optional().isString(),
+  body('padding').optional().isInt({ min: 1, max: 12 }).toInt(),
+  body('reset_yearly').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      errors: errors.array() 
     })
   }
   
   try {
-    // This would typically create a database backup
-    // For now, return a success message
-    const backupInfo = {
-      filename: `freshfruit_backup_${new Date().toISOString().split('T')[0]}.sql`,
-      created_at: new Date().toISOString(),
-      size: '2.5MB', // Mock size
-      tables: [
-        'users', 'customers', 'products', 'orders', 'invoices', 
-        'suppliers', 'categories', 'stock_movements'
-      ]
+    const {
+      document_type,
+      branch_code,
+      prefix,
+      format = branch_code === numbering.DEFAULT_BRANCH ? '{prefix}-{number}' : '{prefix}-{branch}-{number}',
+      padding = 6,
+      reset_yearly = false
+    } = req.body
+    
+    const problems = numbering.validateSeries({ document_type, branch_code, prefix, format, padding, reset_yearly })
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid numbering series', problems })
     }
     
+    const result = await pool.query(`
+      INSERT INTO document_series (document_type, branch_code, prefix, format, padding, reset_yearly)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (document_type, branch_code) DO NOTHING
+      RETURNING *
+    `, [document_type, branch_code, prefix, format, padding, reset_yearly])
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${document_type} series already exists for branch ${branch_code}`
+      })
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Numbering series created successfully'
+    })
+  } catch (error) {
+    console.error('Error creating numbering series:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// PUT /api/settings/numbering/:id - Update a numbering series
+router.put('/numbering/:id', requirePermission('settings:write'), [
+  body('prefix').optional().isString(),
+  body('format').optional().isString(),
+  body('padding').optional().isInt({ min: 1, max: 12 }).toInt(),
+  body('reset_yearly').optional().isBoolean().toBoolean(),
+  body('is_active').optional().isBoolean().toBoolean(),
+  body('next_number').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      errors: errors.array() 
+    })
+  }
+  
+  const { id } = req.params
+  
+  try {
+    const series = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM document_series WHERE id = $1 FOR UPDATE', [id])
+      if (current.rows.length === 0) {
+        throw new HttpError(404, 'Numbering series not found')
+      }
+      
+      const merged = { ...current.rows[0] }
+      for (const field of ['prefix', 'format', 'padding', 'reset_yearly', 'is_active']) {
+        if (req.body[field] !== undefined) merged[field] = req.body[field]
+      }
+      
+      const problems = numbering.validateSeries(merged)
+      if (problems.length > 0) {
+        throw new HttpError(400, 'Invalid numbering series', { problems })
+      }
+      
+      const result = await client.query(`
+        UPDATE document_series
+        SET prefix = $2, format = $3, padding = $4, reset_yearly = $5, is_active = $6
+        WHERE id = $1
+        RETURNING *
+      `, [id, merged.prefix, merged.format, merged.padding, merged.reset_yearly, merged.is_active])
+      
+      // Moving the counter forward is allowed (e.g. to continue a paper
+      // series), moving it back would issue duplicate numbers
+      const { next_number } = req.body
+      if (next_number !== undefined) {
+        const period = merged.reset_yearly ? new Date().getFullYear() : 0
+        const counter = await client.query(`
+          INSERT INTO document_series_counters (series_id, period, last_number)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (series_id, period) DO UPDATE
+            SET last_number = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE document_series_counters.last_number <= $3
+          RETURNING last_number
+        `, [id, period, next_number - 1])
+        
+        if (counter.rows.length === 0) {
+          throw new HttpError(409, 'next_number cannot be lower than a number already issued')
+        }
+      }
+      
+      return result.rows[0]
+    })
+    
     res.json({
+      success: true,
+      data: series,
+      message: 'Numbering series updated successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error updating numbering series:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// GET /api/settings/tax-rates - List tax rates and where they are used
+router.get('/tax-rates', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        tr.*,
+        (SELECT COUNT(*) FROM categories c WHERE c.tax_rate_id = tr.id) as categories_count,
+        (SELECT COUNT(*) FROM products p WHERE p.tax_rate_id = tr.id) as products_count
+      FROM tax_rates tr
+      ORDER BY tr.rate, tr.code
+    `)
+    
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        rate: parseFloat(row.rate),
+        categories_count: parseInt(row.categories_count) || 0,
+        products_count: parseInt(row.products_count) || 0
+      }))
+    })
+  } catch (error) {
+    console.error('Error fetching tax rates:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// POST /api/settings/tax-rates - Create a tax rate
+router.post('/tax-rates', requirePermission('settings:write'), [
+  body('code').matches(/^[A-Za-z0-9_-]{1,20}$/).withMessage('Code must be 1-20 letters, digits, dashes or underscores'),
+  body('name').notEmpty().withMessage('Name is required'),
+  body('rate').isFloat({ min: 0, max: 99.99 }).withMessage('Rate must be a percentage from 0 to 99.99').toFloat(),
+  body('is_default').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      errors: errors.array() 
+    })
+  }
+  
+  try {
+    const { code, name, rate, is_default = false } = req.body
+    
+    const taxRate = await withTransaction(async (client) => {
+      // Only one rate is the default
+      if (is_default) {
+        await client.query('UPDATE tax_rates SET is_default = false WHERE is_default')
+      }
+      
+      const result = await client.query(`
+        INSERT INTO tax_rates (code, name, rate, is_default)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (code) DO NOTHING
+        RETURNING *
+      `, [code, name, rate, is_default])
+      
+      if (result.rows.length === 0) {
+        throw new HttpError(409, `A tax rate with code ${code} already exists`)
+      }
+      return result.rows[0]
+    })
+    
+    res.status(201).json({
+      success: true,
+      data: { ...taxRate, rate: parseFloat(taxRate.rate) },
+      message: 'Tax rate created successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error creating tax rate:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// PUT /api/settings/tax-rates/:id - Update a tax rate. Documents already
+// issued keep the rate they were charged at.
+router.put('/tax-rates/:id', requirePermission('settings:write'), [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('rate').optional().isFloat({ min: 0, max: 99.99 }).withMessage('Rate must be a percentage from 0 to 99.99').toFloat(),
+  body('is_default').optional().isBoolean().toBoolean(),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Validation failed',
+      errors: errors.array() 
+    })
+  }
+  
+  const { id } = req.params
+  
+  try {
+    const taxRate = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM tax_rates WHERE id = $1 FOR UPDATE', [id])
+      if (current.rows.length === 0) {
+        throw new HttpError(404, 'Tax rate not found')
+      }
+      
+      const merged = { ...current.rows[0] }
+      for (const field of ['name', 'rate', 'is_default', 'is_active']) {
+        if (req.body[field] !== undefined) merged[field] = req.body[field]
+      }
+      
+      // Products without a rate of their own fall back to the default
+      if (merged.is_default && !merged.is_active) {
+        throw new HttpError(409, 'The default tax rate cannot be deactivated, make another rate the default first')
+      }
+      if (merged.is_default && !current.rows[0].is_default) {
+        await client.query('UPDATE tax_rates SET is_default = false WHERE is_default')
+      }
+      
+      const result = await client.query(`
+        UPDATE tax_rates
+        SET name = $2, rate = $3, is_default = $4, is_active = $5
+        WHERE id = $1
+        RETURNING *
+      `, [id, merged.name, merged.rate, merged.is_default, merged.is_active])
+      
+      return result.rows[0]
+    })
+    
+    res.json({
+      success: true,
+      data: { ...taxRate, rate: parseFloat(taxRate.rate) },
+      message: 'Tax rate updated successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error updating tax rate:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// POST /api/settings/backup - Create system backup (admin only)
+router.post('/backup', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const backupInfo = await backup.createBackup({ type: 'manual', userId: req.user.id })
+    
+    res.status(201).json({
       success: true,
       data: backupInfo,
       message: 'Backup created successfully'
@@ -307,16 +596,91 @@ router.post('/backup', async (req, res) => {
   }
 })
 
-// GET /api/settings/users - Get all users (admin only)
-router.get('/users', async (req, res) => {
-  // Check if user has admin privileges
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
+// GET /api/settings/backups - List stored backups (admin only)
+router.get('/backups', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const backups = await backup.listBackups()
+    
+    res.json({
+      success: true,
+      data: {
+        backups,
+        retention: backup.RETENTION
+      }
+    })
+  } catch (error) {
+    console.error('Error listing backups:', error)
+    res.status(500).json({ 
       success: false, 
-      error: 'Admin access required' 
+      error: 'Internal server error',
+      message: error.message 
     })
   }
-  
+})
+
+// GET /api/settings/backups/:filename/download - Download a stored backup (admin only)
+router.get('/backups/:filename/download', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const file = backup.backupPath(req.params.filename)
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ success: false, error: 'Backup not found' })
+    }
+    
+    res.download(file, req.params.filename)
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error downloading backup:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// POST /api/settings/backups/:filename/restore - Restore a backup into an empty database (admin only)
+router.post('/backups/:filename/restore', requirePermission('settings:restore'), async (req, res) => {
+  try {
+    const result = await backup.restoreBackup(req.params.filename)
+    
+    res.json({
+      success: true,
+      data: result,
+      message: 'Backup restored successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error restoring backup:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// DELETE /api/settings/backups/:filename - Delete a stored backup (admin only)
+router.delete('/backups/:filename', requirePermission('settings:write'), async (req, res) => {
+  try {
+    await backup.deleteBackup(req.params.filename)
+    
+    res.json({
+      success: true,
+      message: 'Backup deleted successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error deleting backup:', error)
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error',
+      message: error.message 
+    })
+  }
+})
+
+// GET /api/settings/users - Get all users (admin only)
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
   try {
     const usersQuery = `
       SELECT 
@@ -357,8 +721,8 @@ router.get('/users', async (req, res) => {
 })
 
 // PUT /api/settings/users/:id/role - Update user role (admin only)
-router.put('/users/:id/role', [
-  body('role').isIn(['admin', 'vendedor', 'gerente']).withMessage('Invalid role')
+router.put('/users/:id/role', requirePermission('users:manage'), [
+  body('role').isIn(ASSIGNABLE_ROLES).withMessage('Invalid role')
 ], async (req, res) => {
   const errors = validationResult(req)
   if (!errors.isEmpty()) {
@@ -369,14 +733,6 @@ router.put('/users/:id/role', [
     })
   }
   
-  // Check if user has admin privileges
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ 
-      success: false, 
-      error: 'Admin access required' 
-    })
-  }
-  
   try {
     const { id } = req.params
     const { role } = req.body
@@ -1,46 +1,13 @@
 const express = require('express')
 const router = express.Router()
-const { Pool } = require('pg')
+const { pool, withTransaction } = require('../config/database')
 const { body, validationResult } = require('express-validator')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
-
-// POST /api/suppliers/setup-db - Create supplier_payments table
-router.post('/setup-db', async (req, res) => {
-  const client = await pool.connect()
-  try {
-    console.log('Setting up supplier_payments table...')
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS supplier_payments (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        supplier_id UUID REFERENCES suppliers(id) ON DELETE CASCADE,
-        amount DECIMAL(10, 2) NOT NULL,
-        payment_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-        payment_method VARCHAR(50),
-        reference_number VARCHAR(100),
-        notes TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-    console.log('supplier_payments table created successfully')
-    res.json({ success: true, message: 'Database setup completed' })
-  } catch (error) {
-    console.error('Error setting up database:', error)
-    res.status(500).json({ success: false, error: error.message })
-  } finally {
-    client.release()
-  }
-})
+const { requirePermission } = require('../middleware/auth')
+const { HttpError, sendHttpError } = require('../lib/errors')
+const { CONSIGNMENT_BASES } = require('../lib/consignment')
 
 // GET /api/suppliers/:id/account - Get supplier account details
-router.get('/:id/account', async (req, res) => {
+router.get('/:id/account', requirePermission('suppliers:read'), async (req, res) => {
   try {
     const { id } = req.params
     const { start_date, end_date } = req.query
@@ -53,25 +20,38 @@ router.get('/:id/account', async (req, res) => {
     const supplier = supplierResult.rows[0]
 
     // 2. Get Purchase Orders (Debits - Deuda)
+    // Only what was actually accepted on delivery is owed; rejected or
+    // outstanding units are not. Lines priced by the tax engine owe their
+    // discounted cost plus tax.
     let poQuery = `
       SELECT 
-        id, order_number, total_amount as amount, status, created_at as date, 'purchase_order' as type
-      FROM purchase_orders
-      WHERE supplier_id = $1 AND deleted_at IS NULL
+        po.id, po.order_number, po.total_amount as ordered_amount, po.status, po.paid_amount, po.payment_status, po.created_at as date, 'purchase_order' as type,
+        COALESCE((
+          SELECT SUM(poi.received_quantity * COALESCE((poi.tax_base + poi.tax_amount) / NULLIF(poi.quantity, 0), poi.unit_cost))
+          FROM purchase_order_items poi
+          WHERE poi.purchase_order_id = po.id
+        ), 0) as amount
+      FROM purchase_orders po
+      WHERE po.supplier_id = $1 AND po.deleted_at IS NULL
     `
     const poParams = [id]
     if (start_date) {
-      poQuery += ` AND created_at >= $2`
+      poQuery += ` AND po.created_at >= $2`
       poParams.push(start_date)
     }
     const poResult = await pool.query(poQuery, poParams)
+    poResult.rows.forEach(po => {
+      po.amount = parseFloat(po.amount)
+      po.ordered_amount = parseFloat(po.ordered_amount)
+      po.paid_amount = parseFloat(po.paid_amount)
+    })
 
     // 3. Get Payments (Credits - Pagos)
     let payQuery = `
       SELECT 
         id, amount, payment_date as date, 'payment' as type, payment_method, reference_number
       FROM supplier_payments
-      WHERE supplier_id = $1
+      WHERE supplier_id = $1 AND status = 'completed'
     `
     const payParams = [id]
     if (start_date) {
@@ -80,9 +60,27 @@ router.get('/:id/account', async (req, res) => {
     }
     const payResult = await pool.query(payQuery, payParams)
 
+    // 3b. Approved consignment settlements (Debits - what was sold for them)
+    let settlementQuery = `
+      SELECT
+        id, settlement_number, amount_owed as amount, approved_at as date, 'consignment_settlement' as type,
+        period_from::text as period_from, period_to::text as period_to
+      FROM consignment_settlements
+      WHERE supplier_id = $1 AND status = 'approved'
+    `
+    const settlementParams = [id]
+    if (start_date) {
+      settlementQuery += ` AND approved_at >= $2`
+      settlementParams.push(start_date)
+    }
+    const settlementResult = await pool.query(settlementQuery, settlementParams)
+    settlementResult.rows.forEach(settlement => {
+      settlement.amount = parseFloat(settlement.amount)
+    })
+
     // 4. Get Total Products Purchased
     const productCountQuery = `
-      SELECT COALESCE(SUM(poi.quantity), 0) as total_quantity
+      SELECT COALESCE(SUM(poi.received_quantity), 0) as total_quantity
       FROM purchase_order_items poi
       JOIN purchase_orders po ON poi.purchase_order_id = po.id
       WHERE po.supplier_id = $1 AND po.deleted_at IS NULL
@@ -93,13 +91,15 @@ router.get('/:id/account', async (req, res) => {
     // 5. Combine and Sort
     const transactions = [
       ...poResult.rows.map(po => ({ ...po, is_debit: true })), // Increases debt
+      ...settlementResult.rows.map(s => ({ ...s, is_debit: true })), // Increases debt
       ...payResult.rows.map(p => ({ ...p, is_credit: true }))  // Decreases debt
     ].sort((a, b) => new Date(b.date) - new Date(a.date))
 
     // 6. Calculate Balance & Last Purchase
     const totalPurchased = poResult.rows.reduce((sum, item) => sum + parseFloat(item.amount), 0)
+    const totalConsigned = settlementResult.rows.reduce((sum, item) => sum + item.amount, 0)
     const totalPaid = payResult.rows.reduce((sum, item) => sum + parseFloat(item.amount), 0)
-    const balance = totalPurchased - totalPaid
+    const balance = totalPurchased + totalConsigned - totalPaid
 
     // Get last purchase date from sorted transactions (looking for first purchase_order)
     const lastPurchase = transactions.find(t => t.type === 'purchase_order')
@@ -112,6 +112,7 @@ router.get('/:id/account', async (req, res) => {
           ...supplier,
           balance,
           total_purchased: totalPurchased,
+          total_consigned: totalConsigned,
           total_paid: totalPaid,
           products_count: totalProducts,
           last_purchase_date: lastPurchaseDate
@@ -126,7 +127,7 @@ router.get('/:id/account', async (req, res) => {
 })
 
 // GET /api/suppliers - Get all suppliers with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('suppliers:read'), async (req, res) => {
   try {
     const {
       search,
@@ -140,8 +141,11 @@ router.get('/', async (req, res) => {
     let query = `
       SELECT 
         s.*,
-        (SELECT COALESCE(SUM(total_amount), 0) FROM purchase_orders WHERE supplier_id = s.id AND deleted_at IS NULL) as total_purchased,
-        (SELECT COALESCE(SUM(amount), 0) FROM supplier_payments WHERE supplier_id = s.id) as total_paid,
+        (SELECT COALESCE(SUM(poi.received_quantity * COALESCE((poi.tax_base + poi.tax_amount) / NULLIF(poi.quantity, 0), poi.unit_cost)), 0)
+          FROM purchase_order_items poi
+          JOIN purchase_orders po ON poi.purchase_order_id = po.id
+          WHERE po.supplier_id = s.id AND po.deleted_at IS NULL) as total_purchased,
+        (SELECT COALESCE(SUM(amount), 0) FROM supplier_payments WHERE supplier_id = s.id AND status = 'completed') as total_paid,
         (SELECT MAX(created_at) FROM purchase_orders WHERE supplier_id = s.id AND deleted_at IS NULL) as last_purchase_date,
         0 as products_count
       FROM suppliers s
@@ -230,7 +234,7 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/suppliers/:id - Get specific supplier
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('suppliers:read'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -273,7 +277,7 @@ router.get('/:id', async (req, res) => {
 })
 
 // POST /api/suppliers - Create new supplier
-router.post('/', [
+router.post('/', requirePermission('suppliers:write'), [
   body('name').notEmpty().withMessage('Supplier name is required'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
   body('payment_terms').optional().isInt({ min: 1 }).withMessage('Payment terms must be a positive integer')
@@ -329,7 +333,7 @@ router.post('/', [
 })
 
 // PUT /api/suppliers/:id - Update supplier
-router.put('/:id', [
+router.put('/:id', requirePermission('suppliers:write'), [
   body('name').notEmpty().withMessage('Supplier name is required'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
   body('payment_terms').optional().isInt({ min: 1 }).withMessage('Payment terms must be a positive integer')
@@ -400,8 +404,78 @@ router.put('/:id', [
   }
 })
 
+// PATCH /api/suppliers/:id/consignment - Set the consignment agreement:
+// consignment_basis commission (with consignment_commission) or unit_cost
+// (with the cost of each product in unit_costs), null to end it
+router.patch('/:id/consignment', requirePermission('suppliers:write'), [
+  body('consignment_basis').optional({ nullable: true }).isIn(CONSIGNMENT_BASES).withMessage(`Consignment basis must be one of ${CONSIGNMENT_BASES.join(', ')}`),
+  body('consignment_commission').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Commission must be between 0 and 100'),
+  body('unit_costs').optional().isArray().withMessage('unit_costs must be an array'),
+  body('unit_costs.*.product_id').isUUID().withMessage('Product ID must be a valid UUID'),
+  body('unit_costs.*.unit_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit cost must be 0 or more')
+], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors.array()
+    })
+  }
+
+  try {
+    const { id } = req.params
+    const { consignment_basis = null, consignment_commission = null, unit_costs = [] } = req.body
+
+    if (consignment_basis === 'commission' && (consignment_commission === null || consignment_commission === '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'consignment_commission is required for commission consignment'
+      })
+    }
+
+    const supplier = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE suppliers
+        SET consignment_basis = $2, consignment_commission = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      `, [id, consignment_basis, consignment_basis === 'commission' ? parseFloat(consignment_commission) : null])
+      if (result.rows.length === 0) {
+        throw new HttpError(404, 'Supplier not found')
+      }
+
+      for (const cost of unit_costs) {
+        const updated = await client.query(
+          'UPDATE products SET consignment_unit_cost = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+          [cost.product_id, cost.unit_cost === undefined || cost.unit_cost === null ? null : parseFloat(cost.unit_cost)]
+        )
+        if (updated.rows.length === 0) {
+          throw new HttpError(404, `Product with ID ${cost.product_id} not found`)
+        }
+      }
+
+      return result.rows[0]
+    })
+
+    res.json({
+      success: true,
+      data: supplier,
+      message: 'Consignment agreement updated successfully'
+    })
+  } catch (error) {
+    if (sendHttpError(res, error)) return
+    console.error('Error updating consignment agreement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+})
+
 // DELETE /api/suppliers/:id - Soft delete supplier
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('suppliers:delete'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -439,7 +513,7 @@ router.delete('/:id', async (req, res) => {
 })
 
 // GET /api/suppliers/stats - Get supplier statistics
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('suppliers:read'), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -473,7 +547,7 @@ router.get('/stats/summary', async (req, res) => {
 })
 
 // GET /api/suppliers/stats/sales - Get sales statistics by supplier
-router.get('/stats/sales', async (req, res) => {
+router.get('/stats/sales', requirePermission('suppliers:read'), async (req, res) => {
   try {
     const { start_date, end_date } = req.query
 
@@ -1,14 +1,7 @@
 const express = require('express')
 const { body, validationResult } = require('express-validator')
-const { Pool } = require('pg')
-
-const pool = new Pool({
-  user: process.env.DB_USER || 'postgres',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'freshfruit_erp',
-  password: process.env.DB_PASSWORD || 'password',
-  port: process.env.DB_PORT || 5432,
-})
+const { pool } = require('../config/database')
+const { requirePermission } = require('../middleware/auth')
 
 const router = express.Router()
 
@@ -20,7 +13,7 @@ const validateUnit = [
 ]
 
 // GET /api/units - Obtener todas las unidades
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('units:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT
@@ -44,7 +37,7 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/units/:id - Obtener una unidad por ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('units:read'), async (req, res) => {
   try {
     const { id } = req.params
     const result = await pool.query(`
@@ -72,7 +65,7 @@ router.get('/:id', async (req, res) => {
 })
 
 // GET /api/units/symbol/:symbol - Obtener unidad por símbolo
-router.get('/symbol/:symbol', async (req, res) => {
+router.get('/symbol/:symbol', requirePermission('units:read'), async (req, res) => {
   try {
     const { symbol } = req.params
     const result = await pool.query(`
@@ -100,7 +93,7 @@ router.get('/symbol/:symbol', async (req, res) => {
 })
 
 // GET /api/units/usage/:symbol - Obtener uso de una unidad (productos que la usan)
-router.get('/usage/:symbol', async (req, res) => {
+router.get('/usage/:symbol', requirePermission('units:read'), async (req, res) => {
   try {
     const { symbol } = req.params
     const result = await pool.query(`
@@ -120,7 +113,7 @@ router.get('/usage/:symbol', async (req, res) => {
 })
 
 // POST /api/units - Crear nueva unidad
-router.post('/', validateUnit, async (req, res) => {
+router.post('/', requirePermission('units:write'), validateUnit, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -152,7 +145,7 @@ router.post('/', validateUnit, async (req, res) => {
 })
 
 // PUT /api/units/:id - Actualizar unidad
-router.put('/:id', validateUnit, async (req, res) => {
+router.put('/:id', requirePermission('units:write'), validateUnit, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -213,7 +206,7 @@ router.put('/:id', validateUnit, async (req, res) => {
 })
 
 // DELETE /api/units/:id - Eliminar unidad (soft delete)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('units:write'), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -259,7 +252,7 @@ router.delete('/:id', async (req, res) => {
 })
 
 // GET /api/units/stats - Obtener estadísticas de unidades
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('units:read'), async (req, res) => {
   try {
     const totalResult = await pool.query(
       'SELECT COUNT(*) as total FROM units WHERE deleted_at IS NULL'
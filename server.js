@@ -1,8 +1,13 @@
 const express = require('express')
 const path = require('path')
 const cors = require('cors')
-const { Pool } = require('pg')
 require('dotenv').config()
+const { pool, getPoolStats } = require('./config/database')
+const { startBackupScheduler } = require('./lib/backup')
+const { startLotExpiryScheduler } = require('./lib/lots')
+const { startConsolidationScheduler } = require('./lib/consolidation')
+const { startDunningScheduler } = require('./lib/dunning')
+const { auditContext } = require('./lib/audit')
 
 const app = express()
 const PORT = process.env.PORT
@@ -43,14 +48,8 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true }))
 
-// Database connection
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-})
+// Lets the audit trail know which request (user, IP, route) made each change
+app.use('/api', auditContext)
 
 // Test database connection
 pool.connect((err, client, release) => {
@@ -64,9 +63,6 @@ pool.connect((err, client, release) => {
   }
 })
 
-// Export pool for use in other modules
-module.exports.pool = pool
-
 // Import routes (PostgreSQL-dependent routes temporarily disabled)
 const productRoutes = require('./routes/products')
 const billingRoutes = require('./routes/billing')
@@ -82,34 +78,55 @@ const reportsRoutes = require('./routes/reports')
 const unitsRoutes = require('./routes/units')
 const paymentsRoutes = require('./routes/payments')
 const registerRoutes = require('./routes/register')
+const returnsRoutes = require('./routes/returns')
+const auditRoutes = require('./routes/audit')
+const receivablesRoutes = require('./routes/receivables')
+const consignmentRoutes = require('./routes/consignment')
+const payablesRoutes = require('./routes/payables')
 
 // Authentication routes (now using real PostgreSQL backend)
 const authRoutes = require('./routes/auth')
+const { authenticateToken } = require('./middleware/auth')
 
 // Use routes (PostgreSQL-dependent routes temporarily disabled)
-app.use('/api/products', productRoutes)
-app.use('/api/billing', billingRoutes)
-app.use('/api/customers', customersRoutes)
-app.use('/api/inventory', inventoryRoutes)
-app.use('/api/orders', ordersRoutes)
-app.use('/api/suppliers', suppliersRoutes)
-app.use('/api/purchase-orders', purchaseOrdersRoutes)
+// Auth routes handle their own authentication (login is public); every other
+// router requires a valid token and checks permissions per route.
 app.use('/api/auth', authRoutes)
-app.use('/api/dashboard', dashboardRoutes)
-app.use('/api/profile', profileRoutes)
-app.use('/api/settings', settingsRoutes)
-app.use('/api/reports', reportsRoutes)
-app.use('/api/units', unitsRoutes)
-app.use('/api/payments', paymentsRoutes)
-app.use('/api/register', registerRoutes)
+app.use('/api/products', authenticateToken, productRoutes)
+app.use('/api/billing', authenticateToken, billingRoutes)
+app.use('/api/customers', authenticateToken, customersRoutes)
+app.use('/api/inventory', authenticateToken, inventoryRoutes)
+app.use('/api/orders', authenticateToken, ordersRoutes)
+app.use('/api/suppliers', authenticateToken, suppliersRoutes)
+app.use('/api/purchase-orders', authenticateToken, purchaseOrdersRoutes)
+app.use('/api/dashboard', authenticateToken, dashboardRoutes)
+app.use('/api/profile', authenticateToken, profileRoutes)
+app.use('/api/settings', authenticateToken, settingsRoutes)
+app.use('/api/reports', authenticateToken, reportsRoutes)
+app.use('/api/units', authenticateToken, unitsRoutes)
+app.use('/api/payments', authenticateToken, paymentsRoutes)
+app.use('/api/register', authenticateToken, registerRoutes)
+app.use('/api/returns', authenticateToken, returnsRoutes)
+app.use('/api/audit', authenticateToken, auditRoutes)
+app.use('/api/receivables', authenticateToken, receivablesRoutes)
+app.use('/api/consignment', authenticateToken, consignmentRoutes)
+app.use('/api/payables', authenticateToken, payablesRoutes)
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
+app.get('/api/health', async (req, res) => {
+  let database = 'Connected'
+  try {
+    await pool.query('SELECT 1')
+  } catch (error) {
+    database = 'Disconnected'
+  }
+
+  res.status(database === 'Connected' ? 200 : 503).json({
+    status: database === 'Connected' ? 'OK' : 'DEGRADED',
     timestamp: new Date().toISOString(),
     service: 'FreshFruit ERP API',
-    database: pool ? 'Connected' : 'Disconnected'
+    database,
+    pool: getPoolStats()
   })
 })
 
@@ -144,6 +161,10 @@ app.use((err, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`)
   console.log(`Health check: http://localhost:${PORT}/api/health`)
+  startBackupScheduler()
+  startLotExpiryScheduler()
+  startConsolidationScheduler()
+  startDunningScheduler()
 });
 
 module.exports = { app, pool }  // Temporarily disabled
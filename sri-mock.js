@@ -0,0 +1,103 @@
+// Local stand-in for the SRI offline web services, for development
+// Usage:
+//   node sri-mock.js            Listen on SRI_MOCK_PORT (8089)
+// Then start the API with
+//   SRI_RECEPTION_URL=http://localhost:8089/RecepcionComprobantesOffline
+//   SRI_AUTHORIZATION_URL=http://localhost:8089/AutorizacionComprobantesOffline
+//
+// Reception accepts any document with an access key (a second copy is
+// answered with error 43, CLAVE ACCESO REGISTRADA) and authorization
+// authorizes every received document. With SRI_MOCK_REJECT=1 every document is
+// NO AUTORIZADO instead.
+require('dotenv').config()
+
+const http = require('http')
+
+const PORT = parseInt(process.env.SRI_MOCK_PORT) || 8089
+const REJECT = process.env.SRI_MOCK_REJECT === '1'
+
+// accessKey -> { xml, receivedAt }
+const received = new Map()
+
+const envelope = (body) =>
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+  `${body}</soap:Body></soap:Envelope>`
+
+const message = (identifier, text, type = 'ERROR') =>
+  `<mensaje><identificador>${identifier}</identificador><mensaje>${text}</mensaje><tipo>${type}</tipo></mensaje>`
+
+function reception(request) {
+  const base64 = (/<xml>([^<]*)<\/xml>/.exec(request) || [])[1] || ''
+  const xml = Buffer.from(base64, 'base64').toString('utf8')
+  const accessKey = (/<claveAcceso>(\d{49})<\/claveAcceso>/.exec(xml) || [])[1]
+
+  let state = 'RECIBIDA'
+  let messages = ''
+  if (!accessKey || !xml.includes('<ds:Signature')) {
+    state = 'DEVUELTA'
+    messages = message('35', 'ARCHIVO NO CUMPLE ESTRUCTURA XML')
+  } else if (received.has(accessKey)) {
+    state = 'DEVUELTA'
+    messages = message('43', 'CLAVE ACCESO REGISTRADA')
+  } else {
+    received.set(accessKey, { xml, receivedAt: new Date() })
+  }
+  console.log(`reception ${accessKey || '-'} ${state}`)
+
+  return envelope(
+    '<ns2:validarComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.recepcion"><RespuestaRecepcionComprobante>' +
+    `<estado>${state}</estado><comprobantes>` +
+    (messages ? `<comprobante><claveAcceso>${accessKey || ''}</claveAcceso><mensajes>${messages}</mensajes></comprobante>` : '') +
+    '</comprobantes></RespuestaRecepcionComprobante></ns2:validarComprobanteResponse>'
+  )
+}
+
+function authorization(request) {
+  const accessKey = (/<claveAccesoComprobante>(\d+)<\/claveAccesoComprobante>/.exec(request) || [])[1]
+  const document = received.get(accessKey)
+  console.log(`authorization ${accessKey || '-'} ${document ? (REJECT ? 'NO AUTORIZADO' : 'AUTORIZADO') : 'unknown'}`)
+
+  let authorizations = ''
+  if (document) {
+    authorizations = '<autorizacion>' +
+      (REJECT
+        ? `<estado>NO AUTORIZADO</estado><fechaAutorizacion>${new Date().toISOString()}</fechaAutorizacion>` +
+          `<ambiente>PRUEBAS</ambiente><comprobante><![CDATA[${document.xml}]]></comprobante>` +
+          `<mensajes>${message('39', 'FIRMA INVALIDA')}</mensajes>`
+        : `<estado>AUTORIZADO</estado><numeroAutorizacion>${accessKey}</numeroAutorizacion>` +
+          `<fechaAutorizacion>${new Date().toISOString()}</fechaAutorizacion><ambiente>PRUEBAS</ambiente>` +
+          `<comprobante><![CDATA[${document.xml}]]></comprobante><mensajes/>`) +
+      '</autorizacion>'
+  }
+
+  return envelope(
+    '<ns2:autorizacionComprobanteResponse xmlns:ns2="http://ec.gob.sri.ws.autorizacion"><RespuestaAutorizacionComprobante>' +
+    `<claveAccesoConsultada>${accessKey || ''}</claveAccesoConsultada>` +
+    `<numeroComprobantes>${document ? 1 : 0}</numeroComprobantes><autorizaciones>${authorizations}</autorizaciones>` +
+    '</RespuestaAutorizacionComprobante></ns2:autorizacionComprobanteResponse>'
+  )
+}
+
+const server = http.createServer((req, res) => {
+  let body = ''
+  req.setEncoding('utf8')
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    let response
+    if (req.method === 'POST' && req.url.startsWith('/RecepcionComprobantesOffline')) {
+      response = reception(body)
+    } else if (req.method === 'POST' && req.url.startsWith('/AutorizacionComprobantesOffline')) {
+      response = authorization(body)
+    } else {
+      res.writeHead(404)
+      return res.end()
+    }
+    res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' })
+    res.end(response)
+  })
+})
+
+server.listen(PORT, () => {
+  console.log(`SRI mock listening on http://localhost:${PORT}`)
+})